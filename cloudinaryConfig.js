@@ -87,8 +87,27 @@ const storageProductosRifa = new CloudinaryStorage({
   }
 });
 
+// Para evidencias de faltas justificadas (imagen o PDF)
+const storageJustificantes = new CloudinaryStorage({
+  cloudinary,
+  params: {
+    folder: "asistencia/justificantes",
+    resource_type: "image",
+    allowed_formats: ["jpg","jpeg","png","pdf"]
+  }
+});
+
+// Para documentos adjuntos de reuniones (PDF, Word, Excel, PPT...)
+const storageAdjuntosReunion = new CloudinaryStorage({
+  cloudinary,
+  params: {
+    folder: "reuniones/adjuntos",
+    resource_type: "raw"
+  }
+});
 
 
 
 module.exports = { cloudinary, storage,storageEmpresa,storageNoticias,storageNosotros,storagePortadas,
-  storageArchivos,storageRifas,storageProductosRifa };
+  storageArchivos,storageRifas,storageProductosRifa,storageJustificantes,
+  storageAdjuntosReunion };
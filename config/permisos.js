@@ -0,0 +1,32 @@
+// config/permisos.js
+// Matriz de permisos por rol. Los nombres de rol son los de `roles_sindicato.nombre`,
+// que es lo que login.js y autenticacionmvl.js guardan en el claim `role` del JWT.
+
+const ADMIN = ["Admin"];
+const TODOS = ["Admin", "Agremiado"];
+
+module.exports = {
+  // Contenido institucional
+  "noticias:gestionar":        ADMIN,
+  "documentos:gestionar":      ADMIN,
+  "transparencia:gestionar":   ADMIN,
+  "nosotros:gestionar":        ADMIN,
+  "empresa:gestionar":         ADMIN,
+  "preguntas:gestionar":       ADMIN,
+
+  // Reuniones y asistencia
+  "reuniones:gestionar":       ADMIN,
+  "asistencia:registrar":      TODOS,
+
+  // Usuarios y puestos
+  "usuarios:gestionar":        ADMIN,
+  "puestos:gestionar":         ADMIN,
+
+  // Encuestas, votaciones y rifas
+  "encuestas:gestionar":       ADMIN,
+  "encuestas:responder":       TODOS,
+  "rifas:gestionar":           ADMIN,
+
+  // Notificaciones push
+  "notificaciones:enviar":     ADMIN,
+};
@@ -1,47 +1,50 @@
-
 // server/config/refreshSession.js
 const jwt = require("jsonwebtoken");
+const sesiones = require("./sesiones");
+
+module.exports = async (req, res, next) => {
+  // Ya resuelto en esta misma petición (el middleware se monta en varias rutas)
+  if (req.user && req.user.sub) {
+    return next();
+  }
 
-module.exports = (req, res, next) => {
   const token = req.cookies.authToken;
-  
-  // Si no hay token, simplemente continúa (NO devuelve 401)
-  if (!token) {
+
+  // 1) Access token vigente: se usa tal cual, ya no se re-firma en cada petición
+  if (token) {
+    try {
+      req.user = jwt.verify(token, process.env.JWT_SECRET);
+      return next();
+    } catch (err) {
+      console.log("Token inválido:", err.message);
+    }
+  }
+
+  // 2) Sin access token válido: intentar rotar el refresh token
+  const refreshToken = req.cookies.refreshToken;
+
+  // Si no hay refresh token, simplemente continúa (NO devuelve 401)
+  if (!refreshToken) {
+    if (token) {
+      res.clearCookie("authToken", sesiones.cookieOptions());
+    }
     return next();
   }
 
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    const newToken = jwt.sign(
-      { sub: payload.sub, role: payload.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "10m" }
-    );
-     const isProduction = process.env.NODE_ENV === 'production';
-    res.cookie("authToken", newToken, {
-      httpOnly: true,
-       secure: isProduction,
-      sameSite: isProduction ? "none" : "lax",
-      maxAge: 10 * 60 * 1000 ,
-       path: "/" 
-    });
-
-    req.user = payload;
+    const nuevaSesion = await sesiones.rotarSesion(refreshToken, req);
+
+    if (!nuevaSesion) {
+      // Refresh token inválido, expirado o reutilizado
+      sesiones.clearAuthCookies(res);
+      return next();
+    }
+
+    sesiones.setAuthCookies(res, nuevaSesion);
+    req.user = jwt.decode(nuevaSesion.accessToken);
     next();
   } catch (err) {
-    // ⭐ Solo loguea el error, NO devuelve 401
-    console.log("Token inválido:", err.message);
-     // 🔧 Limpiar cookie inválida con la misma configuración
-    const isProduction = process.env.NODE_ENV === 'production';
-    res.clearCookie("authToken", {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: isProduction ? "none" : "lax",
-      path: "/"
-    });
-    
-    
+    console.error("Error rotando sesión:", err);
     next();
   }
 };
-
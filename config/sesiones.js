@@ -0,0 +1,240 @@
+// config/sesiones.js
+// Access tokens cortos + refresh tokens rotativos guardados en `sesiones_usuario`.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const pool = require("../bd");
+
+const ACCESS_TOKEN_TTL = "10m";
+const ACCESS_TOKEN_MS = 10 * 60 * 1000;
+const REFRESH_TOKEN_DIAS = 30;
+const REFRESH_TOKEN_MS = REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000;
+
+// Peticiones paralelas del navegador pueden presentar el mismo refresh token
+// mientras la primera lo rota; dentro de esta ventana no se considera reuso.
+const GRACIA_ROTACION_SEGUNDOS = 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Opciones de cookie (iguales a las que ya usaban login y refreshSession)
+function cookieOptions(maxAge) {
+  const isProduction = process.env.NODE_ENV === "production";
+  const options = {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? "none" : "lax",
+    path: "/",
+  };
+  if (maxAge) options.maxAge = maxAge;
+  return options;
+}
+
+function setAuthCookies(res, { accessToken, refreshToken }) {
+  res.cookie("authToken", accessToken, cookieOptions(ACCESS_TOKEN_MS));
+  if (refreshToken) {
+    res.cookie("refreshToken", refreshToken, cookieOptions(REFRESH_TOKEN_MS));
+  }
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie("authToken", cookieOptions());
+  res.clearCookie("refreshToken", cookieOptions());
+}
+
+function firmarAccessToken({ sub, role, sid, email }) {
+  const payload = { sub, role, sid };
+  if (email) payload.email = email;
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+async function insertarRefresh(conn, { usuarioId, familiaId, cliente, req }) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  await conn.query(
+    `INSERT INTO sesiones_usuario
+       (usuario_id, familia_id, refresh_hash, cliente, user_agent, ip, expira_en)
+     VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [
+      usuarioId,
+      familiaId,
+      hashToken(refreshToken),
+      cliente,
+      req?.headers["user-agent"]?.slice(0, 255) || null,
+      req?.ip || null,
+      REFRESH_TOKEN_DIAS,
+    ]
+  );
+  return refreshToken;
+}
+
+/**
+ * Abre una sesión nueva tras un login correcto.
+ * Devuelve { accessToken, refreshToken, sid }.
+ */
+async function crearSesion({ usuarioId, role, email, cliente = "web", req }) {
+  const familiaId = crypto.randomUUID();
+  const refreshToken = await insertarRefresh(pool, { usuarioId, familiaId, cliente, req });
+  const accessToken = firmarAccessToken({ sub: usuarioId, role, sid: familiaId, email });
+  return { accessToken, refreshToken, sid: familiaId };
+}
+
+/**
+ * Canjea un refresh token por un par nuevo.
+ * - Token desconocido, expirado o revocado → null
+ * - Token ya rotado fuera de la ventana de gracia → reuso: se revoca toda la sesión y null
+ * - Usuario inactivo → se revocan sus sesiones y null
+ */
+async function rotarSesion(refreshToken, req) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[sesion]] = await conn.query(
+      `SELECT s.id, s.usuario_id, s.familia_id, s.estado, s.cliente,
+              s.expira_en < NOW() AS expirada,
+              s.usado_en >= DATE_SUB(NOW(), INTERVAL ? SECOND) AS en_gracia
+       FROM sesiones_usuario s
+       WHERE s.refresh_hash = ?
+       FOR UPDATE`,
+      [GRACIA_ROTACION_SEGUNDOS, hashToken(refreshToken)]
+    );
+
+    if (!sesion || sesion.estado === "revocada" || sesion.expirada) {
+      await conn.rollback();
+      return null;
+    }
+
+    const [[usuario]] = await conn.query(
+      `SELECT a.estatus, a.correo_electronico, r.nombre AS roleName
+       FROM autenticacion_usuarios a
+       JOIN perfil_usuarios p ON p.id = a.id
+       JOIN roles_sindicato r ON r.id = p.rol_sindicato_id
+       WHERE a.id = ?`,
+      [sesion.usuario_id]
+    );
+
+    if (!usuario || usuario.estatus !== "Activo") {
+      await conn.query(
+        `UPDATE sesiones_usuario
+           SET estado = 'revocada', revocado_en = NOW(), motivo_revocacion = 'usuario_inactivo'
+         WHERE usuario_id = ? AND estado <> 'revocada'`,
+        [sesion.usuario_id]
+      );
+      await conn.commit();
+      return null;
+    }
+
+    const email = sesion.cliente === "movil" ? usuario.correo_electronico : undefined;
+
+    if (sesion.estado === "rotada") {
+      if (sesion.en_gracia) {
+        // Petición concurrente: solo un access token nuevo, el refresh vigente ya lo tiene el cliente
+        await conn.commit();
+        return {
+          accessToken: firmarAccessToken({
+            sub: sesion.usuario_id, role: usuario.roleName, sid: sesion.familia_id, email,
+          }),
+          refreshToken: null,
+          sid: sesion.familia_id,
+        };
+      }
+
+      console.warn(`⚠️ Reuso de refresh token detectado (usuario ${sesion.usuario_id}), revocando sesión`);
+      await conn.query(
+        `UPDATE sesiones_usuario
+           SET estado = 'revocada', revocado_en = NOW(), motivo_revocacion = 'reuso_detectado'
+         WHERE familia_id = ? AND estado <> 'revocada'`,
+        [sesion.familia_id]
+      );
+      await conn.commit();
+      return null;
+    }
+
+    await conn.query(
+      `UPDATE sesiones_usuario SET estado = 'rotada', usado_en = NOW() WHERE id = ?`,
+      [sesion.id]
+    );
+    const nuevoRefresh = await insertarRefresh(conn, {
+      usuarioId: sesion.usuario_id,
+      familiaId: sesion.familia_id,
+      cliente: sesion.cliente,
+      req,
+    });
+
+    await conn.commit();
+
+    return {
+      accessToken: firmarAccessToken({
+        sub: sesion.usuario_id, role: usuario.roleName, sid: sesion.familia_id, email,
+      }),
+      refreshToken: nuevoRefresh,
+      sid: sesion.familia_id,
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Cierra la sesión a la que pertenece el refresh token (logout normal)
+async function revocarSesion(refreshToken, motivo = "logout") {
+  const [result] = await pool.query(
+    `UPDATE sesiones_usuario s
+       JOIN sesiones_usuario actual ON actual.familia_id = s.familia_id
+        SET s.estado = 'revocada', s.revocado_en = NOW(), s.motivo_revocacion = ?
+      WHERE actual.refresh_hash = ? AND s.estado <> 'revocada'`,
+    [motivo, hashToken(refreshToken)]
+  );
+  return result.affectedRows;
+}
+
+// Cierra todas las sesiones de un usuario ("cerrar sesión en todos los dispositivos")
+// Dueño de un refresh token vigente, o null si la sesión ya no sirve
+async function usuarioDeSesion(refreshToken) {
+  const [[sesion]] = await pool.query(
+    `SELECT usuario_id FROM sesiones_usuario
+      WHERE refresh_hash = ? AND estado = 'activa' AND expira_en > NOW()`,
+    [hashToken(refreshToken)]
+  );
+  return sesion ? sesion.usuario_id : null;
+}
+
+async function revocarSesionesUsuario(usuarioId, motivo = "logout_global") {
+  const [result] = await pool.query(
+    `UPDATE sesiones_usuario
+        SET estado = 'revocada', revocado_en = NOW(), motivo_revocacion = ?
+      WHERE usuario_id = ? AND estado <> 'revocada'`,
+    [motivo, usuarioId]
+  );
+  return result.affectedRows;
+}
+
+// Sesiones abiertas de un usuario (cada familia tiene exactamente un token 'activa')
+async function listarSesiones(usuarioId) {
+  const [rows] = await pool.query(
+    `SELECT s.familia_id AS sid, s.cliente, s.user_agent, s.ip,
+            (SELECT MIN(f.creado_en) FROM sesiones_usuario f
+              WHERE f.familia_id = s.familia_id) AS iniciada_en,
+            s.creado_en AS ultima_actividad,
+            s.expira_en
+     FROM sesiones_usuario s
+     WHERE s.usuario_id = ? AND s.estado = 'activa' AND s.expira_en > NOW()
+     ORDER BY s.creado_en DESC`,
+    [usuarioId]
+  );
+  return rows;
+}
+
+module.exports = {
+  ACCESS_TOKEN_MS,
+  cookieOptions,
+  setAuthCookies,
+  clearAuthCookies,
+  crearSesion,
+  rotarSesion,
+  revocarSesion,
+  usuarioDeSesion,
+  revocarSesionesUsuario,
+  listarSesiones,
+};
@@ -0,0 +1,140 @@
+// consultas/actas.js
+// Reglas de quórum y actas de reunión
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize, tienePermiso } = require('../middlewares/authorize');
+const actasService = require('./actas_service');
+
+// Los agremiados solo ven actas cerradas; los borradores son del comité
+function puedeVer(req, acta) {
+  return acta.estado === 'cerrada' || tienePermiso(req.user.role, 'reuniones:gestionar');
+}
+
+function responderError(res, resultado) {
+  return res.status(resultado.status).json({ error: resultado.error });
+}
+
+// ========================================
+// ⚖️ REGLAS DE QUÓRUM
+// ========================================
+
+// GET /api/actas/reglas-quorum
+router.get('/reglas-quorum', authenticate, async (req, res) => {
+  try {
+    res.json(await actasService.obtenerReglas());
+  } catch (err) {
+    console.error('Error al obtener reglas de quórum:', err);
+    res.status(500).json({ error: 'Error interno al obtener las reglas de quórum.' });
+  }
+});
+
+/**
+ * PUT /api/actas/reglas-quorum/:tipo
+ * Body: { regla: 'mitad_mas_uno' | 'porcentaje', porcentaje_minimo?, cuenta_retardos? }
+ */
+router.put('/reglas-quorum/:tipo', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const resultado = await actasService.guardarRegla(req.params.tipo, req.body, req.user.sub);
+    if (!resultado.ok) return responderError(res, resultado);
+    res.json({ message: 'Regla de quórum actualizada.', reglas: await actasService.obtenerReglas() });
+  } catch (err) {
+    console.error('Error al guardar regla de quórum:', err);
+    res.status(500).json({ error: 'Error interno al guardar la regla de quórum.' });
+  }
+});
+
+// ========================================
+// 📄 ACTAS
+// ========================================
+
+// GET /api/actas/reuniones/:reunionId
+router.get('/reuniones/:reunionId', authenticate, async (req, res) => {
+  try {
+    const acta = await actasService.obtenerActaPorReunion(req.params.reunionId);
+    if (!acta || !puedeVer(req, acta)) {
+      return res.status(404).json({ error: 'La reunión no tiene acta.' });
+    }
+
+    // Un acta cerrada debe seguir produciendo el hash con el que se firmó
+    const integra = acta.estado === 'cerrada'
+      ? actasService.hashContenido(acta) === acta.hash_contenido
+      : null;
+
+    res.json({ ...acta, integra });
+  } catch (err) {
+    console.error('Error al obtener acta:', err);
+    res.status(500).json({ error: 'Error interno al obtener el acta.' });
+  }
+});
+
+// POST /api/actas/reuniones/:reunionId - Crea el borrador
+router.post('/reuniones/:reunionId', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const resultado = await actasService.crearActa(req.params.reunionId, req.user.sub);
+    if (!resultado.ok) return responderError(res, resultado);
+    res.status(201).json(await actasService.obtenerActa(resultado.actaId));
+  } catch (err) {
+    console.error('Error al crear acta:', err);
+    res.status(500).json({ error: 'Error interno al crear el acta.' });
+  }
+});
+
+/**
+ * PUT /api/actas/:id - Guarda el borrador
+ * Body: { hora_inicio?, hora_fin?, observaciones?,
+ *         puntos?: [{ titulo, desarrollo, acuerdos: [{ descripcion, responsable_id, fecha_limite }] }] }
+ */
+router.put('/:id', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const resultado = await actasService.guardarActa(req.params.id, req.body);
+    if (!resultado.ok) return responderError(res, resultado);
+    res.json(await actasService.obtenerActa(req.params.id));
+  } catch (err) {
+    console.error('Error al guardar acta:', err);
+    res.status(500).json({ error: 'Error interno al guardar el acta.' });
+  }
+});
+
+// POST /api/actas/:id/cerrar - Congela quórum, asistencia y contenido
+router.post('/:id/cerrar', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const resultado = await actasService.cerrarActa(req.params.id, req.user.sub);
+    if (!resultado.ok) return responderError(res, resultado);
+    res.json({ message: 'Acta cerrada.', hash: resultado.hash, quorum: resultado.quorum });
+  } catch (err) {
+    console.error('Error al cerrar acta:', err);
+    res.status(500).json({ error: 'Error interno al cerrar el acta.' });
+  }
+});
+
+// POST /api/actas/:id/firmar - Integrantes del comité
+router.post('/:id/firmar', authenticate, async (req, res) => {
+  try {
+    const resultado = await actasService.firmarActa(req.params.id, req.user.sub, req.ip);
+    if (!resultado.ok) return responderError(res, resultado);
+    res.json({ message: 'Acta firmada.', cargo: resultado.cargo, hash: resultado.hash });
+  } catch (err) {
+    console.error('Error al firmar acta:', err);
+    res.status(500).json({ error: 'Error interno al firmar el acta.' });
+  }
+});
+
+// GET /api/actas/:id/pdf
+router.get('/:id/pdf', authenticate, async (req, res) => {
+  try {
+    const pdf = await actasService.generarPdf(req.params.id);
+    if (!pdf || !puedeVer(req, pdf)) {
+      return res.status(404).json({ error: 'Acta no encontrada.' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${pdf.nombreArchivo}"`);
+    pdf.doc.pipe(res);
+    pdf.doc.end();
+  } catch (err) {
+    console.error('Error al generar PDF del acta:', err);
+    res.status(500).json({ error: 'Error interno al generar el PDF.' });
+  }
+});
+
+module.exports = router;
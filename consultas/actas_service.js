@@ -0,0 +1,649 @@
+// ========================================
+// 📦 services/actas_service.js
+// Quórum por tipo de reunión y actas: orden del día, acuerdos con
+// responsable, cierre con foto de asistencia, firmas y PDF.
+// ========================================
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const pool = require('../bd');
+const { getEstadoReunion } = require('./asistencia_service');
+
+const TIPOS_REUNION = ['Ordinaria', 'Extraordinaria'];
+const REGLAS = ['mitad_mas_uno', 'porcentaje'];
+
+const ETIQUETAS_ASISTENCIA = {
+  asistencia_completa: 'Asistencia',
+  retardo: 'Retardo',
+  falta_justificada: 'Falta justificada',
+  falta_no_justificada: 'Falta',
+};
+
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+// ========================================
+// ⚖️ REGLAS DE QUÓRUM
+// ========================================
+async function obtenerReglas() {
+  const [reglas] = await pool.query(
+    'SELECT tipo, regla, porcentaje_minimo, cuenta_retardos, actualizado_en FROM reglas_quorum ORDER BY tipo'
+  );
+  return reglas;
+}
+
+async function guardarRegla(tipo, { regla, porcentaje_minimo, cuenta_retardos = true }, usuarioId) {
+  if (!TIPOS_REUNION.includes(tipo)) {
+    return { ok: false, status: 404, error: 'Tipo de reunión no válido' };
+  }
+  if (!REGLAS.includes(regla)) {
+    return { ok: false, status: 400, error: `regla debe ser ${REGLAS.join(' o ')}` };
+  }
+
+  const porcentaje = regla === 'porcentaje' ? Number(porcentaje_minimo) : null;
+  if (regla === 'porcentaje' && (!Number.isFinite(porcentaje) || porcentaje <= 0 || porcentaje > 100)) {
+    return { ok: false, status: 400, error: 'porcentaje_minimo debe estar entre 0 y 100' };
+  }
+
+  await pool.query(
+    `INSERT INTO reglas_quorum (tipo, regla, porcentaje_minimo, cuenta_retardos, actualizado_por)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       regla = VALUES(regla),
+       porcentaje_minimo = VALUES(porcentaje_minimo),
+       cuenta_retardos = VALUES(cuenta_retardos),
+       actualizado_por = VALUES(actualizado_por)`,
+    [tipo, regla, porcentaje, cuenta_retardos ? 1 : 0, usuarioId]
+  );
+
+  return { ok: true };
+}
+
+function calcularRequeridos(regla, padron) {
+  if (regla.regla === 'porcentaje') {
+    return Math.ceil((padron * Number(regla.porcentaje_minimo)) / 100);
+  }
+  return Math.floor(padron / 2) + 1;
+}
+
+/**
+ * Quórum de la reunión en este momento. El padrón son los agremiados activos
+ * con registro completado; los presentes salen de `asistencia`.
+ */
+async function calcularQuorum(conn, reunionId) {
+  const [[reunion]] = await conn.query(
+    `SELECT id, type, ${getEstadoReunion()} AS status FROM reuniones WHERE id = ?`,
+    [reunionId]
+  );
+  if (!reunion) return null;
+
+  const [[regla]] = await conn.query(
+    'SELECT regla, porcentaje_minimo, cuenta_retardos FROM reglas_quorum WHERE tipo = ?',
+    [reunion.type]
+  );
+  const reglaAplicada = regla || { regla: 'mitad_mas_uno', porcentaje_minimo: null, cuenta_retardos: 1 };
+
+  const [[{ padron }]] = await conn.query(
+    `SELECT COUNT(*) AS padron
+     FROM perfil_usuarios p
+     JOIN autenticacion_usuarios a ON a.id = p.id
+     WHERE a.estatus = 'Activo' AND a.registro_completado = 1`
+  );
+
+  const [[conteo]] = await conn.query(
+    `SELECT
+       COALESCE(SUM(estado_asistencia = 'asistencia_completa'), 0) AS asistencias,
+       COALESCE(SUM(estado_asistencia = 'retardo'), 0) AS retardos
+     FROM asistencia WHERE reunion_id = ?`,
+    [reunionId]
+  );
+
+  const asistencias = Number(conteo.asistencias);
+  const retardos = Number(conteo.retardos);
+  const presentes = asistencias + (reglaAplicada.cuenta_retardos ? retardos : 0);
+  const requeridos = calcularRequeridos(reglaAplicada, Number(padron));
+
+  return {
+    reunion_id: reunion.id,
+    tipo: reunion.type,
+    status: reunion.status,
+    regla: {
+      regla: reglaAplicada.regla,
+      porcentaje_minimo: reglaAplicada.porcentaje_minimo,
+      cuenta_retardos: Boolean(reglaAplicada.cuenta_retardos),
+    },
+    padron: Number(padron),
+    asistencias,
+    retardos,
+    presentes,
+    requeridos,
+    faltan: Math.max(requeridos - presentes, 0),
+    alcanzado: presentes >= requeridos,
+  };
+}
+
+async function obtenerQuorum(reunionId) {
+  const conn = await obtenerConexion();
+  try {
+    return await calcularQuorum(conn, reunionId);
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// 📄 CONTENIDO DEL ACTA
+// ========================================
+async function listarAsistencia(conn, reunionId) {
+  const [lista] = await conn.query(
+    `SELECT a.usuario_id,
+            CONCAT_WS(' ', pu.nombre, pu.apellido_paterno, pu.apellido_materno) AS nombre,
+            a.estado_asistencia,
+            DATE_FORMAT(a.registered_at, '%H:%i') AS hora_registro
+     FROM asistencia a
+     JOIN perfil_usuarios pu ON pu.id = a.usuario_id
+     WHERE a.reunion_id = ?
+     ORDER BY pu.apellido_paterno, pu.apellido_materno, pu.nombre`,
+    [reunionId]
+  );
+  return lista;
+}
+
+async function leerActa(conn, where, valor) {
+  const [[acta]] = await conn.query(
+    `SELECT ac.*, r.title AS reunion_titulo, r.type AS reunion_tipo, r.location AS reunion_lugar,
+            DATE_FORMAT(r.date, '%Y-%m-%d') AS reunion_fecha,
+            DATE_FORMAT(r.time, '%H:%i') AS reunion_hora
+     FROM actas ac
+     JOIN reuniones r ON r.id = ac.reunion_id
+     WHERE ${where} = ?`,
+    [valor]
+  );
+  if (!acta) return null;
+
+  const [puntos] = await conn.query(
+    'SELECT id, orden, titulo, desarrollo FROM actas_puntos WHERE acta_id = ? ORDER BY orden',
+    [acta.id]
+  );
+  const [acuerdos] = await conn.query(
+    `SELECT ag.id, ag.punto_id, ag.orden, ag.descripcion, ag.responsable_id,
+            CONCAT_WS(' ', pu.nombre, pu.apellido_paterno) AS responsable_nombre,
+            DATE_FORMAT(ag.fecha_limite, '%Y-%m-%d') AS fecha_limite
+     FROM actas_acuerdos ag
+     LEFT JOIN perfil_usuarios pu ON pu.id = ag.responsable_id
+     WHERE ag.acta_id = ?
+     ORDER BY ag.orden`,
+    [acta.id]
+  );
+  const [firmas] = await conn.query(
+    `SELECT f.usuario_id, CONCAT_WS(' ', pu.nombre, pu.apellido_paterno, pu.apellido_materno) AS nombre,
+            f.cargo, f.hash_contenido, f.firmado_en,
+            DATE_FORMAT(f.firmado_en, '%d/%m/%Y %H:%i') AS firmado_en_texto
+     FROM actas_firmas f
+     JOIN perfil_usuarios pu ON pu.id = f.usuario_id
+     WHERE f.acta_id = ?
+     ORDER BY f.firmado_en`,
+    [acta.id]
+  );
+
+  acta.puntos = puntos.map((p) => ({
+    ...p,
+    acuerdos: acuerdos.filter((a) => a.punto_id === p.id),
+  }));
+  acta.firmas = firmas;
+  if (typeof acta.lista_asistencia === 'string') {
+    acta.lista_asistencia = JSON.parse(acta.lista_asistencia);
+  }
+  // Un acta cerrada muestra y firma la reunión como era al cerrarla
+  const { reunion_datos: reunionDatos } = acta;
+  delete acta.reunion_datos;
+  if (reunionDatos) {
+    Object.assign(acta, typeof reunionDatos === 'string' ? JSON.parse(reunionDatos) : reunionDatos);
+  }
+  return acta;
+}
+
+// Datos de la reunión que entran al acta; al cerrar se guardan en `reunion_datos`
+function datosReunion(acta) {
+  return {
+    reunion_titulo: acta.reunion_titulo,
+    reunion_tipo: acta.reunion_tipo,
+    reunion_lugar: acta.reunion_lugar,
+    reunion_fecha: acta.reunion_fecha,
+    reunion_hora: acta.reunion_hora,
+  };
+}
+
+// Lo que se firma: datos de la reunión, quórum, orden del día y asistencia
+function contenidoFirmado(acta) {
+  return {
+    reunion: {
+      id: acta.reunion_id,
+      titulo: acta.reunion_titulo,
+      tipo: acta.reunion_tipo,
+      fecha: acta.reunion_fecha,
+      hora: acta.reunion_hora,
+      lugar: acta.reunion_lugar,
+    },
+    hora_inicio: acta.hora_inicio,
+    hora_fin: acta.hora_fin,
+    observaciones: acta.observaciones,
+    quorum: {
+      padron: acta.padron,
+      presentes: acta.presentes,
+      requeridos: acta.requeridos,
+      alcanzado: Boolean(acta.quorum_alcanzado),
+    },
+    puntos: acta.puntos.map((p) => ({
+      orden: p.orden,
+      titulo: p.titulo,
+      desarrollo: p.desarrollo,
+      acuerdos: p.acuerdos.map((a) => ({
+        descripcion: a.descripcion,
+        responsable_id: a.responsable_id,
+        fecha_limite: a.fecha_limite,
+      })),
+    })),
+    lista_asistencia: acta.lista_asistencia,
+  };
+}
+
+function hashContenido(acta) {
+  return crypto.createHash('sha256').update(JSON.stringify(contenidoFirmado(acta))).digest('hex');
+}
+
+// ========================================
+// 📋 CONSULTAR / CREAR / EDITAR
+// ========================================
+async function obtenerActaPorReunion(reunionId) {
+  const conn = await obtenerConexion();
+  try {
+    return await leerActa(conn, 'ac.reunion_id', reunionId);
+  } finally {
+    conn.release();
+  }
+}
+
+async function obtenerActa(actaId) {
+  const conn = await obtenerConexion();
+  try {
+    return await leerActa(conn, 'ac.id', actaId);
+  } finally {
+    conn.release();
+  }
+}
+
+async function crearActa(reunionId, usuarioId) {
+  const conn = await obtenerConexion();
+  try {
+    await conn.beginTransaction();
+
+    const [[reunion]] = await conn.query(
+      'SELECT id, estado_reunion FROM reuniones WHERE id = ?',
+      [reunionId]
+    );
+    if (!reunion) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (reunion.estado_reunion === 'cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La reunión fue cancelada' };
+    }
+
+    const [result] = await conn.query(
+      'INSERT INTO actas (reunion_id, creado_por) VALUES (?, ?)',
+      [reunionId, usuarioId]
+    );
+    // El borrador parte del orden del día previsto para la reunión
+    await conn.query(
+      `INSERT INTO actas_puntos (acta_id, orden, titulo)
+       SELECT ?, orden, titulo FROM reuniones_agenda WHERE reunion_id = ?`,
+      [result.insertId, reunionId]
+    );
+
+    await conn.commit();
+    return { ok: true, actaId: result.insertId };
+  } catch (err) {
+    await conn.rollback();
+    if (err.code === 'ER_DUP_ENTRY') {
+      return { ok: false, status: 409, error: 'La reunión ya tiene acta' };
+    }
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+function validarPuntos(puntos) {
+  if (!Array.isArray(puntos)) return 'puntos debe ser una lista';
+  for (const punto of puntos) {
+    if (!punto || !punto.titulo || !String(punto.titulo).trim()) {
+      return 'Cada punto del orden del día requiere título';
+    }
+    if (punto.acuerdos !== undefined && !Array.isArray(punto.acuerdos)) {
+      return 'acuerdos debe ser una lista';
+    }
+    for (const acuerdo of punto.acuerdos || []) {
+      if (!acuerdo || !acuerdo.descripcion || !String(acuerdo.descripcion).trim()) {
+        return 'Cada acuerdo requiere descripción';
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Guarda el borrador completo. `puntos` reemplaza el orden del día y sus
+ * acuerdos: [{ titulo, desarrollo, acuerdos: [{ descripcion, responsable_id, fecha_limite }] }]
+ */
+async function guardarActa(actaId, { hora_inicio, hora_fin, observaciones, puntos }) {
+  const error = puntos === undefined ? null : validarPuntos(puntos);
+  if (error) {
+    return { ok: false, status: 400, error };
+  }
+
+  const conn = await obtenerConexion();
+  try {
+    await conn.beginTransaction();
+
+    const [[acta]] = await conn.query('SELECT id, estado FROM actas WHERE id = ? FOR UPDATE', [actaId]);
+    if (!acta) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Acta no encontrada' };
+    }
+    if (acta.estado !== 'borrador') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'El acta ya está cerrada' };
+    }
+
+    await conn.query(
+      `UPDATE actas
+         SET hora_inicio = COALESCE(?, hora_inicio),
+             hora_fin = COALESCE(?, hora_fin),
+             observaciones = COALESCE(?, observaciones)
+       WHERE id = ?`,
+      [hora_inicio || null, hora_fin || null, observaciones === undefined ? null : observaciones, actaId]
+    );
+
+    if (puntos !== undefined) {
+      await conn.query('DELETE FROM actas_puntos WHERE acta_id = ?', [actaId]);
+
+      let ordenAcuerdo = 0;
+      for (const [i, punto] of puntos.entries()) {
+        const [insert] = await conn.query(
+          'INSERT INTO actas_puntos (acta_id, orden, titulo, desarrollo) VALUES (?, ?, ?, ?)',
+          [actaId, i + 1, String(punto.titulo).trim(), punto.desarrollo || null]
+        );
+        for (const acuerdo of punto.acuerdos || []) {
+          ordenAcuerdo += 1;
+          await conn.query(
+            `INSERT INTO actas_acuerdos
+               (acta_id, punto_id, orden, descripcion, responsable_id, fecha_limite)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [actaId, insert.insertId, ordenAcuerdo, String(acuerdo.descripcion).trim(),
+             acuerdo.responsable_id || null, acuerdo.fecha_limite || null]
+          );
+        }
+      }
+    }
+
+    await conn.commit();
+    return { ok: true };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// 🔒 CERRAR Y FIRMAR
+// ========================================
+/**
+ * Cierra el acta: guarda el quórum, la lista de asistencia y los datos de la
+ * reunión de ese momento y el hash del contenido. Después ya no se edita, y
+ * editar la reunión no altera lo firmado.
+ */
+async function cerrarActa(actaId, usuarioId) {
+  const conn = await obtenerConexion();
+  try {
+    await conn.beginTransaction();
+
+    const [[bloqueo]] = await conn.query('SELECT id FROM actas WHERE id = ? FOR UPDATE', [actaId]);
+    const acta = bloqueo ? await leerActa(conn, 'ac.id', actaId) : null;
+    if (!acta) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Acta no encontrada' };
+    }
+    if (acta.estado !== 'borrador') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'El acta ya está cerrada' };
+    }
+    if (acta.puntos.length === 0) {
+      await conn.rollback();
+      return { ok: false, status: 400, error: 'El acta no tiene orden del día' };
+    }
+
+    const quorum = await calcularQuorum(conn, acta.reunion_id);
+    if (quorum.status === 'Programada' || quorum.status === 'Cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La reunión no se ha celebrado' };
+    }
+
+    acta.padron = quorum.padron;
+    acta.presentes = quorum.presentes;
+    acta.requeridos = quorum.requeridos;
+    acta.quorum_alcanzado = quorum.alcanzado;
+    acta.lista_asistencia = await listarAsistencia(conn, acta.reunion_id);
+    const hash = hashContenido(acta);
+
+    await conn.query(
+      `UPDATE actas
+         SET estado = 'cerrada', padron = ?, presentes = ?, requeridos = ?,
+             quorum_alcanzado = ?, lista_asistencia = ?, reunion_datos = ?, hash_contenido = ?,
+             cerrada_por = ?, cerrada_en = NOW()
+       WHERE id = ?`,
+      [quorum.padron, quorum.presentes, quorum.requeridos, quorum.alcanzado ? 1 : 0,
+       JSON.stringify(acta.lista_asistencia), JSON.stringify(datosReunion(acta)), hash, usuarioId, actaId]
+    );
+
+    await conn.commit();
+    return { ok: true, hash, quorum };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Firma el acta cerrada. Solo firman quienes ocupan un puesto del comité
+ * (puestos_sindicato); el cargo se toma de ahí.
+ */
+async function firmarActa(actaId, usuarioId, ip = null) {
+  const [[acta]] = await pool.query(
+    'SELECT id, estado, hash_contenido FROM actas WHERE id = ?',
+    [actaId]
+  );
+  if (!acta) {
+    return { ok: false, status: 404, error: 'Acta no encontrada' };
+  }
+  if (acta.estado !== 'cerrada') {
+    return { ok: false, status: 409, error: 'Solo se firma un acta cerrada' };
+  }
+
+  const [[puesto]] = await pool.query(
+    'SELECT nombre FROM puestos_sindicato WHERE usuario_id = ? LIMIT 1',
+    [usuarioId]
+  );
+  if (!puesto) {
+    return { ok: false, status: 403, error: 'Solo los integrantes del comité pueden firmar el acta' };
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO actas_firmas (acta_id, usuario_id, cargo, hash_contenido, ip)
+       VALUES (?, ?, ?, ?, ?)`,
+      [actaId, usuarioId, puesto.nombre, acta.hash_contenido, ip]
+    );
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return { ok: false, status: 409, error: 'Ya firmaste esta acta' };
+    }
+    throw err;
+  }
+
+  return { ok: true, cargo: puesto.nombre, hash: acta.hash_contenido };
+}
+
+// ========================================
+// 🖨️ PDF
+// ========================================
+function fechaLarga(fechaISO) {
+  const [anio, mes, dia] = fechaISO.split('-').map(Number);
+  return new Intl.DateTimeFormat('es-MX', {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC',
+  }).format(new Date(Date.UTC(anio, mes - 1, dia)));
+}
+
+function seccion(doc, titulo) {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).text(titulo.toUpperCase());
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+}
+
+/**
+ * Arma el PDF del acta. Un borrador lleva la marca "BORRADOR" y la lista de
+ * asistencia actual; un acta cerrada usa la lista guardada al cerrarla.
+ * Devuelve el PDFDocument sin terminar: quien lo llama hace pipe y end().
+ */
+async function generarPdf(actaId) {
+  const conn = await obtenerConexion();
+  let acta;
+  let organizacion;
+  try {
+    acta = await leerActa(conn, 'ac.id', actaId);
+    if (!acta) return null;
+
+    if (acta.estado === 'borrador') {
+      const quorum = await calcularQuorum(conn, acta.reunion_id);
+      acta.padron = quorum.padron;
+      acta.presentes = quorum.presentes;
+      acta.requeridos = quorum.requeridos;
+      acta.quorum_alcanzado = quorum.alcanzado;
+      acta.lista_asistencia = await listarAsistencia(conn, acta.reunion_id);
+    }
+
+    const [[empresa]] = await conn.query('SELECT nombre_empresa FROM datos_empresa ORDER BY id LIMIT 1');
+    organizacion = (empresa && empresa.nombre_empresa) || 'SUTUTEH';
+  } finally {
+    conn.release();
+  }
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: 56, info: { Title: `Acta - ${acta.reunion_titulo}` } });
+
+  if (acta.estado === 'borrador') {
+    doc.save().rotate(-35, { origin: [306, 396] })
+      .font('Helvetica-Bold').fontSize(90).fillColor('#eeeeee')
+      .text('BORRADOR', 60, 340, { align: 'center' })
+      .restore().fillColor('black');
+    doc.x = doc.page.margins.left;
+    doc.y = doc.page.margins.top;
+  }
+
+  // Encabezado
+  doc.font('Helvetica-Bold').fontSize(14).text(organizacion, { align: 'center' });
+  doc.moveDown(0.3).fontSize(13).text(`ACTA DE REUNIÓN ${String(acta.reunion_tipo).toUpperCase()}`, { align: 'center' });
+  doc.moveDown(0.8).font('Helvetica').fontSize(10);
+  doc.text(`Reunión: ${acta.reunion_titulo}`);
+  doc.text(`Fecha: ${fechaLarga(acta.reunion_fecha)}`);
+  doc.text(`Lugar: ${acta.reunion_lugar || 'No especificado'}`);
+  doc.text(`Hora de inicio: ${acta.hora_inicio ? String(acta.hora_inicio).slice(0, 5) : acta.reunion_hora}`
+    + (acta.hora_fin ? `    Hora de término: ${String(acta.hora_fin).slice(0, 5)}` : ''));
+
+  // Quórum
+  seccion(doc, 'Quórum');
+  doc.text(`Padrón de agremiados activos: ${acta.padron}`);
+  doc.text(`Presentes: ${acta.presentes}    Requeridos: ${acta.requeridos}`);
+  doc.font('Helvetica-Bold').text(acta.quorum_alcanzado
+    ? 'Se declara quórum legal para sesionar.'
+    : 'No se alcanzó el quórum legal.');
+  doc.font('Helvetica');
+
+  // Orden del día y acuerdos
+  seccion(doc, 'Orden del día');
+  if (acta.puntos.length === 0) doc.text('Sin puntos registrados.');
+  for (const punto of acta.puntos) {
+    doc.font('Helvetica-Bold').text(`${punto.orden}. ${punto.titulo}`);
+    doc.font('Helvetica');
+    if (punto.desarrollo) doc.text(punto.desarrollo, { indent: 14 });
+    for (const acuerdo of punto.acuerdos) {
+      const detalles = [
+        acuerdo.responsable_nombre ? `Responsable: ${acuerdo.responsable_nombre}` : null,
+        acuerdo.fecha_limite ? `Fecha límite: ${acuerdo.fecha_limite}` : null,
+      ].filter(Boolean).join('  ·  ');
+      doc.text(`Acuerdo ${acuerdo.orden}: ${acuerdo.descripcion}`, { indent: 14 });
+      if (detalles) doc.fillColor('#555555').text(detalles, { indent: 28 }).fillColor('black');
+    }
+    doc.moveDown(0.4);
+  }
+
+  if (acta.observaciones) {
+    seccion(doc, 'Observaciones');
+    doc.text(acta.observaciones);
+  }
+
+  // Lista de asistencia
+  seccion(doc, 'Lista de asistencia');
+  if (acta.lista_asistencia.length === 0) doc.text('Sin registros de asistencia.');
+  acta.lista_asistencia.forEach((a, i) => {
+    const y = doc.y;
+    doc.text(`${i + 1}.`, doc.page.margins.left, y, { width: 24 });
+    doc.text(a.nombre, doc.page.margins.left + 26, y, { width: 280 });
+    doc.text(ETIQUETAS_ASISTENCIA[a.estado_asistencia] || a.estado_asistencia,
+      doc.page.margins.left + 310, y, { width: 110 });
+    doc.text(a.hora_registro || '', doc.page.margins.left + 425, y, { width: 60 });
+    doc.x = doc.page.margins.left;
+  });
+
+  // Firmas
+  seccion(doc, 'Firmas');
+  if (acta.firmas.length === 0) doc.text(acta.estado === 'cerrada' ? 'Pendiente de firmas.' : 'El acta no ha sido cerrada.');
+  for (const firma of acta.firmas) {
+    doc.font('Helvetica-Bold').text(firma.nombre, { continued: true })
+      .font('Helvetica').text(`  —  ${firma.cargo}`);
+    doc.fillColor('#555555').fontSize(8)
+      .text(`Firmado electrónicamente el ${firma.firmado_en_texto}`)
+      .fillColor('black').fontSize(10);
+    doc.moveDown(0.4);
+  }
+
+  if (acta.hash_contenido) {
+    doc.moveDown(1).fontSize(7).fillColor('#555555')
+      .text(`SHA-256 del contenido: ${acta.hash_contenido}`)
+      .fillColor('black');
+  }
+
+  return { doc, nombreArchivo: `acta-reunion-${acta.reunion_id}.pdf`, estado: acta.estado };
+}
+
+module.exports = {
+  TIPOS_REUNION,
+  obtenerReglas,
+  guardarRegla,
+  calcularRequeridos,
+  obtenerQuorum,
+  obtenerActaPorReunion,
+  obtenerActa,
+  crearActa,
+  guardarActa,
+  cerrarActa,
+  firmarActa,
+  hashContenido,
+  generarPdf,
+};
@@ -1,44 +1,39 @@
 // consultas/asistencia_mobile.js
 const express = require("express");
 const router = express.Router();
-const pool = require("../bd");
 const verifyMobileToken = require("../middlewares/verifyMobileToken");
+const asistenciaService = require("./asistencia_service");
 
 // 📌 POST /api/mobile/asistencia/:reunionId
+// Body: { codigo, latitud, longitud, precision }. Mismo registro y
+// calificación que POST /api/reuniones/:id/asistencia.
 router.post("/asistencia/:reunionId", verifyMobileToken, async (req, res) => {
   try {
-    const reunionId = req.params.reunionId;
-    const usuarioId = req.user.sub; // viene del JWT móvil
-
-    // 1️⃣ Verificar reunión
-    const [reunion] = await pool.query(
-      "SELECT * FROM reuniones WHERE id = ?",
-      [reunionId]
-    );
-
-    if (reunion.length === 0) {
-      return res.status(404).json({ error: "Reunión no encontrada" });
-    }
-
-    // 2️⃣ Evitar duplicados
-    const [existe] = await pool.query(
-      "SELECT * FROM asistencia WHERE usuario_id = ? AND reunion_id = ?",
-      [usuarioId, reunionId]
-    );
+    const resultado = await asistenciaService.registrarAsistencia({
+      reunionId: req.params.reunionId,
+      usuarioId: req.user.sub, // viene del JWT móvil
+      codigo: req.body.codigo,
+      ubicacion: {
+        latitud: req.body.latitud,
+        longitud: req.body.longitud,
+        precision: req.body.precision,
+      },
+    });
 
-    if (existe.length > 0) {
-      return res.status(400).json({ error: "Ya registraste tu asistencia" });
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({
+        error: resultado.error,
+        distancia_metros: resultado.distancia,
+      });
     }
 
-    // 3️⃣ Insertar asistencia
-    await pool.query(
-      "INSERT INTO asistencia (usuario_id, reunion_id, registered_at, estado_asistencia, puntaje) VALUES (?, ?, NOW(), 'asistencia_completa', 3)",
-      [usuarioId, reunionId]
-    );
-
     return res.json({
-      estado: "asistencia_completa",
-      puntaje: 3,
+      message: "Asistencia registrada correctamente",
+      estado: resultado.estado,
+      puntaje: resultado.puntaje,
+      estadoReunion: resultado.estadoReunion,
+      distancia_metros: resultado.distancia_metros,
+      ubicacion_dudosa: resultado.ubicacion_dudosa,
     });
 
   } catch (error) {
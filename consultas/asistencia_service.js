@@ -0,0 +1,468 @@
+// ========================================
+// 📦 services/asistencia_service.js
+// Registro de asistencia con código QR. El organizador muestra un código
+// firmado que cambia cada SEGUNDOS_ROTACION; el agremiado lo escanea y la
+// asistencia se califica con las ventanas del reglamento. Si la reunión
+// tiene coordenadas, además se valida la ubicación del dispositivo.
+// Es el único camino para que un agremiado registre su asistencia; los
+// administradores la corrigen con corregirAsistencias(), que deja historial.
+// ========================================
+
+const crypto = require('crypto');
+const pool = require('../bd');
+
+// Un código vale a lo más dos ventanas (10 s): una foto reenviada caduca
+// antes de que alguien fuera de la sala la pueda usar
+const SEGUNDOS_ROTACION = 5;
+
+// Margen máximo que se concede por la precisión reportada del GPS
+const PRECISION_MAXIMA = 100;
+
+// Estado de la reunión → asistencia que se registra en ese momento
+const CALIFICACION = {
+  Registro_Abierto: { estado: 'asistencia_completa', puntaje: 3 },
+  Retardos_Permitidos: { estado: 'retardo', puntaje: 2 },
+  Falta_No_Justificada: { estado: 'falta_no_justificada', puntaje: 0 },
+};
+
+// Puntaje que corresponde a cada estado de asistencia
+const PUNTAJE_POR_ESTADO = {
+  asistencia_completa: 3,
+  retardo: 2,
+  falta_justificada: 2,
+  falta_no_justificada: 0,
+};
+
+// Status calculado de la reunión según los tiempos del reglamento
+const getEstadoReunion = () => {
+  return `
+    CASE
+      WHEN estado_reunion = 'cancelada' THEN 'Cancelada'
+      WHEN NOW() < DATE_SUB(CONCAT(date, ' ', time), INTERVAL 10 MINUTE) THEN 'Programada'
+      WHEN NOW() BETWEEN DATE_SUB(CONCAT(date, ' ', time), INTERVAL 10 MINUTE)
+                     AND DATE_ADD(CONCAT(date, ' ', time), INTERVAL 15 MINUTE) THEN 'Registro_Abierto'
+      WHEN NOW() BETWEEN DATE_ADD(CONCAT(date, ' ', time), INTERVAL 15 MINUTE)
+                     AND DATE_ADD(CONCAT(date, ' ', time), INTERVAL 30 MINUTE) THEN 'Retardos_Permitidos'
+      WHEN NOW() BETWEEN DATE_ADD(CONCAT(date, ' ', time), INTERVAL 30 MINUTE)
+                     AND DATE_ADD(CONCAT(date, ' ', time), INTERVAL 60 MINUTE) THEN 'Falta_No_Justificada'
+      ELSE 'Terminada'
+    END
+  `;
+};
+
+// ========================================
+// 🔐 CÓDIGO QR FIRMADO
+// Formato: "<reunionId>.<ventana base 36>.<firma>"; la ventana es el número
+// de periodos de SEGUNDOS_ROTACION desde epoch.
+// ========================================
+function secreto() {
+  return process.env.QR_ASISTENCIA_SECRET || process.env.JWT_SECRET;
+}
+
+function firmar(reunionId, ventana) {
+  return crypto
+    .createHmac('sha256', secreto())
+    .update(`asistencia:${reunionId}:${ventana}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+function ventanaActual(ahora = Date.now()) {
+  return Math.floor(ahora / (SEGUNDOS_ROTACION * 1000));
+}
+
+function generarCodigo(reunionId, ahora = Date.now()) {
+  const ventana = ventanaActual(ahora);
+  return {
+    codigo: `${reunionId}.${ventana.toString(36)}.${firmar(reunionId, ventana)}`,
+    expira_en: new Date((ventana + 1) * SEGUNDOS_ROTACION * 1000).toISOString(),
+    segundos_rotacion: SEGUNDOS_ROTACION,
+  };
+}
+
+/**
+ * El código es válido para la reunión indicada durante su ventana y la
+ * siguiente, para no rechazar un escaneo hecho justo antes de la rotación.
+ */
+function verificarCodigo(reunionId, codigo, ahora = Date.now()) {
+  if (typeof codigo !== 'string') return false;
+  const partes = codigo.trim().split('.');
+  if (partes.length !== 3 || partes[0] !== String(reunionId)) return false;
+
+  const ventana = parseInt(partes[1], 36);
+  const actual = ventanaActual(ahora);
+  if (!Number.isInteger(ventana) || ventana > actual || ventana < actual - 1) return false;
+
+  const esperada = Buffer.from(firmar(reunionId, ventana));
+  const recibida = Buffer.from(partes[2]);
+  return recibida.length === esperada.length && crypto.timingSafeEqual(recibida, esperada);
+}
+
+// ========================================
+// 📍 GEOCERCA
+// ========================================
+// Distancia en metros entre dos coordenadas (fórmula de haversine)
+function distanciaMetros(lat1, lon1, lat2, lon2) {
+  const R = 6371000;
+  const rad = (g) => (g * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLon = rad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+// { latitud, longitud, precision } enviados por el dispositivo → números o null
+function leerUbicacion(ubicacion = {}) {
+  const { latitud, longitud, precision } = ubicacion;
+  if (latitud === undefined || latitud === null || longitud === undefined || longitud === null) {
+    return null;
+  }
+
+  const lat = Number(latitud);
+  const lon = Number(longitud);
+  const prec = precision === undefined || precision === null ? null : Number(precision);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90
+      || !Number.isFinite(lon) || lon < -180 || lon > 180
+      || (prec !== null && (!Number.isFinite(prec) || prec < 0))) {
+    return { error: 'Ubicación no válida' };
+  }
+
+  return { latitud: lat, longitud: lon, precision: prec };
+}
+
+/**
+ * Compara la posición del dispositivo con la geocerca de la reunión.
+ * - Dentro del radio: válida.
+ * - Fuera del radio pero dentro del margen de precisión: válida y marcada
+ *   como dudosa para revisión.
+ * - Más lejos: se rechaza.
+ */
+function evaluarUbicacion(reunion, posicion) {
+  if (reunion.latitud === null || reunion.longitud === null) {
+    return { ok: true, distancia: null, dudosa: false };
+  }
+  if (!posicion) {
+    return { ok: false, status: 400, error: 'Activa tu ubicación para registrar asistencia' };
+  }
+
+  const distancia = distanciaMetros(
+    Number(reunion.latitud), Number(reunion.longitud), posicion.latitud, posicion.longitud
+  );
+  const radio = Number(reunion.radio_metros);
+  const margen = Math.min(posicion.precision || 0, PRECISION_MAXIMA);
+
+  if (distancia - margen > radio) {
+    return {
+      ok: false,
+      status: 403,
+      error: 'Estás fuera del lugar de la reunión',
+      distancia: Math.round(distancia),
+    };
+  }
+
+  return { ok: true, distancia, dudosa: distancia > radio };
+}
+
+async function obtenerReunion(conn, reunionId) {
+  const [[reunion]] = await conn.query(
+    `SELECT id, title, date, time, latitud, longitud, radio_metros,
+            ${getEstadoReunion()} AS status
+     FROM reuniones WHERE id = ?`,
+    [reunionId]
+  );
+  return reunion;
+}
+
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+// ========================================
+// 📱 CÓDIGO PARA EL ORGANIZADOR
+// ========================================
+async function obtenerCodigoQR(reunionId) {
+  const conn = await obtenerConexion();
+  try {
+    const reunion = await obtenerReunion(conn, reunionId);
+    if (!reunion) {
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (reunion.status === 'Cancelada' || reunion.status === 'Terminada') {
+      return { ok: false, status: 400, error: `La reunión está ${reunion.status.toLowerCase()}` };
+    }
+
+    return { ok: true, estadoReunion: reunion.status, ...generarCodigo(reunion.id) };
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// ✅ REGISTRAR ASISTENCIA
+// ========================================
+/**
+ * Valida el código escaneado y la ubicación, y registra la asistencia
+ * calificada según el status de la reunión.
+ * Devuelve { ok: false, status, error } si no procede.
+ */
+async function registrarAsistencia({ reunionId, usuarioId, codigo, ubicacion }) {
+  if (!codigo) {
+    return { ok: false, status: 400, error: 'Escanea el código QR de la reunión' };
+  }
+
+  const posicion = leerUbicacion(ubicacion);
+  if (posicion && posicion.error) {
+    return { ok: false, status: 400, error: posicion.error };
+  }
+
+  const conn = await obtenerConexion();
+  try {
+    const reunion = await obtenerReunion(conn, reunionId);
+    if (!reunion) {
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (reunion.status === 'Cancelada') {
+      return { ok: false, status: 409, error: 'La reunión fue cancelada' };
+    }
+
+    const calificacion = CALIFICACION[reunion.status];
+    if (!calificacion) {
+      return {
+        ok: false,
+        status: 400,
+        error: reunion.status === 'Programada'
+          ? 'La reunión aún no está disponible para registro'
+          : 'La reunión ya ha terminado',
+      };
+    }
+
+    if (!verificarCodigo(reunion.id, codigo)) {
+      return { ok: false, status: 403, error: 'Código QR inválido o vencido' };
+    }
+
+    const geocerca = evaluarUbicacion(reunion, posicion);
+    if (!geocerca.ok) return geocerca;
+
+    try {
+      await conn.query(
+        `INSERT INTO asistencia
+           (reunion_id, usuario_id, registered_at, estado_asistencia, puntaje,
+            latitud, longitud, precision_metros, distancia_metros, ubicacion_dudosa)
+         VALUES (?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          reunion.id, usuarioId, calificacion.estado, calificacion.puntaje,
+          posicion ? posicion.latitud : null,
+          posicion ? posicion.longitud : null,
+          posicion ? posicion.precision : null,
+          geocerca.distancia === null ? null : Math.round(geocerca.distancia * 10) / 10,
+          geocerca.dudosa ? 1 : 0,
+        ]
+      );
+    } catch (err) {
+      // Volver a escanear no mejora ni empeora un registro ya hecho
+      if (err.code === 'ER_DUP_ENTRY') {
+        return { ok: false, status: 409, error: 'Ya registraste tu asistencia a esta reunión' };
+      }
+      throw err;
+    }
+
+    await conn.query('CALL sp_actualizar_puntos_usuario(?)', [usuarioId]);
+
+    return {
+      ok: true,
+      estado: calificacion.estado,
+      puntaje: calificacion.puntaje,
+      estadoReunion: reunion.status,
+      distancia_metros: geocerca.distancia === null ? null : Math.round(geocerca.distancia),
+      ubicacion_dudosa: geocerca.dudosa,
+    };
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// 🛠️ CORRECCIONES (ADMIN)
+// ========================================
+/**
+ * Guarda en asistencia_historial un cambio sobre `asistencia`. Debe llamarse
+ * dentro de la misma transacción que el cambio.
+ */
+async function registrarHistorial(conn, { reunionId, usuarioId, origen = 'correccion', lote = null,
+  anterior, estado, puntaje, motivo, realizadoPor }) {
+  await conn.query(
+    `INSERT INTO asistencia_historial
+       (reunion_id, usuario_id, origen, lote, estado_anterior, puntaje_anterior,
+        estado_nuevo, puntaje_nuevo, motivo, realizado_por)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [reunionId, usuarioId, origen, lote,
+     anterior ? anterior.estado_asistencia : null,
+     anterior ? anterior.puntaje : null,
+     estado, puntaje, motivo, realizadoPor]
+  );
+}
+
+/**
+ * Corrige la asistencia de uno o varios agremiados en una reunión.
+ * cambios: [{ usuario_id, estado_asistencia, puntaje? }]; sin puntaje se usa
+ * el que corresponde al estado. Todo o nada: si un cambio no es válido no se
+ * aplica ninguno. Los registros que ya tenían ese valor se omiten.
+ */
+async function corregirAsistencias({ reunionId, cambios, motivo, realizadoPor }) {
+  if (!motivo || !motivo.trim()) {
+    return { ok: false, status: 400, error: 'El motivo de la corrección es obligatorio' };
+  }
+  if (!Array.isArray(cambios) || cambios.length === 0) {
+    return { ok: false, status: 400, error: 'Envía al menos un cambio' };
+  }
+
+  const normalizados = [];
+  for (const cambio of cambios) {
+    const usuarioId = Number(cambio.usuario_id);
+    const estado = cambio.estado_asistencia;
+    const puntaje = cambio.puntaje === undefined || cambio.puntaje === null
+      ? PUNTAJE_POR_ESTADO[estado]
+      : Number(cambio.puntaje);
+
+    if (!Number.isInteger(usuarioId) || !(estado in PUNTAJE_POR_ESTADO)) {
+      return { ok: false, status: 400, error: 'Cada cambio requiere usuario_id y un estado_asistencia válido' };
+    }
+    if (!Number.isInteger(puntaje) || puntaje < 0 || puntaje > 3) {
+      return { ok: false, status: 400, error: 'El puntaje debe ser un entero entre 0 y 3' };
+    }
+    if (normalizados.some((c) => c.usuarioId === usuarioId)) {
+      return { ok: false, status: 400, error: `El usuario ${usuarioId} aparece más de una vez` };
+    }
+    normalizados.push({ usuarioId, estado, puntaje });
+  }
+
+  const conn = await obtenerConexion();
+  const lote = normalizados.length > 1 ? crypto.randomUUID() : null;
+  const actualizados = [];
+  try {
+    await conn.beginTransaction();
+
+    const reunion = await obtenerReunion(conn, reunionId);
+    if (!reunion) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (reunion.status === 'Cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La reunión fue cancelada' };
+    }
+    if (reunion.status === 'Programada') {
+      await conn.rollback();
+      return { ok: false, status: 400, error: 'La reunión aún no empieza' };
+    }
+
+    const ids = normalizados.map((c) => c.usuarioId);
+    const [existentes] = await conn.query(
+      `SELECT id FROM perfil_usuarios WHERE id IN (${ids.map(() => '?').join(',')})`,
+      ids
+    );
+    const encontrados = new Set(existentes.map((u) => Number(u.id)));
+    const faltantes = ids.filter((id) => !encontrados.has(id));
+    if (faltantes.length > 0) {
+      await conn.rollback();
+      return { ok: false, status: 400, error: `Usuarios no encontrados: ${faltantes.join(', ')}` };
+    }
+
+    for (const { usuarioId, estado, puntaje } of normalizados) {
+      const [[anterior]] = await conn.query(
+        `SELECT estado_asistencia, puntaje FROM asistencia
+         WHERE reunion_id = ? AND usuario_id = ? FOR UPDATE`,
+        [reunion.id, usuarioId]
+      );
+      if (anterior && anterior.estado_asistencia === estado && Number(anterior.puntaje) === puntaje) {
+        continue;
+      }
+
+      // Un registro nuevo lleva la fecha de la reunión: los puntos cuentan en ese año
+      await conn.query(
+        `INSERT INTO asistencia (reunion_id, usuario_id, registered_at, estado_asistencia, puntaje)
+         SELECT r.id, ?, TIMESTAMP(r.date, r.time), ?, ?
+         FROM reuniones r WHERE r.id = ?
+         ON DUPLICATE KEY UPDATE
+           estado_asistencia = VALUES(estado_asistencia),
+           puntaje = VALUES(puntaje)`,
+        [usuarioId, estado, puntaje, reunion.id]
+      );
+
+      await registrarHistorial(conn, {
+        reunionId: reunion.id,
+        usuarioId,
+        lote,
+        anterior,
+        estado,
+        puntaje,
+        motivo: motivo.trim(),
+        realizadoPor,
+      });
+
+      await conn.query('CALL sp_actualizar_puntos_usuario(?)', [usuarioId]);
+      actualizados.push({ usuario_id: usuarioId, estado_asistencia: estado, puntaje });
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return {
+    ok: true,
+    lote,
+    actualizados,
+    sin_cambios: normalizados.length - actualizados.length,
+  };
+}
+
+/**
+ * Historial de cambios filtrado por reunión y/o agremiado, del más reciente
+ * al más antiguo.
+ */
+async function listarHistorial({ reunionId, usuarioId }) {
+  const condiciones = [];
+  const valores = [];
+  if (reunionId) { condiciones.push('h.reunion_id = ?'); valores.push(reunionId); }
+  if (usuarioId) { condiciones.push('h.usuario_id = ?'); valores.push(usuarioId); }
+
+  const [historial] = await pool.query(
+    `SELECT h.id, h.reunion_id, r.title AS reunion_titulo, r.date AS reunion_fecha,
+            h.usuario_id, CONCAT(u.nombre, ' ', u.apellido_paterno) AS usuario_nombre,
+            h.origen, h.lote, h.estado_anterior, h.puntaje_anterior,
+            h.estado_nuevo, h.puntaje_nuevo, h.motivo, h.creado_en,
+            h.realizado_por, CONCAT(a.nombre, ' ', a.apellido_paterno) AS realizado_por_nombre
+     FROM asistencia_historial h
+     LEFT JOIN reuniones r ON r.id = h.reunion_id
+     LEFT JOIN perfil_usuarios u ON u.id = h.usuario_id
+     LEFT JOIN perfil_usuarios a ON a.id = h.realizado_por
+     ${condiciones.length ? `WHERE ${condiciones.join(' AND ')}` : ''}
+     ORDER BY h.creado_en DESC, h.id DESC`,
+    valores
+  );
+  return historial;
+}
+
+module.exports = {
+  SEGUNDOS_ROTACION,
+  PRECISION_MAXIMA,
+  CALIFICACION,
+  PUNTAJE_POR_ESTADO,
+  getEstadoReunion,
+  generarCodigo,
+  verificarCodigo,
+  distanciaMetros,
+  evaluarUbicacion,
+  obtenerCodigoQR,
+  registrarAsistencia,
+  registrarHistorial,
+  corregirAsistencias,
+  listarHistorial,
+};
@@ -3,6 +3,9 @@ const pool = require("../bd");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
+const sesiones = require("../config/sesiones");
+const dispositivosService = require("./dispositivos_service");
+const { authenticate, tienePermiso } = require("../middlewares/authorize");
 
 const router = express.Router();
 
@@ -64,22 +67,21 @@ router.post(
         });
       }
 
-      // 4) Generar token
-      const payload = {
-        sub: user.id,
+      // 4) Abrir sesión (access token corto + refresh token)
+      const sesion = await sesiones.crearSesion({
+        usuarioId: user.id,
         role: perfil.roleName,
         email: email.toLowerCase(),
-      };
-
-      const token = jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: "24h",
+        cliente: "movil",
+        req,
       });
 
       // 5) Respuesta compatible con Flutter
       return res.json({
         success: true,
         message: "Login exitoso",
-        token: token,
+        token: sesion.accessToken,
+        refreshToken: sesion.refreshToken,
         user: {
           id: user.id,
           email: email.toLowerCase(),
@@ -95,26 +97,60 @@ router.post(
   }
 );
 
+// ============================================================
+// 🔄 REFRESH (rota el refresh token y entrega un access token nuevo)
+// ============================================================
+router.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, error: "refreshToken es requerido" });
+  }
+
+  try {
+    const sesion = await sesiones.rotarSesion(refreshToken, req);
+
+    if (!sesion) {
+      return res.status(401).json({
+        success: false,
+        error: "Sesión inválida o expirada, inicia sesión nuevamente",
+      });
+    }
+
+    return res.json({
+      success: true,
+      token: sesion.accessToken,
+      // null si fue una petición concurrente: conservar el refresh token vigente
+      refreshToken: sesion.refreshToken,
+    });
+  } catch (err) {
+    console.error("Error refresh móvil:", err);
+    res.status(500).json({ success: false, error: "Error interno del servidor" });
+  }
+});
+
 // ============================================================
 // 📱 LOGOUT
 // ============================================================
 router.post("/logout", async (req, res) => {
   try {
-    const { usuario_id, token } = req.body;
+    const { token, refreshToken } = req.body;
+
+    // El usuario sale de la sesión que se cierra, nunca del cuerpo
+    const usuario_id = refreshToken ? await sesiones.usuarioDeSesion(refreshToken) : null;
 
-    // Si se proporciona token específico, desactivarlo
+    // Revocar la sesión en servidor
+    if (refreshToken) {
+      await sesiones.revocarSesion(refreshToken, "logout");
+    }
+
+    // Si se proporciona token específico, desactivar solo ese dispositivo
     if (usuario_id && token) {
-      await pool.query(
-        "UPDATE fcm_tokens SET activo = FALSE WHERE usuario_id = ? AND fcm_token = ?",
-        [usuario_id, token]
-      );
+      await dispositivosService.desactivarToken(usuario_id, token);
       console.log(`✅ Token FCM desactivado para usuario ${usuario_id}`);
     } else if (usuario_id) {
-      // Si solo se proporciona usuario, desactivar todos sus tokens
-      await pool.query(
-        "UPDATE fcm_tokens SET activo = FALSE WHERE usuario_id = ?",
-        [usuario_id]
-      );
+      // Sin token, desactivar todos los dispositivos del usuario
+      await dispositivosService.desactivarTodos(usuario_id);
       console.log(`✅ Todos los tokens desactivados para usuario ${usuario_id}`);
     }
 
@@ -127,29 +163,29 @@ router.post("/logout", async (req, res) => {
 
 // ============================================================
 // 📌 GUARDAR/ACTUALIZAR TOKEN FCM
+// Cada token es un dispositivo. La app lo llama al iniciar, lo que además
+// actualiza la última vez visto. El usuario sale del access token.
+// Body: { token, dispositivo?, plataforma?, version_app? }
 // ============================================================
-router.post("/guardar-token", async (req, res) => {
-  const { usuario_id, token, dispositivo = "Android" } = req.body;
+router.post("/guardar-token", authenticate, async (req, res) => {
+  const { token, dispositivo = "Android", plataforma, version_app } = req.body;
+  const usuario_id = req.user.sub;
 
-  if (!usuario_id || !token) {
+  if (!token) {
     return res.status(400).json({
       success: false,
-      error: "usuario_id y token son requeridos",
+      error: "token es requerido",
     });
   }
 
   try {
-    // Insertar o actualizar token usando ON DUPLICATE KEY
-    await pool.query(
-      `INSERT INTO fcm_tokens (usuario_id, fcm_token, dispositivo, activo)
-       VALUES (?, ?, ?, TRUE)
-       ON DUPLICATE KEY UPDATE
-         fcm_token = VALUES(fcm_token),
-         dispositivo = VALUES(dispositivo),
-         fecha_actualizacion = CURRENT_TIMESTAMP,
-         activo = TRUE`,
-      [usuario_id, token, dispositivo]
-    );
+    await dispositivosService.registrarDispositivo({
+      usuarioId: usuario_id,
+      token,
+      dispositivo,
+      plataforma,
+      versionApp: version_app,
+    });
 
     console.log(`✅ Token FCM guardado para usuario ${usuario_id}`);
 
@@ -168,37 +204,29 @@ router.post("/guardar-token", async (req, res) => {
 
 // ============================================================
 // 🔄 ACTUALIZAR TOKEN FCM (Cuando se refresca)
+// El usuario sale del access token.
+// Body: { token_anterior?, token_nuevo, plataforma?, version_app? }
 // ============================================================
-router.post("/actualizar-token", async (req, res) => {
-  const { usuario_id, token_anterior, token_nuevo } = req.body;
+router.post("/actualizar-token", authenticate, async (req, res) => {
+  const { token_anterior, token_nuevo, plataforma, version_app } = req.body;
+  const usuario_id = req.user.sub;
 
-  if (!usuario_id || !token_nuevo) {
+  if (!token_nuevo) {
     return res.status(400).json({
       success: false,
-      error: "usuario_id y token_nuevo son requeridos",
+      error: "token_nuevo es requerido",
     });
   }
 
   try {
-    // Si hay token anterior, actualizarlo
-    if (token_anterior) {
-      await pool.query(
-        `UPDATE fcm_tokens 
-         SET fcm_token = ?, fecha_actualizacion = CURRENT_TIMESTAMP
-         WHERE usuario_id = ? AND fcm_token = ?`,
-        [token_nuevo, usuario_id, token_anterior]
-      );
-    } else {
-      // Si no hay token anterior, insertar nuevo
-      await pool.query(
-        `INSERT INTO fcm_tokens (usuario_id, fcm_token, activo)
-         VALUES (?, ?, TRUE)
-         ON DUPLICATE KEY UPDATE
-           fcm_token = VALUES(fcm_token),
-           fecha_actualizacion = CURRENT_TIMESTAMP`,
-        [usuario_id, token_nuevo]
-      );
-    }
+    // Reemplaza solo el token de este dispositivo; los demás siguen activos
+    await dispositivosService.reemplazarToken({
+      usuarioId: usuario_id,
+      tokenAnterior: token_anterior,
+      tokenNuevo: token_nuevo,
+      plataforma,
+      versionApp: version_app,
+    });
 
     console.log(`✅ Token FCM actualizado para usuario ${usuario_id}`);
 
@@ -217,30 +245,19 @@ router.post("/actualizar-token", async (req, res) => {
 
 // ============================================================
 // 🗑️ ELIMINAR TOKEN FCM (Desinstalación)
+// El usuario sale del access token. Body: { token? }
 // ============================================================
-router.post("/eliminar-token", async (req, res) => {
-  const { usuario_id, token } = req.body;
-
-  if (!usuario_id) {
-    return res.status(400).json({
-      success: false,
-      error: "usuario_id es requerido",
-    });
-  }
+router.post("/eliminar-token", authenticate, async (req, res) => {
+  const { token } = req.body;
+  const usuario_id = req.user.sub;
 
   try {
     if (token) {
       // Eliminar token específico
-      await pool.query(
-        "UPDATE fcm_tokens SET activo = FALSE WHERE usuario_id = ? AND fcm_token = ?",
-        [usuario_id, token]
-      );
+      await dispositivosService.desactivarToken(usuario_id, token);
     } else {
       // Eliminar todos los tokens del usuario
-      await pool.query(
-        "UPDATE fcm_tokens SET activo = FALSE WHERE usuario_id = ?",
-        [usuario_id]
-      );
+      await dispositivosService.desactivarTodos(usuario_id);
     }
 
     console.log(`✅ Token(s) eliminado(s) para usuario ${usuario_id}`);
@@ -259,18 +276,22 @@ router.post("/eliminar-token", async (req, res) => {
 });
 
 // ============================================================
-// 📋 OBTENER TOKENS DE UN USUARIO
+// 📋 OBTENER DISPOSITIVOS DE UN USUARIO
+// Los propios, o los de cualquiera con usuarios:gestionar
 // ============================================================
-router.get("/tokens/:usuario_id", async (req, res) => {
+router.get("/tokens/:usuario_id", authenticate, async (req, res) => {
   try {
     const { usuario_id } = req.params;
 
-    const [tokens] = await pool.query(
-      `SELECT fcm_token, dispositivo, fecha_registro, fecha_actualizacion
-       FROM fcm_tokens
-       WHERE usuario_id = ? AND activo = TRUE`,
-      [usuario_id]
-    );
+    if (String(usuario_id) !== String(req.user.sub) &&
+        !tienePermiso(req.user.role, "usuarios:gestionar")) {
+      return res.status(403).json({
+        success: false,
+        error: "No tienes permiso para ver estos dispositivos",
+      });
+    }
+
+    const tokens = await dispositivosService.listarDispositivos(usuario_id);
 
     return res.json({
       success: true,
@@ -320,22 +341,21 @@ router.post("/verify-google-email", async (req, res) => {
       [user.id]
     );
 
-    // Crear token JWT
-    const payload = {
-      sub: user.id,
+    // Abrir sesión (access token corto + refresh token)
+    const sesion = await sesiones.crearSesion({
+      usuarioId: user.id,
       role: perfil.roleName,
       email: email.toLowerCase(),
-    };
-
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "24h",
+      cliente: "movil",
+      req,
     });
 
     return res.json({
       success: true,
       exists: true,
       message: "Correo verificado exitosamente",
-      token,
+      token: sesion.accessToken,
+      refreshToken: sesion.refreshToken,
       user: {
         id: user.id,
         email: email.toLowerCase(),
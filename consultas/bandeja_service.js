@@ -0,0 +1,115 @@
+// ========================================
+// 📦 services/bandeja_service.js
+// Bandeja de notificaciones por usuario (tabla notificaciones_usuario).
+// firebase_service guarda aquí cada push, así llega aunque el usuario no
+// tenga un dispositivo.
+// ========================================
+
+const pool = require('../bd');
+
+// ========================================
+// ✍️ REGISTRAR
+// ========================================
+/**
+ * Guarda la notificación para cada usuario. Con `clave`, un segundo registro
+ * del mismo evento para el mismo usuario se ignora.
+ */
+async function registrarNotificacion(usuariosIds, { tipo, titulo, mensaje, datos = {}, clave = null }) {
+  const ids = [...new Set((usuariosIds || []).map(Number))].filter(Boolean);
+  if (ids.length === 0) return 0;
+
+  const datosJson = JSON.stringify(datos);
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO notificaciones_usuario (usuario_id, tipo, titulo, mensaje, datos, clave)
+     VALUES ?`,
+    [ids.map((id) => [id, tipo, titulo, mensaje, datosJson, clave])]
+  );
+  return result.affectedRows;
+}
+
+// ========================================
+// 📋 CONSULTAR
+// ========================================
+async function listar(usuarioId, { pagina = 1, limite = 20, soloNoLeidas = false } = {}) {
+  pagina = Math.max(parseInt(pagina, 10) || 1, 1);
+  limite = Math.min(Math.max(parseInt(limite, 10) || 20, 1), 100);
+  const filtro = soloNoLeidas ? 'AND leida = 0' : '';
+
+  const [notificaciones] = await pool.query(
+    `SELECT id, tipo, titulo, mensaje, datos, leida, leida_en, creado_en
+     FROM notificaciones_usuario
+     WHERE usuario_id = ? ${filtro}
+     ORDER BY creado_en DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [usuarioId, limite, (pagina - 1) * limite]
+  );
+
+  const [[conteo]] = await pool.query(
+    `SELECT COUNT(*) AS total, COALESCE(SUM(leida = 0), 0) AS no_leidas
+     FROM notificaciones_usuario WHERE usuario_id = ?`,
+    [usuarioId]
+  );
+
+  const total = soloNoLeidas ? Number(conteo.no_leidas) : Number(conteo.total);
+
+  return {
+    notificaciones: notificaciones.map((n) => ({
+      ...n,
+      datos: typeof n.datos === 'string' ? JSON.parse(n.datos) : n.datos,
+      leida: Boolean(n.leida)
+    })),
+    total,
+    no_leidas: Number(conteo.no_leidas),
+    pagina,
+    limite,
+    total_paginas: Math.ceil(total / limite)
+  };
+}
+
+async function contarNoLeidas(usuarioId) {
+  const [[{ total }]] = await pool.query(
+    'SELECT COUNT(*) AS total FROM notificaciones_usuario WHERE usuario_id = ? AND leida = 0',
+    [usuarioId]
+  );
+  return Number(total);
+}
+
+// ========================================
+// ✅ LEÍDA / NO LEÍDA / ELIMINAR
+// Siempre filtrando por usuario: nadie toca la bandeja de otro.
+// ========================================
+async function marcarLeida(usuarioId, notificacionId, leida = true) {
+  const [result] = await pool.query(
+    `UPDATE notificaciones_usuario
+       SET leida = ?, leida_en = ${leida ? 'COALESCE(leida_en, NOW())' : 'NULL'}
+     WHERE id = ? AND usuario_id = ?`,
+    [leida ? 1 : 0, notificacionId, usuarioId]
+  );
+  return result.affectedRows > 0;
+}
+
+async function marcarTodasLeidas(usuarioId) {
+  const [result] = await pool.query(
+    `UPDATE notificaciones_usuario SET leida = 1, leida_en = NOW()
+     WHERE usuario_id = ? AND leida = 0`,
+    [usuarioId]
+  );
+  return result.affectedRows;
+}
+
+async function eliminar(usuarioId, notificacionId) {
+  const [result] = await pool.query(
+    'DELETE FROM notificaciones_usuario WHERE id = ? AND usuario_id = ?',
+    [notificacionId, usuarioId]
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  registrarNotificacion,
+  listar,
+  contarNoLeidas,
+  marcarLeida,
+  marcarTodasLeidas,
+  eliminar,
+};
@@ -0,0 +1,222 @@
+// ========================================
+// 📦 services/boletos_service.js
+// Inventario por número de boleto (tabla boletos_rifa).
+// disponible → reservado (al crear la preferencia) → vendido (pago aprobado)
+// Un reservado vuelve a disponible si el pago se rechaza o la reserva vence.
+// ========================================
+
+const pool = require('../bd');
+
+// Minutos que un número queda apartado mientras el comprador paga
+const MINUTOS_RESERVA = 15;
+
+// Condición SQL: el número puede apartarse
+const SQL_LIBRE = `(estado = 'disponible' OR (estado = 'reservado' AND reservado_hasta < NOW()))`;
+
+// ========================================
+// 🎟️ GENERAR / AJUSTAR INVENTARIO
+// ========================================
+async function insertarNumeros(conn, rifaId, desde, hasta) {
+  const LOTE = 1000;
+  for (let inicio = desde; inicio <= hasta; inicio += LOTE) {
+    const fin = Math.min(inicio + LOTE - 1, hasta);
+    const valores = [];
+    for (let n = inicio; n <= fin; n++) valores.push(rifaId, n);
+    const placeholders = Array(fin - inicio + 1).fill('(?, ?)').join(', ');
+    await conn.query(
+      `INSERT IGNORE INTO boletos_rifa (rifa_id, numero) VALUES ${placeholders}`,
+      valores
+    );
+  }
+}
+
+/**
+ * Deja el inventario de la rifa con `total` números (1..total).
+ * Si se reduce, solo se pueden quitar números que sigan disponibles.
+ * Devuelve { ok: false, error } si hay boletos apartados/vendidos fuera del rango.
+ */
+async function ajustarInventario(conn, rifaId, total) {
+  total = Number(total);
+  if (!Number.isInteger(total) || total <= 0) {
+    return { ok: false, error: 'La cantidad de boletos debe ser un entero positivo' };
+  }
+
+  const [[{ maximo }]] = await conn.query(
+    'SELECT COALESCE(MAX(numero), 0) AS maximo FROM boletos_rifa WHERE rifa_id = ?',
+    [rifaId]
+  );
+
+  if (total > maximo) {
+    await insertarNumeros(conn, rifaId, maximo + 1, total);
+  } else if (total < maximo) {
+    const [[{ ocupados }]] = await conn.query(
+      `SELECT COUNT(*) AS ocupados FROM boletos_rifa
+       WHERE rifa_id = ? AND numero > ? AND NOT ${SQL_LIBRE}`,
+      [rifaId, total]
+    );
+    if (ocupados > 0) {
+      return {
+        ok: false,
+        error: `No se puede reducir a ${total} boletos: hay ${ocupados} apartados o vendidos por encima de ese número`
+      };
+    }
+    await conn.query('DELETE FROM boletos_rifa WHERE rifa_id = ? AND numero > ?', [rifaId, total]);
+  }
+
+  return { ok: true };
+}
+
+// Rifas creadas antes del inventario por número: generarlo al primer uso
+async function asegurarInventario(conn, rifaId) {
+  const [[rifa]] = await conn.query(
+    'SELECT boletos_disponibles FROM rifas WHERE id = ?',
+    [rifaId]
+  );
+  if (!rifa) return false;
+
+  const [[{ total }]] = await conn.query(
+    'SELECT COUNT(*) AS total FROM boletos_rifa WHERE rifa_id = ?',
+    [rifaId]
+  );
+  if (total === 0 && rifa.boletos_disponibles > 0) {
+    await insertarNumeros(conn, rifaId, 1, Number(rifa.boletos_disponibles));
+  }
+  return true;
+}
+
+// ========================================
+// 🔒 RESERVAR
+// ========================================
+/**
+ * Aparta los números para una compra. Debe llamarse dentro de una transacción.
+ * Devuelve { ok: true, reservadoHasta } o { ok: false, error, noDisponibles }.
+ */
+async function reservarBoletos(conn, { rifaId, numeros, usuarioId, pagoId }) {
+  const unicos = [...new Set(numeros.map(Number))];
+  if (unicos.length !== numeros.length || unicos.some((n) => !Number.isInteger(n) || n <= 0)) {
+    return { ok: false, error: 'Los números de boleto deben ser enteros positivos sin repetir' };
+  }
+
+  const placeholders = unicos.map(() => '?').join(',');
+  const [filas] = await conn.query(
+    `SELECT numero, ${SQL_LIBRE} AS libre
+     FROM boletos_rifa
+     WHERE rifa_id = ? AND numero IN (${placeholders})
+     FOR UPDATE`,
+    [rifaId, ...unicos]
+  );
+
+  const libres = new Set(filas.filter((f) => f.libre).map((f) => f.numero));
+  const noDisponibles = unicos.filter((n) => !libres.has(n));
+  if (noDisponibles.length > 0) {
+    return { ok: false, error: 'Algunos boletos ya no están disponibles', noDisponibles };
+  }
+
+  await conn.query(
+    `UPDATE boletos_rifa
+       SET estado = 'reservado', pago_id = ?, usuario_id = ?,
+           reservado_hasta = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+     WHERE rifa_id = ? AND numero IN (${placeholders})`,
+    [pagoId, usuarioId, MINUTOS_RESERVA, rifaId, ...unicos]
+  );
+
+  return {
+    ok: true,
+    reservadoHasta: new Date(Date.now() + MINUTOS_RESERVA * 60 * 1000)
+  };
+}
+
+// ========================================
+// ✅ CONFIRMAR (pago aprobado)
+// ========================================
+/**
+ * Marca como vendidos los números de la compra. Si la reserva venció pero el
+ * número sigue libre, se vuelve a tomar. Devuelve los números que ya eran de
+ * otra compra (conflicto que un admin debe resolver con reembolso).
+ */
+async function confirmarBoletos(conn, pago) {
+  const numeros = typeof pago.boletos === 'string' ? JSON.parse(pago.boletos) : pago.boletos;
+  const placeholders = numeros.map(() => '?').join(',');
+
+  await conn.query(
+    `UPDATE boletos_rifa
+       SET estado = 'vendido', pago_id = ?, usuario_id = ?, reservado_hasta = NULL, vendido_en = NOW()
+     WHERE rifa_id = ? AND numero IN (${placeholders})
+       AND (pago_id = ? OR ${SQL_LIBRE})`,
+    [pago.id, pago.usuario_id, pago.rifa_id, ...numeros, pago.id]
+  );
+
+  const [propios] = await conn.query(
+    `SELECT numero FROM boletos_rifa
+     WHERE pago_id = ? AND estado = 'vendido'`,
+    [pago.id]
+  );
+
+  const vendidos = propios.map((b) => Number(b.numero));
+  const faltantes = numeros.filter((n) => !vendidos.includes(Number(n)));
+  const conflicto = faltantes.length > 0;
+  if (conflicto) {
+    console.warn(`⚠️ Compra ${pago.id} aprobada pero los boletos ${faltantes.join(', ')} ya pertenecen a otra compra`);
+  }
+  return { vendidos: vendidos.length, faltantes, conflicto };
+}
+
+// ========================================
+// 🔓 LIBERAR
+// ========================================
+async function liberarBoletos(conn, pagoId, { incluirVendidos = false } = {}) {
+  const estados = incluirVendidos ? "('reservado','vendido')" : "('reservado')";
+  const [result] = await conn.query(
+    `UPDATE boletos_rifa
+       SET estado = 'disponible', pago_id = NULL, usuario_id = NULL,
+           reservado_hasta = NULL, vendido_en = NULL
+     WHERE pago_id = ? AND estado IN ${estados}`,
+    [pagoId]
+  );
+  return result.affectedRows;
+}
+
+// Limpieza periódica de reservas vencidas (la lógica de reserva ya las trata como libres)
+async function liberarReservasVencidas() {
+  const [result] = await pool.query(
+    `UPDATE boletos_rifa
+       SET estado = 'disponible', pago_id = NULL, usuario_id = NULL, reservado_hasta = NULL
+     WHERE estado = 'reservado' AND reservado_hasta < NOW()`
+  );
+  return result.affectedRows;
+}
+
+// ========================================
+// 📋 CONSULTAR
+// ========================================
+async function obtenerInventario(rifaId) {
+  await asegurarInventario(pool, rifaId);
+
+  const [filas] = await pool.query(
+    `SELECT numero, ${SQL_LIBRE} AS libre, estado
+     FROM boletos_rifa
+     WHERE rifa_id = ?
+     ORDER BY numero ASC`,
+    [rifaId]
+  );
+
+  const disponibles = filas.filter((f) => f.libre).map((f) => f.numero);
+  return {
+    total: filas.length,
+    disponibles,
+    total_disponibles: disponibles.length,
+    total_reservados: filas.filter((f) => !f.libre && f.estado === 'reservado').length,
+    total_vendidos: filas.filter((f) => f.estado === 'vendido').length
+  };
+}
+
+module.exports = {
+  MINUTOS_RESERVA,
+  ajustarInventario,
+  asegurarInventario,
+  reservarBoletos,
+  confirmarBoletos,
+  liberarBoletos,
+  liberarReservasVencidas,
+  obtenerInventario,
+};
@@ -0,0 +1,120 @@
+// consultas/calendario.js
+// Exportación .ics de reuniones y URL de suscripción por usuario
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/authorize');
+const calendarioService = require('./calendario_service');
+
+function enviarIcs(res, ics, nombreArchivo, descarga) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${descarga ? 'attachment' : 'inline'}; filename="${nombreArchivo}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(ics);
+}
+
+// URL pública del API (detrás de un proxy conviene definir API_PUBLIC_URL)
+function urlBase(req) {
+  return (process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+/**
+ * GET /api/calendario/reuniones/:id.ics
+ * Una reunión para agregarla al calendario
+ */
+router.get('/reuniones/:id.ics', async (req, res) => {
+  try {
+    const ics = await calendarioService.icsReunion(req.params.id);
+    if (!ics) {
+      return res.status(404).json({ error: 'Reunión no encontrada' });
+    }
+    enviarIcs(res, ics, `reunion-${req.params.id}.ics`, true);
+  } catch (err) {
+    console.error('Error al exportar reunión a iCalendar:', err);
+    res.status(500).json({ error: 'Error interno al exportar la reunión.' });
+  }
+});
+
+/**
+ * GET /api/calendario/feed/:token.ics
+ * Feed de suscripción (Google Calendar, Outlook). El token es la credencial.
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const ics = await calendarioService.icsSuscripcion(req.params.token);
+    if (!ics) {
+      return res.status(404).json({ error: 'Suscripción no encontrada o revocada' });
+    }
+    enviarIcs(res, ics, 'sututeh.ics', false);
+  } catch (err) {
+    console.error('Error al generar feed de calendario:', err);
+    res.status(500).json({ error: 'Error interno al generar el calendario.' });
+  }
+});
+
+// GET /api/calendario/suscripcion - estado de la suscripción propia
+router.get('/suscripcion', authenticate, async (req, res) => {
+  try {
+    const suscripcion = await calendarioService.obtenerSuscripcion(req.user.sub);
+    res.json({ activa: Boolean(suscripcion), suscripcion });
+  } catch (err) {
+    console.error('Error al obtener suscripción de calendario:', err);
+    res.status(500).json({ error: 'Error interno al obtener la suscripción.' });
+  }
+});
+
+/**
+ * POST /api/calendario/suscripcion
+ * Body: { incluir_encuestas?, incluir_rifas? }
+ * Genera la URL (la anterior deja de funcionar). Solo se muestra esta vez.
+ */
+router.post('/suscripcion', authenticate, async (req, res) => {
+  try {
+    const { token, ...opciones } = await calendarioService.crearSuscripcion(req.user.sub, req.body);
+    const url = `${urlBase(req)}/api/calendario/feed/${token}.ics`;
+
+    res.status(201).json({
+      message: 'Copia esta URL en tu calendario; no se volverá a mostrar.',
+      url,
+      webcal: url.replace(/^https?:/, 'webcal:'),
+      ...opciones
+    });
+  } catch (err) {
+    console.error('Error al crear suscripción de calendario:', err);
+    res.status(500).json({ error: 'Error interno al crear la suscripción.' });
+  }
+});
+
+/**
+ * PATCH /api/calendario/suscripcion
+ * Body: { incluir_encuestas?, incluir_rifas? } — conserva la URL
+ */
+router.patch('/suscripcion', authenticate, async (req, res) => {
+  try {
+    const actualizada = await calendarioService.actualizarSuscripcion(req.user.sub, req.body);
+    if (!actualizada) {
+      return res.status(404).json({ error: 'No tienes una suscripción activa' });
+    }
+    res.json({ suscripcion: await calendarioService.obtenerSuscripcion(req.user.sub) });
+  } catch (err) {
+    console.error('Error al actualizar suscripción de calendario:', err);
+    res.status(500).json({ error: 'Error interno al actualizar la suscripción.' });
+  }
+});
+
+// DELETE /api/calendario/suscripcion - revoca la URL
+router.delete('/suscripcion', authenticate, async (req, res) => {
+  try {
+    const revocada = await calendarioService.revocarSuscripcion(req.user.sub);
+    if (!revocada) {
+      return res.status(404).json({ error: 'No tienes una suscripción activa' });
+    }
+    res.json({ message: 'Suscripción revocada' });
+  } catch (err) {
+    console.error('Error al revocar suscripción de calendario:', err);
+    res.status(500).json({ error: 'Error interno al revocar la suscripción.' });
+  }
+});
+
+module.exports = router;
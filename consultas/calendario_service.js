@@ -0,0 +1,319 @@
+// ========================================
+// 📦 services/calendario_service.js
+// Exportación iCalendar (RFC 5545) de reuniones y, opcionalmente, cierres
+// de encuestas y sorteos de rifas. Cada evento tiene un UID estable y un
+// SEQUENCE que los triggers incrementan en cada cambio, así los calendarios
+// suscritos actualizan o cancelan el evento en lugar de duplicarlo.
+// ========================================
+
+const crypto = require('crypto');
+const pool = require('../bd');
+const { condicionElegible } = require('./encuestas_audiencia_service');
+
+const PRODID = '-//SUTUTEH//Calendario del sindicato//ES';
+const DOMINIO_UID = 'sututeh';
+const NOMBRE_CALENDARIO = 'SUTUTEH';
+
+// Las reuniones no guardan hora de término: se usa la duración del orden
+// del día y, sin él, esta
+const DURACION_REUNION_MINUTOS = 120;
+const DURACION_RIFA_MINUTOS = 60;
+
+// El feed incluye lo que pasó en este periodo además de todo lo futuro
+const DIAS_HISTORIAL = 180;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Fechas en UTC con formato iCalendar; las de la BD están en hora de México
+const utc = (expresion) =>
+  `DATE_FORMAT(CONVERT_TZ(${expresion}, '-06:00', '+00:00'), '%Y%m%dT%H%i%sZ')`;
+
+// `ical_modificado_en` ya se guarda en UTC (UTC_TIMESTAMP() en los triggers)
+const formatoUtc = (expresion) =>
+  `DATE_FORMAT(${expresion}, '%Y%m%dT%H%i%sZ')`;
+
+// ========================================
+// 🧾 FORMATO RFC 5545
+// ========================================
+function escaparTexto(texto) {
+  return String(texto)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Líneas de máximo 75 octetos; las continuaciones empiezan con un espacio
+function plegarLinea(linea) {
+  const partes = [];
+  let actual = '';
+  let bytes = 0;
+  for (const caracter of linea) {
+    const tamano = Buffer.byteLength(caracter);
+    const limite = partes.length === 0 ? 75 : 74;
+    if (bytes + tamano > limite) {
+      partes.push(actual);
+      actual = '';
+      bytes = 0;
+    }
+    actual += caracter;
+    bytes += tamano;
+  }
+  partes.push(actual);
+  return partes.join('\r\n ');
+}
+
+function fechaActualUtc() {
+  return new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function evento({ uid, secuencia, inicio, fin, modificado, titulo, descripcion, ubicacion, cancelado, categoria }) {
+  const lineas = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${DOMINIO_UID}`,
+    `DTSTAMP:${fechaActualUtc()}`,
+    `DTSTART:${inicio}`,
+    `DTEND:${fin}`,
+    `SEQUENCE:${secuencia || 0}`,
+    `SUMMARY:${escaparTexto(titulo)}`,
+  ];
+  if (modificado) lineas.push(`LAST-MODIFIED:${modificado}`);
+  if (descripcion) lineas.push(`DESCRIPTION:${escaparTexto(descripcion)}`);
+  if (ubicacion) lineas.push(`LOCATION:${escaparTexto(ubicacion)}`);
+  lineas.push(`CATEGORIES:${escaparTexto(categoria)}`);
+  lineas.push(`STATUS:${cancelado ? 'CANCELLED' : 'CONFIRMED'}`);
+  lineas.push('TRANSP:OPAQUE', 'END:VEVENT');
+  return lineas;
+}
+
+function calendario(eventos, nombre = NOMBRE_CALENDARIO) {
+  const lineas = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escaparTexto(nombre)}`,
+    'X-WR-TIMEZONE:America/Mexico_City',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...eventos.flat(),
+    'END:VCALENDAR',
+  ];
+  return lineas.map(plegarLinea).join('\r\n') + '\r\n';
+}
+
+// ========================================
+// 📅 EVENTOS
+// ========================================
+async function eventosReuniones(where, valores) {
+  const [reuniones] = await pool.query(
+    `SELECT r.id, r.title, r.type, r.location, r.description, r.obligatoria,
+            r.estado_reunion, r.motivo_estado, r.ical_secuencia,
+            ${utc('TIMESTAMP(r.date, r.time)')} AS inicio,
+            ${utc(`DATE_ADD(TIMESTAMP(r.date, r.time), INTERVAL COALESCE(
+              (SELECT SUM(g.duracion_minutos) FROM reuniones_agenda g WHERE g.reunion_id = r.id), ?
+            ) MINUTE)`)} AS fin,
+            ${formatoUtc('r.ical_modificado_en')} AS modificado
+     FROM reuniones r
+     WHERE ${where}
+     ORDER BY r.date, r.time`,
+    [DURACION_REUNION_MINUTOS, ...valores]
+  );
+
+  return reuniones.map((r) => {
+    const cancelada = r.estado_reunion === 'cancelada';
+    const detalle = [
+      `Reunión ${r.type}${r.obligatoria ? ' (obligatoria)' : ''}`,
+      cancelada && r.motivo_estado ? `Cancelada: ${r.motivo_estado}` : null,
+      r.description,
+    ].filter(Boolean).join('\n\n');
+
+    return evento({
+      uid: `reunion-${r.id}`,
+      secuencia: r.ical_secuencia,
+      inicio: r.inicio,
+      fin: r.fin,
+      modificado: r.modificado,
+      titulo: cancelada ? `Cancelada: ${r.title}` : r.title,
+      descripcion: detalle,
+      ubicacion: r.location,
+      cancelado: cancelada,
+      categoria: 'Reunión',
+    });
+  });
+}
+
+// Cierre de encuestas y votaciones ya publicadas dirigidas al usuario
+async function eventosEncuestas(desde, usuarioId) {
+  const [encuestas] = await pool.query(
+    `SELECT id, type, title, description, ical_secuencia,
+            ${utc('TIMESTAMP(close_date, close_time)')} AS inicio,
+            ${formatoUtc('ical_modificado_en')} AS modificado
+     FROM encuestas_votaciones
+     WHERE TIMESTAMP(publication_date, publication_time) <= NOW()
+       AND close_date >= ?
+       AND ${condicionElegible('encuestas_votaciones.id', '?')}
+     ORDER BY close_date, close_time`,
+    [desde, usuarioId]
+  );
+
+  return encuestas.map((e) => evento({
+    uid: `encuesta-${e.id}`,
+    secuencia: e.ical_secuencia,
+    inicio: e.inicio,
+    fin: e.inicio,
+    modificado: e.modificado,
+    titulo: `Cierra ${e.type === 'Votación' ? 'votación' : 'encuesta'}: ${e.title}`,
+    descripcion: e.description,
+    categoria: e.type || 'Encuesta',
+  }));
+}
+
+// Sorteos de rifas publicadas
+async function eventosRifas(desde) {
+  const [rifas] = await pool.query(
+    `SELECT id, titulo, descripcion, ubicacion, ical_secuencia,
+            ${utc('TIMESTAMP(fecha, hora)')} AS inicio,
+            ${utc(`DATE_ADD(TIMESTAMP(fecha, hora), INTERVAL ${DURACION_RIFA_MINUTOS} MINUTE)`)} AS fin,
+            ${formatoUtc('ical_modificado_en')} AS modificado
+     FROM rifas
+     WHERE (fecha_publicacion IS NULL OR fecha_publicacion <= NOW())
+       AND fecha >= ?
+     ORDER BY fecha, hora`,
+    [desde]
+  );
+
+  return rifas.map((r) => evento({
+    uid: `rifa-${r.id}`,
+    secuencia: r.ical_secuencia,
+    inicio: r.inicio,
+    fin: r.fin,
+    modificado: r.modificado,
+    titulo: `Sorteo: ${r.titulo}`,
+    descripcion: r.descripcion,
+    ubicacion: r.ubicacion,
+    categoria: 'Rifa',
+  }));
+}
+
+/**
+ * .ics con una sola reunión, o null si no existe.
+ */
+async function icsReunion(reunionId) {
+  const eventos = await eventosReuniones('r.id = ?', [reunionId]);
+  if (eventos.length === 0) return null;
+  return calendario(eventos);
+}
+
+// ========================================
+// 🔗 SUSCRIPCIÓN POR USUARIO
+// ========================================
+/**
+ * Genera un token nuevo y revoca el anterior. El token solo se devuelve aquí.
+ */
+async function crearSuscripcion(usuarioId, { incluir_encuestas = false, incluir_rifas = false } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(
+      `UPDATE calendario_suscripciones SET estado = 'revocada', revocado_en = NOW()
+       WHERE usuario_id = ? AND estado = 'activa'`,
+      [usuarioId]
+    );
+    await conn.query(
+      `INSERT INTO calendario_suscripciones (usuario_id, token_hash, incluir_encuestas, incluir_rifas)
+       VALUES (?, ?, ?, ?)`,
+      [usuarioId, hashToken(token), incluir_encuestas ? 1 : 0, incluir_rifas ? 1 : 0]
+    );
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return { token, incluir_encuestas: Boolean(incluir_encuestas), incluir_rifas: Boolean(incluir_rifas) };
+}
+
+async function obtenerSuscripcion(usuarioId) {
+  const [[suscripcion]] = await pool.query(
+    `SELECT incluir_encuestas, incluir_rifas, creado_en, ultimo_acceso, accesos
+     FROM calendario_suscripciones
+     WHERE usuario_id = ? AND estado = 'activa'`,
+    [usuarioId]
+  );
+  return suscripcion || null;
+}
+
+/**
+ * Cambia las opciones sin cambiar el token (la URL sigue siendo la misma).
+ */
+async function actualizarSuscripcion(usuarioId, { incluir_encuestas, incluir_rifas }) {
+  const [result] = await pool.query(
+    `UPDATE calendario_suscripciones
+       SET incluir_encuestas = COALESCE(?, incluir_encuestas),
+           incluir_rifas = COALESCE(?, incluir_rifas)
+     WHERE usuario_id = ? AND estado = 'activa'`,
+    [incluir_encuestas === undefined ? null : (incluir_encuestas ? 1 : 0),
+     incluir_rifas === undefined ? null : (incluir_rifas ? 1 : 0),
+     usuarioId]
+  );
+  return result.affectedRows > 0;
+}
+
+async function revocarSuscripcion(usuarioId) {
+  const [result] = await pool.query(
+    `UPDATE calendario_suscripciones SET estado = 'revocada', revocado_en = NOW()
+     WHERE usuario_id = ? AND estado = 'activa'`,
+    [usuarioId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Feed del usuario dueño del token, o null si el token no es válido, fue
+ * revocado o el usuario ya no está activo.
+ */
+async function icsSuscripcion(token) {
+  const [[suscripcion]] = await pool.query(
+    `SELECT s.id, s.usuario_id, s.incluir_encuestas, s.incluir_rifas
+     FROM calendario_suscripciones s
+     JOIN autenticacion_usuarios a ON a.id = s.usuario_id
+     WHERE s.token_hash = ? AND s.estado = 'activa' AND a.estatus = 'Activo'`,
+    [hashToken(String(token))]
+  );
+  if (!suscripcion) return null;
+
+  await pool.query(
+    `UPDATE calendario_suscripciones SET ultimo_acceso = NOW(), accesos = accesos + 1
+     WHERE id = ?`,
+    [suscripcion.id]
+  );
+
+  const [[{ desde }]] = await pool.query(
+    "SELECT DATE_FORMAT(DATE_SUB(CURDATE(), INTERVAL ? DAY), '%Y-%m-%d') AS desde",
+    [DIAS_HISTORIAL]
+  );
+
+  const eventos = await eventosReuniones('r.date >= ?', [desde]);
+  if (suscripcion.incluir_encuestas) eventos.push(...await eventosEncuestas(desde, suscripcion.usuario_id));
+  if (suscripcion.incluir_rifas) eventos.push(...await eventosRifas(desde));
+
+  return calendario(eventos);
+}
+
+module.exports = {
+  escaparTexto,
+  plegarLinea,
+  icsReunion,
+  crearSuscripcion,
+  obtenerSuscripcion,
+  actualizarSuscripcion,
+  revocarSuscripcion,
+  icsSuscripcion,
+};
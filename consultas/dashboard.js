@@ -70,6 +70,16 @@ router.get('/participacion-mensual', async (req, res) => {
         
         UNION ALL
         
+        -- Participaciones en votaciones secretas (sin respuestas_encuesta)
+        SELECT 
+          MONTH(ev.publication_date) as mes,
+          vp.user_id as usuario_id
+        FROM votacion_participacion vp
+        JOIN encuestas_votaciones ev ON vp.encuesta_id = ev.id
+        WHERE YEAR(ev.publication_date) = ?
+        
+        UNION ALL
+        
         -- Participaciones en rifas (compra de boletos)
         -- Si tienes tabla de boletos_rifa, agrégala aquí
         SELECT 
@@ -81,7 +91,7 @@ router.get('/participacion-mensual', async (req, res) => {
       ) AS participaciones
       GROUP BY mes
       ORDER BY mes
-    `, [totalAgremiados, año, año, año]);
+    `, [totalAgremiados, año, año, año, año]);
 
     // Crear array completo de 12 meses (rellenar meses sin datos con 0)
     const mesesNombres = ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio', 
@@ -144,6 +154,7 @@ router.get('/actividades-recientes', async (req, res) => {
           'Comité Ejecutivo' COLLATE utf8mb4_unicode_ci as responsable,
           CAST(r.title AS CHAR CHARACTER SET utf8mb4) COLLATE utf8mb4_unicode_ci as actividad,
           CASE
+            WHEN r.estado_reunion = 'cancelada' THEN 'Cancelada'
             WHEN NOW() < DATE_SUB(CONCAT(r.date, ' ', r.time), INTERVAL 10 MINUTE) THEN 'Programada'
             WHEN NOW() > DATE_ADD(CONCAT(r.date, ' ', r.time), INTERVAL 60 MINUTE) THEN 'Terminada'
             ELSE 'En Curso'
@@ -242,6 +253,7 @@ router.get('/estado-actividades', async (req, res) => {
         SUM(CASE WHEN NOW() > DATE_ADD(CONCAT(date, ' ', time), INTERVAL 60 MINUTE) THEN 1 ELSE 0 END) as completadas
       FROM reuniones
       WHERE YEAR(date) = ?
+        AND estado_reunion <> 'cancelada'
     `, [año]);
 
     // Encuestas
@@ -352,7 +364,8 @@ router.get('/estadisticas-generales', async (req, res) => {
     const [[{ reunionesActivas }]] = await pool.query(`
       SELECT COUNT(*) as reunionesActivas
       FROM reuniones
-      WHERE CASE
+      WHERE estado_reunion <> 'cancelada'
+        AND CASE
         WHEN NOW() < DATE_SUB(CONCAT(date, ' ', time), INTERVAL 10 MINUTE) THEN 'Programada'
         WHEN NOW() BETWEEN DATE_SUB(CONCAT(date, ' ', time), INTERVAL 10 MINUTE) 
                        AND DATE_ADD(CONCAT(date, ' ', time), INTERVAL 60 MINUTE) THEN 'En_Curso'
@@ -439,10 +452,15 @@ router.get('/exportar-csv', async (req, res) => {
             FROM respuestas_encuesta re
             JOIN encuestas_votaciones ev ON re.encuesta_id = ev.id
             WHERE YEAR(ev.publication_date) = ?
+            UNION ALL
+            SELECT MONTH(ev.publication_date) as mes, vp.user_id as usuario_id
+            FROM votacion_participacion vp
+            JOIN encuestas_votaciones ev ON vp.encuesta_id = ev.id
+            WHERE YEAR(ev.publication_date) = ?
           ) AS participaciones
           GROUP BY mes
           ORDER BY mes
-        `, [año, año]);
+        `, [año, año, año]);
 
         const mesesNombres = ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio', 
                               'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'];
@@ -467,6 +485,7 @@ router.get('/exportar-csv', async (req, res) => {
               'Comité Ejecutivo' COLLATE utf8mb4_unicode_ci as responsable,
               CAST(r.title AS CHAR CHARACTER SET utf8mb4) COLLATE utf8mb4_unicode_ci as actividad,
               CASE
+                WHEN r.estado_reunion = 'cancelada' THEN 'Cancelada'
                 WHEN NOW() < DATE_SUB(CONCAT(r.date, ' ', r.time), INTERVAL 10 MINUTE) THEN 'Programada'
                 WHEN NOW() > DATE_ADD(CONCAT(r.date, ' ', r.time), INTERVAL 60 MINUTE) THEN 'Terminada'
                 ELSE 'En Curso'
@@ -524,7 +543,7 @@ router.get('/exportar-csv', async (req, res) => {
         const [[reuniones]] = await pool.query(`
           SELECT COUNT(*) as total,
             SUM(CASE WHEN NOW() > DATE_ADD(CONCAT(date, ' ', time), INTERVAL 60 MINUTE) THEN 1 ELSE 0 END) as completadas
-          FROM reuniones WHERE YEAR(date) = ?
+          FROM reuniones WHERE YEAR(date) = ? AND estado_reunion <> 'cancelada'
         `, [año]);
 
         const [[encuestas]] = await pool.query(`
@@ -1,5 +1,6 @@
     const express = require('express');
     const pool = require('../bd');
+    const { authorize } = require('../middlewares/authorize');
     const multer           = require("multer");
     const { storageEmpresa } = require("../cloudinaryConfig");
 
@@ -67,6 +68,7 @@
 
     router.put(
         "/:id",
+        authorize("empresa:gestionar"),
         upload.fields([
         { name: "avatar", maxCount: 1 },
         { name: "cover",  maxCount: 1 }
@@ -131,7 +133,7 @@
      * Crea una nueva red vinculada a una empresa
      */
     // POST   /api/datos-empresa/:empresaId/redes
-    router.post("/:empresaId/redes", async (req, res) => {
+    router.post("/:empresaId/redes", authorize("empresa:gestionar"), async (req, res) => {
         const { empresaId } = req.params;               // <-- toma el ID de la URL
         const { red_social, enlace, estado } = req.body; // <-- sólo lees los campos que te envía el cliente
     
@@ -156,7 +158,7 @@
      * PUT /api/redes-sociales/:id
      * Actualiza enlace y/o estado de una red existente
      */
-    router.put("/:empresaId/redes/:id", async (req, res) => {
+    router.put("/:empresaId/redes/:id", authorize("empresa:gestionar"), async (req, res) => {
         const { id } = req.params;
         const { enlace, estado } = req.body;
         try {
@@ -177,7 +179,7 @@
     /**
      * DELETE /api/redes-sociales/:id
      */
-    router.delete("/:empresaId/redes/:id", async (req,res)=> {
+    router.delete("/:empresaId/redes/:id", authorize("empresa:gestionar"), async (req,res)=> {
         const { id } = req.params;
         try {
         const [result] = await pool.query(`
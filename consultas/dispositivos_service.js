@@ -0,0 +1,138 @@
+// ========================================
+// 📦 services/dispositivos_service.js
+// Tokens FCM por dispositivo (tabla fcm_tokens). Un usuario puede tener
+// varios dispositivos activos; cada token pertenece a un solo usuario.
+// ========================================
+
+const pool = require('../bd');
+
+// Un token que la app no reporta en este tiempo deja de recibir push
+const DIAS_INACTIVIDAD = 60;
+
+const PLATAFORMAS = ['android', 'ios', 'web'];
+
+function normalizarPlataforma(plataforma, dispositivo) {
+  const valor = String(plataforma || dispositivo || '').toLowerCase();
+  return PLATAFORMAS.includes(valor) ? valor : null;
+}
+
+// ========================================
+// 📌 REGISTRAR / REFRESCAR
+// ========================================
+/**
+ * Registra el token como dispositivo activo del usuario. Si el token ya
+ * existía (mismo dispositivo, otra sesión u otro usuario) se reasigna.
+ */
+async function registrarDispositivo({ usuarioId, token, dispositivo = 'Android', plataforma, versionApp }) {
+  await pool.query(
+    `INSERT INTO fcm_tokens
+       (usuario_id, fcm_token, dispositivo, plataforma, version_app, ultimo_uso, activo)
+     VALUES (?, ?, ?, ?, ?, NOW(), TRUE)
+     ON DUPLICATE KEY UPDATE
+       usuario_id = VALUES(usuario_id),
+       dispositivo = VALUES(dispositivo),
+       plataforma = COALESCE(VALUES(plataforma), plataforma),
+       version_app = COALESCE(VALUES(version_app), version_app),
+       ultimo_uso = NOW(),
+       fecha_actualizacion = CURRENT_TIMESTAMP,
+       activo = TRUE`,
+    [usuarioId, token, dispositivo, normalizarPlataforma(plataforma, dispositivo), versionApp || null]
+  );
+}
+
+/**
+ * FCM rotó el token del dispositivo: se reemplaza en la misma fila para
+ * conservar su historial. Si el anterior no existe, se registra como nuevo.
+ */
+async function reemplazarToken({ usuarioId, tokenAnterior, tokenNuevo, plataforma, versionApp }) {
+  if (tokenAnterior && tokenAnterior !== tokenNuevo) {
+    // El token nuevo pudo registrarse antes por /guardar-token
+    await pool.query('DELETE FROM fcm_tokens WHERE fcm_token = ? AND usuario_id = ?', [tokenNuevo, usuarioId]);
+
+    const [result] = await pool.query(
+      `UPDATE fcm_tokens
+         SET fcm_token = ?, plataforma = COALESCE(?, plataforma),
+             version_app = COALESCE(?, version_app),
+             ultimo_uso = NOW(), fecha_actualizacion = CURRENT_TIMESTAMP, activo = TRUE
+       WHERE usuario_id = ? AND fcm_token = ?`,
+      [tokenNuevo, normalizarPlataforma(plataforma), versionApp || null, usuarioId, tokenAnterior]
+    );
+    if (result.affectedRows > 0) return;
+  }
+
+  await registrarDispositivo({ usuarioId, token: tokenNuevo, plataforma, versionApp });
+}
+
+// ========================================
+// 🗑️ DESACTIVAR
+// ========================================
+async function desactivarToken(usuarioId, token) {
+  await pool.query(
+    'UPDATE fcm_tokens SET activo = FALSE WHERE usuario_id = ? AND fcm_token = ?',
+    [usuarioId, token]
+  );
+}
+
+async function desactivarTodos(usuarioId) {
+  await pool.query('UPDATE fcm_tokens SET activo = FALSE WHERE usuario_id = ?', [usuarioId]);
+}
+
+// Tokens que FCM rechazó como inválidos o no registrados
+async function desactivarTokensInvalidos(tokens) {
+  if (tokens.length === 0) return 0;
+  const placeholders = tokens.map(() => '?').join(',');
+  const [result] = await pool.query(
+    `UPDATE fcm_tokens SET activo = FALSE WHERE fcm_token IN (${placeholders})`,
+    tokens
+  );
+  return result.affectedRows;
+}
+
+// Limpieza programada de dispositivos que dejaron de reportarse
+async function expirarTokensInactivos(dias = DIAS_INACTIVIDAD) {
+  const [result] = await pool.query(
+    `UPDATE fcm_tokens SET activo = FALSE
+     WHERE activo = TRUE
+       AND COALESCE(ultimo_uso, fecha_actualizacion, fecha_registro) < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [dias]
+  );
+  return result.affectedRows;
+}
+
+// ========================================
+// 📋 CONSULTAR
+// ========================================
+async function obtenerTokensActivos(usuariosIds) {
+  if (usuariosIds.length === 0) return [];
+  const placeholders = usuariosIds.map(() => '?').join(',');
+  const [rows] = await pool.query(
+    `SELECT DISTINCT fcm_token FROM fcm_tokens
+     WHERE usuario_id IN (${placeholders}) AND activo = TRUE AND fcm_token IS NOT NULL`,
+    usuariosIds
+  );
+  return rows.map((row) => row.fcm_token);
+}
+
+async function listarDispositivos(usuarioId) {
+  const [dispositivos] = await pool.query(
+    `SELECT fcm_token, dispositivo, plataforma, version_app, ultimo_uso,
+            fecha_registro, fecha_actualizacion
+     FROM fcm_tokens
+     WHERE usuario_id = ? AND activo = TRUE
+     ORDER BY ultimo_uso DESC`,
+    [usuarioId]
+  );
+  return dispositivos;
+}
+
+module.exports = {
+  DIAS_INACTIVIDAD,
+  registrarDispositivo,
+  reemplazarToken,
+  desactivarToken,
+  desactivarTodos,
+  desactivarTokensInvalidos,
+  expirarTokensInactivos,
+  obtenerTokensActivos,
+  listarDispositivos,
+};
@@ -1,6 +1,7 @@
   // routes/documentos.js
   const express = require('express');
   const pool    = require('../bd');
+  const { authorize } = require('../middlewares/authorize');
   const multer  = require('multer');
   const path    = require('path');
   const fs      = require('fs');
@@ -71,6 +72,7 @@ const uploadFile = multer({
    */
   router.post(
     '/subirArchivo',
+    authorize('documentos:gestionar'),
     upload.single('file'),
     (req, res) => {
       if (!req.file) {
@@ -92,6 +94,7 @@ const uploadFile = multer({
   // POST /api/documentos/subirPortada → Cloudinary
   router.post(
     '/subirPortada',
+    authorize('documentos:gestionar'),
     uploadPortada.single('portada'),
     (req, res) => {
       if (!req.file || !req.file.path) {
@@ -124,7 +127,7 @@ const uploadFile = multer({
   });
 
   // POST /api/documentos → guardar metadatos
-  router.post('/', async (req, res) => {
+  router.post('/', authorize('documentos:gestionar'), async (req, res) => {
     const { nombre, descripcion, categoriaId, permisoAcceso, imgPortada, archivoUrl } = req.body;
     if (!nombre || !descripcion || !categoriaId || !permisoAcceso || !archivoUrl) {
       return res.status(400).json({ error: 'Faltan campos obligatorios' });
@@ -185,6 +188,7 @@ const uploadFile = multer({
  */
 router.put(
   '/:id/metadata',
+  authorize('documentos:gestionar'),
   uploadPortadaHandler,    // solo para la portada
   async (req, res) => {
     const { id } = req.params;
@@ -230,7 +234,7 @@ router.put(
 
 
  // DELETE /api/documentos/:id → eliminar documento y archivo asociado
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('documentos:gestionar'), async (req, res) => {
   const { id } = req.params;
   try {
     // 1) Obtener URL de archivo desde BD
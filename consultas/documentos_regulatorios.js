@@ -1,6 +1,7 @@
 // server/consultas/documentos_regulatorios.js
 const express = require('express');
 const pool = require('../bd');
+const { authorize } = require('../middlewares/authorize');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -25,6 +26,7 @@ router.get('/', async (req, res) => {
 // Inserta una nueva versión de un documento regulatorio
 router.post(
   '/',
+  authorize('documentos:gestionar'),
   [
     body('seccion')
       .isIn(['Políticas de Servicio','Políticas de Privacidad','Términos y Condiciones'])
@@ -82,6 +84,7 @@ router.post(
 // Actualiza sólo el contenido de una versión existente
 router.put(
   '/:id',
+  authorize('documentos:gestionar'),
   [
     body('contenido')
       .notEmpty()
@@ -123,7 +126,7 @@ router.put(
 
 // DELETE /api/documentos-regulatorios/:id
 // Elimina una versión
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('documentos:gestionar'), async (req, res) => {
   try {
     const { id } = req.params;
     const [result] = await pool.query(
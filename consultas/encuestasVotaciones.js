@@ -3,7 +3,14 @@
 const express = require('express');
 const router = express.Router();
 const pool   = require('../bd'); // Asumimos que tu bd.js ya expone un pool que soporta await pool.query()
+const { authenticate, authorize, tienePermiso } = require('../middlewares/authorize');
 const refreshSession = require('../config/refreshSession');
+const votacionSecretaService = require('./votacion_secreta_service');
+const preguntasService = require('./encuestas_preguntas_service');
+const audienciaService = require('./encuestas_audiencia_service');
+const resultadosService = require('./encuestas_resultados_service');
+const plantillasService = require('./encuestas_plantillas_service');
+const edicionService = require('./encuestas_edicion_service');
 
 const requireAuth = (req, res, next) => {
   if (!req.user || !req.user.sub) {
@@ -14,6 +21,9 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
+// MariaDB devuelve las columnas json como texto
+const parsearJson = (valor) => (typeof valor === 'string' ? JSON.parse(valor) : valor);
+
    
 /**
  * 0) Crear encuesta/votación con preguntas y opciones (todo en uno)
@@ -22,10 +32,19 @@ const requireAuth = (req, res, next) => {
  *  Nota: 
  *  - Si es una “Votación”, el array `questions` puede tener preguntas del tipo 
  *    “¿Quién debería ser delegado?” con sus “options” (“Juan”, “María”, …).
- *  - El campo `questions` DEBE existir (aunque sea un array vacío) y cada pregunta 
- *    DEBE tener al menos 1 opción en su array `options`.
+ *  - El campo `questions` DEBE existir (aunque sea un array vacío). Cada pregunta
+ *    acepta `tipo` (opcion_unica por defecto, opcion_multiple, ranking, likert,
+ *    numerica, texto), `obligatoria`, `config` con los límites del tipo y
+ *    `condicion` para mostrarla según una pregunta anterior; las de opciones
+ *    DEBEN tener al menos 1 opción en su array `options`.
+ *  - `voto_secreto: true` (solo Votación) guarda quién votó separado de las
+ *    boletas anónimas; cada votante recibe un recibo para verificar su voto.
+ *  - `audiencia: { universidades, programas, niveles, roles, puestos }` (ids)
+ *    limita quién la ve y puede responder; sin ella va dirigida a todos.
+ *  - `politica_respuestas`: 'definitivas' (por defecto) o 'editables' hasta
+ *    el cierre. Las votaciones secretas siempre son definitivas.
  */
-router.post('/completo', async (req, res) => {
+router.post('/completo', authorize('encuestas:gestionar'), async (req, res) => {
   try {
     const {
       type,
@@ -35,7 +54,10 @@ router.post('/completo', async (req, res) => {
       publication_time,
       close_date,
       close_time,
-      questions
+      questions,
+      voto_secreto = false,
+      audiencia,
+      politica_respuestas = 'definitivas'
     } = req.body;
 
     // 1) Validación mínima de datos obligatorios
@@ -55,34 +77,34 @@ router.post('/completo', async (req, res) => {
       });
     }
 
-    // Cada pregunta debe tener “text” y un array “options”
-    for (let i = 0; i < questions.length; i++) {
-      const pq = questions[i];
-      if (typeof pq.text !== 'string' || pq.text.trim() === '') {
-        return res
-          .status(400)
-          .json({ error: `Pregunta #${i + 1} no tiene “text” válido.` });
-      }
-      if (
-        !Array.isArray(pq.options) ||
-        pq.options.length === 0 ||
-        pq.options.some(
-          (opt) => typeof opt !== 'string' || opt.trim() === ''
-        )
-      ) {
-        return res.status(400).json({
-          error: `Pregunta #${i + 1} debe tener un array “options” con al menos 1 texto no vacío.`
-        });
-      }
+    if (voto_secreto && type !== 'Votación') {
+      return res.status(400).json({ error: 'El voto secreto solo aplica a votaciones.' });
+    }
+    if (!preguntasService.POLITICAS.includes(politica_respuestas)) {
+      return res.status(400).json({ error: `politica_respuestas debe ser ${preguntasService.POLITICAS.join(' o ')}.` });
+    }
+    if (voto_secreto && politica_respuestas !== 'definitivas') {
+      return res.status(400).json({ error: 'En una votación secreta el voto es definitivo.' });
+    }
+
+    // Cada pregunta se valida según su tipo
+    const validacion = preguntasService.validarPreguntas(questions, { votoSecreto: Boolean(voto_secreto) });
+    if (!validacion.ok) {
+      return res.status(validacion.status).json({ error: validacion.error });
+    }
+    const validacionAudiencia = await audienciaService.validarAudiencia(audiencia);
+    if (!validacionAudiencia.ok) {
+      return res.status(validacionAudiencia.status).json({ error: validacionAudiencia.error });
     }
 
     // 2) Insertar la encuesta/votación en la tabla principal
     const [resultEnc] = await pool.query(
       `
       INSERT INTO encuestas_votaciones
-        (type, title, description, publication_date, publication_time, close_date, close_time)
+        (type, title, description, publication_date, publication_time, close_date, close_time,
+         voto_secreto, politica_respuestas)
       VALUES
-        (?, ?, ?, ?, ?, ?, ?)
+        (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
       [
         type,
@@ -91,41 +113,16 @@ router.post('/completo', async (req, res) => {
         publication_date,
         publication_time,
         close_date,
-        close_time
+        close_time,
+        voto_secreto ? 1 : 0,
+        politica_respuestas
       ]
     );
     const encuestaId = resultEnc.insertId;
 
-    // 3) Para cada pregunta: insertarla y luego sus opciones
-    for (let i = 0; i < questions.length; i++) {
-      const { text: preguntaText, options } = questions[i];
-
-      // 3.1 Insertar la pregunta
-      const [resultPreg] = await pool.query(
-        `
-        INSERT INTO preguntas_encuesta (encuesta_id, text)
-        VALUES (?, ?)
-        `,
-        [encuestaId, preguntaText.trim()]
-      );
-      const preguntaId = resultPreg.insertId;
-
-      // 3.2 Insertar todas las opciones de esta pregunta
-      //     (usaremos un solo query con múltiples rows para eficiencia)
-      const placeholders = options.map(() => '(?, ?)').join(', ');
-      const values = [];
-      options.forEach((optText) => {
-        values.push(preguntaId, optText.trim());
-      });
-
-      await pool.query(
-        `
-        INSERT INTO opciones_encuesta (pregunta_id, text)
-        VALUES ${placeholders}
-        `,
-        values
-      );
-    }
+    // 3) Insertar las preguntas y sus opciones
+    await preguntasService.insertarPreguntas(pool, encuestaId, validacion.preguntas);
+    await audienciaService.guardarAudiencia(pool, encuestaId, validacionAudiencia.reglas);
 
     // 4) Leer y devolver la encuesta completa recién creada (igual que en el GET)
     const [rows] = await pool.query(
@@ -139,6 +136,10 @@ router.post('/completo', async (req, res) => {
         e.publication_time      AS publicationTime,
         e.close_date            AS closeDate,
         e.close_time            AS closeTime,
+        e.voto_secreto          AS votoSecreto,
+        e.politica_respuestas   AS politicaRespuestas,
+        e.resultados_publicados_en AS resultadosPublicadosEn,
+        e.version               AS version,
         CASE
           WHEN CONCAT(e.publication_date, ' ', e.publication_time) > NOW() THEN 'Programado'
           WHEN CONCAT(e.close_date,       ' ', e.close_time)       < NOW() THEN 'Cerrado'
@@ -149,6 +150,10 @@ router.post('/completo', async (req, res) => {
 
         p.id                    AS pregunta_id,
         p.text                  AS pregunta_text,
+        p.tipo                  AS pregunta_tipo,
+        p.obligatoria           AS pregunta_obligatoria,
+        p.config                AS pregunta_config,
+        p.condicion             AS pregunta_condicion,
         p.created_at            AS preguntaCreatedAt,
         p.updated_at            AS preguntaUpdatedAt,
 
@@ -182,6 +187,10 @@ router.post('/completo', async (req, res) => {
           publicationTime: row.publicationTime,
           closeDate:       row.closeDate,
           closeTime:       row.closeTime,
+          votoSecreto:     Boolean(row.votoSecreto),
+          politicaRespuestas: row.politicaRespuestas,
+          resultadosPublicadosEn: row.resultadosPublicadosEn,
+          version:         row.version,
           estado:          row.estado,
           createdAt:       row.encuestaCreatedAt,
           updatedAt:       row.encuestaUpdatedAt,
@@ -197,6 +206,10 @@ router.post('/completo', async (req, res) => {
           encObj._pregMap[pregId] = {
             id:        pregId,
             text:      row.pregunta_text,
+            tipo:        row.pregunta_tipo,
+            obligatoria: Boolean(row.pregunta_obligatoria),
+            config:      parsearJson(row.pregunta_config),
+            condicion:   parsearJson(row.pregunta_condicion),
             createdAt: row.preguntaCreatedAt,
             updatedAt: row.preguntaUpdatedAt,
             options:   []
@@ -217,6 +230,7 @@ router.post('/completo', async (req, res) => {
 
     const resultado = Object.values(encuestaMap)[0];
     delete resultado._pregMap;
+    resultado.audiencia = (await audienciaService.audienciasPorEncuesta([encuestaId])).get(encuestaId) || null;
 
     return res.status(201).json(resultado);
   } catch (err) {
@@ -227,6 +241,100 @@ router.post('/completo', async (req, res) => {
   }
 });
 
+// ========================================
+// 📚 PLANTILLAS Y CLONACIÓN
+// ========================================
+function responderCreada(res, resultado, message) {
+  if (!resultado.ok) {
+    return res.status(resultado.status).json({ error: resultado.error });
+  }
+  res.status(201).json({ message, id: resultado.encuestaId });
+}
+
+// GET /api/encuestas-votaciones/plantillas → biblioteca de plantillas
+router.get('/plantillas', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    res.json(await plantillasService.listarPlantillas());
+  } catch (err) {
+    console.error('Error GET /plantillas:', err);
+    res.status(500).json({ error: 'Error interno al listar plantillas.' });
+  }
+});
+
+// GET /api/encuestas-votaciones/plantillas/:plantillaId → definición completa
+router.get('/plantillas/:plantillaId', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    const plantilla = await plantillasService.obtenerPlantilla(req.params.plantillaId);
+    if (!plantilla) return res.status(404).json({ error: 'Plantilla no encontrada.' });
+    res.json(plantilla);
+  } catch (err) {
+    console.error('Error GET /plantillas/:plantillaId:', err);
+    res.status(500).json({ error: 'Error interno al obtener la plantilla.' });
+  }
+});
+
+/**
+ * POST /api/encuestas-votaciones/plantillas
+ * Body: { nombre, type, title, description?, voto_secreto?, politica_respuestas?,
+ *         questions, audiencia? } (igual que /completo, sin fechas)
+ *   o   { nombre, encuesta_id } para guardar una encuesta existente.
+ */
+router.post('/plantillas', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    const resultado = await plantillasService.crearPlantilla(req.body || {}, req.user.sub);
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.status(201).json({ message: 'Plantilla guardada.', id: resultado.plantillaId });
+  } catch (err) {
+    console.error('Error POST /plantillas:', err);
+    res.status(500).json({ error: 'Error interno al guardar la plantilla.' });
+  }
+});
+
+router.delete('/plantillas/:plantillaId', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    const resultado = await plantillasService.eliminarPlantilla(req.params.plantillaId);
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json({ message: 'Plantilla eliminada.' });
+  } catch (err) {
+    console.error('Error DELETE /plantillas/:plantillaId:', err);
+    res.status(500).json({ error: 'Error interno al eliminar la plantilla.' });
+  }
+});
+
+/**
+ * POST /api/encuestas-votaciones/plantillas/:plantillaId/instanciar
+ * Body: { publication_date, publication_time, close_date, close_time,
+ *         title?, description?, audiencia? }
+ */
+router.post('/plantillas/:plantillaId/instanciar', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    const resultado = await plantillasService.instanciarPlantilla(req.params.plantillaId, req.body || {});
+    responderCreada(res, resultado, 'Encuesta creada desde la plantilla.');
+  } catch (err) {
+    console.error('Error POST /plantillas/:plantillaId/instanciar:', err);
+    res.status(500).json({ error: 'Error interno al crear la encuesta desde la plantilla.' });
+  }
+});
+
+/**
+ * POST /api/encuestas-votaciones/:id/clonar
+ * Copia preguntas, opciones, audiencia y configuración con fechas nuevas.
+ * Body igual que al instanciar una plantilla.
+ */
+router.post('/:id/clonar', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    const resultado = await plantillasService.clonarEncuesta(req.params.id, req.body || {});
+    responderCreada(res, resultado, 'Encuesta clonada.');
+  } catch (err) {
+    console.error('Error POST /:id/clonar:', err);
+    res.status(500).json({ error: 'Error interno al clonar la encuesta.' });
+  }
+});
+
 
 /**
  * 4) Obtener todas las encuestas/votaciones junto con sus preguntas y opciones
@@ -247,6 +355,10 @@ router.get('/', async (req, res) => {
         e.publication_time      AS publicationTime,
         e.close_date            AS closeDate,
         e.close_time            AS closeTime,
+        e.voto_secreto          AS votoSecreto,
+        e.politica_respuestas   AS politicaRespuestas,
+        e.resultados_publicados_en AS resultadosPublicadosEn,
+        e.version               AS version,
         CASE
           WHEN CONCAT(e.publication_date, ' ', e.publication_time) > NOW() THEN 'Programado'
           WHEN CONCAT(e.close_date,       ' ', e.close_time)       < NOW() THEN 'Cerrado'
@@ -257,6 +369,10 @@ router.get('/', async (req, res) => {
 
         p.id                    AS pregunta_id,
         p.text                  AS pregunta_text,
+        p.tipo                  AS pregunta_tipo,
+        p.obligatoria           AS pregunta_obligatoria,
+        p.config                AS pregunta_config,
+        p.condicion             AS pregunta_condicion,
         p.created_at            AS preguntaCreatedAt,
         p.updated_at            AS preguntaUpdatedAt,
 
@@ -289,6 +405,10 @@ router.get('/', async (req, res) => {
           publicationTime: row.publicationTime,
           closeDate:       row.closeDate,
           closeTime:       row.closeTime,
+          votoSecreto:     Boolean(row.votoSecreto),
+          politicaRespuestas: row.politicaRespuestas,
+          resultadosPublicadosEn: row.resultadosPublicadosEn,
+          version:         row.version,
           estado:          row.estado,
           createdAt:       row.encuestaCreatedAt,
           updatedAt:       row.encuestaUpdatedAt,
@@ -305,6 +425,10 @@ router.get('/', async (req, res) => {
           const nuevaPregunta = {
             id:        preguntaId,
             text:      row.pregunta_text,
+            tipo:        row.pregunta_tipo,
+            obligatoria: Boolean(row.pregunta_obligatoria),
+            config:      parsearJson(row.pregunta_config),
+            condicion:   parsearJson(row.pregunta_condicion),
             createdAt: row.preguntaCreatedAt,
             updatedAt: row.preguntaUpdatedAt,
             options:   []
@@ -325,8 +449,10 @@ router.get('/', async (req, res) => {
       }
     });
 
+    const audiencias = await audienciaService.audienciasPorEncuesta(Object.keys(encuestasMap).map(Number));
     const resultado = Object.values(encuestasMap).map(enc => {
       delete enc._preguntasMap;
+      enc.audiencia = audiencias.get(enc.id) || null;
       return enc;
     });
 
@@ -338,7 +464,8 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/encuestas-votaciones/activas-usuario
-// Devuelve solo encuestas/votaciones en estado “Activo” que este user no haya respondido
+// Devuelve solo encuestas/votaciones en estado “Activo”, dirigidas a este user,
+// que no haya respondido
 router.get('/activas-usuario', refreshSession,
     requireAuth,
    async (req, res) => {
@@ -359,15 +486,21 @@ router.get('/activas-usuario', refreshSession,
       LEFT JOIN respuestas_encuesta r
         ON r.encuesta_id = e.id
         AND r.user_id = ?
+      LEFT JOIN votacion_participacion vp
+        ON vp.encuesta_id = e.id
+        AND vp.user_id = ?
       WHERE
         -- filtro estado “Activo”:
         CONCAT(e.publication_date, ' ', e.publication_time) <= NOW()
         AND CONCAT(e.close_date, ' ', e.close_time) > NOW()
         -- plus, no debe haber ninguna respuesta de este usuario
         AND r.id IS NULL
+        AND vp.id IS NULL
+        -- y que su perfil esté en la audiencia
+        AND ${audienciaService.condicionElegible('e.id', '?')}
       ORDER BY e.close_date ASC, e.close_time ASC
       `,
-      [usuarioId]
+      [usuarioId, usuarioId, usuarioId]
     );
     res.json(rows);
   } catch (err) {
@@ -380,40 +513,63 @@ router.get('/activas-usuario', refreshSession,
 // Guarda las respuestas de un usuario a una encuesta/votación
 // -----------------------------
 router.post('/respuestas', refreshSession,
-    requireAuth,
+    authorize('encuestas:responder'),
   async (req, res) => {
   const usuarioId = req.user.sub;
   const { encuesta_id, respuestas } = req.body;
   if (!encuesta_id || !Array.isArray(respuestas) || respuestas.length === 0) {
     return res.status(400).json({ error: 'Debe enviar encuesta_id y un arreglo de respuestas.' });
   }
+
   try {
-    // Iniciamos transacción para asegurar consistencia
-    await pool.query('START TRANSACTION');
+    if (!(await audienciaService.esElegible(encuesta_id, usuarioId))) {
+      return res.status(403).json({ error: 'Esta encuesta no está dirigida a tu perfil.' });
+    }
+  } catch (err) {
+    console.error('Error al verificar audiencia:', err);
+    return res.status(500).json({ error: 'No se pudieron registrar las respuestas.' });
+  }
 
-    for (let { pregunta_id, opcion_id } of respuestas) {
-      // Insertamos o actualizamos la respuesta del usuario
-      await pool.query(
-        `
-        INSERT INTO respuestas_encuesta 
-          (encuesta_id, pregunta_id, opcion_id, user_id)
-        VALUES (?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE responded_at = NOW()
-        `,
-        [encuesta_id, pregunta_id, opcion_id, usuarioId]
-      );
+  // Votación secreta: la participación y la boleta se guardan por separado
+  try {
+    if (await votacionSecretaService.esVotoSecreto(encuesta_id)) {
+      const resultado = await votacionSecretaService.emitirVoto(encuesta_id, usuarioId, respuestas);
+      if (!resultado.ok) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      // El voto ya es definitivo: si falla el recálculo de puntos, el recibo se entrega igual
+      try {
+        await pool.query("CALL sp_actualizar_puntos_usuario(?)", [usuarioId]);
+      } catch (puntosError) {
+        console.error('⚠️ No se pudieron actualizar los puntos tras el voto secreto:', puntosError.message);
+      }
+      return res.status(201).json({
+        message: 'Voto registrado. Guarda tu recibo: no se volverá a mostrar.',
+        recibo: resultado.recibo
+      });
     }
+  } catch (err) {
+    console.error('Error al registrar voto secreto:', err);
+    return res.status(500).json({ error: 'No se pudo registrar el voto.' });
+  }
 
-   
-    await pool.query('COMMIT');
+  try {
+    // Periodo abierto, respuestas válidas y completas, y política de edición
+    const resultado = await preguntasService.registrarRespuestas(encuesta_id, usuarioId, respuestas);
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
 
 // ✅ Actualizar puntos del usuario automáticamente
 await pool.query("CALL sp_actualizar_puntos_usuario(?)", [usuarioId]);
 
-res.json({ message: 'Respuestas guardadas correctamente y puntos actualizados.' });
+res.json({
+  message: resultado.editadas
+    ? 'Respuestas actualizadas correctamente.'
+    : 'Respuestas guardadas correctamente y puntos actualizados.'
+});
 
   } catch (err) {
-    await pool.query('ROLLBACK');
     console.error('Error al guardar respuestas:', err);
     res.status(500).json({ error: 'No se pudieron registrar las respuestas.' });
   }
@@ -437,19 +593,32 @@ router.get(
           e.description          AS description,
           e.close_date           AS closeDate,
           CASE
-            WHEN r.id IS NULL THEN 'No contestada'
+            WHEN r.id IS NULL AND vp.id IS NULL THEN 'No contestada'
             ELSE 'Contestada'
-          END                    AS estado
+          END                    AS estado,
+          e.politica_respuestas  AS politicaRespuestas,
+          -- puede volver a enviar respuestas (editables y aún abierta)
+          (r.id IS NOT NULL AND e.politica_respuestas = 'editables'
+           AND CONCAT(e.close_date, ' ', e.close_time) > NOW()) AS editable,
+          -- resultados ya visibles: cerró o el comité los publicó (una votación secreta, solo al cierre)
+          (CONCAT(e.close_date, ' ', e.close_time) <= NOW()
+           OR (e.voto_secreto = 0 AND COALESCE(e.resultados_publicados_en <= NOW(), 0))) AS resultadosVisibles
         FROM encuestas_votaciones e
         LEFT JOIN respuestas_encuesta r
           ON r.encuesta_id = e.id
          AND r.user_id      = ?
+        LEFT JOIN votacion_participacion vp
+          ON vp.encuesta_id = e.id
+         AND vp.user_id     = ?
         WHERE
           -- Que ya estén publicadas (activas o terminadas)
           CONCAT(e.publication_date, ' ', e.publication_time) <= NOW()
+          -- dirigidas a este user (o que ya contestó)
+          AND (r.id IS NOT NULL OR vp.id IS NOT NULL
+               OR ${audienciaService.condicionElegible('e.id', '?')})
         ORDER BY e.close_date DESC, e.close_time DESC
         `,
-        [usuarioId]
+        [usuarioId, usuarioId, usuarioId]
       );
       res.json(rows);
     } catch (err) {
@@ -459,9 +628,31 @@ router.get(
   }
 );
 
+// GET /api/encuestas-votaciones/:id/mis-respuestas
+// Respuestas propias (para editarlas si la política lo permite)
+router.get('/:id/mis-respuestas', refreshSession, requireAuth, async (req, res) => {
+  const encuestaId = Number(req.params.id);
+  if (!Number.isInteger(encuestaId)) {
+    return res.status(400).json({ error: 'ID de encuesta inválido.' });
+  }
+
+  try {
+    // En votaciones secretas no hay forma de saberlo: la boleta es anónima
+    if (await votacionSecretaService.esVotoSecreto(encuestaId)) {
+      return res.status(409).json({ error: 'En una votación secreta las respuestas no se asocian al votante.' });
+    }
+    const respuestas = await preguntasService.obtenerRespuestasUsuario(encuestaId, req.user.sub);
+    res.json({ respuestas });
+  } catch (err) {
+    console.error('Error GET /mis-respuestas:', err);
+    res.status(500).json({ error: 'Error interno al obtener tus respuestas.' });
+  }
+});
+
 // GET /api/encuestas-votaciones/:id/participantes
-//  Devuelve datos de la encuesta y lista de usuarios que sí respondieron
-router.get('/:id/participantes', async (req, res) => {
+//  Devuelve datos de la encuesta y lista de usuarios que sí respondieron.
+//  Solo para quien gestiona encuestas: con las respuestas se rehace el conteo
+router.get('/:id/participantes', authorize('encuestas:gestionar'), async (req, res) => {
   const encuestaId = Number(req.params.id);
   if (!Number.isInteger(encuestaId)) {
     return res.status(400).json({ error: 'ID de encuesta inválido.' });
@@ -475,7 +666,8 @@ router.get('/:id/participantes', async (req, res) => {
          publication_date     AS publicationDate,
          publication_time     AS publicationTime,
          close_date           AS closeDate,
-         close_time           AS closeTime
+         close_time           AS closeTime,
+         voto_secreto         AS votoSecreto
        FROM encuestas_votaciones
        WHERE id = ?`,
       [encuestaId]
@@ -484,6 +676,27 @@ router.get('/:id/participantes', async (req, res) => {
       return res.status(404).json({ error: 'Encuesta/Votación no encontrada.' });
     }
 
+    // Votación secreta: solo quién votó y qué día, nunca qué votó
+    if (enc[0].votoSecreto) {
+      const [part] = await pool.query(
+        `SELECT
+           u.id                     AS userId,
+           u.nombre,
+           u.apellido_paterno       AS apellidoPaterno,
+           u.apellido_materno       AS apellidoMaterno,
+           au.correo_electronico    AS email,
+           DATE_FORMAT(vp.votado_en, '%Y-%m-%d') AS respondedAt
+         FROM votacion_participacion vp
+         JOIN perfil_usuarios u    ON u.id       = vp.user_id
+         JOIN autenticacion_usuarios au ON au.id  = u.id
+         WHERE vp.encuesta_id = ?
+           AND au.estatus = 'Activo'
+         ORDER BY u.apellido_paterno, u.nombre`,
+        [encuestaId]
+      );
+      return res.json({ encuesta: enc[0], participantes: part });
+    }
+
     // 2) Participantes
     const [part] = await pool.query(
       `SELECT
@@ -494,6 +707,8 @@ router.get('/:id/participantes', async (req, res) => {
          au.correo_electronico    AS email,
          r.pregunta_id            AS preguntaId,
          r.opcion_id              AS opcionId,
+         r.valor_numerico         AS valor,
+         r.valor_texto            AS texto,
          r.responded_at           AS respondedAt
        FROM respuestas_encuesta r
        JOIN perfil_usuarios u    ON u.id       = r.user_id
@@ -515,8 +730,8 @@ router.get('/:id/participantes', async (req, res) => {
 });
 
 // GET /api/encuestas-votaciones/:id/no-participantes
-//  Devuelve datos de la encuesta y lista de usuarios que NO respondieron
-router.get('/:id/no-participantes', async (req, res) => {
+//  Devuelve datos de la encuesta y lista de usuarios de su audiencia que NO respondieron
+router.get('/:id/no-participantes', authorize('encuestas:gestionar'), async (req, res) => {
   const encuestaId = Number(req.params.id);
   if (!Number.isInteger(encuestaId)) {
     return res.status(400).json({ error: 'ID de encuesta inválido.' });
@@ -530,7 +745,8 @@ router.get('/:id/no-participantes', async (req, res) => {
          publication_date     AS publicationDate,
          publication_time     AS publicationTime,
          close_date           AS closeDate,
-         close_time           AS closeTime
+         close_time           AS closeTime,
+         voto_secreto         AS votoSecreto
        FROM encuestas_votaciones
        WHERE id = ?`,
       [encuestaId]
@@ -554,9 +770,14 @@ router.get('/:id/no-participantes', async (req, res) => {
            SELECT user_id
            FROM respuestas_encuesta
            WHERE encuesta_id = ?
+           UNION
+           SELECT user_id
+           FROM votacion_participacion
+           WHERE encuesta_id = ?
          )
+         AND ${audienciaService.condicionElegible('?', 'u.id')}
        ORDER BY u.apellido_paterno, u.nombre`,
-      [encuestaId]
+      [encuestaId, encuestaId, encuestaId]
     );
 
     return res.json({
@@ -569,188 +790,230 @@ router.get('/:id/no-participantes', async (req, res) => {
   }
 });
 /**
- * GET /api/encuestas-votaciones/:id/estadisticas
- *  – total de usuarios que respondieron la encuesta
- *  – para cada pregunta, cuántos votos recibió cada opción
- *  – además devuelve type, publication_date y publication_time
+ * GET /api/encuestas-votaciones/:id/recibos/:recibo
+ * El votante confirma que su boleta está en el conteo (no muestra el voto)
  */
-router.get('/:id/estadisticas', async (req, res) => {
+router.get('/:id/recibos/:recibo', async (req, res) => {
   const encuestaId = Number(req.params.id);
   if (!Number.isInteger(encuestaId)) {
     return res.status(400).json({ error: 'ID de encuesta inválido.' });
   }
 
   try {
-    // 1) Validamos que exista y traemos los campos necesarios
-    const [[enc]] = await pool.query(
-      `
-      SELECT
-        id,
-        type,
-        title,
-        publication_date     AS publicationDate,
-        publication_time     AS publicationTime
-      FROM encuestas_votaciones
-      WHERE id = ?
-      `,
-      [encuestaId]
-    );
-    if (!enc) return res.status(404).json({ error: 'Encuesta no encontrada.' });
-
-    // 2) Total de participantes distintos
-    const [[{ totalRespondieron }]] = await pool.query(
-      `
-      SELECT COUNT(DISTINCT user_id) AS totalRespondieron
-      FROM respuestas_encuesta
-      WHERE encuesta_id = ?
-      `,
-      [encuestaId]
-    );
+    const resultado = await votacionSecretaService.verificarRecibo(encuestaId, req.params.recibo);
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json({ contada: resultado.contada });
+  } catch (err) {
+    console.error('Error GET /recibos:', err);
+    res.status(500).json({ error: 'Error interno al verificar el recibo.' });
+  }
+});
 
-    // 3) Estadísticas por pregunta y opción
-    const [rows] = await pool.query(
-      `
-      SELECT
-        p.id               AS preguntaId,
-        p.text             AS preguntaText,
-        o.id               AS opcionId,
-        o.text             AS opcionText,
-        COUNT(r.id)        AS votos
-      FROM preguntas_encuesta p
-      JOIN opciones_encuesta o
-        ON o.pregunta_id = p.id
-      LEFT JOIN respuestas_encuesta r
-        ON r.pregunta_id = p.id
-       AND r.opcion_id  = o.id
-       AND r.encuesta_id = ?
-      WHERE p.encuesta_id = ?
-      GROUP BY p.id, o.id
-      ORDER BY p.id, o.id
-      `,
-      [encuestaId, encuestaId]
-    );
+/**
+ * GET /api/encuestas-votaciones/:id/estadisticas
+ *  – total de usuarios que respondieron la encuesta, tamaño de su audiencia
+ *    (agremiados activos a los que va dirigida) y porcentaje de participación
+ *  – para cada pregunta, cuántos votos recibió cada opción y un `resumen`
+ *    según su tipo (promedio y distribución, ranking, respuestas abiertas)
+ *  – además devuelve type, publication_date y publication_time
+ * Los agremiados solo la ven al cierre o cuando el comité publica los
+ * resultados; quien gestiona encuestas la ve siempre, salvo el conteo de
+ * una votación secreta, que nadie ve antes del cierre.
+ */
+const puedeVerResultados = (req, { encuesta }) =>
+  !encuesta.conteoOculto
+  && (encuesta.resultadosVisibles || tienePermiso(req.user.role, 'encuestas:gestionar'));
+
+const resultadosNoPublicados = (res, { encuesta }) =>
+  res.status(403).json({
+    error: encuesta.conteoOculto
+      ? 'El conteo de una votación secreta se conoce al cierre.'
+      : 'Los resultados se publican al cierre.',
+    disponibleEn: encuesta.disponibleEn
+  });
+
+router.get('/:id/estadisticas', authenticate, async (req, res) => {
+  const encuestaId = Number(req.params.id);
+  if (!Number.isInteger(encuestaId)) {
+    return res.status(400).json({ error: 'ID de encuesta inválido.' });
+  }
 
-    // 4) Re-armado en estructura anidada
-    const statsMap = {};
-    rows.forEach(r => {
-      if (!statsMap[r.preguntaId]) {
-        statsMap[r.preguntaId] = {
-          preguntaId:   r.preguntaId,
-          preguntaText: r.preguntaText,
-          opciones:     []
-        };
-      }
-      statsMap[r.preguntaId].opciones.push({
-        opcionId:   r.opcionId,
-        opcionText: r.opcionText,
-        votos:      r.votos
-      });
-    });
+  try {
+    const resultados = await resultadosService.obtenerResultados(encuestaId);
+    if (!resultados) return res.status(404).json({ error: 'Encuesta no encontrada.' });
+    if (!puedeVerResultados(req, resultados)) return resultadosNoPublicados(res, resultados);
 
-    // 5) Devolvemos todo junto
-    return res.json({
-      encuesta: {
-        id:               enc.id,
-        title:            enc.title,
-        type:             enc.type,           // <-- aquí
-        publicationDate:  enc.publicationDate, // <-- y aquí
-        publicationTime:  enc.publicationTime  // <-- y aquí
-      },
-      totalRespondieron,
-      preguntas: Object.values(statsMap)
-    });
+    res.json(resultados);
   } catch (err) {
     console.error('Error GET /estadisticas:', err);
     res.status(500).json({ error: 'Error interno obteniendo estadísticas.' });
   }
 });
-// EDITAR encuesta/votación (sin auth para admin)
-router.put('/:id', async (req, res) => {
-  let conn;
-  try {
-    const encuestaId = Number(req.params.id);
-    if (!encuestaId) 
-      return res.status(400).json({ error: 'ID inválido.' });
 
-    const {
-      type,
-      title,
-      description = null,
-      publication_date,
-      publication_time,
-      close_date,
-      close_time,
-      questions
-    } = req.body;
+/**
+ * POST /api/encuestas-votaciones/:id/resultados/publicacion
+ * Publica los resultados antes del cierre. Body opcional { fecha } en hora
+ * local ('YYYY-MM-DD HH:mm') para programarlo.
+ */
+router.post('/:id/resultados/publicacion', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    const resultado = await resultadosService.publicarResultados(
+      Number(req.params.id), req.user.sub, req.body && req.body.fecha
+    );
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json({
+      message: 'Publicación de resultados registrada.',
+      publicacionProgramada: resultado.publicacionProgramada
+    });
+  } catch (err) {
+    console.error('Error POST /resultados/publicacion:', err);
+    res.status(500).json({ error: 'Error interno al publicar los resultados.' });
+  }
+});
 
-    if (
-      !type || !title ||
-      !publication_date || !publication_time ||
-      !close_date   || !close_time ||
-      !Array.isArray(questions)
-    ) {
-      return res.status(400).json({ error: 'Faltan campos obligatorios.' });
+// DELETE /api/encuestas-votaciones/:id/resultados/publicacion → ocultarlos hasta el cierre
+router.delete('/:id/resultados/publicacion', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    const resultado = await resultadosService.retirarPublicacion(Number(req.params.id));
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
     }
+    res.json({ message: 'Los resultados se publicarán al cierre.' });
+  } catch (err) {
+    console.error('Error DELETE /resultados/publicacion:', err);
+    res.status(500).json({ error: 'Error interno al retirar la publicación.' });
+  }
+});
 
-    conn = await pool.getConnection();
-    await conn.beginTransaction();
+/**
+ * GET /api/encuestas-votaciones/:id/resultados/exportar?formato=xlsx|csv
+ * XLSX con hojas Resumen, Resultados y Participación. CSV de una tabla:
+ * &contenido=resultados (por defecto) o participacion.
+ */
+router.get('/:id/resultados/exportar', authorize('encuestas:gestionar'), async (req, res) => {
+  const encuestaId = Number(req.params.id);
+  const formato = req.query.formato || 'xlsx';
+  if (!Number.isInteger(encuestaId)) {
+    return res.status(400).json({ error: 'ID de encuesta inválido.' });
+  }
 
-    // 1) Actualizar datos principales
-    await conn.query(
-      `UPDATE encuestas_votaciones
-         SET type=?, title=?, description=?, publication_date=?, publication_time=?,
-             close_date=?, close_time=?, updated_at=NOW()
-       WHERE id=?`,
-      [type, title, description, publication_date, publication_time, close_date, close_time, encuestaId]
-    );
+  try {
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
 
-    // 2) Borrar preguntas y opciones antiguas
-    await conn.query(
-      `DELETE o FROM opciones_encuesta o
-         JOIN preguntas_encuesta p ON p.id=o.pregunta_id
-       WHERE p.encuesta_id=?`,
-      [encuestaId]
-    );
-    await conn.query(
-      `DELETE FROM preguntas_encuesta WHERE encuesta_id=?`,
-      [encuestaId]
-    );
+    if (formato === 'xlsx') {
+      const archivo = await resultadosService.generarXlsx(encuestaId);
+      if (!archivo.ok) {
+        return res.status(archivo.status).json({ error: archivo.error });
+      }
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${archivo.nombreArchivo}"`);
+      return res.send(archivo.buffer);
+    }
 
-    // 3) Insertar preguntas y opciones nuevas
-    for (let { text, options } of questions) {
-      const [r] = await conn.query(
-        `INSERT INTO preguntas_encuesta (encuesta_id, text) VALUES (?, ?)`,
-        [encuestaId, text.trim()]
-      );
-      const preguntaId = r.insertId;
-
-      if (Array.isArray(options) && options.length) {
-        const ph = options.map(() => '(?, ?)').join(', ');
-        const vals = [];
-        options.forEach(opt => vals.push(preguntaId, opt.trim()));
-        await conn.query(
-          `INSERT INTO opciones_encuesta (pregunta_id, text) VALUES ${ph}`,
-          vals
-        );
+    if (formato === 'csv') {
+      const archivo = await resultadosService.generarCsv(encuestaId, req.query.contenido);
+      if (!archivo.ok) {
+        return res.status(archivo.status).json({ error: archivo.error });
       }
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${archivo.nombreArchivo}"`);
+      return res.send('\ufeff' + archivo.csv); // BOM: Excel respeta los acentos
     }
 
-    await conn.commit();
-    conn.release();
+    res.status(400).json({ error: "formato debe ser 'xlsx' o 'csv'." });
+  } catch (err) {
+    console.error('Error GET /resultados/exportar:', err);
+    res.status(500).json({ error: 'Error interno al exportar los resultados.' });
+  }
+});
 
-    res.json({ message: 'Encuesta actualizada correctamente', id: encuestaId });
+// GET /api/encuestas-votaciones/:id/resultados/constancia → PDF del resultado
+router.get('/:id/resultados/constancia', authenticate, async (req, res) => {
+  const encuestaId = Number(req.params.id);
+  if (!Number.isInteger(encuestaId)) {
+    return res.status(400).json({ error: 'ID de encuesta inválido.' });
+  }
+
+  try {
+    const pdf = await resultadosService.generarConstancia(encuestaId);
+    if (!pdf) return res.status(404).json({ error: 'Encuesta no encontrada.' });
+    if (!puedeVerResultados(req, pdf.resultados)) return resultadosNoPublicados(res, pdf.resultados);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${pdf.nombreArchivo}"`);
+    pdf.doc.pipe(res);
+    pdf.doc.end();
   } catch (err) {
-    if (conn) {
-      await conn.rollback();
-      conn.release();
+    console.error('Error GET /resultados/constancia:', err);
+    res.status(500).json({ error: 'Error interno al generar la constancia.' });
+  }
+});
+/**
+ * EDITAR encuesta/votación
+ * PUT /api/encuestas-votaciones/:id — mismo body que /completo, más
+ * `version` (opcional) para detectar ediciones simultáneas.
+ *  - Sin respuestas se puede cambiar todo.
+ *  - Con respuestas solo se corrigen textos (título, descripción, preguntas,
+ *    opciones, etiquetas Likert) y se amplía el cierre; lo demás responde
+ *    409 con la lista `noPermitidos`. En una votación con votos los textos
+ *    de las opciones tampoco cambian.
+ *  - Ya cerrada, el cierre no se puede cambiar.
+ */
+router.put('/:id', authorize('encuestas:gestionar'), async (req, res) => {
+  const encuestaId = Number(req.params.id);
+  if (!encuestaId)
+    return res.status(400).json({ error: 'ID inválido.' });
+
+  try {
+    const resultado = await edicionService.editarEncuesta(encuestaId, req.body || {}, req.user.sub);
+    if (!resultado.ok) {
+      const { status, error, noPermitidos } = resultado;
+      return res.status(status).json(noPermitidos ? { error, noPermitidos } : { error });
     }
+
+    res.json({
+      message: resultado.cambios.length ? 'Encuesta actualizada correctamente' : 'Sin cambios',
+      id: encuestaId,
+      version: resultado.version,
+      cambios: resultado.cambios
+    });
+  } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Error interno al editar encuesta.' });
   }
 });
+
+// GET /api/encuestas-votaciones/:id/cambios → quién cambió qué en cada versión
+router.get('/:id/cambios', authorize('encuestas:gestionar'), async (req, res) => {
+  try {
+    res.json(await edicionService.listarCambios(req.params.id));
+  } catch (err) {
+    console.error('Error GET /cambios:', err);
+    res.status(500).json({ error: 'Error interno al obtener el historial de cambios.' });
+  }
+});
+
+// GET /api/encuestas-votaciones/:id/correcciones → textos corregidos después de responder
+router.get('/:id/correcciones', authenticate, async (req, res) => {
+  const encuestaId = Number(req.params.id);
+  if (!Number.isInteger(encuestaId)) {
+    return res.status(400).json({ error: 'ID de encuesta inválido.' });
+  }
+
+  try {
+    res.json(await edicionService.listarCorrecciones(encuestaId));
+  } catch (err) {
+    console.error('Error GET /correcciones:', err);
+    res.status(500).json({ error: 'Error interno al obtener las correcciones.' });
+  }
+});
 // DELETE /api/encuestas-votaciones/:id
 // Elimina encuesta/votación y todo su contenido relacionado
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('encuestas:gestionar'), async (req, res) => {
   const encuestaId = Number(req.params.id);
   if (!Number.isInteger(encuestaId)) {
     return res.status(400).json({ error: 'ID de encuesta inválido.' });
@@ -0,0 +1,162 @@
+// ========================================
+// 📦 services/encuestas_audiencia_service.js
+// Audiencia de encuestas y votaciones por universidad, programa educativo,
+// nivel educativo, rol sindical y puesto. Sin reglas, la encuesta es para
+// todos; con reglas, un agremiado es elegible si coincide con algún valor
+// de cada dimensión que tenga reglas.
+// ========================================
+
+const pool = require('../bd');
+
+// Clave del body → dimensión, columna de perfil_usuarios y catálogo
+const DIMENSIONES = {
+  universidades: { dimension: 'universidad', columna: 'universidad_id', catalogo: 'universidades' },
+  programas: { dimension: 'programa', columna: 'programa_id', catalogo: 'programas_educativos' },
+  niveles: { dimension: 'nivel', columna: 'nivel_id', catalogo: 'niveles_educativos' },
+  roles: { dimension: 'rol', columna: 'rol_sindicato_id', catalogo: 'roles_sindicato' },
+  puestos: { dimension: 'puesto', columna: 'puesto_id', catalogo: 'puestos_universidad' },
+};
+
+const COLUMNA_POR_DIMENSION = Object.values(DIMENSIONES)
+  .map((d) => `WHEN '${d.dimension}' THEN pa.${d.columna}`)
+  .join(' ');
+
+/**
+ * Condición SQL "el usuario es elegible para la encuesta". Recibe las
+ * expresiones de ambos ids (columna o `?`). Una dimensión excluye al
+ * usuario si ninguno de sus valores coincide con su perfil.
+ */
+function condicionElegible(encuestaExpr, usuarioExpr) {
+  return `NOT EXISTS (
+    SELECT 1
+    FROM encuestas_audiencia ea
+    JOIN perfil_usuarios pa ON pa.id = ${usuarioExpr}
+    WHERE ea.encuesta_id = ${encuestaExpr}
+    GROUP BY ea.dimension
+    HAVING SUM(ea.valor_id <=> CASE ea.dimension ${COLUMNA_POR_DIMENSION} END) = 0
+  )`;
+}
+
+// ========================================
+// 📝 DEFINICIÓN
+// ========================================
+/**
+ * Valida `audiencia: { universidades?, programas?, niveles?, roles?, puestos? }`
+ * (arrays de ids). Devuelve { ok: true, reglas: [[dimension, id]] }.
+ */
+async function validarAudiencia(audiencia, conn = pool) {
+  if (audiencia === null || audiencia === undefined) return { ok: true, reglas: [] };
+  if (typeof audiencia !== 'object' || Array.isArray(audiencia)) {
+    return { ok: false, status: 400, error: 'audiencia debe ser un objeto con listas de ids.' };
+  }
+
+  const reglas = [];
+  for (const [clave, valores] of Object.entries(audiencia)) {
+    const definicion = DIMENSIONES[clave];
+    if (!definicion) {
+      return {
+        ok: false,
+        status: 400,
+        error: `Dimensión de audiencia desconocida: ${clave} (${Object.keys(DIMENSIONES).join(', ')}).`
+      };
+    }
+    if (!Array.isArray(valores) || valores.some((v) => !Number.isInteger(Number(v)))) {
+      return { ok: false, status: 400, error: `audiencia.${clave} debe ser una lista de ids.` };
+    }
+    const ids = [...new Set(valores.map(Number))];
+    if (ids.length === 0) continue;
+
+    const [existentes] = await conn.query(
+      `SELECT id FROM ${definicion.catalogo} WHERE id IN (?)`,
+      [ids]
+    );
+    if (existentes.length !== ids.length) {
+      return { ok: false, status: 400, error: `Algún id de audiencia.${clave} no existe.` };
+    }
+    ids.forEach((id) => reglas.push([definicion.dimension, id]));
+  }
+
+  return { ok: true, reglas };
+}
+
+// Reemplaza las reglas de la encuesta (sin reglas = para todos)
+async function guardarAudiencia(conn, encuestaId, reglas) {
+  await conn.query('DELETE FROM encuestas_audiencia WHERE encuesta_id = ?', [encuestaId]);
+  if (reglas.length === 0) return;
+  await conn.query(
+    'INSERT INTO encuestas_audiencia (encuesta_id, dimension, valor_id) VALUES ?',
+    [reglas.map(([dimension, id]) => [encuestaId, dimension, id])]
+  );
+}
+
+/**
+ * Audiencia de varias encuestas: Map encuestaId → { universidades: [ids], ... }.
+ * Las encuestas para todos no aparecen en el mapa.
+ */
+async function audienciasPorEncuesta(encuestaIds) {
+  const audiencias = new Map();
+  if (encuestaIds.length === 0) return audiencias;
+
+  const [filas] = await pool.query(
+    `SELECT encuesta_id, dimension, valor_id
+     FROM encuestas_audiencia
+     WHERE encuesta_id IN (?)
+     ORDER BY encuesta_id, dimension, valor_id`,
+    [encuestaIds]
+  );
+  const claves = Object.fromEntries(Object.entries(DIMENSIONES).map(([clave, d]) => [d.dimension, clave]));
+  for (const fila of filas) {
+    if (!audiencias.has(fila.encuesta_id)) audiencias.set(fila.encuesta_id, {});
+    const audiencia = audiencias.get(fila.encuesta_id);
+    const clave = claves[fila.dimension];
+    (audiencia[clave] = audiencia[clave] || []).push(fila.valor_id);
+  }
+  return audiencias;
+}
+
+// ========================================
+// 👥 ELEGIBILIDAD
+// ========================================
+async function esElegible(encuestaId, usuarioId) {
+  const [[fila]] = await pool.query(
+    `SELECT ${condicionElegible('?', '?')} AS elegible`,
+    [usuarioId, encuestaId]
+  );
+  return Boolean(fila && fila.elegible);
+}
+
+// Agremiados activos a los que va dirigida la encuesta
+async function contarAudiencia(encuestaId) {
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total
+     FROM perfil_usuarios u
+     JOIN autenticacion_usuarios au ON au.id = u.id
+     WHERE au.estatus = 'Activo'
+       AND ${condicionElegible('?', 'u.id')}`,
+    [encuestaId]
+  );
+  return total;
+}
+
+// Ids de los usuarios activos elegibles, para avisos de la bandeja
+async function usuariosElegibles(encuestaId) {
+  const [filas] = await pool.query(
+    `SELECT u.id
+     FROM perfil_usuarios u
+     JOIN autenticacion_usuarios au ON au.id = u.id
+     WHERE au.estatus = 'Activo' AND au.registro_completado = 1
+       AND ${condicionElegible('?', 'u.id')}`,
+    [encuestaId]
+  );
+  return filas.map((f) => f.id);
+}
+
+module.exports = {
+  condicionElegible,
+  validarAudiencia,
+  guardarAudiencia,
+  audienciasPorEncuesta,
+  esElegible,
+  contarAudiencia,
+  usuariosElegibles,
+};
@@ -0,0 +1,354 @@
+// ========================================
+// 📦 services/encuestas_edicion_service.js
+// Edición versionada de encuestas y votaciones. Sin respuestas se puede
+// cambiar todo (las preguntas se reconstruyen); con respuestas solo se
+// corrigen textos y se amplía el cierre, actualizando en su lugar para no
+// tocar los ids a los que apuntan respuestas y boletas. Cada edición sube
+// la versión y queda en encuestas_cambios con el admin que la hizo; las
+// correcciones de texto también las puede consultar quien respondió.
+// ========================================
+
+const pool = require('../bd');
+const preguntasService = require('./encuestas_preguntas_service');
+const audienciaService = require('./encuestas_audiencia_service');
+
+const parsear = (valor) => (typeof valor === 'string' ? JSON.parse(valor) : valor);
+
+// JSON con llaves ordenadas, para comparar definiciones
+const canonico = (valor) => JSON.stringify(valor ?? null, (clave, v) =>
+  (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a.localeCompare(b)))
+    : v));
+const igual = (a, b) => canonico(a) === canonico(b);
+
+const fechaHora = (fecha, hora) => `${String(fecha).slice(0, 10)} ${String(hora).slice(0, 5)}`;
+
+// Las etiquetas de una escala Likert son texto: se pueden corregir
+function sinEtiquetas(config) {
+  if (!config) return config;
+  const { etiquetas, ...resto } = config;
+  return resto;
+}
+
+// ========================================
+// 🔍 DIFERENCIAS
+// ========================================
+function cambio(campo, antes, despues, permitidoConRespuestas) {
+  return { campo, antes, despues, permitidoConRespuestas };
+}
+
+/**
+ * Cambios de preguntas. Si la estructura es la misma (tipos, opciones,
+ * límites, condiciones) se listan los textos que cambian; si no, un solo
+ * cambio `preguntas` que no se permite con respuestas. Con `opcionesFijas`
+ * (votaciones) el texto de una opción tampoco: cambiaría lo que se votó.
+ */
+function compararPreguntas(antes, despues, { opcionesFijas = false } = {}) {
+  const mismaEstructura = antes.length === despues.length && antes.every((a, i) => {
+    const d = despues[i];
+    return a.tipo === d.tipo &&
+      a.obligatoria === d.obligatoria &&
+      a.options.length === d.options.length &&
+      igual(sinEtiquetas(a.config), sinEtiquetas(d.config)) &&
+      igual(a.condicion, d.condicion);
+  });
+  if (!mismaEstructura) {
+    return igual(antes, despues) ? [] : [cambio('preguntas', antes, despues, false)];
+  }
+
+  const cambios = [];
+  antes.forEach((a, i) => {
+    const d = despues[i];
+    if (a.text !== d.text) {
+      cambios.push(cambio(`preguntas[${i}].text`, a.text, d.text, true));
+    }
+    a.options.forEach((texto, j) => {
+      if (texto !== d.options[j]) {
+        cambios.push(cambio(`preguntas[${i}].options[${j}]`, texto, d.options[j], !opcionesFijas));
+      }
+    });
+    const etiquetasAntes = (a.config && a.config.etiquetas) || null;
+    const etiquetasDespues = (d.config && d.config.etiquetas) || null;
+    if (!igual(etiquetasAntes, etiquetasDespues)) {
+      cambios.push(cambio(`preguntas[${i}].config.etiquetas`, etiquetasAntes, etiquetasDespues, true));
+    }
+  });
+  return cambios;
+}
+
+function compararEncuesta(actual, nueva) {
+  const cambios = [];
+  const comparar = (campo, antes, despues, permitido) => {
+    if (!igual(antes, despues)) cambios.push(cambio(campo, antes, despues, permitido));
+  };
+
+  comparar('type', actual.type, nueva.type, false);
+  comparar('title', actual.title, nueva.title, true);
+  comparar('description', actual.description ?? null, nueva.description ?? null, true);
+  comparar('apertura', actual.apertura, nueva.apertura, false);
+  // Ampliar el cierre no afecta lo ya respondido; adelantarlo sí
+  comparar('cierre', actual.cierre, nueva.cierre, !actual.cerrada && nueva.cierre > actual.cierre);
+  comparar('voto_secreto', actual.votoSecreto, nueva.votoSecreto, false);
+  comparar('politica_respuestas', actual.politica, nueva.politica, false);
+  if (nueva.reglas) comparar('audiencia', actual.reglas, nueva.reglas, false);
+
+  return cambios.concat(compararPreguntas(actual.preguntas, nueva.preguntas, {
+    opcionesFijas: actual.type === 'Votación'
+  }));
+}
+
+// ========================================
+// ✏️ EDICIÓN
+// ========================================
+/**
+ * Aplica el PUT completo de una encuesta. `datos.version` (opcional) es la
+ * versión que el admin tenía abierta: si otra edición llegó antes, 409.
+ * Devuelve { ok: true, version, modo, cambios } o
+ * { ok: false, status, error, noPermitidos? }.
+ */
+async function editarEncuesta(encuestaId, datos, usuarioId) {
+  const {
+    type,
+    title,
+    description = null,
+    publication_date,
+    publication_time,
+    close_date,
+    close_time,
+    questions,
+    voto_secreto,
+    audiencia,
+    politica_respuestas,
+    version
+  } = datos;
+
+  if (
+    !type || !title ||
+    !publication_date || !publication_time ||
+    !close_date   || !close_time ||
+    !Array.isArray(questions)
+  ) {
+    return { ok: false, status: 400, error: 'Faltan campos obligatorios.' };
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.query("SET time_zone = '-06:00'");
+    await conn.beginTransaction();
+    const rechazar = async (status, error, extra = {}) => {
+      await conn.rollback();
+      return { ok: false, status, error, ...extra };
+    };
+
+    // Bloquea la encuesta: los envíos de respuestas esperan a que termine la edición
+    const [[actual]] = await conn.query(
+      `SELECT type, title, description, voto_secreto, politica_respuestas, version,
+              DATE_FORMAT(publication_date, '%Y-%m-%d') AS publication_date,
+              TIME_FORMAT(publication_time, '%H:%i')    AS publication_time,
+              DATE_FORMAT(close_date, '%Y-%m-%d')       AS close_date,
+              TIME_FORMAT(close_time, '%H:%i')          AS close_time,
+              TIMESTAMP(close_date, close_time) <= NOW() AS cerrada,
+              EXISTS(SELECT 1 FROM respuestas_encuesta WHERE encuesta_id = e.id)
+                OR EXISTS(SELECT 1 FROM votacion_participacion WHERE encuesta_id = e.id) AS tieneRespuestas
+       FROM encuestas_votaciones e WHERE id = ? FOR UPDATE`,
+      [encuestaId]
+    );
+    if (!actual) return rechazar(404, 'Encuesta no encontrada.');
+    if (version !== undefined && Number(version) !== actual.version) {
+      return rechazar(409, `La encuesta cambió mientras la editabas (ahora va en la versión ${actual.version}); recárgala antes de guardar.`);
+    }
+
+    const secreto = voto_secreto === undefined ? Boolean(actual.voto_secreto) : Boolean(voto_secreto);
+    if (secreto && type !== 'Votación') {
+      return rechazar(400, 'El voto secreto solo aplica a votaciones.');
+    }
+    const politica = politica_respuestas === undefined
+      ? (secreto ? 'definitivas' : actual.politica_respuestas)
+      : politica_respuestas;
+    if (!preguntasService.POLITICAS.includes(politica)) {
+      return rechazar(400, `politica_respuestas debe ser ${preguntasService.POLITICAS.join(' o ')}.`);
+    }
+    if (secreto && politica !== 'definitivas') {
+      return rechazar(400, 'En una votación secreta el voto es definitivo.');
+    }
+
+    const validacion = preguntasService.validarPreguntas(questions, { votoSecreto: secreto });
+    if (!validacion.ok) return rechazar(validacion.status, validacion.error);
+    // Sin `audiencia` en el body se conserva la actual
+    const validacionAudiencia = audiencia === undefined
+      ? null
+      : await audienciaService.validarAudiencia(audiencia, conn);
+    if (validacionAudiencia && !validacionAudiencia.ok) {
+      return rechazar(validacionAudiencia.status, validacionAudiencia.error);
+    }
+
+    const [reglasActuales] = await conn.query(
+      `SELECT dimension, valor_id FROM encuestas_audiencia
+       WHERE encuesta_id = ? ORDER BY dimension, valor_id`,
+      [encuestaId]
+    );
+    const ordenarReglas = (reglas) => reglas.map(([d, v]) => `${d}:${v}`).sort();
+
+    const cambios = compararEncuesta(
+      {
+        type: actual.type,
+        title: actual.title,
+        description: actual.description,
+        apertura: fechaHora(actual.publication_date, actual.publication_time),
+        cierre: fechaHora(actual.close_date, actual.close_time),
+        cerrada: Boolean(actual.cerrada),
+        votoSecreto: Boolean(actual.voto_secreto),
+        politica: actual.politica_respuestas,
+        reglas: ordenarReglas(reglasActuales.map((r) => [r.dimension, r.valor_id])),
+        preguntas: await preguntasService.definicionPreguntas(encuestaId, conn)
+      },
+      {
+        type,
+        title,
+        description,
+        apertura: fechaHora(publication_date, publication_time),
+        cierre: fechaHora(close_date, close_time),
+        votoSecreto: secreto,
+        politica,
+        reglas: validacionAudiencia && ordenarReglas(validacionAudiencia.reglas),
+        preguntas: validacion.preguntas
+      }
+    );
+    if (cambios.length === 0) {
+      await conn.rollback();
+      return { ok: true, version: actual.version, modo: null, cambios: [] };
+    }
+
+    // Cerrada, el cierre es definitivo: reabrirla cambiaría un resultado ya publicado
+    if (actual.cerrada && cambios.some((c) => c.campo === 'cierre')) {
+      return rechazar(409, 'La encuesta ya cerró; su cierre no se puede cambiar.', { noPermitidos: ['cierre'] });
+    }
+
+    let modo;
+    if (actual.tieneRespuestas) {
+      const noPermitidos = cambios.filter((c) => !c.permitidoConRespuestas).map((c) => c.campo);
+      if (noPermitidos.length) {
+        return rechazar(409,
+          actual.type === 'Votación'
+            ? 'La votación ya tiene votos: solo se pueden corregir el título, la descripción y los textos de las preguntas, y ampliar el cierre.'
+            : 'La encuesta ya tiene respuestas: solo se pueden corregir textos y ampliar el cierre.',
+          { noPermitidos });
+      }
+      modo = 'correccion';
+      await corregirEnSuLugar(conn, encuestaId, validacion.preguntas, cambios);
+      await conn.query(
+        `UPDATE encuestas_votaciones
+           SET title=?, description=?, close_date=?, close_time=?, updated_at=NOW()
+         WHERE id=?`,
+        [title, description, close_date, close_time, encuestaId]
+      );
+    } else {
+      modo = 'reconstruccion';
+      await conn.query(
+        `UPDATE encuestas_votaciones
+           SET type=?, title=?, description=?, publication_date=?, publication_time=?,
+               close_date=?, close_time=?, voto_secreto=?, politica_respuestas=?, updated_at=NOW()
+         WHERE id=?`,
+        [type, title, description, publication_date, publication_time, close_date, close_time,
+         secreto ? 1 : 0, politica, encuestaId]
+      );
+      await conn.query(
+        `DELETE o FROM opciones_encuesta o
+           JOIN preguntas_encuesta p ON p.id=o.pregunta_id
+         WHERE p.encuesta_id=?`,
+        [encuestaId]
+      );
+      await conn.query('DELETE FROM preguntas_encuesta WHERE encuesta_id=?', [encuestaId]);
+      await preguntasService.insertarPreguntas(conn, encuestaId, validacion.preguntas);
+      if (validacionAudiencia) {
+        await audienciaService.guardarAudiencia(conn, encuestaId, validacionAudiencia.reglas);
+      }
+    }
+
+    const nuevaVersion = actual.version + 1;
+    const registro = cambios.map(({ permitidoConRespuestas, ...c }) => c);
+    await conn.query('UPDATE encuestas_votaciones SET version = ? WHERE id = ?', [nuevaVersion, encuestaId]);
+    await conn.query(
+      `INSERT INTO encuestas_cambios (encuesta_id, version, usuario_id, modo, cambios)
+       VALUES (?, ?, ?, ?, ?)`,
+      [encuestaId, nuevaVersion, usuarioId, modo, JSON.stringify(registro)]
+    );
+    await conn.commit();
+
+    return { ok: true, version: nuevaVersion, modo, cambios: registro };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Correcciones de texto sobre las mismas filas (mismos ids de pregunta y opción)
+async function corregirEnSuLugar(conn, encuestaId, preguntas, cambios) {
+  const [filasPreguntas] = await conn.query(
+    'SELECT id FROM preguntas_encuesta WHERE encuesta_id = ? ORDER BY id',
+    [encuestaId]
+  );
+  const [filasOpciones] = await conn.query(
+    `SELECT o.id, o.pregunta_id
+     FROM opciones_encuesta o
+     JOIN preguntas_encuesta p ON p.id = o.pregunta_id
+     WHERE p.encuesta_id = ?
+     ORDER BY o.id`,
+    [encuestaId]
+  );
+
+  for (const { campo } of cambios) {
+    const [, i, resto] = campo.match(/^preguntas\[(\d+)\]\.(.+)$/) || [];
+    if (i === undefined) continue;
+    const pregunta = preguntas[i];
+    const preguntaId = filasPreguntas[i].id;
+
+    if (resto === 'text') {
+      await conn.query('UPDATE preguntas_encuesta SET text = ? WHERE id = ?', [pregunta.text, preguntaId]);
+    } else if (resto === 'config.etiquetas') {
+      await conn.query('UPDATE preguntas_encuesta SET config = ? WHERE id = ?', [JSON.stringify(pregunta.config), preguntaId]);
+    } else {
+      const j = Number(resto.match(/^options\[(\d+)\]$/)[1]);
+      const opcion = filasOpciones.filter((o) => o.pregunta_id === preguntaId)[j];
+      await conn.query('UPDATE opciones_encuesta SET text = ? WHERE id = ?', [pregunta.options[j], opcion.id]);
+    }
+  }
+}
+
+// Historial de ediciones, de la más reciente a la primera
+async function listarCambios(encuestaId) {
+  const [filas] = await pool.query(
+    `SELECT c.version, c.modo, c.cambios, c.usuario_id AS usuarioId,
+            CONCAT_WS(' ', u.nombre, u.apellido_paterno) AS usuario,
+            c.created_at AS fecha
+     FROM encuestas_cambios c
+     LEFT JOIN perfil_usuarios u ON u.id = c.usuario_id
+     WHERE c.encuesta_id = ?
+     ORDER BY c.version DESC`,
+    [encuestaId]
+  );
+  return filas.map((f) => ({ ...f, cambios: parsear(f.cambios) }));
+}
+
+/**
+ * Correcciones de texto hechas con respuestas, para quien respondió: cada
+ * versión con su fecha y los textos antes y después, sin el admin.
+ */
+async function listarCorrecciones(encuestaId) {
+  const [filas] = await pool.query(
+    `SELECT version, cambios, created_at AS fecha
+     FROM encuestas_cambios
+     WHERE encuesta_id = ? AND modo = 'correccion'
+     ORDER BY version DESC`,
+    [encuestaId]
+  );
+  return filas.map((f) => ({ ...f, cambios: parsear(f.cambios) }));
+}
+
+module.exports = {
+  editarEncuesta,
+  listarCambios,
+  listarCorrecciones,
+};
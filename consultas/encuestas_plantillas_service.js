@@ -0,0 +1,272 @@
+// ========================================
+// 📦 services/encuestas_plantillas_service.js
+// Biblioteca de plantillas de encuestas y votaciones (encuestas de
+// satisfacción, elección de delegados…) y clonación de encuestas con
+// fechas nuevas. Cada instancia o clon copia preguntas y opciones a filas
+// nuevas dentro de una sola transacción.
+// ========================================
+
+const pool = require('../bd');
+const preguntasService = require('./encuestas_preguntas_service');
+const audienciaService = require('./encuestas_audiencia_service');
+
+const parsear = (valor) => (typeof valor === 'string' ? JSON.parse(valor) : valor);
+
+// ========================================
+// 📝 DEFINICIÓN
+// ========================================
+/**
+ * Valida lo que define a una encuesta sin sus fechas:
+ * { type, title, description?, voto_secreto?, politica_respuestas?, questions, audiencia? }.
+ * Devuelve { ok: true, definicion } con preguntas y audiencia normalizadas.
+ */
+async function validarDefinicion(datos) {
+  const {
+    type,
+    title,
+    description = null,
+    voto_secreto = false,
+    politica_respuestas = 'definitivas',
+    questions,
+    audiencia = null
+  } = datos;
+
+  if (!type || !title || !Array.isArray(questions)) {
+    return { ok: false, status: 400, error: 'Se requieren type, title y questions[].' };
+  }
+  if (voto_secreto && type !== 'Votación') {
+    return { ok: false, status: 400, error: 'El voto secreto solo aplica a votaciones.' };
+  }
+  if (!preguntasService.POLITICAS.includes(politica_respuestas)) {
+    return { ok: false, status: 400, error: `politica_respuestas debe ser ${preguntasService.POLITICAS.join(' o ')}.` };
+  }
+  if (voto_secreto && politica_respuestas !== 'definitivas') {
+    return { ok: false, status: 400, error: 'En una votación secreta el voto es definitivo.' };
+  }
+
+  const validacion = preguntasService.validarPreguntas(questions, { votoSecreto: Boolean(voto_secreto) });
+  if (!validacion.ok) return validacion;
+  const validacionAudiencia = await audienciaService.validarAudiencia(audiencia);
+  if (!validacionAudiencia.ok) return validacionAudiencia;
+
+  return {
+    ok: true,
+    definicion: {
+      type,
+      title,
+      description,
+      voto_secreto: Boolean(voto_secreto),
+      politica_respuestas,
+      questions: validacion.preguntas,
+      audiencia,
+      reglas: validacionAudiencia.reglas
+    }
+  };
+}
+
+// Definición de una encuesta existente, en el mismo formato
+async function definicionDeEncuesta(encuestaId) {
+  const [[encuesta]] = await pool.query(
+    `SELECT type, title, description, voto_secreto, politica_respuestas
+     FROM encuestas_votaciones WHERE id = ?`,
+    [encuestaId]
+  );
+  if (!encuesta) return null;
+
+  return {
+    type: encuesta.type,
+    title: encuesta.title,
+    description: encuesta.description,
+    voto_secreto: Boolean(encuesta.voto_secreto),
+    politica_respuestas: encuesta.politica_respuestas,
+    questions: await preguntasService.definicionPreguntas(encuestaId),
+    audiencia: (await audienciaService.audienciasPorEncuesta([Number(encuestaId)])).get(Number(encuestaId)) || null
+  };
+}
+
+// ========================================
+// 🆕 CREACIÓN
+// ========================================
+/**
+ * Crea la encuesta a partir de una definición y fechas nuevas. `datos`
+ * trae publication_date, publication_time, close_date, close_time y puede
+ * cambiar title, description o audiencia. Todo en una transacción.
+ */
+async function crearDesdeDefinicion(base, datos = {}) {
+  const { publication_date, publication_time, close_date, close_time } = datos;
+  if (!publication_date || !publication_time || !close_date || !close_time) {
+    return {
+      ok: false,
+      status: 400,
+      error: 'Se requieren publication_date, publication_time, close_date y close_time.'
+    };
+  }
+  if (`${close_date} ${close_time}` <= `${publication_date} ${publication_time}`) {
+    return { ok: false, status: 400, error: 'El cierre debe ser posterior a la publicación.' };
+  }
+
+  const validacion = await validarDefinicion({
+    ...base,
+    title: datos.title || base.title,
+    description: datos.description === undefined ? base.description : datos.description,
+    audiencia: datos.audiencia === undefined ? base.audiencia : datos.audiencia
+  });
+  if (!validacion.ok) return validacion;
+  const { definicion } = validacion;
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [resultEnc] = await conn.query(
+      `INSERT INTO encuestas_votaciones
+         (type, title, description, publication_date, publication_time, close_date, close_time,
+          voto_secreto, politica_respuestas)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        definicion.type,
+        definicion.title,
+        definicion.description,
+        publication_date,
+        publication_time,
+        close_date,
+        close_time,
+        definicion.voto_secreto ? 1 : 0,
+        definicion.politica_respuestas
+      ]
+    );
+    const encuestaId = resultEnc.insertId;
+    await preguntasService.insertarPreguntas(conn, encuestaId, definicion.questions);
+    await audienciaService.guardarAudiencia(conn, encuestaId, definicion.reglas);
+    await conn.commit();
+
+    return {
+      ok: true,
+      encuestaId,
+      type: definicion.type,
+      title: definicion.title,
+      publication_date,
+      publication_time
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Copia la encuesta (preguntas, opciones, audiencia y configuración) con fechas nuevas
+async function clonarEncuesta(encuestaId, datos) {
+  const base = await definicionDeEncuesta(encuestaId);
+  if (!base) return { ok: false, status: 404, error: 'Encuesta no encontrada.' };
+  return crearDesdeDefinicion(base, datos);
+}
+
+// ========================================
+// 📚 PLANTILLAS
+// ========================================
+/**
+ * Guarda una plantilla: `{ nombre, ...definición }` o, para partir de una
+ * encuesta existente, `{ nombre, encuesta_id }`.
+ */
+async function crearPlantilla(datos, usuarioId) {
+  const nombre = typeof datos.nombre === 'string' ? datos.nombre.trim() : '';
+  if (!nombre) return { ok: false, status: 400, error: 'La plantilla necesita un nombre.' };
+
+  let base = datos;
+  if (datos.encuesta_id !== undefined) {
+    base = await definicionDeEncuesta(datos.encuesta_id);
+    if (!base) return { ok: false, status: 404, error: 'Encuesta no encontrada.' };
+  }
+  const validacion = await validarDefinicion(base);
+  if (!validacion.ok) return validacion;
+  const { definicion } = validacion;
+
+  try {
+    const [resultado] = await pool.query(
+      `INSERT INTO encuestas_plantillas
+         (nombre, type, title, description, voto_secreto, politica_respuestas, preguntas, audiencia, creado_por)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        nombre,
+        definicion.type,
+        definicion.title,
+        definicion.description,
+        definicion.voto_secreto ? 1 : 0,
+        definicion.politica_respuestas,
+        JSON.stringify(definicion.questions),
+        definicion.reglas.length ? JSON.stringify(definicion.audiencia) : null,
+        usuarioId
+      ]
+    );
+    return { ok: true, plantillaId: resultado.insertId };
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return { ok: false, status: 409, error: 'Ya existe una plantilla con ese nombre.' };
+    }
+    throw err;
+  }
+}
+
+async function listarPlantillas() {
+  const [filas] = await pool.query(
+    `SELECT p.id, p.nombre, p.type, p.title, p.voto_secreto, p.preguntas,
+            CONCAT_WS(' ', u.nombre, u.apellido_paterno) AS creadoPor,
+            p.created_at AS createdAt
+     FROM encuestas_plantillas p
+     LEFT JOIN perfil_usuarios u ON u.id = p.creado_por
+     ORDER BY p.nombre`
+  );
+  return filas.map(({ preguntas, voto_secreto, ...plantilla }) => ({
+    ...plantilla,
+    votoSecreto: Boolean(voto_secreto),
+    totalPreguntas: parsear(preguntas).length
+  }));
+}
+
+async function obtenerPlantilla(plantillaId) {
+  const [[fila]] = await pool.query(
+    `SELECT id, nombre, type, title, description, voto_secreto, politica_respuestas,
+            preguntas, audiencia, created_at AS createdAt
+     FROM encuestas_plantillas WHERE id = ?`,
+    [plantillaId]
+  );
+  if (!fila) return null;
+
+  return {
+    id: fila.id,
+    nombre: fila.nombre,
+    type: fila.type,
+    title: fila.title,
+    description: fila.description,
+    voto_secreto: Boolean(fila.voto_secreto),
+    politica_respuestas: fila.politica_respuestas,
+    questions: parsear(fila.preguntas),
+    audiencia: parsear(fila.audiencia),
+    createdAt: fila.createdAt
+  };
+}
+
+async function eliminarPlantilla(plantillaId) {
+  const [resultado] = await pool.query('DELETE FROM encuestas_plantillas WHERE id = ?', [plantillaId]);
+  if (resultado.affectedRows === 0) {
+    return { ok: false, status: 404, error: 'Plantilla no encontrada.' };
+  }
+  return { ok: true };
+}
+
+// Crea una encuesta desde la plantilla con las fechas de `datos`
+async function instanciarPlantilla(plantillaId, datos) {
+  const plantilla = await obtenerPlantilla(plantillaId);
+  if (!plantilla) return { ok: false, status: 404, error: 'Plantilla no encontrada.' };
+  return crearDesdeDefinicion(plantilla, datos);
+}
+
+module.exports = {
+  clonarEncuesta,
+  crearPlantilla,
+  listarPlantillas,
+  obtenerPlantilla,
+  eliminarPlantilla,
+  instanciarPlantilla,
+};
@@ -0,0 +1,726 @@
+// ========================================
+// 📦 services/encuestas_preguntas_service.js
+// Tipos de pregunta de encuestas y votaciones: validación de la
+// definición, validación de respuestas (con lógica condicional) y resumen
+// de resultados por tipo.
+// ========================================
+
+const pool = require('../bd');
+
+const TIPOS = ['opcion_unica', 'opcion_multiple', 'ranking', 'likert', 'numerica', 'texto'];
+const TIPOS_CON_OPCIONES = ['opcion_unica', 'opcion_multiple', 'ranking'];
+
+const ESCALA_LIKERT = { min: 1, max: 5 };
+const PUNTOS_MAXIMOS_LIKERT = 11;
+const DECIMALES_MAXIMOS = 4;
+const CARACTERES_TEXTO = 500;
+const CARACTERES_TEXTO_MAXIMO = 2000;
+const RESPUESTAS_TEXTO_EN_RESUMEN = 50;
+
+const POLITICAS = ['definitivas', 'editables'];
+
+const parsear = (valor) => (typeof valor === 'string' ? JSON.parse(valor) : valor);
+const vacio = (valor) => valor === undefined || valor === null || valor === '';
+const esEntero = (valor) => !vacio(valor) && Number.isInteger(Number(valor));
+const esNumero = (valor) => !vacio(valor) && Number.isFinite(Number(valor));
+const redondear = (valor, decimales = 2) => Math.round(valor * 10 ** decimales) / 10 ** decimales;
+
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+function mediana(ordenados) {
+  if (ordenados.length === 0) return null;
+  const mitad = Math.floor(ordenados.length / 2);
+  return ordenados.length % 2
+    ? ordenados[mitad]
+    : (ordenados[mitad - 1] + ordenados[mitad]) / 2;
+}
+
+// ========================================
+// 📝 DEFINICIÓN DE PREGUNTAS
+// ========================================
+// Límites del tipo con sus valores por defecto; devuelve { config } o { error }
+function validarConfig(tipo, config, totalOpciones) {
+  switch (tipo) {
+    case 'opcion_multiple': {
+      const min = vacio(config.min_selecciones) ? 1 : Number(config.min_selecciones);
+      const max = vacio(config.max_selecciones) ? totalOpciones : Number(config.max_selecciones);
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1 || min > max || max > totalOpciones) {
+        return { error: 'min_selecciones y max_selecciones deben cumplir 0 ≤ mín ≤ máx ≤ número de opciones' };
+      }
+      return { config: { min_selecciones: min, max_selecciones: max } };
+    }
+    case 'ranking': {
+      if (totalOpciones < 2) return { error: 'el ranking necesita al menos 2 opciones' };
+      const posiciones = vacio(config.posiciones) ? totalOpciones : Number(config.posiciones);
+      if (!Number.isInteger(posiciones) || posiciones < 1 || posiciones > totalOpciones) {
+        return { error: 'posiciones debe estar entre 1 y el número de opciones' };
+      }
+      return { config: { posiciones } };
+    }
+    case 'likert': {
+      const min = vacio(config.min) ? ESCALA_LIKERT.min : Number(config.min);
+      const max = vacio(config.max) ? ESCALA_LIKERT.max : Number(config.max);
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max || max - min + 1 > PUNTOS_MAXIMOS_LIKERT) {
+        return { error: `la escala necesita min < max y como máximo ${PUNTOS_MAXIMOS_LIKERT} puntos` };
+      }
+      const etiquetas = config.etiquetas || null;
+      if (etiquetas && (!Array.isArray(etiquetas) || etiquetas.length !== max - min + 1 ||
+          etiquetas.some((e) => typeof e !== 'string'))) {
+        return { error: 'etiquetas debe tener un texto por cada punto de la escala' };
+      }
+      return { config: { min, max, etiquetas } };
+    }
+    case 'numerica': {
+      const { minimo = null, maximo = null } = config;
+      const decimales = vacio(config.decimales) ? 0 : Number(config.decimales);
+      if ((minimo !== null && !esNumero(minimo)) || (maximo !== null && !esNumero(maximo)) ||
+          (minimo !== null && maximo !== null && Number(minimo) > Number(maximo))) {
+        return { error: 'minimo y maximo deben ser números con minimo ≤ maximo' };
+      }
+      if (!Number.isInteger(decimales) || decimales < 0 || decimales > DECIMALES_MAXIMOS) {
+        return { error: `decimales debe estar entre 0 y ${DECIMALES_MAXIMOS}` };
+      }
+      return {
+        config: {
+          minimo: minimo === null ? null : Number(minimo),
+          maximo: maximo === null ? null : Number(maximo),
+          decimales
+        }
+      };
+    }
+    case 'texto': {
+      const max = vacio(config.max_caracteres) ? CARACTERES_TEXTO : Number(config.max_caracteres);
+      if (!Number.isInteger(max) || max < 1 || max > CARACTERES_TEXTO_MAXIMO) {
+        return { error: `max_caracteres debe estar entre 1 y ${CARACTERES_TEXTO_MAXIMO}` };
+      }
+      return { config: { max_caracteres: max } };
+    }
+    default:
+      return { config: null };
+  }
+}
+
+// La condición apunta a una pregunta anterior por su índice en `questions`
+function validarCondicion(condicion, anteriores) {
+  const origen = esEntero(condicion.pregunta) ? anteriores[Number(condicion.pregunta)] : null;
+  if (!origen) {
+    return { error: 'la condición debe apuntar a una pregunta anterior (índice desde 0)' };
+  }
+
+  if (TIPOS_CON_OPCIONES.includes(origen.tipo)) {
+    const opciones = condicion.opciones;
+    if (!Array.isArray(opciones) || opciones.length === 0 ||
+        opciones.some((o) => !esEntero(o) || o < 0 || o >= origen.options.length)) {
+      return { error: 'la condición necesita los índices de las opciones que muestran la pregunta' };
+    }
+    return { condicion: { pregunta: Number(condicion.pregunta), opciones: opciones.map(Number) } };
+  }
+
+  if (['likert', 'numerica'].includes(origen.tipo)) {
+    const { min = null, max = null } = condicion;
+    if ((min === null && max === null) || (min !== null && !esNumero(min)) || (max !== null && !esNumero(max))) {
+      return { error: 'la condición necesita min y/o max numéricos' };
+    }
+    return {
+      condicion: {
+        pregunta: Number(condicion.pregunta),
+        min: min === null ? null : Number(min),
+        max: max === null ? null : Number(max)
+      }
+    };
+  }
+
+  return { error: 'no se puede condicionar a una pregunta abierta' };
+}
+
+/**
+ * Valida `questions` de POST /completo y PUT /:id.
+ * Cada pregunta: { text, tipo?, obligatoria?, options?, config?, condicion? }.
+ * Devuelve { ok: true, preguntas } normalizadas para insertarPreguntas.
+ */
+function validarPreguntas(questions, { votoSecreto = false } = {}) {
+  const preguntas = [];
+
+  for (let i = 0; i < questions.length; i++) {
+    const pq = questions[i] || {};
+    const fallo = (detalle) => ({ ok: false, status: 400, error: `Pregunta #${i + 1}: ${detalle}.` });
+
+    if (typeof pq.text !== 'string' || pq.text.trim() === '') {
+      return fallo('no tiene “text” válido');
+    }
+    const tipo = pq.tipo || 'opcion_unica';
+    if (!TIPOS.includes(tipo)) {
+      return fallo(`tipo inválido (${TIPOS.join(', ')})`);
+    }
+    const obligatoria = pq.obligatoria === undefined ? true : Boolean(pq.obligatoria);
+    if (votoSecreto && (tipo !== 'opcion_unica' || !obligatoria || pq.condicion)) {
+      return fallo('las votaciones secretas solo admiten preguntas obligatorias de opción única sin condiciones');
+    }
+
+    let options = [];
+    if (TIPOS_CON_OPCIONES.includes(tipo)) {
+      if (!Array.isArray(pq.options) || pq.options.length === 0 ||
+          pq.options.some((opt) => typeof opt !== 'string' || opt.trim() === '')) {
+        return fallo('debe tener un array “options” con al menos 1 texto no vacío');
+      }
+      options = pq.options.map((opt) => opt.trim());
+    }
+
+    const { config, error } = validarConfig(tipo, pq.config || {}, options.length);
+    if (error) return fallo(error);
+
+    let condicion = null;
+    if (pq.condicion) {
+      const resultado = validarCondicion(pq.condicion, preguntas);
+      if (resultado.error) return fallo(resultado.error);
+      condicion = resultado.condicion;
+    }
+
+    preguntas.push({ text: pq.text.trim(), tipo, obligatoria, options, config, condicion });
+  }
+
+  return { ok: true, preguntas };
+}
+
+/**
+ * Inserta las preguntas validadas y sus opciones, traduciendo los índices
+ * de las condiciones a ids. `conn` puede ser el pool o una transacción.
+ */
+async function insertarPreguntas(conn, encuestaId, preguntas) {
+  const insertadas = [];
+
+  for (const pregunta of preguntas) {
+    let condicion = null;
+    if (pregunta.condicion) {
+      const origen = insertadas[pregunta.condicion.pregunta];
+      condicion = pregunta.condicion.opciones
+        ? { pregunta_id: origen.id, opciones: pregunta.condicion.opciones.map((i) => origen.opciones[i]) }
+        : { pregunta_id: origen.id, min: pregunta.condicion.min, max: pregunta.condicion.max };
+    }
+
+    const [resultPreg] = await conn.query(
+      `INSERT INTO preguntas_encuesta (encuesta_id, text, tipo, obligatoria, config, condicion)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        encuestaId,
+        pregunta.text,
+        pregunta.tipo,
+        pregunta.obligatoria ? 1 : 0,
+        pregunta.config ? JSON.stringify(pregunta.config) : null,
+        condicion ? JSON.stringify(condicion) : null
+      ]
+    );
+    const preguntaId = resultPreg.insertId;
+
+    let opciones = [];
+    if (pregunta.options.length) {
+      await conn.query(
+        'INSERT INTO opciones_encuesta (pregunta_id, text) VALUES ?',
+        [pregunta.options.map((text) => [preguntaId, text])]
+      );
+      const [filas] = await conn.query(
+        'SELECT id FROM opciones_encuesta WHERE pregunta_id = ? ORDER BY id',
+        [preguntaId]
+      );
+      opciones = filas.map((f) => f.id);
+    }
+
+    insertadas.push({ id: preguntaId, opciones });
+  }
+}
+
+/**
+ * Lo inverso de insertarPreguntas: las preguntas guardadas de una encuesta
+ * en el formato de `questions` (condiciones por índice), para clonarla o
+ * guardarla como plantilla.
+ */
+async function definicionPreguntas(encuestaId, conn = pool) {
+  const [preguntas] = await conn.query(
+    'SELECT id, text, tipo, obligatoria, config, condicion FROM preguntas_encuesta WHERE encuesta_id = ? ORDER BY id',
+    [encuestaId]
+  );
+  const [opciones] = await conn.query(
+    `SELECT o.id, o.pregunta_id, o.text
+     FROM opciones_encuesta o
+     JOIN preguntas_encuesta p ON p.id = o.pregunta_id
+     WHERE p.encuesta_id = ?
+     ORDER BY o.id`,
+    [encuestaId]
+  );
+  const indices = new Map(preguntas.map((p, i) => [p.id, i]));
+  const opcionesDe = (preguntaId) => opciones.filter((o) => o.pregunta_id === preguntaId);
+
+  return preguntas.map((p) => {
+    const guardada = parsear(p.condicion);
+    let condicion = null;
+    if (guardada) {
+      const origen = opcionesDe(guardada.pregunta_id).map((o) => o.id);
+      condicion = guardada.opciones
+        ? { pregunta: indices.get(guardada.pregunta_id), opciones: guardada.opciones.map((id) => origen.indexOf(id)) }
+        : { pregunta: indices.get(guardada.pregunta_id), min: guardada.min, max: guardada.max };
+    }
+    return {
+      text: p.text,
+      tipo: p.tipo,
+      obligatoria: Boolean(p.obligatoria),
+      options: opcionesDe(p.id).map((o) => o.text),
+      config: parsear(p.config),
+      condicion
+    };
+  });
+}
+
+// ========================================
+// ✅ RESPUESTAS
+// ========================================
+function tieneValor(tipo, respuesta) {
+  if (!respuesta) return false;
+  switch (tipo) {
+    case 'opcion_unica': return !vacio(respuesta.opcion_id);
+    case 'opcion_multiple': return Array.isArray(respuesta.opciones) && respuesta.opciones.length > 0;
+    case 'ranking': return Array.isArray(respuesta.ranking) && respuesta.ranking.length > 0;
+    case 'texto': return typeof respuesta.texto === 'string' && respuesta.texto.trim() !== '';
+    default: return !vacio(respuesta.valor);
+  }
+}
+
+// Para opción múltiple cuentan todas las elegidas; para ranking, el primer lugar
+function cumpleCondicion(condicion, contestadas) {
+  if (!condicion) return true;
+  const previa = contestadas.get(condicion.pregunta_id);
+  if (!previa) return false;
+  if (condicion.opciones) {
+    return condicion.opciones.some((id) => previa.opciones.includes(id));
+  }
+  return previa.valor !== null &&
+    (condicion.min === null || previa.valor >= condicion.min) &&
+    (condicion.max === null || previa.valor <= condicion.max);
+}
+
+// Devuelve { respuesta, contestada } o { error }
+function normalizarRespuesta(pregunta, respuesta, opcionesValidas) {
+  const base = { pregunta_id: pregunta.id, opcion_id: null, opciones: [], valor_numerico: null, valor_texto: null };
+  const config = pregunta.config || {};
+
+  switch (pregunta.tipo) {
+    case 'opcion_unica': {
+      const opcionId = Number(respuesta.opcion_id);
+      if (!opcionesValidas.has(opcionId)) return { error: 'la opción no pertenece a la pregunta' };
+      return { respuesta: { ...base, opcion_id: opcionId }, contestada: { opciones: [opcionId], valor: null } };
+    }
+    case 'opcion_multiple':
+    case 'ranking': {
+      const ids = (pregunta.tipo === 'ranking' ? respuesta.ranking : respuesta.opciones).map(Number);
+      if (ids.some((id) => !opcionesValidas.has(id)) || new Set(ids).size !== ids.length) {
+        return { error: 'hay opciones repetidas o que no pertenecen a la pregunta' };
+      }
+      if (pregunta.tipo === 'opcion_multiple' &&
+          (ids.length < config.min_selecciones || ids.length > config.max_selecciones)) {
+        return { error: `elige entre ${config.min_selecciones} y ${config.max_selecciones} opciones` };
+      }
+      if (pregunta.tipo === 'ranking' && ids.length !== config.posiciones) {
+        return { error: `ordena exactamente ${config.posiciones} opciones` };
+      }
+      const ranking = pregunta.tipo === 'ranking';
+      return {
+        respuesta: { ...base, opciones: ids.map((id, i) => ({ opcion_id: id, posicion: ranking ? i + 1 : null })) },
+        contestada: { opciones: ranking ? [ids[0]] : ids, valor: null }
+      };
+    }
+    case 'likert': {
+      const valor = Number(respuesta.valor);
+      if (!esEntero(respuesta.valor) || valor < config.min || valor > config.max) {
+        return { error: `el valor debe ser un entero entre ${config.min} y ${config.max}` };
+      }
+      return { respuesta: { ...base, valor_numerico: valor }, contestada: { opciones: [], valor } };
+    }
+    case 'numerica': {
+      const valor = Number(respuesta.valor);
+      if (!esNumero(respuesta.valor)) return { error: 'el valor debe ser numérico' };
+      if ((config.minimo !== null && valor < config.minimo) || (config.maximo !== null && valor > config.maximo)) {
+        return { error: `el valor debe estar entre ${config.minimo ?? '-∞'} y ${config.maximo ?? '∞'}` };
+      }
+      if (redondear(valor, config.decimales) !== valor) {
+        return { error: `el valor admite ${config.decimales} decimales` };
+      }
+      return { respuesta: { ...base, valor_numerico: valor }, contestada: { opciones: [], valor } };
+    }
+    case 'texto': {
+      const texto = respuesta.texto.trim();
+      if (texto.length > config.max_caracteres) {
+        return { error: `la respuesta admite ${config.max_caracteres} caracteres` };
+      }
+      return { respuesta: { ...base, valor_texto: texto }, contestada: { opciones: [], valor: null } };
+    }
+    default:
+      return { error: 'tipo de pregunta desconocido' };
+  }
+}
+
+/**
+ * Valida las respuestas contra las preguntas de la encuesta.
+ * Formato por tipo: { pregunta_id, opcion_id } | { pregunta_id, opciones: [] }
+ * | { pregunta_id, ranking: [] } | { pregunta_id, valor } | { pregunta_id, texto }.
+ * Las preguntas cuya condición no se cumple se saltan y no admiten respuesta.
+ */
+async function validarRespuestas(encuestaId, respuestas, conn = pool) {
+  const [preguntas] = await conn.query(
+    `SELECT id, text, tipo, obligatoria, config, condicion
+     FROM preguntas_encuesta WHERE encuesta_id = ? ORDER BY id`,
+    [encuestaId]
+  );
+  const [opciones] = await conn.query(
+    `SELECT o.id, o.pregunta_id
+     FROM opciones_encuesta o
+     JOIN preguntas_encuesta p ON p.id = o.pregunta_id
+     WHERE p.encuesta_id = ?`,
+    [encuestaId]
+  );
+
+  const porPregunta = new Map();
+  for (const respuesta of respuestas) {
+    const preguntaId = Number(respuesta && respuesta.pregunta_id);
+    if (!preguntas.some((p) => p.id === preguntaId)) {
+      return { ok: false, status: 400, error: 'Alguna respuesta no corresponde a una pregunta de la encuesta.' };
+    }
+    if (porPregunta.has(preguntaId)) {
+      return { ok: false, status: 400, error: 'Solo se admite una respuesta por pregunta.' };
+    }
+    porPregunta.set(preguntaId, respuesta);
+  }
+
+  const normalizadas = [];
+  const contestadas = new Map();
+  for (const fila of preguntas) {
+    const pregunta = { ...fila, config: parsear(fila.config), condicion: parsear(fila.condicion) };
+    const respuesta = porPregunta.get(pregunta.id);
+    const contestada = tieneValor(pregunta.tipo, respuesta);
+
+    if (!cumpleCondicion(pregunta.condicion, contestadas)) {
+      if (contestada) {
+        return { ok: false, status: 400, error: `La pregunta "${pregunta.text}" no aplica con tus respuestas anteriores.` };
+      }
+      continue;
+    }
+    if (!contestada) {
+      if (pregunta.obligatoria) {
+        return { ok: false, status: 400, error: `La pregunta "${pregunta.text}" es obligatoria.` };
+      }
+      continue;
+    }
+
+    const validas = new Set(opciones.filter((o) => o.pregunta_id === pregunta.id).map((o) => o.id));
+    const resultado = normalizarRespuesta(pregunta, respuesta, validas);
+    if (resultado.error) {
+      return { ok: false, status: 400, error: `Pregunta "${pregunta.text}": ${resultado.error}.` };
+    }
+    normalizadas.push(resultado.respuesta);
+    contestadas.set(pregunta.id, resultado.contestada);
+  }
+
+  return { ok: true, respuestas: normalizadas };
+}
+
+// Inserta las respuestas validadas dentro de la transacción de `conn`
+async function guardarRespuestas(conn, encuestaId, usuarioId, respuestas) {
+  for (const r of respuestas) {
+    const [result] = await conn.query(
+      `INSERT INTO respuestas_encuesta
+         (encuesta_id, pregunta_id, opcion_id, valor_numerico, valor_texto, user_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [encuestaId, r.pregunta_id, r.opcion_id, r.valor_numerico, r.valor_texto, usuarioId]
+    );
+    if (r.opciones.length) {
+      await conn.query(
+        'INSERT INTO respuestas_encuesta_opciones (respuesta_id, opcion_id, posicion) VALUES ?',
+        [r.opciones.map((o) => [result.insertId, o.opcion_id, o.posicion])]
+      );
+    }
+  }
+}
+
+/**
+ * Registra las respuestas de un usuario: la encuesta debe estar abierta y
+ * las respuestas completas y válidas. Con política 'definitivas' un segundo
+ * envío se rechaza; con 'editables' reemplaza al anterior hasta el cierre.
+ * Devuelve { ok: true, editadas }.
+ */
+async function registrarRespuestas(encuestaId, usuarioId, respuestas) {
+  const conn = await obtenerConexion();
+  try {
+    const [[encuesta]] = await conn.query(
+      `SELECT id, politica_respuestas,
+              TIMESTAMP(publication_date, publication_time) <= NOW() AS publicada,
+              TIMESTAMP(close_date, close_time) > NOW() AS abierta,
+              DATE_FORMAT(TIMESTAMP(close_date, close_time), '%d/%m/%Y %H:%i') AS cierre
+       FROM encuestas_votaciones WHERE id = ?`,
+      [encuestaId]
+    );
+    if (!encuesta) {
+      return { ok: false, status: 404, error: 'Encuesta no encontrada.' };
+    }
+    if (!encuesta.publicada) {
+      return { ok: false, status: 409, error: 'La encuesta aún no está abierta.' };
+    }
+    if (!encuesta.abierta) {
+      return { ok: false, status: 409, error: `La encuesta cerró el ${encuesta.cierre}; ya no admite respuestas.` };
+    }
+
+    await conn.beginTransaction();
+    try {
+      // Una edición de la encuesta espera a que termine este envío (y viceversa),
+      // así no se valida contra preguntas que se están reemplazando
+      await conn.query('SELECT id FROM encuestas_votaciones WHERE id = ? LOCK IN SHARE MODE', [encuestaId]);
+      const validacion = await validarRespuestas(encuestaId, respuestas, conn);
+      if (!validacion.ok) {
+        await conn.rollback();
+        return validacion;
+      }
+
+      // Bloquea las respuestas previas para que dos envíos simultáneos no se mezclen
+      const [previas] = await conn.query(
+        'SELECT id FROM respuestas_encuesta WHERE encuesta_id = ? AND user_id = ? FOR UPDATE',
+        [encuestaId, usuarioId]
+      );
+      if (previas.length && encuesta.politica_respuestas === 'definitivas') {
+        await conn.rollback();
+        return {
+          ok: false,
+          status: 409,
+          error: 'Ya respondiste esta encuesta y sus respuestas son definitivas; no se pueden cambiar.'
+        };
+      }
+      if (previas.length) {
+        await conn.query(
+          'DELETE FROM respuestas_encuesta WHERE encuesta_id = ? AND user_id = ?',
+          [encuestaId, usuarioId]
+        );
+      }
+      await guardarRespuestas(conn, encuestaId, usuarioId, validacion.respuestas);
+      await conn.commit();
+      return { ok: true, editadas: previas.length > 0 };
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Respuestas propias para precargar el formulario al editarlas, con el
+ * mismo formato que recibe POST /respuestas.
+ */
+async function obtenerRespuestasUsuario(encuestaId, usuarioId) {
+  const [filas] = await pool.query(
+    `SELECT r.id, r.pregunta_id, r.opcion_id, r.valor_numerico, r.valor_texto, r.responded_at, p.tipo
+     FROM respuestas_encuesta r
+     JOIN preguntas_encuesta p ON p.id = r.pregunta_id
+     WHERE r.encuesta_id = ? AND r.user_id = ?
+     ORDER BY r.pregunta_id`,
+    [encuestaId, usuarioId]
+  );
+  if (filas.length === 0) return [];
+
+  const [selecciones] = await pool.query(
+    `SELECT respuesta_id, opcion_id
+     FROM respuestas_encuesta_opciones
+     WHERE respuesta_id IN (?)
+     ORDER BY respuesta_id, posicion, opcion_id`,
+    [filas.map((f) => f.id)]
+  );
+
+  return filas.map((f) => {
+    const respuesta = { pregunta_id: f.pregunta_id, respondidaEn: f.responded_at };
+    const elegidas = selecciones.filter((s) => s.respuesta_id === f.id).map((s) => s.opcion_id);
+    switch (f.tipo) {
+      case 'opcion_unica': respuesta.opcion_id = f.opcion_id; break;
+      case 'opcion_multiple': respuesta.opciones = elegidas; break;
+      case 'ranking': respuesta.ranking = elegidas; break;
+      case 'texto': respuesta.texto = f.valor_texto; break;
+      default: respuesta.valor = f.valor_numerico === null ? null : Number(f.valor_numerico);
+    }
+    return respuesta;
+  });
+}
+
+// ========================================
+// 📊 RESUMEN POR TIPO
+// ========================================
+/**
+ * Resultados de cada pregunta. Las de opciones conservan `opciones[].votos`;
+ * cada una agrega `resumen` según su tipo. Las exportaciones piden todas las
+ * respuestas abiertas con `respuestasTexto: Infinity`.
+ */
+async function resumenEstadisticas(encuestaId, { respuestasTexto = RESPUESTAS_TEXTO_EN_RESUMEN } = {}) {
+  const [preguntas] = await pool.query(
+    'SELECT id, text, tipo, obligatoria, config FROM preguntas_encuesta WHERE encuesta_id = ? ORDER BY id',
+    [encuestaId]
+  );
+  const [opciones] = await pool.query(
+    `SELECT o.id, o.pregunta_id, o.text
+     FROM opciones_encuesta o
+     JOIN preguntas_encuesta p ON p.id = o.pregunta_id
+     WHERE p.encuesta_id = ?
+     ORDER BY o.id`,
+    [encuestaId]
+  );
+  const [respondieron] = await pool.query(
+    `SELECT pregunta_id, COUNT(DISTINCT user_id) AS total
+     FROM respuestas_encuesta WHERE encuesta_id = ?
+     GROUP BY pregunta_id`,
+    [encuestaId]
+  );
+  const [unicas] = await pool.query(
+    `SELECT opcion_id, COUNT(*) AS votos
+     FROM respuestas_encuesta
+     WHERE encuesta_id = ? AND opcion_id IS NOT NULL
+     GROUP BY opcion_id`,
+    [encuestaId]
+  );
+  const [selecciones] = await pool.query(
+    `SELECT d.opcion_id, COUNT(*) AS votos, SUM(d.posicion) AS suma_posiciones,
+            SUM(d.posicion = 1) AS primeros
+     FROM respuestas_encuesta_opciones d
+     JOIN respuestas_encuesta r ON r.id = d.respuesta_id
+     WHERE r.encuesta_id = ?
+     GROUP BY d.opcion_id`,
+    [encuestaId]
+  );
+  const [valores] = await pool.query(
+    `SELECT pregunta_id, valor_numerico
+     FROM respuestas_encuesta
+     WHERE encuesta_id = ? AND valor_numerico IS NOT NULL
+     ORDER BY pregunta_id, valor_numerico`,
+    [encuestaId]
+  );
+  const [textos] = await pool.query(
+    `SELECT pregunta_id, valor_texto, responded_at
+     FROM respuestas_encuesta
+     WHERE encuesta_id = ? AND valor_texto IS NOT NULL
+     ORDER BY responded_at DESC`,
+    [encuestaId]
+  );
+
+  const totalPorPregunta = new Map(respondieron.map((r) => [r.pregunta_id, r.total]));
+  const votosUnicos = new Map(unicas.map((u) => [u.opcion_id, u.votos]));
+  const votosSeleccion = new Map(selecciones.map((s) => [s.opcion_id, s]));
+
+  return preguntas.map((p) => {
+    const config = parsear(p.config) || {};
+    const total = totalPorPregunta.get(p.id) || 0;
+    const porcentaje = (votos) => (total ? redondear((votos / total) * 100, 1) : 0);
+    const propias = opciones.filter((o) => o.pregunta_id === p.id);
+    const numeros = valores.filter((v) => v.pregunta_id === p.id).map((v) => Number(v.valor_numerico));
+    const promedio = numeros.length ? redondear(numeros.reduce((a, b) => a + b, 0) / numeros.length) : null;
+
+    const pregunta = {
+      preguntaId: p.id,
+      preguntaText: p.text,
+      tipo: p.tipo,
+      obligatoria: Boolean(p.obligatoria),
+      respondieron: total,
+      opciones: [],
+      resumen: {}
+    };
+
+    switch (p.tipo) {
+      case 'opcion_unica':
+        pregunta.opciones = propias.map((o) => {
+          const votos = votosUnicos.get(o.id) || 0;
+          return { opcionId: o.id, opcionText: o.text, votos, porcentaje: porcentaje(votos) };
+        });
+        break;
+
+      case 'opcion_multiple': {
+        pregunta.opciones = propias.map((o) => {
+          const votos = Number((votosSeleccion.get(o.id) || {}).votos || 0);
+          return { opcionId: o.id, opcionText: o.text, votos, porcentaje: porcentaje(votos) };
+        });
+        const elegidas = pregunta.opciones.reduce((suma, o) => suma + o.votos, 0);
+        pregunta.resumen = { promedioSelecciones: total ? redondear(elegidas / total) : 0 };
+        break;
+      }
+
+      case 'ranking': {
+        // Borda: el primer lugar vale tantos puntos como opciones hay
+        const n = propias.length;
+        pregunta.opciones = propias.map((o) => {
+          const s = votosSeleccion.get(o.id) || {};
+          const votos = Number(s.votos || 0);
+          const sumaPosiciones = Number(s.suma_posiciones || 0);
+          return {
+            opcionId: o.id,
+            opcionText: o.text,
+            votos,
+            primeros: Number(s.primeros || 0),
+            posicionPromedio: votos ? redondear(sumaPosiciones / votos) : null,
+            puntos: votos * (n + 1) - sumaPosiciones
+          };
+        });
+        pregunta.resumen = {
+          clasificacion: [...pregunta.opciones]
+            .sort((a, b) => b.puntos - a.puntos)
+            .map(({ opcionId, opcionText, puntos }) => ({ opcionId, opcionText, puntos }))
+        };
+        break;
+      }
+
+      case 'likert': {
+        const min = config.min ?? ESCALA_LIKERT.min;
+        const max = config.max ?? ESCALA_LIKERT.max;
+        const distribucion = [];
+        for (let valor = min; valor <= max; valor++) {
+          const votos = numeros.filter((n) => n === valor).length;
+          distribucion.push({
+            valor,
+            etiqueta: config.etiquetas ? config.etiquetas[valor - min] : null,
+            votos,
+            porcentaje: porcentaje(votos)
+          });
+        }
+        pregunta.resumen = { promedio, mediana: mediana(numeros), distribucion };
+        break;
+      }
+
+      case 'numerica':
+        pregunta.resumen = {
+          promedio,
+          mediana: mediana(numeros),
+          minimo: numeros.length ? numeros[0] : null,
+          maximo: numeros.length ? numeros[numeros.length - 1] : null
+        };
+        break;
+
+      case 'texto':
+        pregunta.resumen = {
+          respuestas: textos
+            .filter((t) => t.pregunta_id === p.id)
+            .slice(0, respuestasTexto)
+            .map((t) => ({ texto: t.valor_texto, respondidaEn: t.responded_at }))
+        };
+        break;
+
+      default:
+        break;
+    }
+
+    return pregunta;
+  });
+}
+
+module.exports = {
+  TIPOS,
+  POLITICAS,
+  validarPreguntas,
+  insertarPreguntas,
+  definicionPreguntas,
+  registrarRespuestas,
+  obtenerRespuestasUsuario,
+  resumenEstadisticas,
+};
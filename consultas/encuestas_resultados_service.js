@@ -0,0 +1,493 @@
+// ========================================
+// 📦 services/encuestas_resultados_service.js
+// Resultados de encuestas y votaciones: cuándo los ven los agremiados (al
+// cierre o desde que el comité los publica), exportación a XLSX/CSV y
+// constancia en PDF del resultado. El conteo de una votación secreta no lo
+// ve nadie antes del cierre.
+// ========================================
+
+const crypto = require('crypto');
+const xlsx = require('xlsx');
+const PDFDocument = require('pdfkit');
+const pool = require('../bd');
+const preguntasService = require('./encuestas_preguntas_service');
+const votacionSecretaService = require('./votacion_secreta_service');
+const audienciaService = require('./encuestas_audiencia_service');
+
+const FORMATO_FECHA = '%d/%m/%Y %H:%i';
+
+const ETIQUETAS_TIPO = {
+  opcion_unica: 'Opción única',
+  opcion_multiple: 'Opción múltiple',
+  ranking: 'Ranking',
+  likert: 'Escala Likert',
+  numerica: 'Numérica',
+  texto: 'Abierta',
+};
+
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+const porcentaje = (parte, total) => (total ? Math.round((parte / total) * 1000) / 10 : 0);
+
+// Filas pregunta/opción/votos → [{ preguntaId, preguntaText, opciones: [...] }]
+function anidarEstadisticas(rows) {
+  const statsMap = {};
+  rows.forEach(r => {
+    if (!statsMap[r.preguntaId]) {
+      statsMap[r.preguntaId] = {
+        preguntaId:   r.preguntaId,
+        preguntaText: r.preguntaText,
+        opciones:     []
+      };
+    }
+    statsMap[r.preguntaId].opciones.push({
+      opcionId:   r.opcionId,
+      opcionText: r.opcionText,
+      votos:      r.votos
+    });
+  });
+  return Object.values(statsMap);
+}
+
+// ========================================
+// 📊 RESULTADOS
+// ========================================
+/**
+ * Resultados completos de la encuesta, o null si no existe. `encuesta`
+ * indica si ya cerró, si los agremiados ya pueden ver los resultados y
+ * desde cuándo (`disponibleEn`).
+ */
+async function obtenerResultados(encuestaId, { respuestasTexto } = {}) {
+  const conn = await obtenerConexion();
+  let enc;
+  try {
+    [[enc]] = await conn.query(
+      `SELECT id, type, title, description,
+              publication_date AS publicationDate,
+              publication_time AS publicationTime,
+              close_date       AS closeDate,
+              close_time       AS closeTime,
+              voto_secreto     AS votoSecreto,
+              TIMESTAMP(close_date, close_time) <= NOW() AS cerrada,
+              COALESCE(resultados_publicados_en <= NOW(), 0) AS publicados,
+              DATE_FORMAT(resultados_publicados_en, '${FORMATO_FECHA}') AS publicacionProgramada,
+              DATE_FORMAT(TIMESTAMP(publication_date, publication_time), '${FORMATO_FECHA}') AS inicio,
+              DATE_FORMAT(TIMESTAMP(close_date, close_time), '${FORMATO_FECHA}') AS cierre,
+              DATE_FORMAT(
+                LEAST(COALESCE(resultados_publicados_en, TIMESTAMP(close_date, close_time)),
+                      TIMESTAMP(close_date, close_time)),
+                '${FORMATO_FECHA}') AS disponibleEn,
+              DATE_FORMAT(NOW(), '${FORMATO_FECHA}') AS generadoEn
+       FROM encuestas_votaciones
+       WHERE id = ?`,
+      [encuestaId]
+    );
+  } finally {
+    conn.release();
+  }
+  if (!enc) return null;
+
+  const totalAudiencia = await audienciaService.contarAudiencia(encuestaId);
+  const resultados = {
+    encuesta: {
+      id:                    enc.id,
+      title:                 enc.title,
+      description:           enc.description,
+      type:                  enc.type,
+      publicationDate:       enc.publicationDate,
+      publicationTime:       enc.publicationTime,
+      closeDate:             enc.closeDate,
+      closeTime:             enc.closeTime,
+      votoSecreto:           Boolean(enc.votoSecreto),
+      periodo:               { inicio: enc.inicio, cierre: enc.cierre },
+      cerrada:               Boolean(enc.cerrada),
+      resultadosVisibles:    Boolean(enc.cerrada || (enc.publicados && !enc.votoSecreto)),
+      conteoOculto:          Boolean(enc.votoSecreto && !enc.cerrada),
+      publicacionProgramada: enc.publicacionProgramada,
+      disponibleEn:          enc.disponibleEn
+    },
+    generadoEn: enc.generadoEn,
+    totalAudiencia
+  };
+
+  // Votación secreta: se cuenta desde las boletas anónimas. Antes del cierre
+  // ni quien la gestiona ve el conteo: seguirlo en vivo permitiría cruzar
+  // cada cambio con quién acaba de votar.
+  if (enc.votoSecreto) {
+    const { participantes, boletas, filas } = await votacionSecretaService.contarVotos(encuestaId);
+    resultados.totalRespondieron = participantes;
+    resultados.totalBoletas = boletas;
+    resultados.preguntas = resultados.encuesta.conteoOculto ? [] : anidarEstadisticas(filas).map((p) => ({
+      ...p,
+      tipo: 'opcion_unica',
+      obligatoria: true,
+      respondieron: boletas,
+      opciones: p.opciones.map((o) => ({ ...o, porcentaje: porcentaje(o.votos, boletas) })),
+      resumen: {}
+    }));
+  } else {
+    const [[{ totalRespondieron }]] = await pool.query(
+      `SELECT COUNT(DISTINCT user_id) AS totalRespondieron
+       FROM respuestas_encuesta
+       WHERE encuesta_id = ?`,
+      [encuestaId]
+    );
+    resultados.totalRespondieron = totalRespondieron;
+    resultados.preguntas = await preguntasService.resumenEstadisticas(encuestaId, { respuestasTexto });
+  }
+
+  resultados.porcentajeParticipacion = porcentaje(resultados.totalRespondieron, totalAudiencia);
+  return resultados;
+}
+
+// ========================================
+// 📢 PUBLICACIÓN ANTICIPADA
+// ========================================
+/**
+ * Publica los resultados antes del cierre: de inmediato o, con `fecha`
+ * ('YYYY-MM-DD HH:mm'), programados. Después del cierre ya son públicos.
+ * Una votación secreta no se publica antes del cierre.
+ */
+async function publicarResultados(encuestaId, usuarioId, fecha) {
+  if (fecha !== undefined && fecha !== null && !/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(fecha)) {
+    return { ok: false, status: 400, error: 'fecha debe tener el formato YYYY-MM-DD HH:mm.' };
+  }
+  const programada = fecha ? fecha.replace('T', ' ') : null;
+
+  const conn = await obtenerConexion();
+  try {
+    const [[enc]] = await conn.query(
+      `SELECT voto_secreto AS votoSecreto,
+              TIMESTAMP(close_date, close_time) <= NOW() AS cerrada,
+              ? >= TIMESTAMP(close_date, close_time) AS despuesDelCierre
+       FROM encuestas_votaciones WHERE id = ?`,
+      [programada, encuestaId]
+    );
+    if (!enc) return { ok: false, status: 404, error: 'Encuesta no encontrada.' };
+    if (enc.cerrada) {
+      return { ok: false, status: 409, error: 'La encuesta ya cerró; sus resultados ya son públicos.' };
+    }
+    if (enc.votoSecreto) {
+      return { ok: false, status: 409, error: 'El conteo de una votación secreta se conoce al cierre.' };
+    }
+    if (enc.despuesDelCierre) {
+      return { ok: false, status: 400, error: 'Al cierre los resultados se publican solos; elige una fecha anterior.' };
+    }
+
+    await conn.query(
+      `UPDATE encuestas_votaciones
+       SET resultados_publicados_en = COALESCE(?, NOW()), resultados_publicados_por = ?
+       WHERE id = ?`,
+      [programada, usuarioId, encuestaId]
+    );
+    const [[{ publicacionProgramada }]] = await conn.query(
+      `SELECT DATE_FORMAT(resultados_publicados_en, '${FORMATO_FECHA}') AS publicacionProgramada
+       FROM encuestas_votaciones WHERE id = ?`,
+      [encuestaId]
+    );
+    return { ok: true, publicacionProgramada };
+  } finally {
+    conn.release();
+  }
+}
+
+// Vuelve a ocultar los resultados hasta el cierre
+async function retirarPublicacion(encuestaId) {
+  const conn = await obtenerConexion();
+  try {
+    const [[enc]] = await conn.query(
+      'SELECT TIMESTAMP(close_date, close_time) <= NOW() AS cerrada FROM encuestas_votaciones WHERE id = ?',
+      [encuestaId]
+    );
+    if (!enc) return { ok: false, status: 404, error: 'Encuesta no encontrada.' };
+    if (enc.cerrada) {
+      return { ok: false, status: 409, error: 'La encuesta ya cerró; sus resultados son públicos.' };
+    }
+    await conn.query(
+      `UPDATE encuestas_votaciones
+       SET resultados_publicados_en = NULL, resultados_publicados_por = NULL
+       WHERE id = ?`,
+      [encuestaId]
+    );
+    return { ok: true };
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// 📤 EXPORTACIÓN
+// ========================================
+/**
+ * Agremiados de la audiencia y si participaron. En votación secreta sale
+ * de votacion_participacion, que no dice qué votó cada quien.
+ */
+async function listarParticipacion(encuestaId) {
+  const [filas] = await pool.query(
+    `SELECT CONCAT_WS(' ', u.nombre, u.apellido_paterno, u.apellido_materno) AS nombre,
+            au.correo_electronico AS correo,
+            COALESCE(DATE_FORMAT(vp.votado_en, '%d/%m/%Y'),
+                     DATE_FORMAT(r.respondida_en, '${FORMATO_FECHA}')) AS respondidaEn
+     FROM perfil_usuarios u
+     JOIN autenticacion_usuarios au ON au.id = u.id
+     LEFT JOIN votacion_participacion vp ON vp.encuesta_id = ? AND vp.user_id = u.id
+     LEFT JOIN (
+       SELECT user_id, MAX(responded_at) AS respondida_en
+       FROM respuestas_encuesta WHERE encuesta_id = ?
+       GROUP BY user_id
+     ) r ON r.user_id = u.id
+     WHERE au.estatus = 'Activo'
+       AND ${audienciaService.condicionElegible('?', 'u.id')}
+     ORDER BY u.apellido_paterno, u.apellido_materno, u.nombre`,
+    [encuestaId, encuestaId, encuestaId]
+  );
+  return filas;
+}
+
+// Una fila por opción, valor o respuesta abierta de cada pregunta
+function filasResultados(preguntas) {
+  const filas = [['Pregunta', 'Tipo', 'Respuesta', 'Votos', 'Porcentaje', 'Valor']];
+  for (const p of preguntas) {
+    const fila = (respuesta, votos = '', pct = '', valor = '') =>
+      filas.push([p.preguntaText, ETIQUETAS_TIPO[p.tipo] || p.tipo, respuesta, votos, pct, valor]);
+
+    switch (p.tipo) {
+      case 'ranking':
+        p.opciones.forEach((o) => fila(o.opcionText, o.votos, '', `${o.puntos} pts, posición promedio ${o.posicionPromedio ?? '-'}`));
+        break;
+      case 'likert':
+        p.resumen.distribucion.forEach((d) =>
+          fila(d.etiqueta ? `${d.valor} - ${d.etiqueta}` : String(d.valor), d.votos, d.porcentaje));
+        fila('Promedio', '', '', p.resumen.promedio ?? '');
+        break;
+      case 'numerica':
+        fila('Promedio', '', '', p.resumen.promedio ?? '');
+        fila('Mediana', '', '', p.resumen.mediana ?? '');
+        fila('Mínimo', '', '', p.resumen.minimo ?? '');
+        fila('Máximo', '', '', p.resumen.maximo ?? '');
+        break;
+      case 'texto':
+        p.resumen.respuestas.forEach((r) => fila(r.texto));
+        break;
+      default:
+        p.opciones.forEach((o) => fila(o.opcionText, o.votos, o.porcentaje));
+        break;
+    }
+  }
+  return filas;
+}
+
+function filasResumen(resultados) {
+  const { encuesta } = resultados;
+  const filas = [
+    ['Título', encuesta.title],
+    ['Tipo', encuesta.type],
+    ['Inicio', encuesta.periodo.inicio],
+    ['Cierre', encuesta.periodo.cierre],
+    ['Estado', encuesta.cerrada ? 'Cerrada' : 'En curso (resultados preliminares)'],
+    ['Voto secreto', encuesta.votoSecreto ? 'Sí' : 'No'],
+    ['Audiencia', resultados.totalAudiencia],
+    ['Participaron', resultados.totalRespondieron],
+    ['Participación (%)', resultados.porcentajeParticipacion],
+  ];
+  if (encuesta.votoSecreto) filas.push(['Boletas contadas', resultados.totalBoletas]);
+  filas.push(['Generado', resultados.generadoEn]);
+  return filas;
+}
+
+function filasParticipacion(participacion) {
+  return [
+    ['Nombre', 'Correo', 'Participó', 'Fecha'],
+    ...participacion.map((p) => [p.nombre, p.correo, p.respondidaEn ? 'Sí' : 'No', p.respondidaEn || '']),
+  ];
+}
+
+const CONTEO_OCULTO = {
+  ok: false,
+  status: 403,
+  error: 'El conteo de una votación secreta se conoce al cierre.'
+};
+
+// Libro con hojas Resumen, Resultados y Participación
+async function generarXlsx(encuestaId) {
+  const resultados = await obtenerResultados(encuestaId, { respuestasTexto: Infinity });
+  if (!resultados) return { ok: false, status: 404, error: 'Encuesta no encontrada.' };
+  if (resultados.encuesta.conteoOculto) return CONTEO_OCULTO;
+  const participacion = await listarParticipacion(encuestaId);
+
+  const libro = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(libro, xlsx.utils.aoa_to_sheet(filasResumen(resultados)), 'Resumen');
+  xlsx.utils.book_append_sheet(libro, xlsx.utils.aoa_to_sheet(filasResultados(resultados.preguntas)), 'Resultados');
+  xlsx.utils.book_append_sheet(libro, xlsx.utils.aoa_to_sheet(filasParticipacion(participacion)), 'Participación');
+
+  return {
+    ok: true,
+    buffer: xlsx.write(libro, { type: 'buffer', bookType: 'xlsx' }),
+    nombreArchivo: `resultados-encuesta-${encuestaId}.xlsx`
+  };
+}
+
+const campoCsv = (valor) => {
+  const texto = valor === null || valor === undefined ? '' : String(valor);
+  return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * CSV de una sola tabla: `contenido` = 'resultados' (por defecto) o
+ * 'participacion'.
+ */
+async function generarCsv(encuestaId, contenido = 'resultados') {
+  if (!['resultados', 'participacion'].includes(contenido)) {
+    return { ok: false, status: 400, error: "contenido debe ser 'resultados' o 'participacion'." };
+  }
+  const resultados = await obtenerResultados(encuestaId, { respuestasTexto: Infinity });
+  if (!resultados) return { ok: false, status: 404, error: 'Encuesta no encontrada.' };
+  if (contenido === 'resultados' && resultados.encuesta.conteoOculto) return CONTEO_OCULTO;
+
+  const filas = contenido === 'participacion'
+    ? filasParticipacion(await listarParticipacion(encuestaId))
+    : filasResultados(resultados.preguntas);
+
+  return {
+    ok: true,
+    csv: filas.map((fila) => fila.map(campoCsv).join(',')).join('\r\n'),
+    nombreArchivo: `${contenido}-encuesta-${encuestaId}.csv`
+  };
+}
+
+// ========================================
+// 🖨️ CONSTANCIA
+// ========================================
+// Huella de los conteos impresos, para cotejar copias de la constancia
+function huellaResultados(resultados) {
+  const contenido = {
+    encuestaId: resultados.encuesta.id,
+    totalRespondieron: resultados.totalRespondieron,
+    totalBoletas: resultados.totalBoletas,
+    preguntas: resultados.preguntas.map((p) => ({
+      preguntaId: p.preguntaId,
+      opciones: p.opciones.map((o) => [o.opcionId, o.votos]),
+      resumen: p.tipo === 'texto' ? p.respondieron : p.resumen
+    }))
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(contenido)).digest('hex');
+}
+
+function seccion(doc, titulo) {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).text(titulo.toUpperCase());
+  doc.moveDown(0.3).font('Helvetica').fontSize(10);
+}
+
+function imprimirPregunta(doc, pregunta, numero) {
+  doc.font('Helvetica-Bold').text(`${numero}. ${pregunta.preguntaText}`);
+  doc.font('Helvetica');
+  const linea = (texto) => doc.text(texto, { indent: 14 });
+
+  switch (pregunta.tipo) {
+    case 'ranking':
+      pregunta.resumen.clasificacion.forEach((o, i) => linea(`${i + 1}º ${o.opcionText} — ${o.puntos} puntos`));
+      break;
+    case 'likert':
+      pregunta.resumen.distribucion.forEach((d) =>
+        linea(`${d.valor}${d.etiqueta ? ` (${d.etiqueta})` : ''}: ${d.votos} (${d.porcentaje}%)`));
+      linea(`Promedio: ${pregunta.resumen.promedio ?? '-'}`);
+      break;
+    case 'numerica':
+      linea(`Promedio: ${pregunta.resumen.promedio ?? '-'}    Mediana: ${pregunta.resumen.mediana ?? '-'}`);
+      linea(`Mínimo: ${pregunta.resumen.minimo ?? '-'}    Máximo: ${pregunta.resumen.maximo ?? '-'}`);
+      break;
+    case 'texto':
+      linea(`${pregunta.respondieron} respuestas abiertas (ver exportación de resultados).`);
+      break;
+    default: {
+      const maximo = Math.max(0, ...pregunta.opciones.map((o) => o.votos));
+      const ganadoras = pregunta.opciones.filter((o) => o.votos === maximo);
+      pregunta.opciones.forEach((o) => {
+        const mayoria = maximo > 0 && ganadoras.length === 1 && o.votos === maximo;
+        doc.font(mayoria ? 'Helvetica-Bold' : 'Helvetica');
+        linea(`${o.opcionText}: ${o.votos} votos (${o.porcentaje}%)${mayoria ? '  — mayoría' : ''}`);
+      });
+      doc.font('Helvetica');
+      if (maximo > 0 && ganadoras.length > 1) linea('Empate entre las opciones con más votos.');
+      break;
+    }
+  }
+  doc.moveDown(0.4);
+}
+
+/**
+ * Constancia imprimible del resultado. Antes del cierre lleva la marca
+ * "PRELIMINAR". Devuelve el PDFDocument sin terminar y los resultados,
+ * para que quien lo llama revise la visibilidad antes del pipe y end().
+ */
+async function generarConstancia(encuestaId) {
+  const resultados = await obtenerResultados(encuestaId);
+  if (!resultados) return null;
+
+  const [[empresa]] = await pool.query('SELECT nombre_empresa FROM datos_empresa ORDER BY id LIMIT 1');
+  const organizacion = (empresa && empresa.nombre_empresa) || 'SUTUTEH';
+  const { encuesta } = resultados;
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: 56, info: { Title: `Resultados - ${encuesta.title}` } });
+
+  if (!encuesta.cerrada) {
+    doc.save().rotate(-35, { origin: [306, 396] })
+      .font('Helvetica-Bold').fontSize(80).fillColor('#eeeeee')
+      .text('PRELIMINAR', 40, 340, { align: 'center' })
+      .restore().fillColor('black');
+    doc.x = doc.page.margins.left;
+    doc.y = doc.page.margins.top;
+  }
+
+  // Encabezado
+  doc.font('Helvetica-Bold').fontSize(14).text(organizacion, { align: 'center' });
+  doc.moveDown(0.3).fontSize(13).text(`CONSTANCIA DE RESULTADOS DE ${String(encuesta.type).toUpperCase()}`, { align: 'center' });
+  doc.moveDown(0.8).font('Helvetica').fontSize(10);
+  doc.text(`${encuesta.type}: ${encuesta.title}`);
+  if (encuesta.description) doc.text(encuesta.description);
+  doc.text(`Periodo de participación: del ${encuesta.periodo.inicio} al ${encuesta.periodo.cierre}`);
+  if (encuesta.type === 'Votación') {
+    doc.text(`Modalidad: ${encuesta.votoSecreto ? 'voto secreto' : 'voto nominal'}`);
+  }
+
+  // Participación
+  seccion(doc, 'Participación');
+  doc.text(`Agremiados convocados: ${resultados.totalAudiencia}`);
+  doc.text(`Participaron: ${resultados.totalRespondieron} (${resultados.porcentajeParticipacion}%)`);
+  if (encuesta.votoSecreto) {
+    doc.text(`Boletas contadas: ${resultados.totalBoletas}`);
+    doc.font('Helvetica-Bold').text(resultados.totalBoletas === resultados.totalRespondieron
+      ? 'El número de boletas coincide con el de votantes registrados.'
+      : 'El número de boletas NO coincide con el de votantes registrados.');
+    doc.font('Helvetica');
+  }
+
+  // Resultados
+  seccion(doc, 'Resultados');
+  if (resultados.preguntas.length === 0) doc.text('Sin preguntas registradas.');
+  resultados.preguntas.forEach((p, i) => imprimirPregunta(doc, p, i + 1));
+
+  doc.moveDown(1).fontSize(8).fillColor('#555555');
+  doc.text(encuesta.cerrada
+    ? `Resultados definitivos, generados el ${resultados.generadoEn}.`
+    : `Resultados preliminares al ${resultados.generadoEn}; la ${encuesta.type.toLowerCase()} cierra el ${encuesta.periodo.cierre}.`);
+  if (encuesta.votoSecreto) {
+    doc.text('Cada votante puede confirmar que su boleta está en el conteo con el recibo que recibió al votar.');
+  }
+  doc.fontSize(7).text(`SHA-256 de los resultados: ${huellaResultados(resultados)}`).fillColor('black');
+
+  return { doc, nombreArchivo: `constancia-resultados-${encuestaId}.pdf`, resultados };
+}
+
+module.exports = {
+  obtenerResultados,
+  publicarResultados,
+  retirarPublicacion,
+  generarXlsx,
+  generarCsv,
+  generarConstancia,
+};
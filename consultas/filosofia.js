@@ -1,5 +1,6 @@
 const express = require('express');
 const pool = require('../bd');
+const { authorize } = require('../middlewares/authorize');
 const multer  = require('multer');
 
 const { body, validationResult } = require('express-validator');
@@ -42,6 +43,7 @@ router.get('/', async (req, res) => {
  */
 router.post(
   "/",
+  authorize("nosotros:gestionar"),
   upload.single('img'),               // <--- middleware multer
   [
     body('seccion').notEmpty().withMessage('Sección requerida'),
@@ -94,7 +96,7 @@ router.post(
 );
 
 
-  router.delete('/:id', async (req, res) => {
+  router.delete('/:id', authorize('nosotros:gestionar'), async (req, res) => {
     try {
       const { id } = req.params;
       const [result] = await pool.query(
@@ -113,6 +115,7 @@ router.post(
 
  router.put(
   '/:id',
+  authorize('nosotros:gestionar'),
   upload.single('img'),                    // <— multer procesa campo "img"
   [
     body('contenido').notEmpty().withMessage('Contenido requerido'),
@@ -3,7 +3,12 @@
 // ========================================
 
 const admin = require('firebase-admin');
-const pool = require('../bd');
+const bandejaService = require('./bandeja_service');
+const preferenciasService = require('./preferencias_service');
+const dispositivosService = require('./dispositivos_service');
+
+// Límite de tokens por llamada a sendEachForMulticast
+const MAX_TOKENS_POR_ENVIO = 500;
 
 
 const serviceAccount = {
@@ -66,6 +71,16 @@ function formatearFechaBonita(fechaISO, horaStr) {
 
 
 
+// Clave de bandeja para avisos de reunión: incluye la fecha y hora para que
+// una reunión reprogramada vuelva a generar sus recordatorios
+function claveReunion(tipo, reunion) {
+  const fecha = reunion.date instanceof Date
+    ? [reunion.date.getFullYear(), reunion.date.getMonth() + 1, reunion.date.getDate()]
+        .map((n) => String(n).padStart(2, '0')).join('-')
+    : String(reunion.date).slice(0, 10);
+  return `${tipo}:${reunion.id}:${fecha}T${String(reunion.time).slice(0, 5)}`;
+}
+
 // Inicializar Firebase Admin
 if (!admin.apps.length) {
   admin.initializeApp({
@@ -75,24 +90,48 @@ if (!admin.apps.length) {
 }
 
 
+// ========================================
+// 📥 GUARDAR EN LA BANDEJA DEL USUARIO
+// Se guarda aunque el usuario no tenga token FCM; un fallo aquí no detiene el push.
+// ========================================
+async function guardarEnBandeja(usuariosIds, titulo, mensaje, datos, clave) {
+  try {
+    await bandejaService.registrarNotificacion(usuariosIds, {
+      tipo: datos.tipo || 'general',
+      titulo,
+      mensaje,
+      datos,
+      clave
+    });
+  } catch (error) {
+    console.error('❌ Error guardando notificación en bandeja:', error.message);
+  }
+}
+
 // ========================================
 // 📤 ENVIAR NOTIFICACIÓN A UN USUARIO
 // ========================================
-async function enviarNotificacionUsuario(usuarioId, titulo, mensaje, datos = {}) {
+async function enviarNotificacionUsuario(usuarioId, titulo, mensaje, datos = {}, { clave = null, obligatoria = false } = {}) {
+  await guardarEnBandeja([usuarioId], titulo, mensaje, datos, clave);
+
   try {
-    // Obtener token FCM del usuario
-    const [rows] = await pool.query(
-      'SELECT fcm_token FROM fcm_tokens WHERE usuario_id = ? AND activo = TRUE ORDER BY fecha_actualizacion DESC LIMIT 1',
-      [usuarioId]
+    // Respetar categorías y horario de silencio del usuario
+    const { permitidos } = await preferenciasService.filtrarDestinatarios(
+      [usuarioId], datos.tipo, { obligatoria }
     );
+    if (permitidos.length === 0) {
+      console.log(`🔕 Push omitido para usuario ${usuarioId} por sus preferencias`);
+      return { success: false, omitida: true, error: 'Silenciada por preferencias del usuario' };
+    }
 
-    if (rows.length === 0) {
+    // Todos los dispositivos activos del usuario
+    const tokens = await dispositivosService.obtenerTokensActivos([usuarioId]);
+
+    if (tokens.length === 0) {
       console.log(`⚠️ Usuario ${usuarioId} no tiene token FCM`);
       return { success: false, error: 'No token found' };
     }
 
-    const token = rows[0].fcm_token;
-
     // Preparar mensaje
     const message = {
       notification: {
@@ -116,29 +155,27 @@ async function enviarNotificacionUsuario(usuarioId, titulo, mensaje, datos = {})
           icon: 'ic_stat_sututeh'
         },
       },
-      token: token,
+      tokens: tokens,
     };
 
-    // Enviar notificación
-    const response = await admin.messaging().send(message);
-    
-    console.log(`✅ Notificación enviada a usuario ${usuarioId}:`, response);
-    
-    return { success: true, messageId: response };
+    // Enviar a cada dispositivo; solo se desactiva el token que falle
+    const response = await admin.messaging().sendEachForMulticast(message);
+
+    console.log(`✅ Notificación a usuario ${usuarioId}: ${response.successCount}/${tokens.length} dispositivos`);
+
+    if (response.failureCount > 0) {
+      await limpiarTokensInvalidos(response.responses, tokens);
+    }
+
+    return {
+      success: response.successCount > 0,
+      successCount: response.successCount,
+      failureCount: response.failureCount,
+      ...(response.successCount === 0 && { error: 'Ningún dispositivo recibió la notificación' }),
+    };
     
   } catch (error) {
     console.error('❌ Error enviando notificación:', error.message);
-    
-    // Eliminar token inválido
-    if (error.code === 'messaging/invalid-registration-token' ||
-        error.code === 'messaging/registration-token-not-registered') {
-      await pool.query(
-        'UPDATE fcm_tokens SET activo = FALSE WHERE usuario_id = ?',
-        [usuarioId]
-      );
-      console.log(`🗑️ Token inválido eliminado para usuario ${usuarioId}`);
-    }
-    
     return { success: false, error: error.message };
   }
 }
@@ -146,23 +183,29 @@ async function enviarNotificacionUsuario(usuarioId, titulo, mensaje, datos = {})
 // ========================================
 // 📤 ENVIAR NOTIFICACIÓN MASIVA
 // ========================================
-async function enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos = {}) {
+async function enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos = {}, { clave = null, obligatoria = false } = {}) {
+  await guardarEnBandeja(usuariosIds, titulo, mensaje, datos, clave);
+
   try {
-    // Obtener tokens de todos los usuarios
-    const placeholders = usuariosIds.map(() => '?').join(',');
-    const [rows] = await pool.query(
-      `SELECT DISTINCT fcm_token FROM fcm_tokens 
-       WHERE usuario_id IN (${placeholders}) AND activo = TRUE AND fcm_token IS NOT NULL`,
-      usuariosIds
+    // Respetar categorías y horario de silencio de cada usuario
+    const { permitidos, omitidos } = await preferenciasService.filtrarDestinatarios(
+      usuariosIds, datos.tipo, { obligatoria }
     );
+    if (omitidos.length > 0) {
+      console.log(`🔕 ${omitidos.length} usuarios omitidos por sus preferencias`);
+    }
+    if (permitidos.length === 0) {
+      return { success: true, successCount: 0, failureCount: 0, omitidos: omitidos.length };
+    }
+
+    // Obtener tokens de todos los dispositivos de los usuarios
+    const tokens = await dispositivosService.obtenerTokensActivos(permitidos);
 
-    if (rows.length === 0) {
+    if (tokens.length === 0) {
       console.log('⚠️ No hay tokens válidos para enviar');
       return { success: false, error: 'No tokens found' };
     }
 
-    const tokens = rows.map(row => row.fcm_token);
-
     // Preparar mensaje
     const message = {
       notification: {
@@ -184,23 +227,30 @@ async function enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos = {}
           color: '#4CAF50',
         },
       },
-      tokens: tokens,
     };
 
-    // Enviar a múltiples dispositivos
-    const response = await admin.messaging().sendEachForMulticast(message);
-    
-    console.log(`✅ Notificaciones enviadas: ${response.successCount} exitosas, ${response.failureCount} fallidas`);
-    
-    // Limpiar tokens inválidos
-    if (response.failureCount > 0) {
-      await limpiarTokensInvalidos(response.responses, tokens);
+    // Enviar a múltiples dispositivos, en lotes del máximo que acepta FCM
+    let successCount = 0;
+    let failureCount = 0;
+    for (let i = 0; i < tokens.length; i += MAX_TOKENS_POR_ENVIO) {
+      const lote = tokens.slice(i, i + MAX_TOKENS_POR_ENVIO);
+      const response = await admin.messaging().sendEachForMulticast({ ...message, tokens: lote });
+      successCount += response.successCount;
+      failureCount += response.failureCount;
+
+      // Limpiar tokens inválidos
+      if (response.failureCount > 0) {
+        await limpiarTokensInvalidos(response.responses, lote);
+      }
     }
     
+    console.log(`✅ Notificaciones enviadas: ${successCount} exitosas, ${failureCount} fallidas`);
+    
     return { 
       success: true, 
-      successCount: response.successCount,
-      failureCount: response.failureCount,
+      successCount,
+      failureCount,
+      omitidos: omitidos.length,
     };
     
   } catch (error) {
@@ -226,11 +276,7 @@ async function limpiarTokensInvalidos(responses, tokens) {
   });
 
   if (tokensInvalidos.length > 0) {
-    const placeholders = tokensInvalidos.map(() => '?').join(',');
-    await pool.query(
-      `UPDATE fcm_tokens SET activo = FALSE WHERE fcm_token IN (${placeholders})`,
-      tokensInvalidos
-    );
+    await dispositivosService.desactivarTokensInvalidos(tokensInvalidos);
     console.log(`🗑️ Eliminados ${tokensInvalidos.length} tokens inválidos`);
   }
 }
@@ -254,7 +300,10 @@ const mensaje = `${reunion.title} • ${fechaBonita} a las ${horaBonita}`;
     reunion_tipo: reunion.type || '',
   };
 
-  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos);
+  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos, {
+    clave: claveReunion(datos.tipo, reunion),
+    obligatoria: Boolean(reunion.obligatoria)
+  });
 }
 
 async function notificarRecordatorio24h(reunion, usuariosIds) {
@@ -270,7 +319,10 @@ const mensaje = `Mañana es la reunión: ${reunion.title} • ${fechaBonita} a l
     reunion_hora: reunion.time,
   };
 
-  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos);
+  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos, {
+    clave: claveReunion(datos.tipo, reunion),
+    obligatoria: Boolean(reunion.obligatoria)
+  });
 }
 
 async function notificarRecordatorio4h(reunion, usuariosIds) {
@@ -285,20 +337,137 @@ const mensaje = `Hoy: ${reunion.title} • ${fechaBonita} a las ${horaBonita}`;
     reunion_hora: reunion.time,
   };
 
-  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos);
+  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos, {
+    clave: claveReunion(datos.tipo, reunion),
+    obligatoria: Boolean(reunion.obligatoria)
+  });
 }
 
 async function notificarCancelacion(reunion, usuariosIds) {
   const titulo = '❌ Reunión Cancelada';
-  const mensaje = `La reunión "${reunion.title}" ha sido cancelada`;
+  const motivo = reunion.motivo_estado ? `. Motivo: ${reunion.motivo_estado}` : '';
+  const mensaje = `La reunión "${reunion.title}" ha sido cancelada${motivo}`;
   
   const datos = {
     tipo: 'cancelacion',
     reunion_id: String(reunion.id),
     reunion_titulo: reunion.title,
+    motivo: reunion.motivo_estado || '',
   };
 
-  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos);
+  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos, {
+    clave: claveReunion(datos.tipo, reunion),
+    obligatoria: Boolean(reunion.obligatoria)
+  });
+}
+
+async function notificarReprogramacion(reunion, anterior, usuariosIds) {
+  const titulo = '🔁 Reunión Reprogramada';
+  const { fechaBonita, horaBonita } = formatearFechaBonita(reunion.date, reunion.time);
+  const motivo = reunion.motivo_estado ? `. Motivo: ${reunion.motivo_estado}` : '';
+  const mensaje = `${reunion.title} ahora será el ${fechaBonita} a las ${horaBonita}${motivo}`;
+
+  const datos = {
+    tipo: 'reprogramacion',
+    reunion_id: String(reunion.id),
+    reunion_titulo: reunion.title,
+    reunion_fecha: reunion.date,
+    reunion_hora: reunion.time,
+    reunion_ubicacion: reunion.location || '',
+    fecha_anterior: anterior.date,
+    hora_anterior: anterior.time,
+    motivo: reunion.motivo_estado || '',
+  };
+
+  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos, {
+    clave: claveReunion(datos.tipo, reunion),
+    obligatoria: Boolean(reunion.obligatoria)
+  });
+}
+
+// Un solo aviso por cambio de una serie, no uno por ocurrencia
+async function notificarCambioSerie(serie, { accion, desde, motivo }, usuariosIds) {
+  const { fechaBonita, horaBonita } = formatearFechaBonita(`${desde}T00:00:00`, serie.time);
+  const detalleMotivo = motivo ? `. Motivo: ${motivo}` : '';
+
+  const titulo = accion === 'cancelacion' ? '❌ Reuniones Canceladas' : '🔁 Reuniones Reprogramadas';
+  const mensaje = accion === 'cancelacion'
+    ? `Se cancelan las reuniones "${serie.title}" a partir del ${fechaBonita}${detalleMotivo}`
+    : `"${serie.title}" a partir del ${fechaBonita}: ${serie.recurrencia.toLowerCase()}, a las ${horaBonita}${detalleMotivo}`;
+
+  const datos = {
+    tipo: 'cambio_serie',
+    accion,
+    serie_id: String(serie.id),
+    reunion_titulo: serie.title,
+    desde,
+    motivo: motivo || '',
+  };
+
+  return await enviarNotificacionMasiva(usuariosIds, titulo, mensaje, datos, {
+    clave: `cambio_serie:${serie.id}:${accion}:${desde}:${Date.now()}`,
+    obligatoria: Boolean(serie.obligatoria)
+  });
+}
+
+// Encuesta, noticia o rifa que llegó a su fecha de publicación
+async function notificarPublicacion({ tipo, id, titulo, tipo_encuesta, precio }, usuariosIds) {
+  const avisos = {
+    encuesta: {
+      titulo: tipo_encuesta === 'Votación' ? '🗳️ Nueva votación' : '📋 Nueva encuesta',
+      mensaje: titulo,
+      datos: { tipo: 'encuesta', encuesta_id: String(id) },
+    },
+    noticia: {
+      titulo: '📰 Nueva noticia',
+      mensaje: titulo,
+      datos: { tipo: 'noticia', noticia_id: String(id) },
+    },
+    rifa: {
+      titulo: '🎟️ Nueva rifa',
+      mensaje: `${titulo}: boletos a $${precio}`,
+      datos: { tipo: 'rifa', rifa_id: String(id) },
+    },
+  };
+  const aviso = avisos[tipo];
+
+  return await enviarNotificacionMasiva(usuariosIds, aviso.titulo, aviso.mensaje, aviso.datos, {
+    clave: `${tipo}:${id}`
+  });
+}
+
+async function notificarGanadorRifa(usuarioId, { rifaId, rifaTitulo, productoTitulo, numeroBoleto }) {
+  const titulo = '🎉 ¡Ganaste en la rifa!';
+  const mensaje = `Tu boleto #${numeroBoleto} de "${rifaTitulo}" ganó: ${productoTitulo}`;
+
+  const datos = {
+    tipo: 'ganador_rifa',
+    rifa_id: String(rifaId),
+    numero_boleto: String(numeroBoleto),
+  };
+
+  return await enviarNotificacionUsuario(usuarioId, titulo, mensaje, datos, {
+    clave: `ganador_rifa:${rifaId}`
+  });
+}
+
+async function notificarRevisionJustificacion(usuarioId, { justificacionId, envio, reunionTitulo, estado, comentario }) {
+  const aprobada = estado === 'aprobada';
+  const titulo = aprobada ? '✅ Justificación aprobada' : '❌ Justificación rechazada';
+  const mensaje = aprobada
+    ? `Tu falta a "${reunionTitulo}" quedó justificada`
+    : `Tu justificación para "${reunionTitulo}" fue rechazada${comentario ? `: ${comentario}` : ''}`;
+
+  const datos = {
+    tipo: 'justificacion',
+    justificacion_id: String(justificacionId),
+    estado,
+    comentario: comentario || '',
+  };
+
+  return await enviarNotificacionUsuario(usuarioId, titulo, mensaje, datos, {
+    clave: `justificacion:${justificacionId}:${envio}`
+  });
 }
 
 // ========================================
@@ -311,4 +480,9 @@ module.exports = {
   notificarRecordatorio24h,
   notificarRecordatorio4h,
   notificarCancelacion,
+  notificarReprogramacion,
+  notificarCambioSerie,
+  notificarPublicacion,
+  notificarGanadorRifa,
+  notificarRevisionJustificacion,
 };
\ No newline at end of file
@@ -3,6 +3,7 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../bd');
+const { authorize } = require('../middlewares/authorize');
 
 /**
  * POST /api/puestos
@@ -10,7 +11,7 @@ const pool = require('../bd');
  * Body esperado: { nombre: string, responsabilidad: string }
  * (Deja usuario_id = NULL por defecto)
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize('puestos:gestionar'), async (req, res) => {
   const { nombre, responsabilidad } = req.body;
 
   if (!nombre || !responsabilidad) {
@@ -113,7 +114,7 @@ router.get('/usuario/:usuario_id', async (req, res) => {
  * Actualiza los datos de un puesto en la tabla `puestos_sindicato`.
  * Body esperado: { nombre?: string, responsabilidad?: string, usuario_id?: number|null }
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('puestos:gestionar'), async (req, res) => {
   const { id } = req.params;
   const { nombre, responsabilidad, usuario_id } = req.body;
 
@@ -183,7 +184,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/puestos/:id
  * Elimina un puesto de la tabla `puestos_sindicato` según su ID.
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('puestos:gestionar'), async (req, res) => {
   const { id } = req.params;
 
   try {
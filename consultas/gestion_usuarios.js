@@ -3,11 +3,13 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../bd');
+const { authorize } = require('../middlewares/authorize');
 const multer = require('multer');
 const xlsx = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const { body, validationResult } = require('express-validator');
+const { revocarSesionesUsuario } = require('../config/sesiones');
 
 // Configuración de multer para subir archivos Excel
 const storage = multer.diskStorage({
@@ -54,7 +56,7 @@ const upload = multer({
  * GET /api/usuarios/preregistrados
  * Obtiene lista de usuarios preregistrados (sin completar registro)
  */
-router.get('/preregistrados', async (req, res) => {
+router.get('/preregistrados', authorize('usuarios:gestionar'), async (req, res) => {
   try {
     const [usuarios] = await pool.query(`
       SELECT 
@@ -95,7 +97,7 @@ router.get('/preregistrados', async (req, res) => {
  * GET /api/usuarios/registrados
  * Obtiene lista de usuarios completamente registrados
  */
-router.get('/registrados', async (req, res) => {
+router.get('/registrados', authorize('usuarios:gestionar'), async (req, res) => {
   try {
     const [usuarios] = await pool.query(`
       SELECT 
@@ -147,7 +149,7 @@ router.get('/registrados', async (req, res) => {
  * DELETE /api/usuarios/:id
  * Elimina un usuario del sistema (permite eliminar usuarios registrados y preregistrados)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('usuarios:gestionar'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -199,11 +201,48 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/usuarios/:id/revocar-sesiones
+ * Cierra todas las sesiones (web y móvil) de un usuario
+ */
+router.post('/:id/revocar-sesiones', authorize('usuarios:gestionar'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [usuario] = await pool.query(
+      'SELECT id FROM autenticacion_usuarios WHERE id = ?',
+      [id]
+    );
+
+    if (usuario.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    const revocadas = await revocarSesionesUsuario(id, 'revocada_por_admin');
+
+    res.json({
+      success: true,
+      mensaje: 'Sesiones del usuario cerradas exitosamente',
+      revocadas
+    });
+
+  } catch (error) {
+    console.error('Error revocando sesiones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno al revocar sesiones'
+    });
+  }
+});
+
 /**
  * GET /api/usuarios/estadisticas
  * Obtiene estadísticas generales de usuarios
  */
-router.get('/estadisticas', async (req, res) => {
+router.get('/estadisticas', authorize('usuarios:gestionar'), async (req, res) => {
   try {
     const [stats] = await pool.query(`
       SELECT 
@@ -232,7 +271,7 @@ router.get('/estadisticas', async (req, res) => {
  * GET /api/usuarios/:id
  * Obtiene los datos completos de un usuario específico por ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('usuarios:gestionar'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -307,7 +346,7 @@ router.get('/:id', async (req, res) => {
  * PUT /api/usuarios/:id
  * Actualiza los datos de un usuario específico
  */
-router.put('/:id', [
+router.put('/:id', authorize('usuarios:gestionar'), [
   // Validaciones para datos personales
   body('nombre').optional().notEmpty().withMessage('Nombre no puede estar vacío'),
   body('apellido_paterno').optional().notEmpty().withMessage('Apellido paterno no puede estar vacío'),
@@ -492,6 +531,11 @@ router.put('/:id', [
       );
     }
 
+    // Un agremiado dado de baja no debe conservar sesiones abiertas
+    if (estatus !== undefined && estatus !== 'Activo') {
+      await revocarSesionesUsuario(id, 'usuario_inactivo');
+    }
+
     res.json({
       success: true,
       mensaje: 'Usuario actualizado exitosamente'
@@ -558,7 +602,7 @@ router.get('/catalogos/all', async (req, res) => {
  * PUT /api/usuarios/:id/campo
  * Actualiza un campo específico de un usuario
  */
-router.put('/:id/campo', async (req, res) => {
+router.put('/:id/campo', authorize('usuarios:gestionar'), async (req, res) => {
   const { id } = req.params;
   const { campo, valor } = req.body;
 
@@ -644,6 +688,9 @@ router.put('/:id/campo', async (req, res) => {
         `UPDATE autenticacion_usuarios SET ${campo} = ? WHERE id = ?`,
         [valor, id]
       );
+      if (campo === 'estatus' && valor !== 'Activo') {
+        await revocarSesionesUsuario(id, 'usuario_inactivo');
+      }
     } else if (camposPerfil.includes(campo)) {
       // ✅ CASO ESPECIAL PARA PROGRAMA EDUCATIVO
       if (campo === 'programa_educativo' && typeof valor === 'string') {
@@ -698,7 +745,7 @@ router.put('/:id/campo', async (req, res) => {
  * POST /api/usuarios/procesar-excel
  * Procesa un archivo Excel y crea usuarios preregistrados
  */
-router.post('/procesar-excel', upload.single('excelFile'), async (req, res) => {
+router.post('/procesar-excel', authorize('usuarios:gestionar'), upload.single('excelFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
@@ -874,7 +921,7 @@ router.post('/procesar-excel', upload.single('excelFile'), async (req, res) => {
  * POST /api/usuarios/agregar-individual
  * Agrega un usuario individual mediante formulario
  */
-router.post('/agregar-individual', [
+router.post('/agregar-individual', authorize('usuarios:gestionar'), [
   body('correo_electronico')
     .isEmail()
     .withMessage('Correo electrónico inválido')
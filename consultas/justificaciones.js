@@ -0,0 +1,153 @@
+// consultas/justificaciones.js
+// Solicitudes de falta justificada con evidencia y su revisión
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authorize } = require('../middlewares/authorize');
+const { storageJustificantes } = require('../cloudinaryConfig');
+const justificacionesService = require('./justificaciones_service');
+
+const uploadEvidencia = multer({
+  storage: storageJustificantes,
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+// Devuelve 400 en lugar de un 500 si el archivo no es válido
+function subirEvidencia(req, res, next) {
+  uploadEvidencia.single('evidencia')(req, res, (err) => {
+    if (err) {
+      console.error('Error subiendo evidencia:', err.message);
+      return res.status(400).json({ error: 'La evidencia debe ser una imagen o PDF de hasta 10MB.' });
+    }
+    next();
+  });
+}
+
+/**
+ * POST /api/justificaciones/reuniones/:reunionId
+ * form-data: motivo, evidencia (archivo)
+ */
+router.post(
+  '/reuniones/:reunionId',
+  authorize('asistencia:registrar'),
+  subirEvidencia,
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Adjunta el documento de evidencia.' });
+    }
+
+    try {
+      const resultado = await justificacionesService.solicitarJustificacion({
+        reunionId: req.params.reunionId,
+        usuarioId: req.user.sub,
+        motivo: req.body.motivo,
+        evidencia: {
+          url: req.file.path,
+          publicId: req.file.filename,
+          nombre: req.file.originalname
+        }
+      });
+
+      if (!resultado.ok) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+
+      res.status(201).json({
+        message: 'Justificación enviada. Quedó pendiente de revisión.',
+        justificacion: resultado.justificacion
+      });
+    } catch (err) {
+      console.error('Error al enviar justificación:', err);
+      res.status(500).json({ error: 'Error interno al enviar la justificación.' });
+    }
+  }
+);
+
+/**
+ * GET /api/justificaciones/mias
+ * Justificaciones del usuario autenticado
+ */
+router.get('/mias', authorize('asistencia:registrar'), async (req, res) => {
+  try {
+    const justificaciones = await justificacionesService.listarJustificaciones({
+      usuarioId: req.user.sub
+    });
+    res.json(justificaciones);
+  } catch (err) {
+    console.error('Error al obtener justificaciones:', err);
+    res.status(500).json({ error: 'Error interno al obtener justificaciones.' });
+  }
+});
+
+/**
+ * GET /api/justificaciones?estado=pendiente&reunion_id=1
+ * Bandeja de revisión (admin); las pendientes aparecen primero
+ */
+router.get('/', authorize('reuniones:gestionar'), async (req, res) => {
+  const { estado, reunion_id } = req.query;
+
+  if (estado && !justificacionesService.ESTADOS.includes(estado)) {
+    return res.status(400).json({ error: 'Estado no válido.' });
+  }
+
+  try {
+    const justificaciones = await justificacionesService.listarJustificaciones({
+      estado,
+      reunionId: reunion_id
+    });
+    res.json(justificaciones);
+  } catch (err) {
+    console.error('Error al obtener justificaciones:', err);
+    res.status(500).json({ error: 'Error interno al obtener justificaciones.' });
+  }
+});
+
+/**
+ * PATCH /api/justificaciones/:id/revision
+ * Body: { estado: 'aprobada' | 'rechazada', comentario }
+ */
+router.patch('/:id/revision', authorize('reuniones:gestionar'), async (req, res) => {
+  const { estado, comentario } = req.body;
+
+  try {
+    const resultado = await justificacionesService.revisarJustificacion({
+      justificacionId: req.params.id,
+      estado,
+      comentario: comentario ? comentario.trim() : null,
+      revisorId: req.user.sub
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+
+    res.json({ message: `Justificación ${resultado.estado}.`, estado: resultado.estado });
+  } catch (err) {
+    console.error('Error al revisar justificación:', err);
+    res.status(500).json({ error: 'Error interno al revisar la justificación.' });
+  }
+});
+
+/**
+ * DELETE /api/justificaciones/:id
+ * El agremiado retira su justificación mientras siga pendiente
+ */
+router.delete('/:id', authorize('asistencia:registrar'), async (req, res) => {
+  try {
+    const resultado = await justificacionesService.retirarJustificacion({
+      justificacionId: req.params.id,
+      usuarioId: req.user.sub
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+
+    res.json({ message: 'Justificación retirada.' });
+  } catch (err) {
+    console.error('Error al retirar justificación:', err);
+    res.status(500).json({ error: 'Error interno al retirar la justificación.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+// ========================================
+// 📦 services/justificaciones_service.js
+// Faltas justificadas: el agremiado envía el motivo con un documento de
+// evidencia (Cloudinary) y un administrador la aprueba o rechaza. Al
+// aprobarse, la asistencia queda como falta_justificada y se recalculan
+// sus puntos.
+// ========================================
+
+const pool = require('../bd');
+const { cloudinary } = require('../cloudinaryConfig');
+const firebaseService = require('./firebase_service');
+const asistenciaService = require('./asistencia_service');
+
+// Días después de la reunión para enviar la justificación
+const DIAS_LIMITE = 7;
+
+const PUNTAJE_FALTA_JUSTIFICADA = asistenciaService.PUNTAJE_POR_ESTADO.falta_justificada;
+
+const ESTADOS = ['pendiente', 'aprobada', 'rechazada'];
+
+async function borrarEvidencia(publicId) {
+  if (!publicId) return;
+  try {
+    await cloudinary.uploader.destroy(publicId);
+  } catch (err) {
+    console.error('⚠️ No se pudo borrar la evidencia de Cloudinary:', err.message);
+  }
+}
+
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+// ========================================
+// 📝 SOLICITAR
+// ========================================
+/**
+ * Registra (o reenvía tras un rechazo) la justificación del usuario.
+ * evidencia: { url, publicId, nombre } del archivo ya subido; si la solicitud
+ * no procede, el archivo se borra de Cloudinary.
+ * Devuelve { ok: false, status, error } si no procede.
+ */
+async function solicitarJustificacion({ reunionId, usuarioId, motivo, evidencia }) {
+  if (!motivo || !motivo.trim()) {
+    await borrarEvidencia(evidencia.publicId);
+    return { ok: false, status: 400, error: 'El motivo es obligatorio' };
+  }
+  motivo = motivo.trim();
+
+  const conn = await obtenerConexion();
+  let evidenciaAnterior = null;
+  let justificacion;
+
+  const rechazar = async (status, error) => {
+    await conn.rollback();
+    await borrarEvidencia(evidencia.publicId);
+    return { ok: false, status, error };
+  };
+
+  try {
+    await conn.beginTransaction();
+
+    const [[reunion]] = await conn.query(
+      `SELECT id, estado_reunion,
+              NOW() > DATE_ADD(TIMESTAMP(date, time), INTERVAL ? DAY) AS vencida
+       FROM reuniones WHERE id = ?`,
+      [DIAS_LIMITE, reunionId]
+    );
+    if (!reunion) {
+      return await rechazar(404, 'Reunión no encontrada');
+    }
+    if (reunion.estado_reunion === 'cancelada') {
+      return await rechazar(409, 'La reunión fue cancelada');
+    }
+    if (reunion.vencida) {
+      return await rechazar(400, `El plazo para justificar vence ${DIAS_LIMITE} días después de la reunión`);
+    }
+
+    const [[asistencia]] = await conn.query(
+      'SELECT estado_asistencia FROM asistencia WHERE reunion_id = ? AND usuario_id = ?',
+      [reunionId, usuarioId]
+    );
+    if (asistencia && ['asistencia_completa', 'retardo'].includes(asistencia.estado_asistencia)) {
+      return await rechazar(409, 'Ya tienes asistencia registrada en esta reunión');
+    }
+
+    const [[actual]] = await conn.query(
+      `SELECT id, estado, evidencia_public_id FROM justificaciones_asistencia
+       WHERE reunion_id = ? AND usuario_id = ? FOR UPDATE`,
+      [reunionId, usuarioId]
+    );
+    if (actual && actual.estado === 'pendiente') {
+      return await rechazar(409, 'Ya enviaste una justificación y está en revisión');
+    }
+    if (actual && actual.estado === 'aprobada') {
+      return await rechazar(409, 'Tu justificación ya fue aprobada');
+    }
+
+    let justificacionId;
+    if (actual) {
+      // Reenvío tras un rechazo: misma fila, vuelve a revisión
+      evidenciaAnterior = actual.evidencia_public_id;
+      justificacionId = actual.id;
+      await conn.query(
+        `UPDATE justificaciones_asistencia
+           SET motivo = ?, evidencia_url = ?, evidencia_public_id = ?, evidencia_nombre = ?,
+               estado = 'pendiente', envios = envios + 1,
+               comentario_revision = NULL, revisado_por = NULL, revisado_en = NULL
+         WHERE id = ?`,
+        [motivo, evidencia.url, evidencia.publicId, evidencia.nombre, actual.id]
+      );
+    } else {
+      const [insert] = await conn.query(
+        `INSERT INTO justificaciones_asistencia
+           (reunion_id, usuario_id, motivo, evidencia_url, evidencia_public_id, evidencia_nombre)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [reunionId, usuarioId, motivo, evidencia.url, evidencia.publicId, evidencia.nombre]
+      );
+      justificacionId = insert.insertId;
+    }
+
+    [[justificacion]] = await conn.query(
+      'SELECT * FROM justificaciones_asistencia WHERE id = ?',
+      [justificacionId]
+    );
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    await borrarEvidencia(evidencia.publicId);
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await borrarEvidencia(evidenciaAnterior);
+  return { ok: true, justificacion };
+}
+
+// ========================================
+// ⚖️ REVISAR (ADMIN)
+// ========================================
+/**
+ * Aprueba o rechaza una justificación pendiente. Al aprobarla, la asistencia
+ * del usuario pasa a falta_justificada (sin tocar una asistencia o retardo ya
+ * registrados) y se recalculan sus puntos.
+ */
+async function revisarJustificacion({ justificacionId, estado, comentario, revisorId }) {
+  if (!['aprobada', 'rechazada'].includes(estado)) {
+    return { ok: false, status: 400, error: 'estado debe ser "aprobada" o "rechazada"' };
+  }
+  if (estado === 'rechazada' && !comentario) {
+    return { ok: false, status: 400, error: 'Indica el motivo del rechazo en el comentario' };
+  }
+
+  const conn = await obtenerConexion();
+  let justificacion;
+  try {
+    await conn.beginTransaction();
+
+    [[justificacion]] = await conn.query(
+      `SELECT j.*, r.title AS reunion_titulo, r.estado_reunion
+       FROM justificaciones_asistencia j
+       JOIN reuniones r ON r.id = j.reunion_id
+       WHERE j.id = ? FOR UPDATE`,
+      [justificacionId]
+    );
+    if (!justificacion) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Justificación no encontrada' };
+    }
+    if (justificacion.estado !== 'pendiente') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: `La justificación ya fue ${justificacion.estado}` };
+    }
+    if (justificacion.estado_reunion === 'cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La reunión fue cancelada' };
+    }
+
+    await conn.query(
+      `UPDATE justificaciones_asistencia
+         SET estado = ?, comentario_revision = ?, revisado_por = ?, revisado_en = NOW()
+       WHERE id = ?`,
+      [estado, comentario || null, revisorId, justificacionId]
+    );
+
+    if (estado === 'aprobada') {
+      const [[asistencia]] = await conn.query(
+        `SELECT estado_asistencia, puntaje FROM asistencia
+         WHERE reunion_id = ? AND usuario_id = ? FOR UPDATE`,
+        [justificacion.reunion_id, justificacion.usuario_id]
+      );
+
+      if (!asistencia || !['asistencia_completa', 'retardo'].includes(asistencia.estado_asistencia)) {
+        // La fecha del registro es la de la reunión: los puntos cuentan en ese año
+        await conn.query(
+          `INSERT INTO asistencia (reunion_id, usuario_id, registered_at, estado_asistencia, puntaje)
+           SELECT r.id, ?, TIMESTAMP(r.date, r.time), 'falta_justificada', ?
+           FROM reuniones r WHERE r.id = ?
+           ON DUPLICATE KEY UPDATE
+             estado_asistencia = VALUES(estado_asistencia),
+             puntaje = VALUES(puntaje)`,
+          [justificacion.usuario_id, PUNTAJE_FALTA_JUSTIFICADA, justificacion.reunion_id]
+        );
+        await asistenciaService.registrarHistorial(conn, {
+          reunionId: justificacion.reunion_id,
+          usuarioId: justificacion.usuario_id,
+          origen: 'justificacion',
+          anterior: asistencia,
+          estado: 'falta_justificada',
+          puntaje: PUNTAJE_FALTA_JUSTIFICADA,
+          motivo: `Justificación #${justificacionId} aprobada${comentario ? `: ${comentario}` : ''}`.slice(0, 500),
+          realizadoPor: revisorId,
+        });
+        await conn.query('CALL sp_actualizar_puntos_usuario(?)', [justificacion.usuario_id]);
+      }
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  try {
+    await firebaseService.notificarRevisionJustificacion(justificacion.usuario_id, {
+      justificacionId,
+      envio: justificacion.envios,
+      reunionTitulo: justificacion.reunion_titulo,
+      estado,
+      comentario,
+    });
+  } catch (err) {
+    console.error('⚠️ No se pudo avisar la revisión de la justificación:', err.message);
+  }
+
+  return { ok: true, estado };
+}
+
+// ========================================
+// 🗑️ RETIRAR (AGREMIADO)
+// ========================================
+async function retirarJustificacion({ justificacionId, usuarioId }) {
+  const [[justificacion]] = await pool.query(
+    'SELECT estado, evidencia_public_id FROM justificaciones_asistencia WHERE id = ? AND usuario_id = ?',
+    [justificacionId, usuarioId]
+  );
+  if (!justificacion) {
+    return { ok: false, status: 404, error: 'Justificación no encontrada' };
+  }
+  if (justificacion.estado !== 'pendiente') {
+    return { ok: false, status: 409, error: 'Solo se puede retirar una justificación pendiente' };
+  }
+
+  const [result] = await pool.query(
+    "DELETE FROM justificaciones_asistencia WHERE id = ? AND estado = 'pendiente'",
+    [justificacionId]
+  );
+  if (result.affectedRows === 0) {
+    return { ok: false, status: 409, error: 'La justificación ya fue revisada' };
+  }
+
+  await borrarEvidencia(justificacion.evidencia_public_id);
+  return { ok: true };
+}
+
+// ========================================
+// 📋 CONSULTAR
+// ========================================
+async function listarJustificaciones({ estado, reunionId, usuarioId } = {}) {
+  const condiciones = [];
+  const valores = [];
+  if (estado) { condiciones.push('j.estado = ?'); valores.push(estado); }
+  if (reunionId) { condiciones.push('j.reunion_id = ?'); valores.push(reunionId); }
+  if (usuarioId) { condiciones.push('j.usuario_id = ?'); valores.push(usuarioId); }
+
+  const [justificaciones] = await pool.query(
+    `SELECT j.id, j.reunion_id, r.title AS reunion_titulo, r.date AS reunion_fecha,
+            j.usuario_id, CONCAT(u.nombre, ' ', u.apellido_paterno) AS usuario_nombre,
+            j.motivo, j.evidencia_url, j.evidencia_nombre, j.estado, j.envios,
+            j.comentario_revision, j.revisado_en, j.creado_en, j.actualizado_en
+     FROM justificaciones_asistencia j
+     JOIN reuniones r ON r.id = j.reunion_id
+     LEFT JOIN perfil_usuarios u ON u.id = j.usuario_id
+     ${condiciones.length ? `WHERE ${condiciones.join(' AND ')}` : ''}
+     ORDER BY j.estado = 'pendiente' DESC, j.creado_en DESC`,
+    valores
+  );
+  return justificaciones;
+}
+
+module.exports = {
+  DIAS_LIMITE,
+  PUNTAJE_FALTA_JUSTIFICADA,
+  ESTADOS,
+  solicitarJustificacion,
+  revisarJustificacion,
+  retirarJustificacion,
+  listarJustificaciones,
+};
@@ -2,8 +2,9 @@
 const express = require("express");
 const pool   = require("../bd");
 const bcrypt = require("bcrypt");
-const jwt    = require("jsonwebtoken");
 const axios  = require("axios");
+const sesiones = require("../config/sesiones");
+const { authenticate } = require("../middlewares/authorize");
 const { body, validationResult } = require("express-validator");
 
 const router = express.Router();
@@ -72,26 +73,17 @@ router.post(
         [user.id]
       );
 
-      // 5) Firmar JWT
-      const payload = { sub: user.id, role: perfil.roleName };
-      
-      const token = jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: "10m",
+      // 5) Abrir sesión: access token corto + refresh token rotativo
+      const sesion = await sesiones.crearSesion({
+        usuarioId: user.id,
+        role: perfil.roleName,
+        cliente: "web",
+        req,
       });
-      // 🔧 6) Configuración dinámica de cookies (igual que refreshSession)
-      const isProduction = process.env.NODE_ENV === 'production';
 
-      // 6) Enviar cookie HttpOnly y JSON de éxito
-      res
-      .cookie("authToken", token, {
-       
-         httpOnly: true,
-          secure: isProduction, // 🔧 Dinámico
-          sameSite: isProduction ? "none" : "lax", // 🔧 Dinámico
-          maxAge: 10 * 60 * 1000, // 10 minutos
-          path: "/" // 🔧 Asegurar disponibilidad
-      })
-      .json({ message: "Login exitoso", roleId: perfil.roleId });
+      // 6) Enviar cookies HttpOnly y JSON de éxito
+      sesiones.setAuthCookies(res, sesion);
+      res.json({ message: "Login exitoso", roleId: perfil.roleId });
         
     } catch (err) {
       console.error("Error en /api/login:", err);
@@ -100,16 +92,43 @@ router.post(
   }
 );
 
-router.post("/logout", (req, res) => {
-  const isProduction = process.env.NODE_ENV === 'production';
-  res
-    .clearCookie("authToken", {
-      
-      httpOnly: true,
-      secure: isProduction, // 🔧 Dinámico
-      sameSite: isProduction ? "none" : "lax", // 🔧 Dinámico
-      path: "/" // 🔧 Asegurar limpieza completa
-    })
-    .json({ message: "Logout exitoso" });
+router.post("/logout", async (req, res) => {
+  try {
+    // Revocar la sesión en servidor, no solo borrar la cookie
+    if (req.cookies.refreshToken) {
+      await sesiones.revocarSesion(req.cookies.refreshToken, "logout");
+    }
+  } catch (err) {
+    console.error("Error revocando sesión en logout:", err);
+  }
+
+  sesiones.clearAuthCookies(res);
+  res.json({ message: "Logout exitoso" });
+});
+
+// Cerrar sesión en todos los dispositivos del usuario autenticado
+router.post("/logout-todos", authenticate, async (req, res) => {
+  try {
+    const revocadas = await sesiones.revocarSesionesUsuario(req.user.sub, "logout_global");
+    sesiones.clearAuthCookies(res);
+    res.json({ message: "Sesión cerrada en todos los dispositivos", revocadas });
+  } catch (err) {
+    console.error("Error en /api/login/logout-todos:", err);
+    res.status(500).json({ error: "Error interno" });
+  }
 });
+
+// Sesiones abiertas del usuario autenticado
+router.get("/sesiones", authenticate, async (req, res) => {
+  try {
+    const lista = await sesiones.listarSesiones(req.user.sub);
+    res.json({
+      sesiones: lista.map((s) => ({ ...s, actual: s.sid === req.user.sid })),
+    });
+  } catch (err) {
+    console.error("Error en /api/login/sesiones:", err);
+    res.status(500).json({ error: "Error interno" });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,90 @@
+// ========================================
+// 📦 services/mercadopago_service.js
+// Único punto de contacto con la API de Mercado Pago. Las pruebas pueden
+// reemplazar este módulo por un stub local.
+// ========================================
+
+const crypto = require('crypto');
+const { MercadoPagoConfig, Preference, Payment } = require('mercadopago');
+
+const client = new MercadoPagoConfig({
+  accessToken: process.env.MP_ACCESS_TOKEN
+});
+
+// Tolerancia para el timestamp de x-signature (evita replays viejos)
+const TOLERANCIA_FIRMA_MS = 10 * 60 * 1000;
+
+// ========================================
+// 🧾 PREFERENCIAS
+// ========================================
+async function crearPreferencia(body) {
+  const preference = new Preference(client);
+  return await preference.create({ body });
+}
+
+// ========================================
+// 💳 PAGOS
+// ========================================
+async function obtenerPago(paymentId) {
+  const payment = new Payment(client);
+  return await payment.get({ id: paymentId });
+}
+
+// Pagos asociados a una compra (puede haber varios intentos por referencia)
+async function buscarPagosPorReferencia(externalReference) {
+  const payment = new Payment(client);
+  const resultado = await payment.search({
+    options: {
+      external_reference: externalReference,
+      sort: 'date_created',
+      criteria: 'desc'
+    }
+  });
+  return resultado.results || [];
+}
+
+// ========================================
+// 🔐 VERIFICAR x-signature DEL WEBHOOK
+// Manifest: id:<data.id>;request-id:<x-request-id>;ts:<ts>;
+// ========================================
+function verificarFirma({ xSignature, xRequestId, dataId }) {
+  const secret = process.env.MP_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('⚠️ MP_WEBHOOK_SECRET no configurado, se rechazan todos los webhooks');
+    return false;
+  }
+  if (!xSignature || !dataId) return false;
+
+  const partes = Object.fromEntries(
+    xSignature.split(',').map((parte) => {
+      const [clave, ...valor] = parte.trim().split('=');
+      return [clave, valor.join('=')];
+    })
+  );
+  const { ts, v1 } = partes;
+  if (!ts || !v1) return false;
+
+  // ts puede venir en segundos o en milisegundos
+  const tsMs = ts.length > 10 ? Number(ts) : Number(ts) * 1000;
+  if (!Number.isFinite(tsMs) || Math.abs(Date.now() - tsMs) > TOLERANCIA_FIRMA_MS) {
+    return false;
+  }
+
+  // Mercado Pago firma el id en minúsculas cuando es alfanumérico
+  let manifest = `id:${String(dataId).toLowerCase()};`;
+  if (xRequestId) manifest += `request-id:${xRequestId};`;
+  manifest += `ts:${ts};`;
+
+  const esperado = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+
+  const a = Buffer.from(esperado, 'hex');
+  const b = Buffer.from(v1, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  crearPreferencia,
+  obtenerPago,
+  buscarPagosPorReferencia,
+  verificarFirma,
+};
@@ -372,4 +372,6 @@ router.get('/tiempo-real', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+// El modelo también se usa fuera de /api/ml (p. ej. confirmaciones de reuniones)
+module.exports.calcularProbabilidadAsistencia = calcularProbabilidadAsistencia;
\ No newline at end of file
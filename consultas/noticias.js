@@ -1,6 +1,7 @@
 // routes/noticias.js - VERSIÓN CORREGIDA
 const express = require("express");
 const pool    = require("../bd");
+const { authorize } = require("../middlewares/authorize");
 const multer  = require("multer");
 const { storageNoticias } = require("../cloudinaryConfig");
 const upload = multer({ storage: storageNoticias });
@@ -110,6 +111,7 @@ router.get('/:id', async (req, res) => {
 // POST /api/noticias - Crear nueva noticia
 router.post(
   "/",
+  authorize("noticias:gestionar"),
   upload.fields([
     { name: "imagenes", maxCount: 5 },
     { name: "video",    maxCount: 1 }
@@ -177,6 +179,7 @@ router.post(
 // PUT /api/noticias/:id - Actualizar noticia
 router.put(
   "/:id",
+  authorize("noticias:gestionar"),
   upload.fields([
     { name: "imagenes", maxCount: 5 },
     { name: "video",    maxCount: 1 }
@@ -273,7 +276,7 @@ router.put(
 );
 
 // DELETE /api/noticias/:id - Eliminar noticia
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('noticias:gestionar'), async (req, res) => {
   const { id } = req.params;
   try {
     const [result] = await pool.query(
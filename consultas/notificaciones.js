@@ -1,133 +1,55 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../bd");
+const { authenticate, authorize } = require("../middlewares/authorize");
 const firebaseService = require("../consultas/firebase_service");
+const bandejaService = require("./bandeja_service");
+const preferenciasService = require("./preferencias_service");
 
 // ==========================
-// 📅 GET /api/notificaciones
+// 📥 GET /api/notificaciones
+// Bandeja del usuario autenticado (cookie web o Bearer móvil)
+// ?pagina=1&limite=20&solo_no_leidas=true
 // ==========================
-router.get("/", async (req, res) => {
+router.get("/", authenticate, async (req, res) => {
   try {
-    await pool.execute("SET time_zone = '-06:00'");
-    const ahora = new Date();
-
-    const [reuniones] = await pool.query(`
-      SELECT id, title, date, time, type, location, description, created_at
-      FROM reuniones
-      WHERE date >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
-      ORDER BY date ASC, time ASC
-    `);
-
-    const notificaciones = [];
-
-    for (const reunion of reuniones) {
-      const [hora, minutos, segundos] = reunion.time.split(":").map(Number);
-      const fechaReunion = new Date(reunion.date);
-      fechaReunion.setHours(hora, minutos, segundos, 0);
-
-      const diffMs = fechaReunion.getTime() - ahora.getTime();
-      const diffHoras = diffMs / (1000 * 60 * 60);
-      const diasDesdeCreacion =
-        (ahora.getTime() - new Date(reunion.created_at).getTime()) /
-        (1000 * 60 * 60 * 24);
+    const { pagina, limite, solo_no_leidas } = req.query;
 
-      if (diffHoras < 0) continue;
-
-      const fechaTexto = fechaReunion.toLocaleDateString("es-MX", {
-        weekday: "long",
-        day: "numeric",
-        month: "long",
-      });
-
-      // 1️⃣ Nueva reunión creada (últimos 7 días)
-      if (diasDesdeCreacion <= 7) {
-        notificaciones.push({
-          id: `nueva_${reunion.id}`,
-          tipo_notificacion: "nueva_reunion",
-          titulo: "Nueva reunión registrada",
-          mensaje: `Se ha creado la reunión "${reunion.title}" para el ${fechaTexto} a las ${reunion.time}.`,
-          reunion_id: reunion.id,
-          reunion_titulo: reunion.title,
-          reunion_fecha: reunion.date,
-          reunion_hora: reunion.time,
-          reunion_tipo: reunion.type,
-          reunion_ubicacion: reunion.location,
-          fecha_envio: reunion.created_at,
-          es_nueva: true,
-        });
-      }
-
-      // 2️⃣ Recordatorio - 24 horas antes
-      if (diffHoras <= 24 && diffHoras > 4) {
-        notificaciones.push({
-          id: `24h_${reunion.id}`,
-          tipo_notificacion: "recordatorio_24h",
-          titulo: "Recordatorio - Mañana",
-          mensaje: `Mañana (${fechaTexto}) a las ${reunion.time} será la reunión "${reunion.title}" en ${reunion.location || "lugar pendiente"}.`,
-          reunion_id: reunion.id,
-          reunion_titulo: reunion.title,
-          reunion_fecha: reunion.date,
-          reunion_hora: reunion.time,
-          reunion_tipo: reunion.type,
-          reunion_ubicacion: reunion.location,
-          fecha_envio: ahora.toISOString(),
-          es_nueva: true,
-        });
-      }
-
-      // 3️⃣ Recordatorio - 4 horas antes
-      if (diffHoras <= 4 && diffHoras >= 0) {
-        notificaciones.push({
-          id: `4h_${reunion.id}`,
-          tipo_notificacion: "recordatorio_4h",
-          titulo: "Recordatorio - Hoy",
-          mensaje: `¡Hoy es la reunión "${reunion.title}"! Será a las ${reunion.time} en ${reunion.location || "el lugar asignado"}.`,
-          reunion_id: reunion.id,
-          reunion_titulo: reunion.title,
-          reunion_fecha: reunion.date,
-          reunion_hora: reunion.time,
-          reunion_tipo: reunion.type,
-          reunion_ubicacion: reunion.location,
-          fecha_envio: ahora.toISOString(),
-          es_nueva: true,
-        });
-      }
-    }
-
-    notificaciones.sort(
-      (a, b) =>
-        new Date(b.fecha_envio).getTime() - new Date(a.fecha_envio).getTime()
-    );
+    const bandeja = await bandejaService.listar(req.user.sub, {
+      pagina,
+      limite,
+      soloNoLeidas: solo_no_leidas === "true",
+    });
 
     res.json({
-      total: notificaciones.length,
-      notificaciones,
+      ...bandeja,
+      // Campos que ya usaba la app
+      notificaciones: bandeja.notificaciones.map((n) => ({
+        ...n.datos,
+        ...n,
+        tipo_notificacion: n.tipo,
+        fecha_envio: n.creado_en,
+        es_nueva: !n.leida,
+      })),
     });
   } catch (error) {
-    console.error("❌ Error al generar notificaciones:", error);
-    res.status(500).json({ error: "Error al generar notificaciones" });
+    console.error("❌ Error al obtener notificaciones:", error);
+    res.status(500).json({ error: "Error al obtener notificaciones" });
   }
 });
 
 // ==========================
 // 🔸 GET /api/notificaciones/contador
 // ==========================
-router.get("/contador", async (req, res) => {
+router.get("/contador", authenticate, async (req, res) => {
   try {
-    await pool.execute("SET time_zone = '-06:00'");
-    const [rows] = await pool.query(`
-      SELECT COUNT(*) as total
-      FROM reuniones
-      WHERE CONCAT(date, ' ', time) >= NOW()
-        AND date <= DATE_ADD(CURDATE(), INTERVAL 7 DAY)
-    `);
-    const total = rows[0]?.total || 0;
+    const total = await bandejaService.contarNoLeidas(req.user.sub);
     res.json({
       total_no_leidas: total,
       mensaje:
         total > 0
-          ? `Tienes ${total} reuniones próximas esta semana`
-          : "No hay reuniones próximas",
+          ? `Tienes ${total} notificaciones sin leer`
+          : "No tienes notificaciones nuevas",
     });
   } catch (error) {
     console.error("Error al obtener contador:", error);
@@ -135,12 +57,103 @@ router.get("/contador", async (req, res) => {
   }
 });
 
+// ==========================
+// ✅ PATCH /api/notificaciones/:id/leida
+// Body opcional: { leida: false } para marcar como no leída
+// ==========================
+router.patch("/:id/leida", authenticate, async (req, res) => {
+  try {
+    const leida = req.body?.leida !== false;
+    const actualizada = await bandejaService.marcarLeida(req.user.sub, req.params.id, leida);
+
+    if (!actualizada) {
+      return res.status(404).json({ error: "Notificación no encontrada" });
+    }
+
+    res.json({
+      message: leida ? "Notificación marcada como leída" : "Notificación marcada como no leída",
+      total_no_leidas: await bandejaService.contarNoLeidas(req.user.sub),
+    });
+  } catch (error) {
+    console.error("Error al actualizar notificación:", error);
+    res.status(500).json({ error: "Error al actualizar notificación" });
+  }
+});
+
+// ==========================
+// ✅ POST /api/notificaciones/leer-todas
+// ==========================
+router.post("/leer-todas", authenticate, async (req, res) => {
+  try {
+    const actualizadas = await bandejaService.marcarTodasLeidas(req.user.sub);
+    res.json({ message: "Notificaciones marcadas como leídas", actualizadas });
+  } catch (error) {
+    console.error("Error al marcar notificaciones:", error);
+    res.status(500).json({ error: "Error al marcar notificaciones" });
+  }
+});
+
+// ==========================
+// 🗑️ DELETE /api/notificaciones/:id
+// ==========================
+router.delete("/:id", authenticate, async (req, res) => {
+  try {
+    const eliminada = await bandejaService.eliminar(req.user.sub, req.params.id);
+
+    if (!eliminada) {
+      return res.status(404).json({ error: "Notificación no encontrada" });
+    }
+
+    res.json({ message: "Notificación eliminada" });
+  } catch (error) {
+    console.error("Error al eliminar notificación:", error);
+    res.status(500).json({ error: "Error al eliminar notificación" });
+  }
+});
+
+// ==========================
+// ⚙️ GET /api/notificaciones/preferencias
+// ==========================
+router.get("/preferencias", authenticate, async (req, res) => {
+  try {
+    const preferencias = await preferenciasService.obtenerPreferencias(req.user.sub);
+    res.json({
+      preferencias,
+      categorias: Object.keys(preferenciasService.CATEGORIAS),
+      zona_horaria: "America/Mexico_City",
+    });
+  } catch (error) {
+    console.error("Error al obtener preferencias:", error);
+    res.status(500).json({ error: "Error al obtener preferencias" });
+  }
+});
+
+// ==========================
+// ⚙️ PUT /api/notificaciones/preferencias
+// Body parcial: { "noticias": false, "silencio_activo": true,
+//                 "silencio_inicio": "22:00", "silencio_fin": "07:00" }
+// ==========================
+router.put("/preferencias", authenticate, async (req, res) => {
+  try {
+    const resultado = await preferenciasService.guardarPreferencias(req.user.sub, req.body || {});
+
+    if (!resultado.ok) {
+      return res.status(400).json({ error: resultado.error });
+    }
+
+    res.json({ message: "Preferencias actualizadas", preferencias: resultado.preferencias });
+  } catch (error) {
+    console.error("Error al guardar preferencias:", error);
+    res.status(500).json({ error: "Error al guardar preferencias" });
+  }
+});
+
 // ==========================
 // 🔥 NUEVOS ENDPOINTS PARA PUSH NOTIFICATIONS
 // ==========================
 
 // 🧪 Enviar notificación de prueba
-router.post("/test", async (req, res) => {
+router.post("/test", authorize("notificaciones:enviar"), async (req, res) => {
   try {
     const { usuario_id } = req.body;
 
@@ -163,7 +176,7 @@ router.post("/test", async (req, res) => {
 });
 
 // 📅 Enviar notificación de nueva reunión
-router.post("/enviar-nueva-reunion", async (req, res) => {
+router.post("/enviar-nueva-reunion", authorize("notificaciones:enviar"), async (req, res) => {
   try {
     const { reunion_id, usuarios_ids } = req.body;
 
@@ -197,7 +210,7 @@ router.post("/enviar-nueva-reunion", async (req, res) => {
 });
 
 // ⏰ Enviar recordatorio 24h
-router.post("/enviar-recordatorio-24h", async (req, res) => {
+router.post("/enviar-recordatorio-24h", authorize("notificaciones:enviar"), async (req, res) => {
   try {
     const { reunion_id, usuarios_ids } = req.body;
 
@@ -224,7 +237,7 @@ router.post("/enviar-recordatorio-24h", async (req, res) => {
 });
 
 // 🔔 Enviar recordatorio 4h
-router.post("/enviar-recordatorio-4h", async (req, res) => {
+router.post("/enviar-recordatorio-4h", authorize("notificaciones:enviar"), async (req, res) => {
   try {
     const { reunion_id, usuarios_ids } = req.body;
 
@@ -251,9 +264,9 @@ router.post("/enviar-recordatorio-4h", async (req, res) => {
 });
 
 // 📤 Notificación personalizada
-router.post("/personalizada", async (req, res) => {
+router.post("/personalizada", authorize("notificaciones:enviar"), async (req, res) => {
   try {
-    const { usuarios_ids, titulo, mensaje, datos } = req.body;
+    const { usuarios_ids, titulo, mensaje, datos, obligatoria = false } = req.body;
 
     if (!usuarios_ids || !titulo || !mensaje) {
       return res.status(400).json({ 
@@ -265,7 +278,8 @@ router.post("/personalizada", async (req, res) => {
       usuarios_ids,
       titulo,
       mensaje,
-      datos || {}
+      datos || {},
+      { obligatoria: Boolean(obligatoria) }
     );
 
     res.json(resultado);
@@ -276,7 +290,7 @@ router.post("/personalizada", async (req, res) => {
 });
 
 // 📊 Obtener todos los usuarios con tokens activos
-router.get("/usuarios-con-tokens", async (req, res) => {
+router.get("/usuarios-con-tokens", authorize("notificaciones:enviar"), async (req, res) => {
   try {
     const [usuarios] = await pool.query(`
       SELECT DISTINCT u.id, u.email, u.nombre_completo, ft.fcm_token
@@ -1,9 +1,11 @@
-
 const express = require('express');
 const router = express.Router();
-const { MercadoPagoConfig, Preference } = require('mercadopago');
 const refreshSession = require('../config/refreshSession');
+const { authorize } = require('../middlewares/authorize');
 const db = require('../bd');
+const mercadopago = require('./mercadopago_service');
+const pagosService = require('./pagos_service');
+const boletosService = require('./boletos_service');
 
 const requireAuth = (req, res, next) => {
   if (!req.user || !req.user.sub) {
@@ -12,28 +14,77 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
-// Configura Mercado Pago
-const client = new MercadoPagoConfig({
-  accessToken: process.env.MP_ACCESS_TOKEN
-});
-
-// POST /api/pagos - AHORA CON PROTECCIÓN
+// POST /api/pagos - Crea la compra pendiente y su preferencia de Mercado Pago
 router.post('/', refreshSession, requireAuth, async (req, res) => {
   try {
     const usuario_id = req.user.sub; // Obtener ID del usuario autenticado
-    const { boletos, total, rifa_id } = req.body;
+    const { boletos, rifa_id } = req.body;
 
     console.log('Usuario autenticado:', usuario_id);
-    console.log('Datos recibidos:', { boletos, total, rifa_id });
+    console.log('Datos recibidos:', { boletos, rifa_id });
 
-    if (!boletos || boletos.length === 0 || !total || !rifa_id) {
+    if (!Array.isArray(boletos) || boletos.length === 0 || !rifa_id) {
       return res.status(400).json({ error: 'Datos incompletos para generar el pago.' });
     }
 
+    const [[rifa]] = await db.query(
+      `SELECT id, titulo, precio, CONCAT(fecha, ' ', hora) <= NOW() AS cerrada
+       FROM rifas WHERE id = ?`,
+      [rifa_id]
+    );
+    if (!rifa) {
+      return res.status(404).json({ error: 'Rifa no encontrada.' });
+    }
+    // Llegada la hora del sorteo ya no se venden boletos
+    if (rifa.cerrada) {
+      return res.status(409).json({ error: 'La venta de boletos de esta rifa ya cerró.' });
+    }
+
+    // El total lo calcula el servidor, no el cliente
+    const total = Number(rifa.precio) * boletos.length;
+
+    // Crear la compra y apartar los números en una sola transacción
+    let compra;
+    let reserva;
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      await boletosService.asegurarInventario(conn, rifa_id);
+
+      compra = await pagosService.crearCompra({
+        usuarioId: usuario_id,
+        rifaId: rifa_id,
+        boletos,
+        total
+      }, conn);
+
+      reserva = await boletosService.reservarBoletos(conn, {
+        rifaId: rifa_id,
+        numeros: boletos,
+        usuarioId: usuario_id,
+        pagoId: compra.id
+      });
+
+      if (!reserva.ok) {
+        await conn.rollback();
+        return res.status(409).json({
+          error: reserva.error,
+          no_disponibles: reserva.noDisponibles || []
+        });
+      }
+
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+
     const preference = {
       items: [
         {
-          title: `Compra de ${boletos.length} boletos`,
+          title: `Compra de ${boletos.length} boletos - ${rifa.titulo}`,
           quantity: 1,
           unit_price: total,
           currency_id: 'MXN'
@@ -45,6 +96,11 @@ router.post('/', refreshSession, requireAuth, async (req, res) => {
         pending: 'https://sututeh.com/rifas'
       },
       auto_return: 'approved',
+      external_reference: compra.externalReference,
+      // La preferencia deja de aceptar pagos cuando vence la reserva
+      expires: true,
+      expiration_date_to: reserva.reservadoHasta.toISOString(),
+      ...(process.env.MP_NOTIFICATION_URL && { notification_url: process.env.MP_NOTIFICATION_URL }),
       metadata: {
         usuario_id: usuario_id,
         rifa_id: rifa_id,
@@ -52,72 +108,171 @@ router.post('/', refreshSession, requireAuth, async (req, res) => {
       }
     };
 
-    const preferenceInstance = new Preference(client);
-    const result = await preferenceInstance.create({ body: preference });
+    let result;
+    try {
+      result = await mercadopago.crearPreferencia(preference);
+    } catch (err) {
+      // Sin preferencia no habrá pago: liberar los números de inmediato
+      await pagosService.expirarCompra(compra.id, 'sin_preferencia');
+      throw err;
+    }
+    await pagosService.asignarPreferencia(compra.id, result.id);
 
-    res.status(200).json({ init_point: result.init_point });
+    res.status(200).json({
+      init_point: result.init_point,
+      preference_id: result.id,
+      external_reference: compra.externalReference,
+      total,
+      reservado_hasta: reserva.reservadoHasta
+    });
   } catch (err) {
     console.error('Error al generar preferencia:', err);
     res.status(500).json({ error: 'Error al generar el link de pago.' });
   }
 });
 
-// Guardar pagos en la base de datos
+// POST /api/pagos/guardar - Al volver de Mercado Pago el cliente pide
+// conciliar su compra. El estado lo decide el servidor, nunca el cliente.
 router.post('/guardar', refreshSession, requireAuth, async (req, res) => {
   try {
     const usuario_id = req.user.sub;
-    const { rifa_id, boletos, total, estado } = req.body;
+    const { external_reference, preference_id } = req.body;
 
-    if (!rifa_id || !boletos || !Array.isArray(boletos) || !total || !estado) {
-      return res.status(400).json({ error: 'Datos incompletos para guardar la compra' });
+    if (!external_reference && !preference_id) {
+      return res.status(400).json({ error: 'Se requiere external_reference o preference_id' });
     }
 
-    const estadosValidos = ['pendiente', 'aprobado', 'rechazado'];
-    if (!estadosValidos.includes(estado)) {
-      return res.status(400).json({ error: 'Estado inválido' });
+    const [[compra]] = await db.query(
+      `SELECT id, external_reference FROM pagos_rifa
+       WHERE usuario_id = ? AND (external_reference = ? OR preference_id = ?)`,
+      [usuario_id, external_reference || null, preference_id || null]
+    );
+
+    if (!compra) {
+      return res.status(404).json({ error: 'Compra no encontrada' });
     }
 
-    await db.query(`
-      INSERT INTO compras (usuario_id, rifa_id, boletos, total, estado)
-      VALUES (?, ?, ?, ?, ?)
-    `, [usuario_id, rifa_id, JSON.stringify(boletos), total, estado]);
+    await pagosService.conciliarCompra(compra, 'cliente');
+
+    const [[actual]] = await db.query(
+      `SELECT external_reference, rifa_id, boletos, total, estado, fecha_creacion
+       FROM pagos_rifa WHERE id = ?`,
+      [compra.id]
+    );
 
-    res.status(200).json({ message: 'Compra registrada con éxito' });
+    res.status(200).json({ message: 'Compra conciliada', compra: actual });
   } catch (err) {
     console.error('Error al guardar la compra:', err);
     res.status(500).json({ error: 'Error al guardar la compra' });
   }
 });
 
-// Webhook de Mercado Pago
+// GET /api/pagos/mis-compras - Compras del usuario autenticado
+router.get('/mis-compras', refreshSession, requireAuth, async (req, res) => {
+  try {
+    const [compras] = await db.query(
+      `SELECT p.external_reference, p.rifa_id, r.titulo AS rifa_titulo,
+              p.boletos, p.boletos_conflicto, p.total, p.estado,
+              p.fecha_creacion, p.fecha_actualizacion
+       FROM pagos_rifa p
+       JOIN rifas r ON r.id = p.rifa_id
+       WHERE p.usuario_id = ?
+       ORDER BY p.fecha_creacion DESC`,
+      [req.user.sub]
+    );
+    res.json(compras);
+  } catch (err) {
+    console.error('Error al obtener compras:', err);
+    res.status(500).json({ error: 'Error al obtener compras' });
+  }
+});
+
+// Webhook de Mercado Pago (firmado con x-signature)
 router.post('/webhook', async (req, res) => {
+  const tipo = req.query.type || req.query.topic || req.body.type || req.body.topic;
+  const dataId = req.query['data.id'] || req.body.data?.id || req.query.id;
+  const xRequestId = req.headers['x-request-id'];
+
+  const firmaValida = mercadopago.verificarFirma({
+    xSignature: req.headers['x-signature'],
+    xRequestId,
+    dataId
+  });
+
+  if (!firmaValida) {
+    console.warn('⚠️ Webhook de Mercado Pago con firma inválida:', { tipo, dataId });
+    return res.status(401).send('Firma inválida');
+  }
+
+  if (tipo !== 'payment') {
+    return res.status(200).send('OK');
+  }
+
   try {
-    const { id, topic } = req.body;
-
-    if (topic === 'payment') {
-      const payment = await client.payment.get({ id });
-      const { status, metadata } = payment;
-
-      const { usuario_id, rifa_id, boletos } = metadata;
-
-      await db.query(`
-        UPDATE compras
-        SET estado = ?
-        WHERE usuario_id = ? AND rifa_id = ? AND boletos = ?
-      `, [
-        status === 'approved' ? 'aprobado' :
-        status === 'rejected' ? 'rechazado' : 'pendiente',
-        usuario_id,
-        rifa_id,
-        JSON.stringify(boletos)
-      ]);
+    // Nunca confiar en el cuerpo: el estado se consulta directamente a Mercado Pago
+    const payment = await mercadopago.obtenerPago(dataId);
+
+    const resultado = await pagosService.aplicarPago(payment, {
+      origen: 'webhook',
+      notificacionId: xRequestId || null
+    });
+
+    if (resultado.duplicado) {
+      console.log(`↩️ Notificación duplicada ignorada (${xRequestId})`);
     }
 
     res.status(200).send('OK');
   } catch (err) {
     console.error('Error en el webhook:', err);
+    // 500 para que Mercado Pago reintente; la conciliación también lo cubrirá
     res.status(500).send('Error');
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// POST /api/pagos/conciliar - Fuerza la conciliación de compras pendientes
+router.post('/conciliar', authorize('rifas:gestionar'), async (req, res) => {
+  try {
+    const resumen = await pagosService.conciliarPendientes({ minutosMinimos: 0 });
+    res.json({ message: 'Conciliación completada', resumen });
+  } catch (err) {
+    console.error('Error en conciliación manual:', err);
+    res.status(500).json({ error: 'Error al conciliar pagos' });
+  }
+});
+
+// GET /api/pagos/conflictos - Compras aprobadas con boletos que ya eran de otra compra
+// ?todos=1 incluye las ya resueltas
+router.get('/conflictos', authorize('rifas:gestionar'), async (req, res) => {
+  try {
+    const conflictos = await pagosService.listarConflictos({
+      incluirResueltos: req.query.todos === '1'
+    });
+    res.json(conflictos);
+  } catch (err) {
+    console.error('Error al listar conflictos de boletos:', err);
+    res.status(500).json({ error: 'Error al listar conflictos de boletos' });
+  }
+});
+
+// POST /api/pagos/:id/conflicto/resolver - Registra cómo se atendió el conflicto
+router.post('/:id/conflicto/resolver', authorize('rifas:gestionar'), async (req, res) => {
+  const nota = typeof req.body.nota === 'string' ? req.body.nota.trim() : '';
+  if (!nota) {
+    return res.status(400).json({ error: 'Indica cómo se resolvió (reembolso, reasignación...)' });
+  }
+
+  try {
+    const resultado = await pagosService.resolverConflicto(
+      Number(req.params.id), req.user.sub, nota.slice(0, 255)
+    );
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json({ message: 'Conflicto resuelto' });
+  } catch (err) {
+    console.error('Error al resolver conflicto de boletos:', err);
+    res.status(500).json({ error: 'Error al resolver el conflicto' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,350 @@
+// ========================================
+// 📦 services/pagos_service.js
+// Ledger de compras de boletos (tabla pagos_rifa). El estado de una compra
+// solo cambia aquí, a partir del pago consultado en Mercado Pago.
+// ========================================
+
+const crypto = require('crypto');
+const pool = require('../bd');
+const mercadopago = require('./mercadopago_service');
+const boletosService = require('./boletos_service');
+const bandejaService = require('./bandeja_service');
+
+// Estados de Mercado Pago → estado interno
+const ESTADOS_MP = {
+  pending: 'pendiente',
+  in_process: 'pendiente',
+  authorized: 'pendiente',
+  approved: 'aprobado',
+  rejected: 'rechazado',
+  cancelled: 'cancelado',
+  refunded: 'reembolsado',
+  charged_back: 'reembolsado',
+};
+
+// Transiciones permitidas. Un rechazo puede volver a pendiente/aprobado porque
+// el comprador puede reintentar el pago con la misma preferencia.
+const TRANSICIONES = {
+  pendiente: ['aprobado', 'rechazado', 'cancelado'],
+  rechazado: ['pendiente', 'aprobado', 'cancelado'],
+  aprobado: ['reembolsado'],
+  cancelado: [],
+  reembolsado: [],
+};
+
+function esTransicionValida(actual, nuevo) {
+  return (TRANSICIONES[actual] || []).includes(nuevo);
+}
+
+// ========================================
+// 🧾 CREAR COMPRA PENDIENTE
+// ========================================
+async function crearCompra({ usuarioId, rifaId, boletos, total }, conn = pool) {
+  const externalReference = crypto.randomUUID();
+  const [result] = await conn.query(
+    `INSERT INTO pagos_rifa (usuario_id, rifa_id, external_reference, boletos, total, estado)
+     VALUES (?, ?, ?, ?, ?, 'pendiente')`,
+    [usuarioId, rifaId, externalReference, JSON.stringify(boletos), total]
+  );
+  return { id: result.insertId, externalReference };
+}
+
+async function asignarPreferencia(pagoId, preferenceId) {
+  await pool.query(
+    'UPDATE pagos_rifa SET preference_id = ? WHERE id = ?',
+    [preferenceId, pagoId]
+  );
+}
+
+// ========================================
+// 🔄 APLICAR UN PAGO DE MERCADO PAGO AL LEDGER
+// Idempotente: el mismo pago/estado aplicado dos veces no cambia nada y una
+// notificación con el mismo `notificacionId` se descarta.
+// ========================================
+async function aplicarPago(payment, { origen, notificacionId = null }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // 1) Deduplicar la notificación
+    const [evento] = await conn.query(
+      `INSERT IGNORE INTO pagos_eventos (origen, notificacion_id, mp_payment_id, mp_status)
+       VALUES (?, ?, ?, ?)`,
+      [origen, notificacionId, String(payment.id), payment.status]
+    );
+    if (notificacionId && evento.affectedRows === 0) {
+      await conn.rollback();
+      return { duplicado: true, aplicado: false };
+    }
+    const eventoId = evento.insertId;
+
+    // 2) Bloquear la compra
+    const [[pago]] = await conn.query(
+      'SELECT * FROM pagos_rifa WHERE external_reference = ? FOR UPDATE',
+      [payment.external_reference]
+    );
+
+    if (!pago) {
+      await conn.commit();
+      console.warn(`⚠️ Pago ${payment.id} sin compra asociada (${payment.external_reference})`);
+      return { aplicado: false, motivo: 'compra_no_encontrada' };
+    }
+
+    const estadoAnterior = pago.estado;
+    let estadoNuevo = ESTADOS_MP[payment.status] || 'pendiente';
+    let motivo = null;
+
+    // No aprobar si el monto cobrado no cubre la compra
+    if (estadoNuevo === 'aprobado' &&
+        Number(payment.transaction_amount) < Number(pago.total)) {
+      motivo = 'monto_insuficiente';
+      estadoNuevo = estadoAnterior;
+    }
+
+    const aplicado = estadoNuevo !== estadoAnterior &&
+      esTransicionValida(estadoAnterior, estadoNuevo);
+
+    if (!aplicado && !motivo && estadoNuevo !== estadoAnterior) {
+      motivo = 'transicion_invalida';
+    }
+
+    let conflictoBoletos = false;
+
+    if (aplicado) {
+      await conn.query(
+        `UPDATE pagos_rifa
+           SET estado = ?, mp_payment_id = ?, mp_status = ?, mp_status_detail = ?
+         WHERE id = ?`,
+        [estadoNuevo, String(payment.id), payment.status, payment.status_detail || null, pago.id]
+      );
+
+      // Inventario de boletos según el nuevo estado
+      if (estadoNuevo === 'aprobado') {
+        const confirmacion = await boletosService.confirmarBoletos(conn, pago);
+        conflictoBoletos = confirmacion.conflicto;
+        if (conflictoBoletos) {
+          // Pagó números que ya eran de otra compra: queda pendiente para un admin
+          await conn.query(
+            'UPDATE pagos_rifa SET boletos_conflicto = ? WHERE id = ?',
+            [JSON.stringify(confirmacion.faltantes), pago.id]
+          );
+        }
+      } else if (estadoNuevo === 'rechazado' || estadoNuevo === 'cancelado') {
+        await boletosService.liberarBoletos(conn, pago.id);
+      } else if (estadoNuevo === 'reembolsado') {
+        await boletosService.liberarBoletos(conn, pago.id, { incluirVendidos: true });
+      }
+    } else if (estadoNuevo === estadoAnterior && !motivo) {
+      // Mismo estado: solo refrescar el detalle del pago vigente
+      await conn.query(
+        `UPDATE pagos_rifa SET mp_payment_id = ?, mp_status = ?, mp_status_detail = ?
+         WHERE id = ?`,
+        [String(payment.id), payment.status, payment.status_detail || null, pago.id]
+      );
+    }
+
+    await conn.query(
+      `UPDATE pagos_eventos
+         SET pago_id = ?, estado_anterior = ?, estado_nuevo = ?, aplicado = ?
+       WHERE id = ?`,
+      [pago.id, estadoAnterior, aplicado ? estadoNuevo : estadoAnterior, aplicado ? 1 : 0, eventoId]
+    );
+
+    await conn.commit();
+
+    if (motivo) {
+      console.warn(`⚠️ Pago ${payment.id} no aplicado a compra ${pago.id}: ${motivo}`);
+    }
+
+    if (aplicado && estadoNuevo === 'aprobado') {
+      try {
+        await bandejaService.registrarNotificacion([pago.usuario_id], {
+          tipo: 'compra_rifa',
+          titulo: '✅ Compra de boletos confirmada',
+          mensaje: `Tu pago de $${pago.total} fue aprobado`,
+          datos: {
+            tipo: 'compra_rifa',
+            rifa_id: pago.rifa_id,
+            boletos: typeof pago.boletos === 'string' ? JSON.parse(pago.boletos) : pago.boletos
+          },
+          clave: `compra_aprobada:${pago.id}`
+        });
+      } catch (notifError) {
+        console.error('⚠️ No se pudo registrar la compra en la bandeja:', notifError.message);
+      }
+    }
+
+    return {
+      aplicado,
+      pagoId: pago.id,
+      estadoAnterior,
+      estadoNuevo: aplicado ? estadoNuevo : estadoAnterior,
+      motivo,
+      conflictoBoletos
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// ⚠️ CONFLICTOS DE BOLETOS (compras aprobadas con números ajenos)
+// ========================================
+async function listarConflictos({ incluirResueltos = false } = {}) {
+  const [conflictos] = await pool.query(
+    `SELECT p.id, p.usuario_id,
+            CONCAT_WS(' ', u.nombre, u.apellido_paterno, u.apellido_materno) AS usuario_nombre,
+            p.rifa_id, r.titulo AS rifa_titulo, p.boletos, p.boletos_conflicto, p.total,
+            p.estado, p.mp_payment_id, p.fecha_actualizacion,
+            p.conflicto_resuelto_en, p.conflicto_resuelto_por, p.conflicto_nota
+     FROM pagos_rifa p
+     JOIN perfil_usuarios u ON u.id = p.usuario_id
+     JOIN rifas r ON r.id = p.rifa_id
+     WHERE p.boletos_conflicto IS NOT NULL
+       ${incluirResueltos ? '' : 'AND p.conflicto_resuelto_en IS NULL'}
+     ORDER BY p.conflicto_resuelto_en IS NOT NULL, p.fecha_actualizacion DESC`
+  );
+
+  const json = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+  return conflictos.map((c) => ({
+    ...c,
+    boletos: json(c.boletos),
+    boletos_conflicto: json(c.boletos_conflicto)
+  }));
+}
+
+/**
+ * Marca el conflicto de una compra como atendido. Reembolsar o reasignar los
+ * boletos se hace aparte; aquí solo queda quién lo resolvió y cómo.
+ */
+async function resolverConflicto(pagoId, adminId, nota) {
+  const [result] = await pool.query(
+    `UPDATE pagos_rifa
+       SET conflicto_resuelto_en = NOW(), conflicto_resuelto_por = ?, conflicto_nota = ?
+     WHERE id = ? AND boletos_conflicto IS NOT NULL AND conflicto_resuelto_en IS NULL`,
+    [adminId, nota, pagoId]
+  );
+
+  if (result.affectedRows === 0) {
+    return { ok: false, status: 404, error: 'La compra no tiene un conflicto pendiente' };
+  }
+  return { ok: true };
+}
+
+// ========================================
+// ⌛ EXPIRAR UNA COMPRA SIN PAGO
+// Cancela la compra pendiente y libera sus boletos apartados.
+// ========================================
+async function expirarCompra(pagoId, motivo = 'reserva_vencida') {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[pago]] = await conn.query(
+      'SELECT id, estado FROM pagos_rifa WHERE id = ? FOR UPDATE',
+      [pagoId]
+    );
+
+    if (!pago || !esTransicionValida(pago.estado, 'cancelado')) {
+      await conn.rollback();
+      return false;
+    }
+
+    await conn.query(
+      `UPDATE pagos_rifa SET estado = 'cancelado', mp_status_detail = ? WHERE id = ?`,
+      [motivo, pagoId]
+    );
+    await boletosService.liberarBoletos(conn, pagoId);
+    await conn.query(
+      `INSERT INTO pagos_eventos (pago_id, origen, estado_anterior, estado_nuevo, aplicado)
+       VALUES (?, 'conciliacion', ?, 'cancelado', 1)`,
+      [pagoId, pago.estado]
+    );
+
+    await conn.commit();
+    return true;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// 🔍 CONCILIAR UNA COMPRA CONTRA MERCADO PAGO
+// ========================================
+async function conciliarCompra(pago, origen = 'conciliacion') {
+  const pagos = await mercadopago.buscarPagosPorReferencia(pago.external_reference);
+
+  await pool.query(
+    'UPDATE pagos_rifa SET ultima_conciliacion = NOW() WHERE id = ?',
+    [pago.id]
+  );
+
+  if (pagos.length === 0) {
+    // Nadie intentó pagar y la reserva ya venció: cancelar y liberar boletos
+    const [[vencida]] = await pool.query(
+      `SELECT id FROM pagos_rifa
+       WHERE id = ? AND estado = 'pendiente'
+         AND fecha_creacion < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [pago.id, boletosService.MINUTOS_RESERVA]
+    );
+    if (vencida) {
+      const expirada = await expirarCompra(pago.id);
+      return { aplicado: expirada, motivo: 'reserva_vencida' };
+    }
+    return { aplicado: false, motivo: 'sin_pagos' };
+  }
+
+  // Si algún intento fue aprobado, ese manda; si no, el más reciente
+  const relevante = pagos.find((p) => p.status === 'approved') || pagos[0];
+  return await aplicarPago(relevante, { origen });
+}
+
+// ========================================
+// ⏰ CONCILIAR COMPRAS PENDIENTES (job programado)
+// ========================================
+async function conciliarPendientes({ minutosMinimos = 10, diasMaximos = 3 } = {}) {
+  const [pendientes] = await pool.query(
+    `SELECT id, external_reference
+     FROM pagos_rifa
+     WHERE estado = 'pendiente'
+       AND fecha_creacion <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+       AND fecha_creacion >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     ORDER BY ultima_conciliacion IS NOT NULL, ultima_conciliacion ASC
+     LIMIT 100`,
+    [minutosMinimos, diasMaximos]
+  );
+
+  const resumen = { revisadas: 0, actualizadas: 0, errores: 0 };
+
+  for (const pago of pendientes) {
+    resumen.revisadas++;
+    try {
+      const resultado = await conciliarCompra(pago);
+      if (resultado.aplicado) resumen.actualizadas++;
+    } catch (err) {
+      resumen.errores++;
+      console.error(`❌ Error conciliando compra ${pago.id}:`, err.message);
+    }
+  }
+
+  return resumen;
+}
+
+module.exports = {
+  ESTADOS_MP,
+  esTransicionValida,
+  crearCompra,
+  asignarPreferencia,
+  aplicarPago,
+  listarConflictos,
+  resolverConflicto,
+  expirarCompra,
+  conciliarCompra,
+  conciliarPendientes,
+};
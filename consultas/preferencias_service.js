@@ -0,0 +1,159 @@
+// ========================================
+// 📦 services/preferencias_service.js
+// Preferencias de push por categoría y horario de silencio.
+// Solo filtran el push: la notificación siempre queda en la bandeja.
+// ========================================
+
+const pool = require('../bd');
+
+const ZONA_HORARIA = 'America/Mexico_City';
+
+// Categoría configurable → tipos de notificación (datos.tipo) que cubre
+const CATEGORIAS = {
+  nueva_reunion: ['nueva_reunion'],
+  recordatorio_24h: ['recordatorio_24h'],
+  recordatorio_4h: ['recordatorio_4h'],
+  cancelacion: ['cancelacion', 'reprogramacion', 'cambio_serie'],
+  encuestas: ['encuesta'],
+  noticias: ['noticia'],
+  rifas: ['rifa'],
+};
+
+const CATEGORIA_POR_TIPO = Object.fromEntries(
+  Object.entries(CATEGORIAS).flatMap(([categoria, tipos]) => tipos.map((t) => [t, categoria]))
+);
+
+const PREFERENCIAS_DEFAULT = {
+  ...Object.fromEntries(Object.keys(CATEGORIAS).map((c) => [c, true])),
+  silencio_activo: false,
+  silencio_inicio: null,
+  silencio_fin: null,
+};
+
+const HORA_REGEX = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Hora actual en México como "HH:MM:SS"
+function horaActualMexico(fecha = new Date()) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: ZONA_HORARIA,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).format(fecha);
+}
+
+function normalizarHora(hora) {
+  return hora && hora.length === 5 ? `${hora}:00` : hora;
+}
+
+function enSilencio(pref, ahora = horaActualMexico()) {
+  if (!pref.silencio_activo || !pref.silencio_inicio || !pref.silencio_fin) return false;
+  const inicio = normalizarHora(pref.silencio_inicio);
+  const fin = normalizarHora(pref.silencio_fin);
+  if (inicio === fin) return false;
+  // Rango que cruza la medianoche: 22:00 → 07:00
+  return inicio < fin
+    ? ahora >= inicio && ahora < fin
+    : ahora >= inicio || ahora < fin;
+}
+
+function formatear(fila) {
+  if (!fila) return { ...PREFERENCIAS_DEFAULT };
+  const pref = { ...PREFERENCIAS_DEFAULT };
+  for (const categoria of Object.keys(CATEGORIAS)) pref[categoria] = Boolean(fila[categoria]);
+  pref.silencio_activo = Boolean(fila.silencio_activo);
+  pref.silencio_inicio = fila.silencio_inicio;
+  pref.silencio_fin = fila.silencio_fin;
+  return pref;
+}
+
+// ========================================
+// 📋 CONSULTAR / GUARDAR
+// ========================================
+async function obtenerPreferencias(usuarioId) {
+  const [[fila]] = await pool.query(
+    'SELECT * FROM preferencias_notificacion WHERE usuario_id = ?',
+    [usuarioId]
+  );
+  return formatear(fila);
+}
+
+/**
+ * Actualiza solo los campos enviados. Devuelve { ok: false, error } si algún
+ * valor no es válido.
+ */
+async function guardarPreferencias(usuarioId, cambios = {}) {
+  const actual = await obtenerPreferencias(usuarioId);
+  const nuevo = { ...actual };
+
+  for (const campo of [...Object.keys(CATEGORIAS), 'silencio_activo']) {
+    if (cambios[campo] === undefined) continue;
+    if (typeof cambios[campo] !== 'boolean') {
+      return { ok: false, error: `"${campo}" debe ser true o false` };
+    }
+    nuevo[campo] = cambios[campo];
+  }
+
+  for (const campo of ['silencio_inicio', 'silencio_fin']) {
+    if (cambios[campo] === undefined) continue;
+    if (cambios[campo] !== null && !HORA_REGEX.test(cambios[campo])) {
+      return { ok: false, error: `"${campo}" debe tener formato HH:MM` };
+    }
+    nuevo[campo] = normalizarHora(cambios[campo]);
+  }
+
+  if (nuevo.silencio_activo && (!nuevo.silencio_inicio || !nuevo.silencio_fin)) {
+    return { ok: false, error: 'Para activar el silencio se requieren silencio_inicio y silencio_fin' };
+  }
+
+  const columnas = [...Object.keys(CATEGORIAS), 'silencio_activo', 'silencio_inicio', 'silencio_fin'];
+  const valores = columnas.map((c) => (typeof nuevo[c] === 'boolean' ? (nuevo[c] ? 1 : 0) : nuevo[c]));
+
+  await pool.query(
+    `INSERT INTO preferencias_notificacion (usuario_id, ${columnas.join(', ')})
+     VALUES (?, ${columnas.map(() => '?').join(', ')})
+     ON DUPLICATE KEY UPDATE ${columnas.map((c) => `${c} = VALUES(${c})`).join(', ')}`,
+    [usuarioId, ...valores]
+  );
+
+  return { ok: true, preferencias: nuevo };
+}
+
+// ========================================
+// 🔕 FILTRAR DESTINATARIOS DE UN PUSH
+// Los avisos obligatorios y los tipos sin categoría (compras, ganadores,
+// pruebas) siempre se envían.
+// ========================================
+async function filtrarDestinatarios(usuariosIds, tipo, { obligatoria = false } = {}) {
+  if (obligatoria || usuariosIds.length === 0) {
+    return { permitidos: usuariosIds, omitidos: [] };
+  }
+
+  const categoria = CATEGORIA_POR_TIPO[tipo] || null;
+  const placeholders = usuariosIds.map(() => '?').join(',');
+  const [filas] = await pool.query(
+    `SELECT * FROM preferencias_notificacion WHERE usuario_id IN (${placeholders})`,
+    usuariosIds
+  );
+  const porUsuario = new Map(filas.map((f) => [Number(f.usuario_id), formatear(f)]));
+  const ahora = horaActualMexico();
+
+  const permitidos = [];
+  const omitidos = [];
+  for (const id of usuariosIds) {
+    const pref = porUsuario.get(Number(id));
+    const bloqueado = pref && ((categoria && !pref[categoria]) || enSilencio(pref, ahora));
+    (bloqueado ? omitidos : permitidos).push(id);
+  }
+
+  return { permitidos, omitidos };
+}
+
+module.exports = {
+  CATEGORIAS,
+  enSilencio,
+  obtenerPreferencias,
+  guardarPreferencias,
+  filtrarDestinatarios,
+};
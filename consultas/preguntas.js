@@ -1,6 +1,7 @@
 // consultas/preguntas.js
 const express    = require('express');
 const pool       = require('../bd');
+const { authorize } = require('../middlewares/authorize');
 const fs         = require('fs');
 const path       = require('path');
 const { Resend } = require('resend');
@@ -33,6 +34,7 @@ const requireAuth = (req, res, next) => {
 // ====================================
 router.post(
   '/:id/responder',
+  authorize('preguntas:gestionar'),
   [ body('respuesta').notEmpty().withMessage('La respuesta es requerida') ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -351,6 +353,7 @@ router.get('/', async (req, res) => {
 // ====================================
 router.post(
   '/:id/responder-admin',
+  authorize('preguntas:gestionar'),
   [ body('respuesta').notEmpty().withMessage('La respuesta es requerida') ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -397,7 +400,7 @@ router.post(
 // ====================================
 // ELIMINAR PREGUNTA
 // ====================================
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('preguntas:gestionar'), async (req, res) => {
   const mensajeId = req.params.id;
   try {
     await pool.query(
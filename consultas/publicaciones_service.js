@@ -0,0 +1,91 @@
+// ========================================
+// 📦 services/publicaciones_service.js
+// Aviso de encuestas, noticias y rifas cuando llega su fecha de
+// publicación, no al crearse. El aviso va por firebase_service: queda en la
+// bandeja y el push respeta las categorías encuestas, noticias y rifas de
+// cada usuario. `bandeja_publicaciones` marca lo ya anunciado.
+// ========================================
+
+const pool = require('../bd');
+const firebaseService = require('./firebase_service');
+const recordatoriosService = require('./recordatorios_service');
+const audienciaService = require('./encuestas_audiencia_service');
+
+// Lo publicado hace más de esto ya no se anuncia (p. ej. al desplegar)
+const DIAS_AVISO_PUBLICACION = 3;
+
+async function publicacionesSinAviso(conn) {
+  const [publicaciones] = await conn.query(
+    `SELECT p.* FROM (
+       SELECT 'encuesta' AS tipo, e.id, e.title AS titulo, e.type AS tipo_encuesta, NULL AS precio
+       FROM encuestas_votaciones e
+       WHERE TIMESTAMP(e.publication_date, e.publication_time)
+             BETWEEN NOW() - INTERVAL ? DAY AND NOW()
+       UNION ALL
+       SELECT 'noticia', n.id, n.titulo, NULL, NULL
+       FROM noticias n
+       WHERE DATE(n.fecha_publicacion) BETWEEN CURDATE() - INTERVAL ? DAY AND CURDATE()
+       UNION ALL
+       SELECT 'rifa', r.id, r.titulo, NULL, r.precio
+       FROM rifas r
+       WHERE COALESCE(r.fecha_publicacion, r.fecha_creacion)
+             BETWEEN NOW() - INTERVAL ? DAY AND NOW()
+     ) p
+     WHERE NOT EXISTS (
+       SELECT 1 FROM bandeja_publicaciones bp
+       WHERE bp.tipo = p.tipo AND bp.referencia_id = p.id
+     )`,
+    [DIAS_AVISO_PUBLICACION, DIAS_AVISO_PUBLICACION, DIAS_AVISO_PUBLICACION]
+  );
+  return publicaciones;
+}
+
+// Se reclama antes de enviar: dos procesos nunca mandan el mismo push
+async function reclamar(conn, publicacion) {
+  const [insert] = await conn.query(
+    'INSERT IGNORE INTO bandeja_publicaciones (tipo, referencia_id) VALUES (?, ?)',
+    [publicacion.tipo, publicacion.id]
+  );
+  return insert.affectedRows === 1;
+}
+
+async function anunciar(conn, publicacion) {
+  // Las encuestas solo a su audiencia; noticias y rifas a todos los activos
+  const usuariosIds = publicacion.tipo === 'encuesta'
+    ? await audienciaService.usuariosElegibles(publicacion.id)
+    : await recordatoriosService.obtenerDestinatarios(conn);
+  if (usuariosIds.length === 0) return;
+
+  await firebaseService.notificarPublicacion(publicacion, usuariosIds);
+}
+
+/**
+ * Anuncia lo que se publicó desde la última revisión.
+ * Devuelve { anunciadas, errores }.
+ */
+async function avisarPublicaciones() {
+  const resumen = { anunciadas: 0, errores: 0 };
+  const conn = await pool.getConnection();
+  try {
+    await conn.query("SET time_zone = '-06:00'");
+
+    for (const publicacion of await publicacionesSinAviso(conn)) {
+      if (!(await reclamar(conn, publicacion))) continue;
+      try {
+        await anunciar(conn, publicacion);
+        resumen.anunciadas += 1;
+      } catch (err) {
+        resumen.errores += 1;
+        console.error(`⚠️ No se pudo anunciar ${publicacion.tipo} ${publicacion.id}:`, err.message);
+      }
+    }
+  } finally {
+    conn.release();
+  }
+
+  return resumen;
+}
+
+module.exports = {
+  avisarPublicaciones,
+};
@@ -0,0 +1,186 @@
+// ========================================
+// 📦 services/recordatorios_service.js
+// Avisos automáticos de reuniones (nueva reunión, 24 h y 4 h antes).
+// Cada envío se reclama en `reuniones_notificaciones` antes de mandarse, así
+// un reinicio o un segundo proceso nunca lo repite.
+// ========================================
+
+const os = require('os');
+const pool = require('../bd');
+const firebaseService = require('./firebase_service');
+
+// Identificador de este proceso en los registros de envío
+const INSTANCIA = `${os.hostname()}:${process.pid}`;
+
+// Un envío 'enviando' más viejo que esto se considera abandonado (proceso caído)
+const MINUTOS_RECLAMO = 10;
+const MAX_INTENTOS = 3;
+
+const TIPOS = {
+  nueva_reunion: firebaseService.notificarNuevaReunion,
+  recordatorio_24h: firebaseService.notificarRecordatorio24h,
+  recordatorio_4h: firebaseService.notificarRecordatorio4h,
+};
+
+// Todas las fechas (reuniones y reclamos) se comparan en hora de México,
+// sin depender de la zona que haya quedado en la conexión del pool
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+// ========================================
+// 🔒 RECLAMAR UN ENVÍO
+// Devuelve true solo al proceso que gana el registro.
+// ========================================
+async function reclamarEnvio(conn, reunionId, tipo) {
+  const [insert] = await conn.query(
+    `INSERT IGNORE INTO reuniones_notificaciones (reunion_id, tipo, reclamado_por)
+     VALUES (?, ?, ?)`,
+    [reunionId, tipo, INSTANCIA]
+  );
+  if (insert.affectedRows === 1) return true;
+
+  // Reintentar fallidos o envíos que se quedaron a medias
+  const [update] = await conn.query(
+    `UPDATE reuniones_notificaciones
+       SET estado = 'enviando', intentos = intentos + 1,
+           reclamado_por = ?, reclamado_en = NOW(), error = NULL
+     WHERE reunion_id = ? AND tipo = ? AND intentos < ?
+       AND (estado = 'fallido'
+            OR (estado = 'enviando' AND reclamado_en < DATE_SUB(NOW(), INTERVAL ? MINUTE)))`,
+    [INSTANCIA, reunionId, tipo, MAX_INTENTOS, MINUTOS_RECLAMO]
+  );
+  return update.affectedRows === 1;
+}
+
+// Todos los usuarios activos: el aviso queda en su bandeja aunque no tengan
+// dispositivo; el push solo llega a quienes tienen token FCM
+async function obtenerDestinatarios(conn) {
+  const [usuarios] = await conn.query(
+    `SELECT p.id AS usuario_id
+     FROM perfil_usuarios p
+     JOIN autenticacion_usuarios a ON a.id = p.id
+     WHERE a.estatus = 'Activo' AND a.registro_completado = 1`
+  );
+  return usuarios.map((u) => u.usuario_id);
+}
+
+// ========================================
+// 📤 ENVIAR UN AVISO (si nadie lo ha enviado)
+// ========================================
+async function enviarAviso(reunion, tipo) {
+  if (!TIPOS[tipo]) throw new Error(`Tipo de aviso desconocido: ${tipo}`);
+
+  const conn = await obtenerConexion();
+  try {
+    const reclamado = await reclamarEnvio(conn, reunion.id, tipo);
+    if (!reclamado) return { enviado: false, motivo: 'ya_reclamado' };
+
+    try {
+      const usuariosIds = await obtenerDestinatarios(conn);
+
+      let resultado = { success: true, successCount: 0, failureCount: 0 };
+      if (usuariosIds.length > 0) {
+        resultado = await TIPOS[tipo](reunion, usuariosIds);
+      }
+
+      if (!resultado.success) {
+        await marcarFallido(conn, reunion.id, tipo, resultado.error || 'Error desconocido');
+        return { enviado: false, motivo: 'fallido' };
+      }
+
+      await conn.query(
+        `UPDATE reuniones_notificaciones
+           SET estado = 'enviado', enviado_en = NOW(),
+               destinatarios = ?, exitosos = ?, fallidos = ?
+         WHERE reunion_id = ? AND tipo = ?`,
+        [usuariosIds.length, resultado.successCount || 0, resultado.failureCount || 0, reunion.id, tipo]
+      );
+      return { enviado: true };
+    } catch (err) {
+      await marcarFallido(conn, reunion.id, tipo, err.message);
+      throw err;
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+async function marcarFallido(conn, reunionId, tipo, error) {
+  await conn.query(
+    `UPDATE reuniones_notificaciones SET estado = 'fallido', error = ?
+     WHERE reunion_id = ? AND tipo = ?`,
+    [String(error).slice(0, 255), reunionId, tipo]
+  );
+}
+
+// ========================================
+// ⏰ REVISAR REUNIONES (job programado)
+// Un recordatorio solo aplica si la reunión ya existía al abrirse su ventana;
+// una reunión creada con menos anticipación solo recibe el aviso de nueva.
+// De una serie solo se anuncia la ocurrencia con que se creó (aquí solo se
+// reintenta); las demás se generan sin aviso de nueva pero con recordatorios.
+// ========================================
+async function procesarRecordatorios() {
+  const conn = await obtenerConexion();
+  let pendientes;
+  try {
+    [pendientes] = await conn.query(`
+      SELECT r.id, r.title, r.date, r.time, r.type, r.location, r.description, r.obligatoria, t.tipo
+      FROM (
+        SELECT *, TIMESTAMP(date, time) AS inicio FROM reuniones
+        WHERE estado_reunion <> 'cancelada'
+          AND date BETWEEN DATE_SUB(CURDATE(), INTERVAL 1 DAY) AND DATE_ADD(CURDATE(), INTERVAL 30 DAY)
+      ) r
+      JOIN (
+        SELECT 'nueva_reunion' AS tipo UNION ALL
+        SELECT 'recordatorio_24h' UNION ALL
+        SELECT 'recordatorio_4h'
+      ) t
+      LEFT JOIN reuniones_notificaciones n
+        ON n.reunion_id = r.id AND n.tipo = t.tipo
+       AND (n.estado = 'enviado' OR n.intentos >= ?)
+      LEFT JOIN reuniones_notificaciones n_previo
+        ON n_previo.reunion_id = r.id AND n_previo.tipo = t.tipo
+      WHERE n.id IS NULL
+        AND r.inicio > NOW()
+        AND (
+          (t.tipo = 'nueva_reunion' AND r.created_at >= DATE_SUB(NOW(), INTERVAL 1 DAY)
+              AND (r.serie_id IS NULL OR n_previo.id IS NOT NULL))
+          OR (t.tipo = 'recordatorio_24h'
+              AND r.inicio <= DATE_ADD(NOW(), INTERVAL 24 HOUR)
+              AND r.inicio > DATE_ADD(NOW(), INTERVAL 4 HOUR)
+              AND r.created_at <= DATE_SUB(r.inicio, INTERVAL 24 HOUR))
+          OR (t.tipo = 'recordatorio_4h'
+              AND r.inicio <= DATE_ADD(NOW(), INTERVAL 4 HOUR)
+              AND r.created_at <= DATE_SUB(r.inicio, INTERVAL 4 HOUR))
+        )
+      ORDER BY r.inicio ASC
+    `, [MAX_INTENTOS]);
+  } finally {
+    conn.release();
+  }
+
+  const resumen = { revisados: pendientes.length, enviados: 0, errores: 0 };
+
+  for (const { tipo, ...reunion } of pendientes) {
+    try {
+      const resultado = await enviarAviso(reunion, tipo);
+      if (resultado.enviado) resumen.enviados++;
+    } catch (err) {
+      resumen.errores++;
+      console.error(`❌ Error enviando ${tipo} de la reunión ${reunion.id}:`, err.message);
+    }
+  }
+
+  return resumen;
+}
+
+module.exports = {
+  TIPOS,
+  obtenerDestinatarios,
+  enviarAviso,
+  procesarRecordatorios,
+};
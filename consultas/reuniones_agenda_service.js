@@ -0,0 +1,361 @@
+// ========================================
+// 📦 services/reuniones_agenda_service.js
+// Orden del día, documentos adjuntos y confirmación de asistencia (RSVP)
+// de las reuniones. El resumen de confirmaciones se acompaña de la
+// predicción de ml_predicciones para dimensionar el lugar.
+// ========================================
+
+const pool = require('../bd');
+const { cloudinary } = require('../cloudinaryConfig');
+const { calcularProbabilidadAsistencia } = require('./ml_predicciones');
+
+const RESPUESTAS_RSVP = ['asistire', 'no_asistire', 'tal_vez'];
+
+// Una confirmación firme pesa más que el historial; "tal vez" y quien no
+// responde se quedan con la probabilidad del modelo
+const PROBABILIDAD_POR_RESPUESTA = {
+  asistire: 0.95,
+  no_asistire: 0.05,
+};
+
+const DURACION_MAXIMA_MINUTOS = 600;
+
+async function borrarArchivo(publicId) {
+  if (!publicId) return;
+  try {
+    await cloudinary.uploader.destroy(publicId, { resource_type: 'raw' });
+  } catch (err) {
+    console.error('⚠️ No se pudo borrar el adjunto de Cloudinary:', err.message);
+  }
+}
+
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+// ========================================
+// 📋 ORDEN DEL DÍA Y ADJUNTOS
+// ========================================
+/**
+ * Devuelve { agenda, adjuntos } de la reunión, o null si no existe.
+ */
+async function obtenerAgenda(reunionId) {
+  const [[reunion]] = await pool.query('SELECT id FROM reuniones WHERE id = ?', [reunionId]);
+  if (!reunion) return null;
+
+  const [agenda] = await pool.query(
+    `SELECT g.id, g.orden, g.titulo, g.descripcion, g.duracion_minutos, g.responsable_id,
+            CONCAT(u.nombre, ' ', u.apellido_paterno) AS responsable_nombre
+     FROM reuniones_agenda g
+     LEFT JOIN perfil_usuarios u ON u.id = g.responsable_id
+     WHERE g.reunion_id = ?
+     ORDER BY g.orden`,
+    [reunionId]
+  );
+  const [adjuntos] = await pool.query(
+    `SELECT id, nombre, url, creado_en
+     FROM reuniones_adjuntos
+     WHERE reunion_id = ?
+     ORDER BY creado_en, id`,
+    [reunionId]
+  );
+
+  return { agenda, adjuntos };
+}
+
+function validarPuntos(puntos) {
+  if (!Array.isArray(puntos)) return 'puntos debe ser una lista';
+  for (const punto of puntos) {
+    if (!punto || !punto.titulo || !String(punto.titulo).trim()) {
+      return 'Cada punto del orden del día requiere título';
+    }
+    if (String(punto.titulo).trim().length > 255) {
+      return 'El título de un punto no puede exceder 255 caracteres';
+    }
+    if (punto.duracion_minutos !== undefined && punto.duracion_minutos !== null) {
+      const duracion = Number(punto.duracion_minutos);
+      if (!Number.isInteger(duracion) || duracion < 1 || duracion > DURACION_MAXIMA_MINUTOS) {
+        return `duracion_minutos debe ser un entero entre 1 y ${DURACION_MAXIMA_MINUTOS}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Reemplaza el orden del día completo:
+ * puntos: [{ titulo, descripcion?, duracion_minutos?, responsable_id? }]
+ * El orden es el de la lista.
+ */
+async function guardarAgenda({ reunionId, puntos }) {
+  const error = validarPuntos(puntos);
+  if (error) {
+    return { ok: false, status: 400, error };
+  }
+
+  const responsables = [...new Set(puntos.map((p) => p.responsable_id).filter((id) => id))];
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[reunion]] = await conn.query(
+      'SELECT id, estado_reunion FROM reuniones WHERE id = ? FOR UPDATE',
+      [reunionId]
+    );
+    if (!reunion) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (reunion.estado_reunion === 'cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La reunión fue cancelada' };
+    }
+
+    if (responsables.length > 0) {
+      const [encontrados] = await conn.query(
+        'SELECT id FROM perfil_usuarios WHERE id IN (?)',
+        [responsables]
+      );
+      if (encontrados.length !== responsables.length) {
+        await conn.rollback();
+        return { ok: false, status: 400, error: 'Algún responsable no existe' };
+      }
+    }
+
+    await conn.query('DELETE FROM reuniones_agenda WHERE reunion_id = ?', [reunionId]);
+    for (const [i, punto] of puntos.entries()) {
+      await conn.query(
+        `INSERT INTO reuniones_agenda
+           (reunion_id, orden, titulo, descripcion, duracion_minutos, responsable_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [reunionId, i + 1, String(punto.titulo).trim(), punto.descripcion || null,
+         punto.duracion_minutos || null, punto.responsable_id || null]
+      );
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Registra un documento ya subido a Cloudinary. archivo: { url, publicId, nombre }.
+ * Si la reunión no existe o fue cancelada, el archivo se borra.
+ */
+async function agregarAdjunto({ reunionId, archivo, usuarioId }) {
+  const [[reunion]] = await pool.query(
+    'SELECT id, estado_reunion FROM reuniones WHERE id = ?',
+    [reunionId]
+  );
+  if (!reunion) {
+    await borrarArchivo(archivo.publicId);
+    return { ok: false, status: 404, error: 'Reunión no encontrada' };
+  }
+  if (reunion.estado_reunion === 'cancelada') {
+    await borrarArchivo(archivo.publicId);
+    return { ok: false, status: 409, error: 'La reunión fue cancelada' };
+  }
+
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO reuniones_adjuntos (reunion_id, nombre, url, public_id, subido_por)
+       VALUES (?, ?, ?, ?, ?)`,
+      [reunionId, archivo.nombre.slice(0, 255), archivo.url, archivo.publicId, usuarioId]
+    );
+    const [[adjunto]] = await pool.query(
+      'SELECT id, nombre, url, creado_en FROM reuniones_adjuntos WHERE id = ?',
+      [result.insertId]
+    );
+    return { ok: true, adjunto };
+  } catch (err) {
+    await borrarArchivo(archivo.publicId);
+    throw err;
+  }
+}
+
+async function eliminarAdjunto({ reunionId, adjuntoId }) {
+  const [[adjunto]] = await pool.query(
+    'SELECT public_id FROM reuniones_adjuntos WHERE id = ? AND reunion_id = ?',
+    [adjuntoId, reunionId]
+  );
+  if (!adjunto) {
+    return { ok: false, status: 404, error: 'Adjunto no encontrado' };
+  }
+
+  await pool.query('DELETE FROM reuniones_adjuntos WHERE id = ?', [adjuntoId]);
+  await borrarArchivo(adjunto.public_id);
+  return { ok: true };
+}
+
+// ========================================
+// ✋ CONFIRMACIÓN (RSVP)
+// ========================================
+/**
+ * Guarda o cambia la respuesta del agremiado. Solo antes de que empiece
+ * la reunión y si no fue cancelada.
+ */
+async function responderRsvp({ reunionId, usuarioId, respuesta, comentario }) {
+  if (!RESPUESTAS_RSVP.includes(respuesta)) {
+    return { ok: false, status: 400, error: `respuesta debe ser una de: ${RESPUESTAS_RSVP.join(', ')}` };
+  }
+  if (comentario && String(comentario).length > 255) {
+    return { ok: false, status: 400, error: 'El comentario no puede exceder 255 caracteres' };
+  }
+
+  const conn = await obtenerConexion();
+  try {
+    const [[reunion]] = await conn.query(
+      `SELECT id, estado_reunion, TIMESTAMP(date, time) <= NOW() AS iniciada
+       FROM reuniones WHERE id = ?`,
+      [reunionId]
+    );
+    if (!reunion) {
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (reunion.estado_reunion === 'cancelada') {
+      return { ok: false, status: 409, error: 'La reunión fue cancelada' };
+    }
+    if (reunion.iniciada) {
+      return { ok: false, status: 409, error: 'La reunión ya comenzó; no se puede cambiar la confirmación' };
+    }
+
+    await conn.query(
+      `INSERT INTO reuniones_rsvp (reunion_id, usuario_id, respuesta, comentario)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE respuesta = VALUES(respuesta), comentario = VALUES(comentario)`,
+      [reunionId, usuarioId, respuesta, comentario || null]
+    );
+
+    const [[rsvp]] = await conn.query(
+      `SELECT respuesta, comentario, actualizado_en
+       FROM reuniones_rsvp WHERE reunion_id = ? AND usuario_id = ?`,
+      [reunionId, usuarioId]
+    );
+    return { ok: true, rsvp };
+  } finally {
+    conn.release();
+  }
+}
+
+async function obtenerRsvp(reunionId, usuarioId) {
+  const [[rsvp]] = await pool.query(
+    `SELECT respuesta, comentario, actualizado_en
+     FROM reuniones_rsvp WHERE reunion_id = ? AND usuario_id = ?`,
+    [reunionId, usuarioId]
+  );
+  return rsvp || null;
+}
+
+/**
+ * Totales de confirmación sobre el padrón (activos con registro completado)
+ * y asistencia esperada: la del modelo por historial y la ajustada con las
+ * respuestas. minimo/maximo acotan el aforo a preparar.
+ */
+async function resumenRsvp(reunionId) {
+  const [[reunion]] = await pool.query(
+    `SELECT id, title, date, time, type, location, estado_reunion,
+            WEEKDAY(date) AS dia_semana, HOUR(time) AS hora
+     FROM reuniones WHERE id = ?`,
+    [reunionId]
+  );
+  if (!reunion) return null;
+
+  // Mismos indicadores que /api/ml/predicciones-usuarios
+  const [usuarios] = await pool.query(
+    `SELECT p.id AS usuario_id,
+            CONCAT(p.nombre, ' ', p.apellido_paterno) AS nombre,
+            r.respuesta, r.comentario, r.actualizado_en,
+            h.puntaje_promedio, h.total_reuniones, h.tasa_asistencia,
+            h.es_admin, h.antiguedad_años
+     FROM perfil_usuarios p
+     JOIN autenticacion_usuarios a ON a.id = p.id
+     LEFT JOIN reuniones_rsvp r ON r.usuario_id = p.id AND r.reunion_id = ?
+     LEFT JOIN (
+       SELECT usuario_id,
+              AVG(puntaje) AS puntaje_promedio,
+              COUNT(*) AS total_reuniones,
+              AVG(CASE WHEN estado_asistencia = 'asistencia_completa' THEN 1 ELSE 0 END) AS tasa_asistencia,
+              MAX(es_admin) AS es_admin,
+              DATEDIFF(NOW(), MAX(antiguedad)) / 365.25 AS antiguedad_años
+       FROM vw_dataset_asistencia
+       GROUP BY usuario_id
+     ) h ON h.usuario_id = p.id
+     WHERE a.estatus = 'Activo' AND a.registro_completado = 1
+     ORDER BY p.nombre, p.apellido_paterno`,
+    [reunionId]
+  );
+
+  const totales = { asistire: 0, no_asistire: 0, tal_vez: 0, sin_respuesta: 0 };
+  let esperadosModelo = 0;
+  let esperadosAjustados = 0;
+
+  const respuestas = usuarios.map((u) => {
+    const probabilidad = calcularProbabilidadAsistencia(
+      {
+        tasa_asistencia: Number(u.tasa_asistencia) || 0,
+        puntaje_promedio: Number(u.puntaje_promedio) || 0,
+        total_reuniones: Number(u.total_reuniones) || 0,
+        es_admin: Number(u.es_admin) || 0,
+        antiguedad_años: Number(u.antiguedad_años) || 0,
+      },
+      reunion.type,
+      reunion.dia_semana,
+      reunion.hora
+    );
+    const ajustada = PROBABILIDAD_POR_RESPUESTA[u.respuesta] ?? probabilidad;
+
+    totales[u.respuesta || 'sin_respuesta'] += 1;
+    esperadosModelo += probabilidad;
+    esperadosAjustados += ajustada;
+
+    return {
+      usuario_id: u.usuario_id,
+      nombre: u.nombre,
+      respuesta: u.respuesta,
+      comentario: u.comentario,
+      actualizado_en: u.actualizado_en,
+      probabilidad_asistencia: Number(probabilidad.toFixed(2)),
+    };
+  });
+
+  return {
+    reunion: {
+      id: reunion.id,
+      title: reunion.title,
+      date: reunion.date,
+      time: reunion.time,
+      type: reunion.type,
+      location: reunion.location,
+      estado_reunion: reunion.estado_reunion,
+    },
+    padron: usuarios.length,
+    totales,
+    prediccion: {
+      esperados_modelo: Math.round(esperadosModelo),
+      esperados_con_rsvp: Math.round(esperadosAjustados),
+      minimo: totales.asistire,
+      maximo: usuarios.length - totales.no_asistire,
+    },
+    respuestas,
+  };
+}
+
+module.exports = {
+  RESPUESTAS_RSVP,
+  obtenerAgenda,
+  guardarAgenda,
+  agregarAdjunto,
+  eliminarAdjunto,
+  responderRsvp,
+  obtenerRsvp,
+  resumenRsvp,
+};
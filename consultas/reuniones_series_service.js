@@ -0,0 +1,771 @@
+// ========================================
+// 📦 services/reuniones_series_service.js
+// Reuniones recurrentes. Una serie guarda la regla (semanal o mensual en el
+// n-ésimo día de la semana, con excepciones) y sus ocurrencias se generan
+// como filas normales de `reuniones`, así recordatorios, asistencia y
+// actas funcionan igual para cada una. Las ediciones se aplican a
+// "esta", "esta y las siguientes" o "todas".
+// ========================================
+
+const pool = require('../bd');
+const firebaseService = require('./firebase_service');
+const recordatoriosService = require('./recordatorios_service');
+const { RADIO_METROS_DEFAULT } = require('./reuniones_service');
+
+// Las ocurrencias se generan con esta anticipación; el job diario la mantiene
+const HORIZONTE_DIAS = 180;
+const MAX_ITERACIONES = 1000;
+const MAX_OCURRENCIAS = 500;
+const FECHA_MAXIMA = '9999-12-31';
+
+const FRECUENCIAS = ['semanal', 'mensual'];
+const ALCANCES = ['esta', 'siguientes', 'todas'];
+
+const FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DIAS = ['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'];
+const ORDINALES = { 1: 'primer', 2: 'segundo', 3: 'tercer', 4: 'cuarto', '-1': 'último' };
+
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+// Avisar fuera de la transacción: un fallo de FCM no revierte el cambio
+async function avisar(serie, cambio) {
+  try {
+    const usuariosIds = await recordatoriosService.obtenerDestinatarios(pool);
+    if (usuariosIds.length > 0) {
+      await firebaseService.notificarCambioSerie(
+        { ...serie, recurrencia: describirRegla(serie) }, cambio, usuariosIds
+      );
+    }
+  } catch (err) {
+    console.error('⚠️ No se pudo avisar el cambio de la serie:', err.message);
+  }
+}
+
+// ========================================
+// 📆 FECHAS ('YYYY-MM-DD', sin zona horaria)
+// ========================================
+function aFecha(texto) {
+  const [anio, mes, dia] = texto.split('-').map(Number);
+  return new Date(Date.UTC(anio, mes - 1, dia));
+}
+
+function aTexto(fecha) {
+  return fecha.toISOString().slice(0, 10);
+}
+
+function sumarDias(texto, dias) {
+  const fecha = aFecha(texto);
+  fecha.setUTCDate(fecha.getUTCDate() + dias);
+  return aTexto(fecha);
+}
+
+function diasEntre(desde, hasta) {
+  return Math.round((aFecha(hasta) - aFecha(desde)) / 86400000);
+}
+
+// Igual que WEEKDAY() de MySQL: 0 = lunes … 6 = domingo
+function diaSemana(texto) {
+  return (aFecha(texto).getUTCDay() + 6) % 7;
+}
+
+function fechaValida(texto) {
+  return typeof texto === 'string' && FECHA_REGEX.test(texto) && aTexto(aFecha(texto)) === texto;
+}
+
+// n-ésimo día de la semana del mes (semana -1 = el último)
+function enesimoDiaDelMes(anio, mes, dia, semana) {
+  if (semana === -1) {
+    const ultimo = new Date(Date.UTC(anio, mes + 1, 0));
+    ultimo.setUTCDate(ultimo.getUTCDate() - (((ultimo.getUTCDay() + 6) % 7) - dia + 7) % 7);
+    return aTexto(ultimo);
+  }
+  const fecha = new Date(Date.UTC(anio, mes, 1));
+  fecha.setUTCDate(1 + (dia - ((fecha.getUTCDay() + 6) % 7) + 7) % 7 + (semana - 1) * 7);
+  return aTexto(fecha);
+}
+
+/**
+ * Fechas que produce la regla hasta `hasta` (inclusive). max_ocurrencias
+ * cuenta también las fechas exceptuadas, como COUNT y EXDATE en iCalendar.
+ */
+function calcularFechas(regla, hasta) {
+  const limite = regla.fecha_fin && regla.fecha_fin < hasta ? regla.fecha_fin : hasta;
+  const excepciones = new Set(regla.excepciones || []);
+  const fechas = [];
+  let generadas = 0;
+
+  for (let i = 0; i < MAX_ITERACIONES; i++) {
+    let fecha;
+    if (regla.frecuencia === 'semanal') {
+      fecha = sumarDias(regla.fecha_inicio, i * 7 * regla.intervalo);
+    } else {
+      const inicio = aFecha(regla.fecha_inicio);
+      const meses = inicio.getUTCMonth() + i * regla.intervalo;
+      fecha = enesimoDiaDelMes(
+        inicio.getUTCFullYear() + Math.floor(meses / 12), meses % 12,
+        regla.dia_semana, regla.semana_mes
+      );
+      if (fecha < regla.fecha_inicio) continue;
+    }
+
+    if (fecha > limite) break;
+    if (regla.max_ocurrencias && generadas >= regla.max_ocurrencias) break;
+    generadas++;
+    if (!excepciones.has(fecha)) fechas.push(fecha);
+  }
+  return fechas;
+}
+
+// Todas las fechas de la regla, exceptuadas incluidas: la posición de cada
+// una es el índice de la ocurrencia en la serie
+function secuencia(regla) {
+  return calcularFechas({ ...regla, excepciones: [] }, FECHA_MAXIMA);
+}
+
+function describirRegla(regla) {
+  const cada = regla.frecuencia === 'semanal'
+    ? (regla.intervalo === 1 ? 'Cada semana' : `Cada ${regla.intervalo} semanas`)
+    : (regla.intervalo === 1 ? 'Cada mes' : `Cada ${regla.intervalo} meses`);
+  const cuando = regla.frecuencia === 'semanal'
+    ? `los ${DIAS[regla.dia_semana]}`
+    : `el ${ORDINALES[regla.semana_mes]} ${DIAS[regla.dia_semana]}`;
+  return `${cada}, ${cuando}`;
+}
+
+// ========================================
+// 📝 LEER LA REGLA DEL BODY
+// ========================================
+/**
+ * Valida `recurrencia` = { frecuencia, intervalo?, semana_mes?, hasta?,
+ * ocurrencias?, excepciones? } sobre la regla anterior (al editar). El día
+ * de la semana sale de fecha_inicio.
+ * Devuelve { ok: false, error } si no es válida.
+ */
+function leerRegla(recurrencia, fechaInicio, anterior = null) {
+  if (!recurrencia || typeof recurrencia !== 'object') {
+    recurrencia = {};
+  }
+  if (!fechaValida(fechaInicio)) {
+    return { ok: false, error: 'La fecha debe tener formato YYYY-MM-DD' };
+  }
+
+  const regla = {
+    frecuencia: recurrencia.frecuencia ?? anterior?.frecuencia,
+    intervalo: Number(recurrencia.intervalo ?? anterior?.intervalo ?? 1),
+    fecha_inicio: fechaInicio,
+    dia_semana: diaSemana(fechaInicio),
+    semana_mes: null,
+    fecha_fin: recurrencia.hasta !== undefined ? recurrencia.hasta : (anterior?.fecha_fin ?? null),
+    max_ocurrencias: recurrencia.ocurrencias !== undefined
+      ? recurrencia.ocurrencias
+      : (anterior?.max_ocurrencias ?? null),
+    excepciones: recurrencia.excepciones ?? anterior?.excepciones ?? [],
+  };
+
+  if (!FRECUENCIAS.includes(regla.frecuencia)) {
+    return { ok: false, error: `frecuencia debe ser una de: ${FRECUENCIAS.join(', ')}` };
+  }
+  if (!Number.isInteger(regla.intervalo) || regla.intervalo < 1 || regla.intervalo > 12) {
+    return { ok: false, error: 'intervalo debe ser un entero entre 1 y 12' };
+  }
+
+  if (regla.frecuencia === 'mensual') {
+    // Por defecto, la semana del mes de la fecha de inicio (del 29 en adelante, la última)
+    const diaMes = aFecha(fechaInicio).getUTCDate();
+    const porDefecto = diaMes > 28 ? -1 : Math.ceil(diaMes / 7);
+    const mismaRegla = anterior?.frecuencia === 'mensual' && anterior.dia_semana === regla.dia_semana;
+    const semana = Number(recurrencia.semana_mes ?? (mismaRegla ? anterior.semana_mes : porDefecto));
+    if (![1, 2, 3, 4, -1].includes(semana)) {
+      return { ok: false, error: 'semana_mes debe ser 1, 2, 3, 4 o -1 (la última)' };
+    }
+    regla.semana_mes = semana;
+  }
+
+  if (regla.fecha_fin !== null) {
+    if (!fechaValida(regla.fecha_fin) || regla.fecha_fin < fechaInicio) {
+      return { ok: false, error: 'hasta debe ser una fecha igual o posterior al inicio' };
+    }
+  }
+  if (regla.max_ocurrencias !== null) {
+    const maximo = Number(regla.max_ocurrencias);
+    if (!Number.isInteger(maximo) || maximo < 1 || maximo > MAX_OCURRENCIAS) {
+      return { ok: false, error: `ocurrencias debe ser un entero entre 1 y ${MAX_OCURRENCIAS}` };
+    }
+    regla.max_ocurrencias = maximo;
+  }
+  if (!Array.isArray(regla.excepciones) || !regla.excepciones.every(fechaValida)) {
+    return { ok: false, error: 'excepciones debe ser una lista de fechas YYYY-MM-DD' };
+  }
+  regla.excepciones = [...new Set(regla.excepciones)].sort();
+
+  return { ok: true, regla };
+}
+
+// ========================================
+// 🗄️ CONSULTAS INTERNAS
+// ========================================
+async function leerSerie(conn, serieId, bloquear = false) {
+  const [[serie]] = await conn.query(
+    `SELECT *,
+            DATE_FORMAT(fecha_inicio, '%Y-%m-%d') AS fecha_inicio,
+            DATE_FORMAT(fecha_fin, '%Y-%m-%d') AS fecha_fin,
+            TIME_FORMAT(time, '%H:%i:%s') AS time
+     FROM reuniones_series WHERE id = ? ${bloquear ? 'FOR UPDATE' : ''}`,
+    [serieId]
+  );
+  if (!serie) return null;
+
+  const [excepciones] = await conn.query(
+    `SELECT DATE_FORMAT(fecha, '%Y-%m-%d') AS fecha
+     FROM reuniones_series_excepciones WHERE serie_id = ? ORDER BY fecha`,
+    [serieId]
+  );
+  serie.excepciones = excepciones.map((e) => e.fecha);
+  return serie;
+}
+
+async function guardarExcepciones(conn, serieId, excepciones) {
+  await conn.query('DELETE FROM reuniones_series_excepciones WHERE serie_id = ?', [serieId]);
+  for (const fecha of excepciones) {
+    await conn.query(
+      'INSERT INTO reuniones_series_excepciones (serie_id, fecha) VALUES (?, ?)',
+      [serieId, fecha]
+    );
+  }
+}
+
+async function insertarSerie(conn, datos, regla, extra) {
+  const [result] = await conn.query(
+    `INSERT INTO reuniones_series
+       (title, type, location, latitud, longitud, radio_metros, description, obligatoria, time,
+        frecuencia, intervalo, dia_semana, semana_mes, fecha_inicio, fecha_fin, max_ocurrencias,
+        serie_origen_id, creado_por)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [datos.title, datos.type, datos.location ?? null, datos.latitud ?? null, datos.longitud ?? null,
+     datos.radio_metros ?? RADIO_METROS_DEFAULT, datos.description ?? null, datos.obligatoria ? 1 : 0,
+     datos.time, regla.frecuencia, regla.intervalo, regla.dia_semana, regla.semana_mes,
+     regla.fecha_inicio, regla.fecha_fin, regla.max_ocurrencias,
+     extra.serieOrigenId ?? null, extra.usuarioId]
+  );
+  await guardarExcepciones(conn, result.insertId, regla.excepciones);
+  return result.insertId;
+}
+
+/**
+ * Crea las ocurrencias futuras que falten hasta el horizonte. La clave
+ * (serie_id, fecha_serie) evita duplicar fechas ya generadas, aunque la
+ * ocurrencia se haya reprogramado o cancelado.
+ */
+async function generarOcurrencias(conn, serie) {
+  if (serie.estado !== 'activa') return 0;
+
+  const [[{ hoy }]] = await conn.query("SELECT DATE_FORMAT(CURDATE(), '%Y-%m-%d') AS hoy");
+  const base = serie.fecha_inicio > hoy ? serie.fecha_inicio : hoy;
+  const fechas = calcularFechas(serie, sumarDias(base, HORIZONTE_DIAS)).filter((f) => f >= hoy);
+
+  let generadas = 0;
+  for (const fecha of fechas) {
+    const [result] = await conn.query(
+      `INSERT IGNORE INTO reuniones
+         (title, date, time, type, location, latitud, longitud, radio_metros, description,
+          obligatoria, serie_id, fecha_serie)
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+       FROM DUAL WHERE TIMESTAMP(?, ?) > NOW()`,
+      [serie.title, fecha, serie.time, serie.type, serie.location, serie.latitud, serie.longitud,
+       serie.radio_metros, serie.description, serie.obligatoria, serie.id, fecha,
+       fecha, serie.time]
+    );
+    generadas += result.affectedRows;
+  }
+  return generadas;
+}
+
+/**
+ * Ocurrencias de la serie que aún no empiezan, desde la fecha de la regla
+ * indicada. `editada` indica que la ocurrencia ya no coincide con la serie
+ * (se editó o reprogramó sola) y `con_acta` que ya tiene acta.
+ */
+async function ocurrenciasFuturas(conn, serieId, desde, bloquear = false) {
+  const [reuniones] = await conn.query(
+    `SELECT r.id, r.title, r.location, r.obligatoria, r.estado_reunion,
+            DATE_FORMAT(r.date, '%Y-%m-%d') AS date,
+            TIME_FORMAT(r.time, '%H:%i:%s') AS time,
+            DATE_FORMAT(r.fecha_serie, '%Y-%m-%d') AS fecha_serie,
+            (r.date <> r.fecha_serie OR r.time <> s.time
+              OR NOT (r.title <=> s.title AND r.type <=> s.type AND r.location <=> s.location
+                      AND r.description <=> s.description AND r.obligatoria <=> s.obligatoria
+                      AND r.latitud <=> s.latitud AND r.longitud <=> s.longitud
+                      AND r.radio_metros <=> s.radio_metros)) AS editada,
+            EXISTS (SELECT 1 FROM actas a WHERE a.reunion_id = r.id) AS con_acta
+     FROM reuniones r
+     JOIN reuniones_series s ON s.id = r.serie_id
+     WHERE r.serie_id = ? AND r.fecha_serie >= ? AND TIMESTAMP(r.date, r.time) > NOW()
+     ORDER BY r.date, r.time
+     ${bloquear ? 'FOR UPDATE' : ''}`,
+    [serieId, desde]
+  );
+  return reuniones;
+}
+
+async function leerOcurrencia(conn, reunionId) {
+  const [[reunion]] = await conn.query(
+    `SELECT id, serie_id, estado_reunion,
+            DATE_FORMAT(date, '%Y-%m-%d') AS date,
+            DATE_FORMAT(fecha_serie, '%Y-%m-%d') AS fecha_serie,
+            TIMESTAMP(date, time) <= NOW() AS iniciada
+     FROM reuniones WHERE id = ? FOR UPDATE`,
+    [reunionId]
+  );
+  return reunion;
+}
+
+// ========================================
+// ➕ CREAR
+// ========================================
+/**
+ * datos: { title, date, time, type, location, description, obligatoria,
+ * latitud, longitud, radio_metros }. `date` es la primera fecha de la serie.
+ */
+async function crearSerie({ datos, recurrencia, usuarioId }) {
+  const leida = leerRegla(recurrencia, datos.date);
+  if (!leida.ok) {
+    return { ok: false, status: 400, error: leida.error };
+  }
+
+  const conn = await obtenerConexion();
+  let serieId;
+  let generadas;
+  try {
+    await conn.beginTransaction();
+    serieId = await insertarSerie(conn, datos, leida.regla, { usuarioId });
+    generadas = await generarOcurrencias(conn, await leerSerie(conn, serieId));
+    if (generadas === 0) {
+      await conn.rollback();
+      return { ok: false, status: 400, error: 'La regla no produce ninguna reunión futura' };
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return { ok: true, ...(await obtenerSerie(serieId)) };
+}
+
+// ========================================
+// ✏️ EDITAR ("esta y las siguientes" o "todas")
+// ========================================
+/**
+ * Aplica los datos de la reunión y, opcionalmente, una nueva regla a la
+ * ocurrencia indicada y a las siguientes (`siguientes`) o a todas las que aún
+ * no empiezan (`todas`). "Esta y las siguientes" separa la serie: la original
+ * termina el día anterior y las siguientes pasan a una serie nueva.
+ *
+ * Las ocurrencias futuras se actualizan en su lugar, así conservan su id,
+ * confirmaciones, orden del día y adjuntos. Si cambia la fecha o la regla,
+ * la n-ésima ocurrencia de la regla anterior pasa a la n-ésima fecha de la
+ * nueva (las excepciones también); las que sobran se cancelan y las que
+ * faltan se generan. Un cambio de fecha u hora queda como reprogramación.
+ * Las ocurrencias canceladas, editadas por separado o con acta conservan
+ * sus datos y solo cambian de fecha de la regla.
+ */
+async function editarSerie({ reunionId, alcance, datos, geocerca, recurrencia, motivo, usuarioId }) {
+  const conn = await obtenerConexion();
+  let serie;
+  let desde;
+  let cambiaFechas;
+  let cambiaHora;
+  try {
+    await conn.beginTransaction();
+
+    const reunion = await leerOcurrencia(conn, reunionId);
+    if (!reunion) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (!reunion.serie_id) {
+      await conn.rollback();
+      return { ok: false, status: 400, error: 'La reunión no pertenece a una serie' };
+    }
+    const original = await leerSerie(conn, reunion.serie_id, true);
+    if (original.estado === 'cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La serie fue cancelada' };
+    }
+
+    if (alcance === 'siguientes') {
+      if (reunion.iniciada) {
+        await conn.rollback();
+        return { ok: false, status: 409, error: 'Esta reunión ya comenzó; edita "todas" para cambiar las futuras' };
+      }
+      desde = reunion.fecha_serie;
+    } else {
+      const [primera] = await ocurrenciasFuturas(conn, original.id, original.fecha_inicio);
+      desde = primera ? primera.fecha_serie : reunion.fecha_serie;
+    }
+
+    // Mover la fecha de la ocurrencia desplaza la regla los mismos días
+    const desplazamiento = datos.date && datos.date !== reunion.date
+      ? diasEntre(reunion.date, datos.date)
+      : 0;
+    const nuevoInicio = alcance === 'siguientes'
+      ? sumarDias(desde, desplazamiento)
+      : sumarDias(original.fecha_inicio, desplazamiento);
+
+    const leida = leerRegla(recurrencia, nuevoInicio, original);
+    if (!leida.ok) {
+      await conn.rollback();
+      return { ok: false, status: 400, error: leida.error };
+    }
+    const regla = leida.regla;
+
+    const plantilla = {
+      title: datos.title ?? original.title,
+      type: datos.type ?? original.type,
+      location: datos.location !== undefined ? datos.location : original.location,
+      description: datos.description !== undefined ? datos.description : original.description,
+      obligatoria: datos.obligatoria !== undefined ? (datos.obligatoria ? 1 : 0) : original.obligatoria,
+      time: datos.time ?? original.time,
+      latitud: geocerca.latitud !== undefined ? geocerca.latitud : original.latitud,
+      longitud: geocerca.longitud !== undefined ? geocerca.longitud : original.longitud,
+      radio_metros: geocerca.radio_metros ?? original.radio_metros,
+    };
+
+    cambiaFechas = desplazamiento !== 0 || (recurrencia && Object.keys(recurrencia).length > 0);
+    cambiaHora = String(plantilla.time).slice(0, 5) !== String(original.time).slice(0, 5);
+
+    const [[{ anteriores }]] = await conn.query(
+      'SELECT COUNT(*) AS anteriores FROM reuniones WHERE serie_id = ? AND fecha_serie < ?',
+      [original.id, desde]
+    );
+    const separar = alcance === 'siguientes' && anteriores > 0;
+    const finOriginal = sumarDias(desde, -1);
+    if (separar) {
+      const yaOcurridas = calcularFechas({ ...original, excepciones: [] }, finOriginal).length;
+      if (recurrencia?.ocurrencias === undefined && original.max_ocurrencias) {
+        regla.max_ocurrencias = Math.max(original.max_ocurrencias - yaOcurridas, 1);
+      }
+      regla.excepciones = regla.excepciones.filter((f) => f >= desde);
+    }
+
+    // Fecha de la regla anterior -> fecha con el mismo índice en la nueva
+    const fechaNueva = new Map();
+    if (cambiaFechas) {
+      const nueva = secuencia(regla);
+      secuencia(original)
+        .filter((f) => alcance !== 'siguientes' || f >= desde)
+        .forEach((f, i) => fechaNueva.set(f, nueva[i] ?? null));
+      if (recurrencia?.excepciones === undefined) {
+        regla.excepciones = [...new Set(
+          regla.excepciones.map((f) => (fechaNueva.has(f) ? fechaNueva.get(f) : f)).filter(Boolean)
+        )].sort();
+      }
+    }
+
+    // Se leen antes de tocar la serie: `editada` compara con sus datos actuales
+    const futuras = await ocurrenciasFuturas(conn, original.id, desde, true);
+    const conservadas = new Set(
+      futuras.filter((r) => r.estado_reunion === 'cancelada' || r.editada || r.con_acta).map((r) => r.id)
+    );
+
+    let serieId = original.id;
+    if (separar) {
+      // Separar: la serie original termina antes de esta ocurrencia
+      serieId = await insertarSerie(conn, plantilla, regla, {
+        serieOrigenId: original.id, usuarioId
+      });
+      await conn.query('UPDATE reuniones_series SET fecha_fin = ? WHERE id = ?', [finOriginal, original.id]);
+      await conn.query(
+        'UPDATE reuniones SET serie_id = ? WHERE serie_id = ? AND fecha_serie >= ?',
+        [serieId, original.id, desde]
+      );
+    } else {
+      await conn.query(
+        `UPDATE reuniones_series
+           SET title = ?, type = ?, location = ?, latitud = ?, longitud = ?, radio_metros = ?,
+               description = ?, obligatoria = ?, time = ?,
+               frecuencia = ?, intervalo = ?, dia_semana = ?, semana_mes = ?,
+               fecha_inicio = ?, fecha_fin = ?, max_ocurrencias = ?
+         WHERE id = ?`,
+        [plantilla.title, plantilla.type, plantilla.location, plantilla.latitud, plantilla.longitud,
+         plantilla.radio_metros, plantilla.description, plantilla.obligatoria, plantilla.time,
+         regla.frecuencia, regla.intervalo, regla.dia_semana, regla.semana_mes,
+         regla.fecha_inicio, regla.fecha_fin, regla.max_ocurrencias, serieId]
+      );
+      await guardarExcepciones(conn, serieId, regla.excepciones);
+    }
+
+    const [[{ ahora }]] = await conn.query("SELECT DATE_FORMAT(NOW(), '%Y-%m-%d %H:%i:%s') AS ahora");
+    if (cambiaFechas && futuras.length > 0) {
+      // Primero sin fecha de la regla, para que el cambio no choque con otra ocurrencia
+      await conn.query('UPDATE reuniones SET fecha_serie = NULL WHERE id IN (?)', [futuras.map((r) => r.id)]);
+    }
+
+    const actualizadas = [];
+    const sobrantes = [];
+    for (const r of futuras) {
+      const fecha = cambiaFechas ? fechaNueva.get(r.fecha_serie) ?? null : r.date;
+      if (cambiaFechas && fecha) {
+        await conn.query('UPDATE reuniones SET fecha_serie = ? WHERE id = ?', [fecha, r.id]);
+      }
+      if (conservadas.has(r.id)) continue;
+
+      if (!cambiaFechas || (fecha && `${fecha} ${plantilla.time}` > ahora)) {
+        actualizadas.push({ ...r, fechaNueva: fecha });
+      } else {
+        sobrantes.push(r);
+      }
+    }
+
+    const ids = actualizadas.map((r) => r.id);
+    if (ids.length > 0) {
+      await conn.query(
+        `UPDATE reuniones
+           SET title = ?, type = ?, location = ?, latitud = ?, longitud = ?, radio_metros = ?,
+               description = ?, obligatoria = ?, time = ?
+         WHERE id IN (?)`,
+        [plantilla.title, plantilla.type, plantilla.location, plantilla.latitud, plantilla.longitud,
+         plantilla.radio_metros, plantilla.description, plantilla.obligatoria, plantilla.time, ids]
+      );
+    }
+
+    const reprogramadas = actualizadas.filter((r) => cambiaHora || r.fechaNueva !== r.date);
+    if (reprogramadas.length > 0) {
+      const motivoCambio = motivo || (cambiaFechas ? 'Cambio de fechas de la serie' : 'Cambio de hora de la serie');
+      for (const r of reprogramadas) {
+        await conn.query('UPDATE reuniones SET date = ? WHERE id = ?', [r.fechaNueva, r.id]);
+        await conn.query(
+          `INSERT INTO reuniones_cambios
+             (reunion_id, accion, fecha_anterior, hora_anterior, fecha_nueva, hora_nueva,
+              ubicacion_anterior, ubicacion_nueva, motivo, usuario_id)
+           VALUES (?, 'reprogramacion', ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [r.id, r.date, r.time, r.fechaNueva, plantilla.time,
+           r.location, plantilla.location, motivoCambio, usuarioId]
+        );
+      }
+      const reprogramadasIds = reprogramadas.map((r) => r.id);
+      await conn.query(
+        `UPDATE reuniones
+           SET estado_reunion = 'reprogramada', motivo_estado = ?,
+               estado_actualizado_por = ?, estado_actualizado_en = NOW()
+         WHERE id IN (?)`,
+        [motivoCambio, usuarioId, reprogramadasIds]
+      );
+      // Los recordatorios ya enviados eran para la fecha u hora anterior
+      await conn.query(
+        `DELETE FROM reuniones_notificaciones
+         WHERE reunion_id IN (?) AND tipo IN ('recordatorio_24h', 'recordatorio_4h')`,
+        [reprogramadasIds]
+      );
+    }
+
+    // Las que la nueva regla ya no incluye se cancelan, no se borran
+    if (sobrantes.length > 0) {
+      const motivoCancelacion = motivo || 'La nueva regla de la serie no incluye esta fecha';
+      for (const r of sobrantes) {
+        await conn.query(
+          `INSERT INTO reuniones_cambios
+             (reunion_id, accion, fecha_anterior, hora_anterior, ubicacion_anterior, motivo, usuario_id)
+           VALUES (?, 'cancelacion', ?, ?, ?, ?, ?)`,
+          [r.id, r.date, r.time, r.location, motivoCancelacion, usuarioId]
+        );
+      }
+      await conn.query(
+        `UPDATE reuniones
+           SET estado_reunion = 'cancelada', motivo_estado = ?,
+               estado_actualizado_por = ?, estado_actualizado_en = NOW()
+         WHERE id IN (?)`,
+        [motivoCancelacion, usuarioId, sobrantes.map((r) => r.id)]
+      );
+    }
+
+    if (cambiaFechas) {
+      // Fechas nuevas que ninguna ocurrencia existente ocupa
+      await generarOcurrencias(conn, await leerSerie(conn, serieId));
+    }
+
+    serie = await leerSerie(conn, serieId);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  if (cambiaFechas || cambiaHora) {
+    await avisar(serie, { accion: 'reprogramacion', desde, motivo });
+  }
+
+  return { ok: true, ...(await obtenerSerie(serie.id)) };
+}
+
+// ========================================
+// ❌ CANCELAR ("esta y las siguientes" o "todas")
+// ========================================
+/**
+ * Cancela las ocurrencias que aún no empiezan y deja de generar nuevas.
+ * Las ocurrencias pasadas conservan su asistencia.
+ */
+async function cancelarSerie({ reunionId, alcance, motivo, usuarioId }) {
+  const conn = await obtenerConexion();
+  let serie;
+  let desde;
+  let canceladas;
+  try {
+    await conn.beginTransaction();
+
+    const reunion = await leerOcurrencia(conn, reunionId);
+    if (!reunion) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (!reunion.serie_id) {
+      await conn.rollback();
+      return { ok: false, status: 400, error: 'La reunión no pertenece a una serie' };
+    }
+    serie = await leerSerie(conn, reunion.serie_id, true);
+    if (serie.estado === 'cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La serie ya está cancelada' };
+    }
+    if (alcance === 'siguientes' && reunion.iniciada) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'Esta reunión ya comenzó' };
+    }
+    desde = alcance === 'siguientes' ? reunion.fecha_serie : serie.fecha_inicio;
+
+    canceladas = (await ocurrenciasFuturas(conn, serie.id, desde, true))
+      .filter((r) => r.estado_reunion !== 'cancelada');
+
+    for (const r of canceladas) {
+      await conn.query(
+        `INSERT INTO reuniones_cambios
+           (reunion_id, accion, fecha_anterior, hora_anterior, ubicacion_anterior, motivo, usuario_id)
+         VALUES (?, 'cancelacion', ?, ?, ?, ?, ?)`,
+        [r.id, r.date, r.time, r.location, motivo, usuarioId]
+      );
+    }
+    if (canceladas.length > 0) {
+      await conn.query(
+        `UPDATE reuniones
+           SET estado_reunion = 'cancelada', motivo_estado = ?,
+               estado_actualizado_por = ?, estado_actualizado_en = NOW()
+         WHERE id IN (?)`,
+        [motivo, usuarioId, canceladas.map((r) => r.id)]
+      );
+    }
+
+    if (alcance === 'todas' || desde <= serie.fecha_inicio) {
+      await conn.query("UPDATE reuniones_series SET estado = 'cancelada' WHERE id = ?", [serie.id]);
+    } else {
+      await conn.query(
+        'UPDATE reuniones_series SET fecha_fin = ? WHERE id = ?',
+        [sumarDias(desde, -1), serie.id]
+      );
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  if (canceladas.length > 0) {
+    await avisar(serie, { accion: 'cancelacion', desde: canceladas[0].date, motivo });
+  }
+
+  return { ok: true, canceladas: canceladas.length };
+}
+
+// ========================================
+// 🗑️ QUITAR UNA OCURRENCIA
+// ========================================
+/**
+ * Al eliminar o cancelar una ocurrencia su fecha queda como excepción para
+ * que ni el job ni una edición de la serie la vuelvan a generar.
+ */
+async function registrarExcepcion(conn, reunionId) {
+  await conn.query(
+    `INSERT IGNORE INTO reuniones_series_excepciones (serie_id, fecha)
+     SELECT serie_id, fecha_serie FROM reuniones
+     WHERE id = ? AND serie_id IS NOT NULL`,
+    [reunionId]
+  );
+}
+
+// ========================================
+// ⏰ EXTENDER SERIES (job diario)
+// ========================================
+async function extenderSeries() {
+  const conn = await obtenerConexion();
+  const resumen = { series: 0, generadas: 0 };
+  try {
+    const [activas] = await conn.query(
+      `SELECT id FROM reuniones_series
+       WHERE estado = 'activa' AND (fecha_fin IS NULL OR fecha_fin >= CURDATE())`
+    );
+    for (const { id } of activas) {
+      resumen.series++;
+      resumen.generadas += await generarOcurrencias(conn, await leerSerie(conn, id));
+    }
+  } finally {
+    conn.release();
+  }
+  return resumen;
+}
+
+// ========================================
+// 📋 CONSULTAR
+// ========================================
+async function listarSeries() {
+  const [series] = await pool.query(
+    `SELECT s.id, s.title, s.type, s.location, s.time, s.frecuencia, s.intervalo,
+            s.dia_semana, s.semana_mes, s.fecha_inicio, s.fecha_fin, s.max_ocurrencias,
+            s.estado, s.serie_origen_id,
+            (SELECT MIN(TIMESTAMP(r.date, r.time)) FROM reuniones r
+             WHERE r.serie_id = s.id AND r.estado_reunion <> 'cancelada'
+               AND TIMESTAMP(r.date, r.time) > NOW()) AS proxima
+     FROM reuniones_series s
+     ORDER BY s.estado = 'activa' DESC, s.creado_en DESC`
+  );
+  return series.map((s) => ({ ...s, recurrencia: describirRegla(s) }));
+}
+
+/**
+ * Devuelve { serie, reuniones } con todas las ocurrencias generadas, o null.
+ */
+async function obtenerSerie(serieId) {
+  const serie = await leerSerie(pool, serieId);
+  if (!serie) return null;
+
+  const [reuniones] = await pool.query(
+    `SELECT id, title, date, time, location, estado_reunion, motivo_estado, fecha_serie
+     FROM reuniones WHERE serie_id = ?
+     ORDER BY date, time`,
+    [serieId]
+  );
+  return { serie: { ...serie, recurrencia: describirRegla(serie) }, reuniones };
+}
+
+module.exports = {
+  ALCANCES,
+  HORIZONTE_DIAS,
+  calcularFechas,
+  describirRegla,
+  crearSerie,
+  editarSerie,
+  cancelarSerie,
+  registrarExcepcion,
+  extenderSeries,
+  listarSeries,
+  obtenerSerie,
+};
@@ -0,0 +1,257 @@
+// ========================================
+// 📦 services/reuniones_service.js
+// Cancelación y reprogramación de reuniones. Cada cambio queda en
+// reuniones_cambios y se avisa a los agremiados. También valida la
+// geocerca (coordenadas y radio) de la reunión.
+// ========================================
+
+const pool = require('../bd');
+const firebaseService = require('./firebase_service');
+const recordatoriosService = require('./recordatorios_service');
+const asistenciaService = require('./asistencia_service');
+
+const RADIO_METROS_DEFAULT = 150;
+const RADIO_METROS_MIN = 10;
+const RADIO_METROS_MAX = 5000;
+
+// Avisar fuera de la transacción: un fallo de FCM no revierte el cambio
+async function avisar(fn, ...args) {
+  try {
+    const usuariosIds = await recordatoriosService.obtenerDestinatarios(pool);
+    if (usuariosIds.length > 0) await fn(...args, usuariosIds);
+  } catch (err) {
+    console.error('⚠️ No se pudo avisar el cambio de la reunión:', err.message);
+  }
+}
+
+// ========================================
+// ❌ CANCELAR
+// ========================================
+/**
+ * Marca la reunión como cancelada. Las asistencias que ya tuviera pasan a
+ * asistencia_historial (origen 'cancelacion', con su estado y puntaje) antes
+ * de eliminarse, y se recalculan los puntos de esos usuarios.
+ * Devuelve { ok: false, status, error } si no se puede cancelar.
+ */
+async function cancelarReunion({ reunionId, motivo, usuarioId }) {
+  const conn = await pool.getConnection();
+  let reunion;
+  let afectados = [];
+  try {
+    await conn.query("SET time_zone = '-06:00'");
+    await conn.beginTransaction();
+
+    [[reunion]] = await conn.query('SELECT * FROM reuniones WHERE id = ? FOR UPDATE', [reunionId]);
+    if (!reunion) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (reunion.estado_reunion === 'cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La reunión ya está cancelada' };
+    }
+
+    await conn.query(
+      `UPDATE reuniones
+         SET estado_reunion = 'cancelada', motivo_estado = ?,
+             estado_actualizado_por = ?, estado_actualizado_en = NOW()
+       WHERE id = ?`,
+      [motivo, usuarioId, reunionId]
+    );
+
+    await conn.query(
+      `INSERT INTO reuniones_cambios
+         (reunion_id, accion, fecha_anterior, hora_anterior, ubicacion_anterior, motivo, usuario_id)
+       VALUES (?, 'cancelacion', ?, ?, ?, ?, ?)`,
+      [reunionId, reunion.date, reunion.time, reunion.location, motivo, usuarioId]
+    );
+
+    // Una reunión cancelada no cuenta para el puntaje de nadie; lo registrado
+    // queda en el historial
+    const [asistencias] = await conn.query(
+      'SELECT usuario_id, estado_asistencia, puntaje FROM asistencia WHERE reunion_id = ? FOR UPDATE',
+      [reunionId]
+    );
+    afectados = asistencias.map((a) => a.usuario_id);
+    if (afectados.length > 0) {
+      for (const anterior of asistencias) {
+        await asistenciaService.registrarHistorial(conn, {
+          reunionId,
+          usuarioId: anterior.usuario_id,
+          origen: 'cancelacion',
+          anterior,
+          estado: 'cancelada',
+          puntaje: 0,
+          motivo,
+          realizadoPor: usuarioId
+        });
+      }
+      await conn.query('DELETE FROM asistencia WHERE reunion_id = ?', [reunionId]);
+      for (const id of afectados) {
+        await conn.query('CALL sp_actualizar_puntos_usuario(?)', [id]);
+      }
+    }
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await avisar(firebaseService.notificarCancelacion, { ...reunion, motivo_estado: motivo });
+
+  return { ok: true, asistenciasEliminadas: afectados.length };
+}
+
+// ========================================
+// 🔁 REPROGRAMAR
+// ========================================
+/**
+ * Cambia fecha, hora y opcionalmente el lugar. Los recordatorios de 24 h y
+ * 4 h se vuelven a programar para la nueva fecha.
+ */
+async function reprogramarReunion({ reunionId, date, time, location, motivo, usuarioId }) {
+  const conn = await pool.getConnection();
+  let anterior;
+  let actualizada;
+  try {
+    await conn.query("SET time_zone = '-06:00'");
+    await conn.beginTransaction();
+
+    [[anterior]] = await conn.query(
+      `SELECT *, TIMESTAMP(?, ?) <= NOW() AS en_pasado FROM reuniones WHERE id = ? FOR UPDATE`,
+      [date, time, reunionId]
+    );
+    if (!anterior) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Reunión no encontrada' };
+    }
+    if (anterior.estado_reunion === 'cancelada') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'No se puede reprogramar una reunión cancelada' };
+    }
+    if (anterior.en_pasado) {
+      await conn.rollback();
+      return { ok: false, status: 400, error: 'La nueva fecha y hora deben ser futuras' };
+    }
+
+    const nuevaUbicacion = location === undefined ? anterior.location : location;
+
+    await conn.query(
+      `UPDATE reuniones
+         SET date = ?, time = ?, location = ?,
+             estado_reunion = 'reprogramada', motivo_estado = ?,
+             estado_actualizado_por = ?, estado_actualizado_en = NOW()
+       WHERE id = ?`,
+      [date, time, nuevaUbicacion, motivo, usuarioId, reunionId]
+    );
+
+    await conn.query(
+      `INSERT INTO reuniones_cambios
+         (reunion_id, accion, fecha_anterior, hora_anterior, fecha_nueva, hora_nueva,
+          ubicacion_anterior, ubicacion_nueva, motivo, usuario_id)
+       VALUES (?, 'reprogramacion', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [reunionId, anterior.date, anterior.time, date, time,
+       anterior.location, nuevaUbicacion, motivo, usuarioId]
+    );
+
+    // Los recordatorios ya enviados eran para la fecha anterior
+    await conn.query(
+      `DELETE FROM reuniones_notificaciones
+       WHERE reunion_id = ? AND tipo IN ('recordatorio_24h', 'recordatorio_4h')`,
+      [reunionId]
+    );
+
+    [[actualizada]] = await conn.query('SELECT * FROM reuniones WHERE id = ?', [reunionId]);
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  await avisar(firebaseService.notificarReprogramacion, actualizada, anterior);
+
+  return { ok: true, reunion: actualizada };
+}
+
+// ========================================
+// 📍 GEOCERCA
+// ========================================
+/**
+ * Lee latitud, longitud y radio_metros del body. Con usar_sede: true toma las
+ * coordenadas de datos_empresa. latitud y longitud en null quitan la geocerca.
+ * Los campos no enviados quedan undefined para conservar el valor actual.
+ * Devuelve { ok: false, error } si los valores no son válidos.
+ */
+async function leerGeocerca({ latitud, longitud, radio_metros, usar_sede }) {
+  const geocerca = { latitud: undefined, longitud: undefined, radio_metros: undefined };
+
+  if (usar_sede) {
+    const [[sede]] = await pool.query(
+      `SELECT latitud, longitud FROM datos_empresa
+       WHERE latitud IS NOT NULL AND longitud IS NOT NULL
+       ORDER BY id LIMIT 1`
+    );
+    if (!sede) {
+      return { ok: false, error: 'La sede no tiene coordenadas registradas' };
+    }
+    latitud = sede.latitud;
+    longitud = sede.longitud;
+  }
+
+  if (latitud !== undefined || longitud !== undefined) {
+    const quitar = latitud === null && longitud === null;
+    const lat = Number(latitud);
+    const lon = Number(longitud);
+    if (!quitar && (latitud === null || longitud === null
+        || !Number.isFinite(lat) || lat < -90 || lat > 90
+        || !Number.isFinite(lon) || lon < -180 || lon > 180)) {
+      return { ok: false, error: 'latitud y longitud deben enviarse juntas y ser coordenadas válidas' };
+    }
+    geocerca.latitud = quitar ? null : lat;
+    geocerca.longitud = quitar ? null : lon;
+  }
+
+  if (radio_metros !== undefined && radio_metros !== null) {
+    const radio = Number(radio_metros);
+    if (!Number.isInteger(radio) || radio < RADIO_METROS_MIN || radio > RADIO_METROS_MAX) {
+      return {
+        ok: false,
+        error: `radio_metros debe ser un entero entre ${RADIO_METROS_MIN} y ${RADIO_METROS_MAX}`,
+      };
+    }
+    geocerca.radio_metros = radio;
+  }
+
+  return { ok: true, geocerca };
+}
+
+// ========================================
+// 📋 HISTORIAL
+// ========================================
+async function listarCambios(reunionId) {
+  const [cambios] = await pool.query(
+    `SELECT c.id, c.accion, c.fecha_anterior, c.hora_anterior, c.fecha_nueva, c.hora_nueva,
+            c.ubicacion_anterior, c.ubicacion_nueva, c.motivo, c.creado_en,
+            c.usuario_id, CONCAT(u.nombre, ' ', u.apellido_paterno) AS realizado_por
+     FROM reuniones_cambios c
+     LEFT JOIN perfil_usuarios u ON u.id = c.usuario_id
+     WHERE c.reunion_id = ?
+     ORDER BY c.creado_en DESC, c.id DESC`,
+    [reunionId]
+  );
+  return cambios;
+}
+
+module.exports = {
+  RADIO_METROS_DEFAULT,
+  cancelarReunion,
+  reprogramarReunion,
+  leerGeocerca,
+  listarCambios,
+};
@@ -2,8 +2,24 @@
 const express = require('express');
 const router  = express.Router();
 const pool    = require('../bd');  // tu pool.promise()
+const { authenticate, authorize, tienePermiso } = require('../middlewares/authorize');
 const refreshSession = require('../config/refreshSession');
-const firebaseService = require("../consultas/firebase_service");
+const recordatoriosService = require("./recordatorios_service");
+const reunionesService = require("./reuniones_service");
+const asistenciaService = require("./asistencia_service");
+const actasService = require("./actas_service");
+const agendaService = require("./reuniones_agenda_service");
+const seriesService = require("./reuniones_series_service");
+const multer = require('multer');
+const { storageAdjuntosReunion } = require('../cloudinaryConfig');
+
+const uploadAdjunto = multer({
+  storage: storageAdjuntosReunion,
+  limits: { fileSize: 20 * 1024 * 1024 } // 20MB
+});
+
+// Status calculado de la reunión según los tiempos del reglamento
+const { getEstadoReunion } = asistenciaService;
 
 
 // Función helper para validar autenticación
@@ -16,21 +32,6 @@ const requireAuth = (req, res, next) => {
   next();
 };
 
-// Función para calcular el estado de la reunión basado en tiempos del reglamento
-const getEstadoReunion = () => {
-  return `
-    CASE
-      WHEN NOW() < DATE_SUB(CONCAT(date, ' ', time), INTERVAL 10 MINUTE) THEN 'Programada'
-      WHEN NOW() BETWEEN DATE_SUB(CONCAT(date, ' ', time), INTERVAL 10 MINUTE) 
-                     AND DATE_ADD(CONCAT(date, ' ', time), INTERVAL 15 MINUTE) THEN 'Registro_Abierto'
-      WHEN NOW() BETWEEN DATE_ADD(CONCAT(date, ' ', time), INTERVAL 15 MINUTE)
-                     AND DATE_ADD(CONCAT(date, ' ', time), INTERVAL 30 MINUTE) THEN 'Retardos_Permitidos'
-      WHEN NOW() BETWEEN DATE_ADD(CONCAT(date, ' ', time), INTERVAL 30 MINUTE)
-                     AND DATE_ADD(CONCAT(date, ' ', time), INTERVAL 60 MINUTE) THEN 'Falta_No_Justificada'
-      ELSE 'Terminada'
-    END
-  `;
-};
 // AGREGAR ESTE ENDPOINT en reunionesyasistencia.js
 
 // GET /api/reuniones/proxima-semana - NUEVA RUTA
@@ -109,19 +110,76 @@ router.get('/proxima-semana', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/reuniones/series
+ * Series recurrentes con su regla y la próxima ocurrencia
+ */
+router.get('/series', async (req, res) => {
+  try {
+    res.json(await seriesService.listarSeries());
+  } catch (err) {
+    console.error('Error al obtener series:', err);
+    res.status(500).json({ error: 'Error interno al obtener las series.' });
+  }
+});
+
+// GET /api/reuniones/series/:serieId - regla y ocurrencias generadas
+router.get('/series/:serieId', async (req, res) => {
+  try {
+    const serie = await seriesService.obtenerSerie(req.params.serieId);
+    if (!serie) {
+      return res.status(404).json({ error: 'Serie no encontrada.' });
+    }
+    res.json(serie);
+  } catch (err) {
+    console.error('Error al obtener serie:', err);
+    res.status(500).json({ error: 'Error interno al obtener la serie.' });
+  }
+});
+
 // POST /api/reuniones
-router.post('/', async (req, res) => {
+// Body opcional: recurrencia { frecuencia, intervalo?, semana_mes?, hasta?, ocurrencias?, excepciones? }
+router.post('/', authorize('reuniones:gestionar'), async (req, res) => {
   try {
-    const { title, date, time, type, location, description } = req.body;
+    const { title, date, time, type, location, description, obligatoria = false } = req.body;
+
+    const { ok, error, geocerca } = await reunionesService.leerGeocerca(req.body);
+    if (!ok) {
+      return res.status(400).json({ error });
+    }
+
+    // Con recurrencia se crea una serie y sus ocurrencias
+    if (req.body.recurrencia) {
+      const resultado = await seriesService.crearSerie({
+        datos: { title, date, time, type, location, description, obligatoria, ...geocerca },
+        recurrencia: req.body.recurrencia,
+        usuarioId: req.user.sub
+      });
+      if (!resultado.ok) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+
+      // Se anuncia solo la primera; las demás reciben sus recordatorios
+      try {
+        await recordatoriosService.enviarAviso(resultado.reuniones[0], 'nueva_reunion');
+      } catch (notifError) {
+        console.error("⚠️ No se pudo enviar la notificación de la nueva serie:", notifError.message);
+      }
+
+      return res.status(201).json({ serie: resultado.serie, reuniones: resultado.reuniones });
+    }
 
     await pool.execute("SET time_zone = '-06:00'");
 
     // 1) INSERTAR REUNIÓN
     const result = await pool.query(
       `INSERT INTO reuniones 
-        (title, date, time, type, location, description)
-      VALUES (?,?,?,?,?,?)`,
-      [title, date, time, type, location, description]
+        (title, date, time, type, location, latitud, longitud, radio_metros, description, obligatoria)
+      VALUES (?,?,?,?,?,?,?,?,?,?)`,
+      [title, date, time, type, location,
+       geocerca.latitud ?? null, geocerca.longitud ?? null,
+       geocerca.radio_metros ?? reunionesService.RADIO_METROS_DEFAULT,
+       description, obligatoria ? 1 : 0]
     );
 
     const newId = Array.isArray(result) ? result[0].insertId : result.insertId;
@@ -129,7 +187,8 @@ router.post('/', async (req, res) => {
     // 2) LEER LA REUNIÓN RECIÉN CREADA
     const rows = await pool.query(
       `SELECT 
-         id, title, date, time, type, location, description,
+         id, title, date, time, type, location, latitud, longitud, radio_metros,
+         description, obligatoria,
          ${getEstadoReunion()} AS status,
          created_at
        FROM reuniones
@@ -139,25 +198,16 @@ router.post('/', async (req, res) => {
 
     const reunion = Array.isArray(rows) ? rows[0][0] : rows[0];
 
-    // 3) OBTENER TODOS LOS USUARIOS CON TOKEN FCM
-    const [usuarios] = await pool.query(
-      `SELECT DISTINCT usuario_id 
-       FROM fcm_tokens 
-       WHERE activo = TRUE
-         AND fcm_token IS NOT NULL`
-    );
-
-    const usuariosIds = usuarios.map(u => u.usuario_id);
-
-    // 4) ENVIAR NOTIFICACIÓN PUSH
-    if (usuariosIds.length > 0) {
-      console.log("📣 Enviando notificación de NUEVA REUNIÓN a:", usuariosIds);
-      await firebaseService.notificarNuevaReunion(reunion, usuariosIds);
-    } else {
-      console.log("⚠️ No hay usuarios con tokens activos");
+    // 3) ENVIAR NOTIFICACIÓN PUSH (queda registrada para que el cron no la repita)
+    try {
+      console.log("📣 Enviando notificación de NUEVA REUNIÓN:", reunion.id);
+      await recordatoriosService.enviarAviso(reunion, 'nueva_reunion');
+    } catch (notifError) {
+      // El cron la reintentará
+      console.error("⚠️ No se pudo enviar la notificación de nueva reunión:", notifError.message);
     }
 
-    // 5) RESPONDER
+    // 4) RESPONDER
    res.status(201).json(reunion);
 
 
@@ -186,7 +236,14 @@ router.get('/', async (req, res) => {
          time,
          type,
          location,
+         latitud,
+         longitud,
+         radio_metros,
          description,
+         obligatoria,
+         estado_reunion,
+         motivo_estado,
+         serie_id,
          ${getEstadoReunion()} AS status
        FROM reuniones
        ORDER BY date DESC, time DESC`
@@ -220,7 +277,14 @@ router.get('/:id', async (req, res) => {
          time,
          type,
          location,
+         latitud,
+         longitud,
+         radio_metros,
          description,
+         obligatoria,
+         estado_reunion,
+         motivo_estado,
+         serie_id,
          ${getEstadoReunion()} AS status
        FROM reuniones
        WHERE id = ?`,
@@ -241,24 +305,91 @@ router.get('/:id', async (req, res) => {
 
 /**
  * PUT /api/reuniones/:id
- * Actualiza los datos de una reunión y devuelve la reunión actualizada con su status
+ * Actualiza los datos de una reunión y devuelve la reunión actualizada con su status.
+ * En una serie, alcance 'siguientes' o 'todas' (con recurrencia opcional)
+ * edita también las demás ocurrencias y devuelve { serie, reuniones }.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('reuniones:gestionar'), async (req, res) => {
   const meetingId = req.params.id;
-  const { title, date, time, type, location, description } = req.body;
+  const { title, date, time, type, location, description, obligatoria, motivo, alcance = 'esta' } = req.body;
+
+  if (!seriesService.ALCANCES.includes(alcance)) {
+    return res.status(400).json({ error: `alcance debe ser uno de: ${seriesService.ALCANCES.join(', ')}` });
+  }
 
   try {
-    // 1) Actualiza el registro
+    const geocercaLeida = await reunionesService.leerGeocerca(req.body);
+    if (!geocercaLeida.ok) {
+      return res.status(400).json({ error: geocercaLeida.error });
+    }
+    const { geocerca } = geocercaLeida;
+
+    // "Esta y las siguientes" / "todas" editan la serie
+    if (alcance !== 'esta') {
+      const resultado = await seriesService.editarSerie({
+        reunionId: meetingId,
+        alcance,
+        datos: { title, date, time, type, location, description, obligatoria },
+        geocerca,
+        recurrencia: req.body.recurrencia,
+        motivo,
+        usuarioId: req.user.sub
+      });
+      if (!resultado.ok) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      return res.json({ serie: resultado.serie, reuniones: resultado.reuniones });
+    }
+
+    const [[actual]] = await pool.query(
+      `SELECT estado_reunion, (date <> ? OR time <> ?) AS cambia_fecha
+       FROM reuniones WHERE id = ?`,
+      [date, time, meetingId]
+    );
+
+    if (!actual) {
+      return res.status(404).json({ error: 'Reunión no encontrada.' });
+    }
+    if (actual.estado_reunion === 'cancelada') {
+      return res.status(409).json({ error: 'No se puede editar una reunión cancelada.' });
+    }
+
+    // Un cambio de fecha u hora es una reprogramación: historial y aviso
+    if (actual.cambia_fecha) {
+      const reprogramada = await reunionesService.reprogramarReunion({
+        reunionId: meetingId,
+        date,
+        time,
+        location,
+        motivo: motivo || 'Cambio de fecha u hora',
+        usuarioId: req.user.sub
+      });
+      if (!reprogramada.ok) {
+        return res.status(reprogramada.status).json({ error: reprogramada.error });
+      }
+    }
+
+    // 1) Actualiza el registro (obligatoria y la geocerca se conservan si no se envían)
+    const cambiaCoordenadas = geocerca.latitud !== undefined;
     await pool.query(
       `UPDATE reuniones
-         SET title       = ?,
-             date        = ?,
-             time        = ?,
-             type        = ?,
-             location    = ?,
-             description = ?
+         SET title        = ?,
+             date         = ?,
+             time         = ?,
+             type         = ?,
+             location     = ?,
+             latitud      = IF(?, ?, latitud),
+             longitud     = IF(?, ?, longitud),
+             radio_metros = COALESCE(?, radio_metros),
+             description  = ?,
+             obligatoria  = COALESCE(?, obligatoria)
        WHERE id = ?`,
-      [title, date, time, type, location, description, meetingId]
+      [title, date, time, type, location,
+       cambiaCoordenadas, geocerca.latitud ?? null,
+       cambiaCoordenadas, geocerca.longitud ?? null,
+       geocerca.radio_metros ?? null,
+       description,
+       obligatoria === undefined ? null : (obligatoria ? 1 : 0), meetingId]
     );
 
     // 2) Vuelve a leer el registro completo, incluyendo el status calculado
@@ -270,7 +401,14 @@ router.put('/:id', async (req, res) => {
          time,
          type,
          location,
+         latitud,
+         longitud,
+         radio_metros,
          description,
+         obligatoria,
+         estado_reunion,
+         motivo_estado,
+         serie_id,
          ${getEstadoReunion()} AS status
        FROM reuniones
        WHERE id = ?`,
@@ -290,87 +428,67 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// POST /api/reuniones/:id/asistencia - MODIFICADO
+/**
+ * GET /api/reuniones/:id/qr
+ * Código firmado que el organizador muestra en pantalla. Cambia cada
+ * segundos_rotacion: el cliente debe volver a pedirlo antes de expira_en.
+ */
+router.get('/:id/qr', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const resultado = await asistenciaService.obtenerCodigoQR(req.params.id);
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+
+    res.json({
+      codigo: resultado.codigo,
+      expira_en: resultado.expira_en,
+      segundos_rotacion: resultado.segundos_rotacion,
+      estadoReunion: resultado.estadoReunion
+    });
+  } catch (err) {
+    console.error('Error al generar código QR:', err);
+    res.status(500).json({ error: 'Error interno al generar el código QR.' });
+  }
+});
+
+/**
+ * POST /api/reuniones/:id/asistencia
+ * Body: { codigo, latitud?, longitud?, precision? }
+ * La ubicación es obligatoria si la reunión tiene coordenadas.
+ */
 router.post(
   '/:id/asistencia',
-    refreshSession,
-    requireAuth,
+  refreshSession,
+  authorize('asistencia:registrar'),
   async (req, res) => {
-    const reunionId = req.params.id;
-    const usuarioId = req.user.sub;
-
     try {
-      // Forzar zona horaria de México
-      await pool.execute("SET time_zone = '-06:00'");
-      
-      // 1) Obtener información de la reunión y su estado actual
-      const meetingResult = await pool.query(
-        `SELECT 
-           id, date, time,
-           ${getEstadoReunion()} AS status,
-           CONCAT(date, ' ', time) AS meeting_datetime
-         FROM reuniones 
-         WHERE id = ?`,
-        [reunionId]
-      );
-
-      const meetingRows = Array.isArray(meetingResult) && Array.isArray(meetingResult[0]) ? meetingResult[0] : meetingResult;
-
-      if (!meetingRows || meetingRows.length === 0) {
-        return res.status(404).json({ error: 'Reunión no encontrada' });
-      }
+      const resultado = await asistenciaService.registrarAsistencia({
+        reunionId: req.params.id,
+        usuarioId: req.user.sub,
+        codigo: req.body.codigo,
+        ubicacion: {
+          latitud: req.body.latitud,
+          longitud: req.body.longitud,
+          precision: req.body.precision
+        }
+      });
 
-      const meeting = meetingRows[0];
-      
-      // 2) Verificar si el registro está permitido
-      if (meeting.status === 'Programada' || meeting.status === 'Terminada') {
-        return res.status(400).json({ 
-          error: meeting.status === 'Programada' 
-            ? 'La reunión aún no está disponible para registro'
-            : 'La reunión ya ha terminado' 
+      if (!resultado.ok) {
+        return res.status(resultado.status).json({
+          error: resultado.error,
+          distancia_metros: resultado.distancia
         });
       }
 
-      // 3) Determinar el estado de asistencia basado en el estado actual de la reunión
-      let estadoAsistencia, puntaje;
-      
-      switch (meeting.status) {
-        case 'Registro_Abierto':
-          estadoAsistencia = 'asistencia_completa';
-          puntaje = 3;
-          break;
-        case 'Retardos_Permitidos':
-          estadoAsistencia = 'retardo';
-          puntaje = 2;
-          break;
-        case 'Falta_No_Justificada':
-          estadoAsistencia = 'falta_no_justificada';
-          puntaje = 0;
-          break;
-        default:
-          return res.status(400).json({ error: 'Estado de reunión no válido para registro' });
-      }
-
-      // 4) Insertar o actualizar el registro de asistencia
-      await pool.query(
-        `INSERT INTO asistencia (reunion_id, usuario_id, registered_at, estado_asistencia, puntaje)
-           VALUES (?, ?, NOW(), ?, ?)
-         ON DUPLICATE KEY UPDATE 
-           registered_at = NOW(),
-           estado_asistencia = VALUES(estado_asistencia),
-           puntaje = VALUES(puntaje)`,
-        [reunionId, usuarioId, estadoAsistencia, puntaje]
-      );
-      // ✅ Actualizar puntos automáticamente del usuario
-      await pool.query("CALL sp_actualizar_puntos_usuario(?)", [usuarioId]);
-
-      res.json({ 
+      res.json({
         message: 'Asistencia registrada correctamente',
-        estado: estadoAsistencia,
-        puntaje: puntaje,
-        estadoReunion: meeting.status
+        estado: resultado.estado,
+        puntaje: resultado.puntaje,
+        estadoReunion: resultado.estadoReunion,
+        distancia_metros: resultado.distancia_metros,
+        ubicacion_dudosa: resultado.ubicacion_dudosa
       });
-      
     } catch (err) {
       console.error(err);
       res.status(500).json({ error: 'No pude registrar asistencia' });
@@ -393,7 +511,10 @@ router.get(
           pu.apellido_materno,
           a.estado_asistencia,
           a.puntaje,
-          a.registered_at
+          a.registered_at,
+          a.distancia_metros,
+          a.precision_metros,
+          a.ubicacion_dudosa
         FROM asistencia a
         JOIN perfil_usuarios pu
           ON a.usuario_id = pu.id
@@ -445,6 +566,173 @@ router.get(
   }
 );
 
+/**
+ * GET /api/reuniones/:id/quorum
+ * Quórum en este momento según la regla del tipo de reunión
+ */
+router.get('/:id/quorum', async (req, res) => {
+  try {
+    const quorum = await actasService.obtenerQuorum(req.params.id);
+    if (!quorum) {
+      return res.status(404).json({ error: 'Reunión no encontrada' });
+    }
+    res.json(quorum);
+  } catch (err) {
+    console.error('Error al calcular quórum:', err);
+    res.status(500).json({ error: 'Error interno al calcular el quórum.' });
+  }
+});
+
+/**
+ * GET /api/reuniones/:id/agenda
+ * Orden del día y documentos adjuntos (web o app móvil con Bearer)
+ */
+router.get('/:id/agenda', authenticate, async (req, res) => {
+  try {
+    const agenda = await agendaService.obtenerAgenda(req.params.id);
+    if (!agenda) {
+      return res.status(404).json({ error: 'Reunión no encontrada' });
+    }
+    res.json(agenda);
+  } catch (err) {
+    console.error('Error al obtener agenda:', err);
+    res.status(500).json({ error: 'Error interno al obtener la agenda.' });
+  }
+});
+
+/**
+ * PUT /api/reuniones/:id/agenda
+ * Body: { puntos: [{ titulo, descripcion?, duracion_minutos?, responsable_id? }] }
+ * Reemplaza el orden del día completo
+ */
+router.put('/:id/agenda', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const resultado = await agendaService.guardarAgenda({
+      reunionId: req.params.id,
+      puntos: req.body.puntos
+    });
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json(await agendaService.obtenerAgenda(req.params.id));
+  } catch (err) {
+    console.error('Error al guardar agenda:', err);
+    res.status(500).json({ error: 'Error interno al guardar la agenda.' });
+  }
+});
+
+/**
+ * POST /api/reuniones/:id/adjuntos
+ * form-data: archivo
+ */
+router.post(
+  '/:id/adjuntos',
+  authorize('reuniones:gestionar'),
+  (req, res, next) => {
+    uploadAdjunto.single('archivo')(req, res, (err) => {
+      if (err) {
+        console.error('Error subiendo adjunto:', err.message);
+        return res.status(400).json({ error: 'El archivo debe pesar como máximo 20MB.' });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Adjunta el documento.' });
+    }
+
+    try {
+      const resultado = await agendaService.agregarAdjunto({
+        reunionId: req.params.id,
+        usuarioId: req.user.sub,
+        archivo: {
+          url: req.file.path,
+          publicId: req.file.filename,
+          nombre: req.file.originalname
+        }
+      });
+      if (!resultado.ok) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      res.status(201).json(resultado.adjunto);
+    } catch (err) {
+      console.error('Error al guardar adjunto:', err);
+      res.status(500).json({ error: 'Error interno al guardar el adjunto.' });
+    }
+  }
+);
+
+// DELETE /api/reuniones/:id/adjuntos/:adjuntoId
+router.delete('/:id/adjuntos/:adjuntoId', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const resultado = await agendaService.eliminarAdjunto({
+      reunionId: req.params.id,
+      adjuntoId: req.params.adjuntoId
+    });
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json({ message: 'Adjunto eliminado' });
+  } catch (err) {
+    console.error('Error al eliminar adjunto:', err);
+    res.status(500).json({ error: 'Error interno al eliminar el adjunto.' });
+  }
+});
+
+/**
+ * GET /api/reuniones/:id/rsvp
+ * Confirmación del usuario autenticado (null si no ha respondido)
+ */
+router.get('/:id/rsvp', authenticate, async (req, res) => {
+  try {
+    const rsvp = await agendaService.obtenerRsvp(req.params.id, req.user.sub);
+    res.json({ rsvp });
+  } catch (err) {
+    console.error('Error al obtener confirmación:', err);
+    res.status(500).json({ error: 'Error interno al obtener la confirmación.' });
+  }
+});
+
+/**
+ * PUT /api/reuniones/:id/rsvp
+ * Body: { respuesta: 'asistire' | 'no_asistire' | 'tal_vez', comentario? }
+ */
+router.put('/:id/rsvp', authorize('asistencia:registrar'), async (req, res) => {
+  try {
+    const resultado = await agendaService.responderRsvp({
+      reunionId: req.params.id,
+      usuarioId: req.user.sub,
+      respuesta: req.body.respuesta,
+      comentario: req.body.comentario
+    });
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json({ message: 'Confirmación guardada', rsvp: resultado.rsvp });
+  } catch (err) {
+    console.error('Error al guardar confirmación:', err);
+    res.status(500).json({ error: 'Error interno al guardar la confirmación.' });
+  }
+});
+
+/**
+ * GET /api/reuniones/:id/rsvp/resumen
+ * Totales de confirmación y asistencia esperada según el modelo de ML
+ */
+router.get('/:id/rsvp/resumen', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const resumen = await agendaService.resumenRsvp(req.params.id);
+    if (!resumen) {
+      return res.status(404).json({ error: 'Reunión no encontrada' });
+    }
+    res.json(resumen);
+  } catch (err) {
+    console.error('Error al obtener resumen de confirmaciones:', err);
+    res.status(500).json({ error: 'Error interno al obtener el resumen.' });
+  }
+});
+
 // GET /api/reuniones/:id/estadisticas - NUEVO ENDPOINT PARA ESTADÍSTICAS
 router.get(
   '/:id/estadisticas',
@@ -472,11 +760,10 @@ router.get(
 
       const meeting = meetingRows[0];
 
-      // 2) Si la reunión ya pasó de "Registro_Abierto", crear registros faltantes
-      if (meeting.status === 'Retardos_Permitidos' || 
-          meeting.status === 'Falta_No_Justificada' || 
-          meeting.status === 'Terminada') {
-        
+      // 2) Cuando la reunión terminó, crear registros faltantes. Antes no: el
+      // agremiado aún puede registrar su retardo con el QR
+      if (meeting.status === 'Terminada') {
+
         // Crear registros de "falta_no_justificada" para usuarios que no se registraron
         await pool.query(`
           INSERT INTO asistencia (reunion_id, usuario_id, estado_asistencia, puntaje)
@@ -536,57 +823,90 @@ router.get(
   }
 );
 
-// PUT /api/reuniones/:reunionId/asistencia/:usuarioId - NUEVO ENDPOINT PARA CAMBIAR ESTADOS
+// Responde una corrección de asistencia con el formato común
+async function responderCorreccion(res, datos) {
+  try {
+    const resultado = await asistenciaService.corregirAsistencias(datos);
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json({
+      message: 'Asistencia corregida correctamente',
+      lote: resultado.lote,
+      actualizados: resultado.actualizados,
+      sin_cambios: resultado.sin_cambios
+    });
+  } catch (err) {
+    console.error('Error al corregir asistencia:', err);
+    res.status(500).json({ error: 'Error interno al corregir la asistencia.' });
+  }
+}
+
+/**
+ * PUT /api/reuniones/:reunionId/asistencia/:usuarioId
+ * Body: { estado_asistencia, puntaje?, motivo }
+ */
 router.put(
   '/:reunionId/asistencia/:usuarioId',
-  async (req, res) => {
-    const { reunionId, usuarioId } = req.params;
-    const { estado_asistencia } = req.body;
-
-    // Validar estado
-    const estadosValidos = ['asistencia_completa', 'retardo', 'falta_justificada', 'falta_no_justificada'];
-    if (!estadosValidos.includes(estado_asistencia)) {
-      return res.status(400).json({ error: 'Estado de asistencia no válido' });
-    }
-
-    // Determinar puntaje basado en el estado
-    let puntaje;
-    switch (estado_asistencia) {
-      case 'asistencia_completa':
-        puntaje = 3;
-        break;
-      case 'retardo':
-      case 'falta_justificada':
-        puntaje = 2;
-        break;
-      case 'falta_no_justificada':
-        puntaje = 0;
-        break;
-    }
+  authorize('reuniones:gestionar'),
+  (req, res) => {
+    const { estado_asistencia, puntaje, motivo } = req.body;
+    return responderCorreccion(res, {
+      reunionId: req.params.reunionId,
+      cambios: [{ usuario_id: req.params.usuarioId, estado_asistencia, puntaje }],
+      motivo,
+      realizadoPor: req.user.sub
+    });
+  }
+);
 
-    try {
-      // Actualizar o insertar el registro de asistencia
-      await pool.query(
-        `INSERT INTO asistencia (reunion_id, usuario_id, estado_asistencia, puntaje, registered_at)
-           VALUES (?, ?, ?, ?, NOW())
-         ON DUPLICATE KEY UPDATE 
-           estado_asistencia = VALUES(estado_asistencia),
-           puntaje = VALUES(puntaje)`,
-        [reunionId, usuarioId, estado_asistencia, puntaje]
-      );
+/**
+ * PUT /api/reuniones/:id/asistencia
+ * Corrección masiva. Body: { motivo, cambios: [{ usuario_id, estado_asistencia, puntaje? }] }
+ */
+router.put('/:id/asistencia', authorize('reuniones:gestionar'), (req, res) => {
+  const { cambios, motivo } = req.body;
+  return responderCorreccion(res, {
+    reunionId: req.params.id,
+    cambios,
+    motivo,
+    realizadoPor: req.user.sub
+  });
+});
 
-      res.json({ 
-        message: 'Estado de asistencia actualizado correctamente',
-        estado_asistencia,
-        puntaje
-      });
+/**
+ * GET /api/reuniones/:id/asistencia/historial
+ * Correcciones y justificaciones aplicadas en la reunión
+ */
+router.get('/:id/asistencia/historial', authorize('reuniones:gestionar'), async (req, res) => {
+  try {
+    const historial = await asistenciaService.listarHistorial({ reunionId: req.params.id });
+    res.json(historial);
+  } catch (err) {
+    console.error('Error al obtener historial de asistencia:', err);
+    res.status(500).json({ error: 'Error interno al obtener el historial.' });
+  }
+});
 
-    } catch (err) {
-      console.error('Error al actualizar estado:', err);
-      res.status(500).json({ error: 'Error interno al actualizar estado.' });
-    }
+/**
+ * GET /api/reuniones/usuarios/:usuarioId/asistencia/historial
+ * Historial de un agremiado (admin, o el propio agremiado)
+ */
+router.get('/usuarios/:usuarioId/asistencia/historial', authenticate, async (req, res) => {
+  const usuarioId = Number(req.params.usuarioId);
+
+  if (Number(req.user.sub) !== usuarioId && !tienePermiso(req.user.role, 'reuniones:gestionar')) {
+    return res.status(403).json({ error: 'No tienes permisos para realizar esta acción.' });
   }
-);
+
+  try {
+    const historial = await asistenciaService.listarHistorial({ usuarioId });
+    res.json(historial);
+  } catch (err) {
+    console.error('Error al obtener historial de asistencia:', err);
+    res.status(500).json({ error: 'Error interno al obtener el historial.' });
+  }
+});
 
 /**
  * GET /api/reuniones/usuario/asistencia - MODIFICADO
@@ -611,15 +931,24 @@ router.get(
           r.location,
           r.description,
           ${getEstadoReunion()} AS status,
-          COALESCE(a.estado_asistencia, 'falta_no_justificada') AS estado_asistencia,
+          CASE
+            WHEN r.estado_reunion = 'cancelada' THEN 'cancelada'
+            ELSE COALESCE(a.estado_asistencia, 'falta_no_justificada')
+          END AS estado_asistencia,
           COALESCE(a.puntaje, 0) AS puntaje,
-          a.registered_at
+          a.registered_at,
+          j.id AS justificacion_id,
+          j.estado AS justificacion_estado,
+          j.comentario_revision AS justificacion_comentario
         FROM reuniones r
         LEFT JOIN asistencia a
           ON a.reunion_id = r.id
           AND a.usuario_id = ?
+        LEFT JOIN justificaciones_asistencia j
+          ON j.reunion_id = r.id
+          AND j.usuario_id = ?
         ORDER BY r.date DESC, r.time DESC`,
-        [usuarioId]
+        [usuarioId, usuarioId]
       );
 
       const rows = Array.isArray(result) && Array.isArray(result[0]) ? result[0] : result;
@@ -647,6 +976,7 @@ router.get(
            id, title, date, time, type
          FROM reuniones 
          WHERE YEAR(date) = ?
+           AND estado_reunion <> 'cancelada'
          ORDER BY date DESC`,
         [year]
       );
@@ -680,7 +1010,8 @@ router.get(
                r.date
              FROM asistencia a
              JOIN reuniones r ON a.reunion_id = r.id
-             WHERE a.usuario_id = ? AND YEAR(r.date) = ?`,
+             WHERE a.usuario_id = ? AND YEAR(r.date) = ?
+               AND r.estado_reunion <> 'cancelada'`,
             [usuario.id, year]
           );
 
@@ -694,6 +1025,11 @@ router.get(
             a.estado_asistencia === 'asistencia_completa' || 
             a.estado_asistencia === 'retardo'
           ).length;
+          const faltasJustificadas = asistencias.filter(a =>
+            a.estado_asistencia === 'falta_justificada'
+          ).length;
+          // Sin registro también cuenta como falta no justificada
+          const faltasNoJustificadas = totalReuniones - reunionesAsistidas - faltasJustificadas;
           
           // Aplicar la fórmula del reglamento: Σ(Puntajes) / N
           const promedioAnual = totalReuniones > 0 ? puntajeObtenido / totalReuniones : 0;
@@ -709,6 +1045,8 @@ router.get(
             promedio_anual: promedioAnual.toFixed(2),
             porcentaje_asistencia: porcentajeAsistencia.toFixed(1),
             reuniones_asistidas: reunionesAsistidas,
+            faltas_justificadas: faltasJustificadas,
+            faltas_no_justificadas: faltasNoJustificadas,
             total_reuniones: totalReuniones
           };
         })
@@ -747,12 +1085,140 @@ router.get(
     }
   }
 );
+/**
+ * POST /api/reuniones/:id/cancelar
+ * Body: { motivo, alcance? } — alcance 'siguientes' o 'todas' cancela la serie
+ */
+router.post('/:id/cancelar', authorize('reuniones:gestionar'), async (req, res) => {
+  const { motivo, alcance = 'esta' } = req.body;
+
+  if (!motivo || !motivo.trim()) {
+    return res.status(400).json({ error: 'El motivo de la cancelación es obligatorio.' });
+  }
+  if (!seriesService.ALCANCES.includes(alcance)) {
+    return res.status(400).json({ error: `alcance debe ser uno de: ${seriesService.ALCANCES.join(', ')}` });
+  }
+
+  try {
+    if (alcance !== 'esta') {
+      const resultado = await seriesService.cancelarSerie({
+        reunionId: req.params.id,
+        alcance,
+        motivo: motivo.trim(),
+        usuarioId: req.user.sub
+      });
+      if (!resultado.ok) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      return res.json({
+        message: 'Reuniones de la serie canceladas correctamente.',
+        reuniones_canceladas: resultado.canceladas
+      });
+    }
+
+    const resultado = await reunionesService.cancelarReunion({
+      reunionId: req.params.id,
+      motivo: motivo.trim(),
+      usuarioId: req.user.sub
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+
+    // Si es de una serie, editar la serie no la vuelve a activar
+    await seriesService.registrarExcepcion(pool, req.params.id);
+
+    res.json({
+      message: 'Reunión cancelada correctamente.',
+      asistencias_eliminadas: resultado.asistenciasEliminadas
+    });
+  } catch (err) {
+    console.error('Error al cancelar reunión:', err);
+    res.status(500).json({ error: 'Error interno al cancelar la reunión.' });
+  }
+});
+
+/**
+ * POST /api/reuniones/:id/reprogramar
+ * Body: { date, time, motivo, location? }
+ */
+router.post('/:id/reprogramar', authorize('reuniones:gestionar'), async (req, res) => {
+  const { date, time, location, motivo } = req.body;
+
+  if (!date || !time || !motivo || !motivo.trim()) {
+    return res.status(400).json({ error: 'date, time y motivo son obligatorios.' });
+  }
+
+  try {
+    const resultado = await reunionesService.reprogramarReunion({
+      reunionId: req.params.id,
+      date,
+      time,
+      location,
+      motivo: motivo.trim(),
+      usuarioId: req.user.sub
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+
+    res.json({ message: 'Reunión reprogramada correctamente.', reunion: resultado.reunion });
+  } catch (err) {
+    console.error('Error al reprogramar reunión:', err);
+    res.status(500).json({ error: 'Error interno al reprogramar la reunión.' });
+  }
+});
+
+/**
+ * GET /api/reuniones/:id/historial
+ * Cancelaciones y reprogramaciones de la reunión
+ */
+router.get('/:id/historial', async (req, res) => {
+  try {
+    const cambios = await reunionesService.listarCambios(req.params.id);
+    res.json(cambios);
+  } catch (err) {
+    console.error('Error al obtener historial de la reunión:', err);
+    res.status(500).json({ error: 'Error interno al obtener el historial.' });
+  }
+});
+
 /**
  * DELETE /api/reuniones/:id
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('reuniones:gestionar'), async (req, res) => {
   const meetingId = req.params.id;
   try {
+    const [[reunion]] = await pool.query(
+      `SELECT r.estado_reunion,
+              (SELECT COUNT(*) FROM asistencia a WHERE a.reunion_id = r.id) AS asistencias,
+              (SELECT COUNT(*) FROM asistencia_historial h WHERE h.reunion_id = r.id) AS historial
+       FROM reuniones r WHERE r.id = ?`,
+      [meetingId]
+    );
+    if (!reunion) {
+      return res.status(404).json({ error: 'Reunión no encontrada.' });
+    }
+
+    // Una cancelada ya es historial: borrarla se llevaría sus reuniones_cambios
+    if (reunion.estado_reunion === 'cancelada') {
+      return res.status(409).json({
+        error: 'La reunión está cancelada y se conserva como historial; no se puede eliminar.'
+      });
+    }
+
+    // Con asistencias registradas o corregidas se pierde historial: debe cancelarse
+    if (reunion.asistencias > 0 || reunion.historial > 0) {
+      return res.status(409).json({
+        error: 'La reunión tiene asistencias registradas. Cancélala en lugar de eliminarla.'
+      });
+    }
+
+    // Si es de una serie, su fecha no se vuelve a generar
+    await seriesService.registrarExcepcion(pool, meetingId);
+
     const result = await pool.query(
       `DELETE FROM reuniones WHERE id = ?`,
       [meetingId]
@@ -2,6 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../bd');
+const { authorize } = require('../middlewares/authorize');
+const boletosService = require('./boletos_service');
+const sorteosService = require('./sorteos_service');
 const multer = require('multer');
 const { cloudinary, storageRifas, storageProductosRifa } = require('../cloudinaryConfig');
 
@@ -93,10 +96,139 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// ========================================
+// NÚMEROS DISPONIBLES DE UNA RIFA
+// ========================================
+router.get('/:id/boletos', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [rifas] = await pool.execute('SELECT id FROM rifas WHERE id = ?', [id]);
+    if (rifas.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rifa no encontrada'
+      });
+    }
+
+    const inventario = await boletosService.obtenerInventario(id);
+
+    res.json({
+      success: true,
+      data: inventario
+    });
+  } catch (error) {
+    console.error('Error al obtener boletos de la rifa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========================================
+// RESULTADOS DEL SORTEO (PÚBLICO)
+// ========================================
+router.get('/:id/resultados', async (req, res) => {
+  try {
+    const resultados = await sorteosService.obtenerResultados(req.params.id);
+
+    if (!resultados) {
+      return res.status(404).json({
+        success: false,
+        message: 'El sorteo de esta rifa aún no está programado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: resultados
+    });
+  } catch (error) {
+    console.error('Error al obtener resultados del sorteo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========================================
+// PUBLICAR COMPROMISO DE SEMILLA (antes del sorteo)
+// ========================================
+router.post('/:id/sorteo/compromiso', authorize('rifas:gestionar'), async (req, res) => {
+  try {
+    const resultado = await sorteosService.comprometerSorteo({
+      rifaId: req.params.id,
+      adminId: req.user.sub,
+      ip: req.ip
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({
+        success: false,
+        message: resultado.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Compromiso publicado',
+      data: {
+        semilla_hash: resultado.semillaHash,
+        participantes_hash: resultado.participantesHash,
+        total_participantes: resultado.totalParticipantes
+      }
+    });
+  } catch (error) {
+    console.error('Error al comprometer semilla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
+// ========================================
+// SORTEAR RIFA
+// ========================================
+router.post('/:id/sortear', authorize('rifas:gestionar'), async (req, res) => {
+  try {
+    const resultado = await sorteosService.realizarSorteo({
+      rifaId: req.params.id,
+      adminId: req.user.sub,
+      ip: req.ip
+    });
+
+    if (!resultado.ok) {
+      return res.status(resultado.status).json({
+        success: false,
+        message: resultado.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sorteo realizado',
+      data: {
+        semilla: resultado.semilla,
+        semilla_hash: resultado.semillaHash,
+        ganadores: resultado.ganadores
+      }
+    });
+  } catch (error) {
+    console.error('Error al realizar sorteo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+});
+
 // ========================================
 // CREAR NUEVA RIFA
 // ========================================
-router.post('/', uploadRifa.single('foto_rifa'), async (req, res) => {
+router.post('/', authorize('rifas:gestionar'), uploadRifa.single('foto_rifa'), async (req, res) => {
   const connection = await pool.getConnection();
   
   try {
@@ -148,6 +280,16 @@ router.post('/', uploadRifa.single('foto_rifa'), async (req, res) => {
 
     const rifaId = result.insertId;
 
+    // Generar el inventario de números 1..boletos_disponibles
+    const inventario = await boletosService.ajustarInventario(connection, rifaId, boletos_disponibles);
+    if (!inventario.ok) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: inventario.error
+      });
+    }
+
     // Insertar productos si existen
     let productosArray = [];
     if (productos) {
@@ -194,7 +336,7 @@ router.post('/', uploadRifa.single('foto_rifa'), async (req, res) => {
 // ========================================
 // ACTUALIZAR RIFA - FUNCIÓN CORREGIDA
 // ========================================
-router.put('/:id', uploadRifa.single('foto_rifa'), async (req, res) => {
+router.put('/:id', authorize('rifas:gestionar'), uploadRifa.single('foto_rifa'), async (req, res) => {
   const connection = await pool.getConnection();
   
   try {
@@ -232,6 +374,18 @@ router.put('/:id', uploadRifa.single('foto_rifa'), async (req, res) => {
       });
     }
 
+    // Desde el compromiso la rifa queda congelada: su lista de participantes ya es pública
+    const [sorteado] = await connection.execute(
+      'SELECT id FROM sorteos_rifa WHERE rifa_id = ?', [id]
+    );
+    if (sorteado.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: 'La rifa ya tiene un sorteo comprometido y no se puede modificar'
+      });
+    }
+
     // Determinar URL de foto
     let foto_rifa = rifaExistente[0].foto_rifa; // Mantener la actual
     if (req.file) {
@@ -250,6 +404,17 @@ router.put('/:id', uploadRifa.single('foto_rifa'), async (req, res) => {
       boletos_disponibles, foto_rifa, fecha_publicacion, fecha_cierre, id
     ]);
 
+    // Ajustar el inventario de números sin tocar boletos apartados o vendidos
+    await boletosService.asegurarInventario(connection, id);
+    const inventario = await boletosService.ajustarInventario(connection, id, boletos_disponibles);
+    if (!inventario.ok) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: inventario.error
+      });
+    }
+
     // Eliminar productos existentes
     await connection.execute('DELETE FROM productos_rifa WHERE rifa_id = ?', [id]);
 
@@ -309,7 +474,7 @@ router.put('/:id', uploadRifa.single('foto_rifa'), async (req, res) => {
 // ========================================
 // ELIMINAR RIFA
 // ========================================
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('rifas:gestionar'), async (req, res) => {
   const connection = await pool.getConnection();
   
   try {
@@ -329,6 +494,18 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    // Desde el compromiso la rifa queda congelada: su lista de participantes ya es pública
+    const [sorteado] = await connection.execute(
+      'SELECT id FROM sorteos_rifa WHERE rifa_id = ?', [id]
+    );
+    if (sorteado.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: 'La rifa ya tiene un sorteo comprometido y no se puede eliminar'
+      });
+    }
+
     // Obtener fotos de productos para eliminar de Cloudinary
     const [productos] = await connection.execute(
       'SELECT foto FROM productos_rifa WHERE rifa_id = ? AND foto IS NOT NULL', [id]
@@ -385,7 +562,7 @@ router.delete('/:id', async (req, res) => {
 // ========================================
 // SUBIR FOTO DE PRODUCTO
 // ========================================
-router.post('/producto/foto', uploadProducto.single('foto_producto'), async (req, res) => {
+router.post('/producto/foto', authorize('rifas:gestionar'), uploadProducto.single('foto_producto'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -0,0 +1,393 @@
+// ========================================
+// 📦 services/sorteos_service.js
+// Sorteo auditable de rifas con commit-reveal:
+// 1) compromiso: cerradas las ventas se toma la foto de boletos de compras
+//    aprobadas, se genera una semilla secreta y se publican ambos SHA-256
+// 2) sorteo: se revela la semilla y se eligen los ganadores de forma
+//    determinista
+// Cualquiera puede repetir el cálculo con calcularGanadores().
+// ========================================
+
+const crypto = require('crypto');
+const pool = require('../bd');
+const { notificarGanadorRifa } = require('./firebase_service');
+
+const ALGORITMO = 'sha256-rejection-v1';
+const RANGO = 2 ** 48;
+
+function sha256(texto) {
+  return crypto.createHash('sha256').update(texto).digest('hex');
+}
+
+// Hash público de la lista de participantes (números ordenados y separados por coma)
+function hashParticipantes(numeros) {
+  return sha256([...numeros].sort((a, b) => a - b).join(','));
+}
+
+// ========================================
+// 🎲 CÁLCULO DETERMINISTA DE GANADORES
+// ========================================
+/**
+ * Para el producto k se calcula SHA-256("semilla:participantesHash:k:intento"),
+ * se toman los primeros 48 bits y se descartan los valores fuera del último
+ * múltiplo completo de n (sin sesgo de módulo). El boleto elegido sale de la
+ * lista para que nadie gane dos productos.
+ * Devuelve los números ganadores en el orden de los productos.
+ */
+function calcularGanadores(semilla, numeros, totalProductos) {
+  const restantes = [...numeros].sort((a, b) => a - b);
+  const participantesHash = hashParticipantes(restantes);
+  const ganadores = [];
+
+  for (let k = 0; k < totalProductos && restantes.length > 0; k++) {
+    const n = restantes.length;
+    const limite = Math.floor(RANGO / n) * n;
+    let indice = null;
+
+    for (let intento = 0; indice === null; intento++) {
+      const h = sha256(`${semilla}:${participantesHash}:${k}:${intento}`);
+      const valor = parseInt(h.slice(0, 12), 16);
+      if (valor < limite) indice = valor % n;
+    }
+
+    ganadores.push(restantes.splice(indice, 1)[0]);
+  }
+
+  return ganadores;
+}
+
+async function registrarAuditoria(conn, { sorteoId, accion, usuarioId = null, detalle = null, ip = null }) {
+  await conn.query(
+    `INSERT INTO sorteos_auditoria (sorteo_id, accion, usuario_id, detalle, ip)
+     VALUES (?, ?, ?, ?, ?)`,
+    [sorteoId, accion, usuarioId, detalle ? JSON.stringify(detalle) : null, ip]
+  );
+}
+
+// ========================================
+// 🔒 COMPROMISO DE SEMILLA
+// ========================================
+/**
+ * Cerradas las ventas (fecha y hora de la rifa), congela la lista de boletos
+ * de compras aprobadas y publica su hash junto con el de una semilla nueva.
+ * Como la semilla se genera con la lista ya fija, conocerla no permite
+ * comprar el boleto ganador. La semilla en claro va a sorteos_semillas, que
+ * solo lee realizarSorteo(), y no a sorteos_rifa.
+ */
+async function comprometerSorteo({ rifaId, adminId, ip }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[rifa]] = await conn.query(
+      `SELECT id, CONCAT(fecha, ' ', hora) <= NOW() AS ventas_cerradas
+       FROM rifas WHERE id = ? FOR UPDATE`,
+      [rifaId]
+    );
+    if (!rifa) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Rifa no encontrada' };
+    }
+
+    const [[existente]] = await conn.query(
+      'SELECT id, semilla_hash FROM sorteos_rifa WHERE rifa_id = ?',
+      [rifaId]
+    );
+    if (existente) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La semilla de esta rifa ya fue comprometida', semillaHash: existente.semilla_hash };
+    }
+    if (!rifa.ventas_cerradas) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La semilla se compromete al cerrar las ventas, en la fecha y hora de la rifa' };
+    }
+
+    // Una compra en curso podría aprobarse después: esperar a que se resuelva
+    const [[{ enCurso }]] = await conn.query(
+      `SELECT COUNT(*) AS enCurso FROM boletos_rifa
+       WHERE rifa_id = ? AND estado = 'reservado' AND reservado_hasta >= NOW()`,
+      [rifaId]
+    );
+    if (enCurso > 0) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: `Hay ${enCurso} boletos apartados con pago en curso` };
+    }
+
+    // Solo boletos vendidos de compras aprobadas
+    const [participantes] = await conn.query(
+      `SELECT b.numero, b.usuario_id, b.pago_id
+       FROM boletos_rifa b
+       JOIN pagos_rifa p ON p.id = b.pago_id
+       WHERE b.rifa_id = ? AND b.estado = 'vendido' AND p.estado = 'aprobado'
+       ORDER BY b.numero ASC`,
+      [rifaId]
+    );
+    if (participantes.length === 0) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'No hay boletos de compras aprobadas para sortear' };
+    }
+    const participantesHash = hashParticipantes(participantes.map((p) => p.numero));
+
+    const semilla = crypto.randomBytes(32).toString('hex');
+    const semillaHash = sha256(semilla);
+
+    const [result] = await conn.query(
+      `INSERT INTO sorteos_rifa
+         (rifa_id, semilla_hash, participantes_hash, total_participantes, algoritmo, comprometido_por)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [rifaId, semillaHash, participantesHash, participantes.length, ALGORITMO, adminId]
+    );
+    const sorteoId = result.insertId;
+
+    await conn.query('INSERT INTO sorteos_semillas (sorteo_id, semilla) VALUES (?, ?)', [sorteoId, semilla]);
+    await conn.query(
+      `INSERT INTO sorteos_participantes (sorteo_id, numero_boleto, usuario_id, pago_id) VALUES ?`,
+      [participantes.map((p) => [sorteoId, p.numero, p.usuario_id, p.pago_id])]
+    );
+
+    await registrarAuditoria(conn, {
+      sorteoId,
+      accion: 'compromiso',
+      usuarioId: adminId,
+      detalle: {
+        semilla_hash: semillaHash,
+        participantes_hash: participantesHash,
+        total_participantes: participantes.length,
+        algoritmo: ALGORITMO
+      },
+      ip
+    });
+
+    await conn.commit();
+    return {
+      ok: true,
+      sorteoId,
+      semillaHash,
+      participantesHash,
+      totalParticipantes: participantes.length
+    };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// 🏆 REALIZAR SORTEO
+// ========================================
+/**
+ * Revela la semilla y elige a los ganadores entre los boletos congelados en
+ * el compromiso. Compras aprobadas después del compromiso no participan.
+ */
+async function realizarSorteo({ rifaId, adminId, ip }) {
+  const conn = await pool.getConnection();
+  let sorteo;
+  let rifa;
+  let ganadores;
+  let semilla;
+  try {
+    await conn.beginTransaction();
+
+    [[rifa]] = await conn.query(
+      `SELECT id, titulo, CONCAT(fecha, ' ', hora) <= NOW() AS llego_fecha
+       FROM rifas WHERE id = ? FOR UPDATE`,
+      [rifaId]
+    );
+    if (!rifa) {
+      await conn.rollback();
+      return { ok: false, status: 404, error: 'Rifa no encontrada' };
+    }
+
+    [[sorteo]] = await conn.query(
+      'SELECT * FROM sorteos_rifa WHERE rifa_id = ? FOR UPDATE',
+      [rifaId]
+    );
+    if (!sorteo) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'Primero se debe publicar el compromiso de la semilla' };
+    }
+    if (sorteo.estado === 'realizado') {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'El sorteo de esta rifa ya se realizó' };
+    }
+    if (!rifa.llego_fecha) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'Aún no llega la fecha y hora del sorteo' };
+    }
+
+    const [[guardada]] = await conn.query(
+      'SELECT semilla FROM sorteos_semillas WHERE sorteo_id = ? FOR UPDATE',
+      [sorteo.id]
+    );
+    semilla = guardada.semilla;
+
+    // La lista congelada en el compromiso debe seguir intacta
+    const [participantes] = await conn.query(
+      `SELECT numero_boleto AS numero, usuario_id, pago_id
+       FROM sorteos_participantes
+       WHERE sorteo_id = ?
+       ORDER BY numero_boleto ASC`,
+      [sorteo.id]
+    );
+    const numeros = participantes.map((p) => p.numero);
+    if (hashParticipantes(numeros) !== sorteo.participantes_hash) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La lista de participantes no coincide con la comprometida' };
+    }
+
+    const [productos] = await conn.query(
+      'SELECT id, titulo FROM productos_rifa WHERE rifa_id = ? ORDER BY id ASC',
+      [rifaId]
+    );
+    if (productos.length === 0) {
+      await conn.rollback();
+      return { ok: false, status: 409, error: 'La rifa no tiene productos para sortear' };
+    }
+
+    const numerosGanadores = calcularGanadores(semilla, numeros, productos.length);
+    const porNumero = new Map(participantes.map((p) => [p.numero, p]));
+
+    ganadores = numerosGanadores.map((numero, orden) => ({
+      orden: orden + 1,
+      producto: productos[orden],
+      numero,
+      usuarioId: porNumero.get(numero).usuario_id,
+      pagoId: porNumero.get(numero).pago_id
+    }));
+
+    for (const g of ganadores) {
+      const [result] = await conn.query(
+        `INSERT INTO sorteos_ganadores
+           (sorteo_id, producto_id, producto_titulo, orden, numero_boleto, usuario_id, pago_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [sorteo.id, g.producto.id, g.producto.titulo, g.orden, g.numero, g.usuarioId, g.pagoId]
+      );
+      g.id = result.insertId;
+    }
+
+    // Revelada, la semilla pasa a sorteos_rifa y deja de guardarse aparte
+    await conn.query(
+      `UPDATE sorteos_rifa
+         SET estado = 'realizado', semilla = ?, realizado_por = ?, realizado_en = NOW()
+       WHERE id = ?`,
+      [semilla, adminId, sorteo.id]
+    );
+    await conn.query('DELETE FROM sorteos_semillas WHERE sorteo_id = ?', [sorteo.id]);
+
+    await registrarAuditoria(conn, {
+      sorteoId: sorteo.id,
+      accion: 'sorteo',
+      usuarioId: adminId,
+      detalle: {
+        semilla,
+        participantes_hash: sorteo.participantes_hash,
+        total_participantes: participantes.length,
+        ganadores: ganadores.map((g) => ({ producto_id: g.producto.id, numero_boleto: g.numero }))
+      },
+      ip
+    });
+
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  // Notificar fuera de la transacción: un fallo de FCM no invalida el sorteo
+  const notificados = [];
+  for (const g of ganadores) {
+    try {
+      const envio = await notificarGanadorRifa(g.usuarioId, {
+        rifaId,
+        rifaTitulo: rifa.titulo,
+        productoTitulo: g.producto.titulo,
+        numeroBoleto: g.numero
+      });
+      if (envio.success) {
+        await pool.query('UPDATE sorteos_ganadores SET notificado = 1 WHERE id = ?', [g.id]);
+        notificados.push(g.numero);
+      }
+    } catch (err) {
+      console.error(`❌ Error notificando al ganador del boleto ${g.numero}:`, err.message);
+    }
+  }
+
+  await registrarAuditoria(pool, {
+    sorteoId: sorteo.id,
+    accion: 'notificacion',
+    detalle: { notificados, total: ganadores.length }
+  });
+
+  return {
+    ok: true,
+    semilla,
+    semillaHash: sorteo.semilla_hash,
+    ganadores: ganadores.map((g) => ({
+      orden: g.orden,
+      producto_id: g.producto.id,
+      producto_titulo: g.producto.titulo,
+      numero_boleto: g.numero,
+      notificado: notificados.includes(g.numero)
+    }))
+  };
+}
+
+// ========================================
+// 📋 RESULTADOS PÚBLICOS
+// ========================================
+async function obtenerResultados(rifaId) {
+  const [[sorteo]] = await pool.query(
+    'SELECT * FROM sorteos_rifa WHERE rifa_id = ?',
+    [rifaId]
+  );
+  if (!sorteo) return null;
+
+  // Los participantes quedan fijos desde el compromiso
+  const [participantes] = await pool.query(
+    'SELECT numero_boleto FROM sorteos_participantes WHERE sorteo_id = ? ORDER BY numero_boleto ASC',
+    [sorteo.id]
+  );
+  const resultado = {
+    estado: sorteo.estado,
+    algoritmo: sorteo.algoritmo,
+    semilla_hash: sorteo.semilla_hash,
+    participantes_hash: sorteo.participantes_hash,
+    total_participantes: sorteo.total_participantes,
+    participantes: participantes.map((p) => p.numero_boleto),
+    comprometido_en: sorteo.comprometido_en
+  };
+
+  // La semilla solo se publica una vez realizado el sorteo
+  if (sorteo.estado !== 'realizado') return resultado;
+
+  // Nombre e inicial del apellido: suficiente para reconocerse sin exponer datos
+  const [ganadores] = await pool.query(
+    `SELECT g.orden, g.producto_id, g.producto_titulo, g.numero_boleto,
+            CONCAT(u.nombre, ' ', LEFT(u.apellido_paterno, 1), '.') AS ganador
+     FROM sorteos_ganadores g
+     LEFT JOIN perfil_usuarios u ON u.id = g.usuario_id
+     WHERE g.sorteo_id = ?
+     ORDER BY g.orden ASC`,
+    [sorteo.id]
+  );
+
+  return {
+    ...resultado,
+    semilla: sorteo.semilla,
+    realizado_en: sorteo.realizado_en,
+    ganadores
+  };
+}
+
+module.exports = {
+  ALGORITMO,
+  hashParticipantes,
+  calcularGanadores,
+  comprometerSorteo,
+  realizarSorteo,
+  obtenerResultados,
+};
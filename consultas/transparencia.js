@@ -4,6 +4,7 @@ const multer = require('multer');
 const FormData = require('form-data');
 const axios = require('axios');
 const pool = require('../bd');
+const { authorize } = require('../middlewares/authorize');
 
 const router = express.Router();
 // URL externa para subir archivos vía PHP
@@ -38,7 +39,7 @@ router.get('/categorias', async (req, res) => {
  * Sube el file a UPLOAD_PHP_URL, obtiene { url },
  * y luego inserta el registro en la tabla transparencia.
  */
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', authorize('transparencia:gestionar'), upload.single('file'), async (req, res) => {
   const { titulo, categoriaId } = req.body;
   if (!req.file || !titulo || !categoriaId) {
     return res.status(400).json({ error: 'Faltan archivo, título o categoría' });
@@ -133,7 +134,7 @@ router.get('/:id', async (req, res) => {
 
 
 // PUT actualizar sólo metadata (titulo y categoría)
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('transparencia:gestionar'), async (req, res) => {
   const { titulo, categoriaId } = req.body;
   if (!titulo || !categoriaId) {
     return res.status(400).json({ error: 'Faltan campos obligatorios' });
@@ -158,7 +159,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/transparencia/:id
  * Elimina un documento de transparencia de la BD y del storage PHP
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('transparencia:gestionar'), async (req, res) => {
   const { id } = req.params;
   try {
     // 1) Obtener URL de archivo desde BD
@@ -0,0 +1,188 @@
+// ========================================
+// 📦 services/votacion_secreta_service.js
+// Voto secreto para votaciones. Quién votó se guarda en
+// votacion_participacion y qué votó en votacion_boletas, sin nada que las
+// una: la boleta solo se identifica con el hash de un recibo aleatorio que
+// se entrega una vez al votante para que verifique que su voto se contó.
+// ========================================
+
+const crypto = require('crypto');
+const pool = require('../bd');
+
+// 80 bits, en grupos de 4 para dictarlo o copiarlo a mano
+const BYTES_RECIBO = 10;
+
+async function obtenerConexion() {
+  const conn = await pool.getConnection();
+  await conn.query("SET time_zone = '-06:00'");
+  return conn;
+}
+
+const normalizarRecibo = (recibo) =>
+  String(recibo || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+
+const hashBoleta = (encuestaId, recibo) =>
+  crypto.createHash('sha256').update(`${encuestaId}:${normalizarRecibo(recibo)}`).digest('hex');
+
+function generarRecibo() {
+  return crypto.randomBytes(BYTES_RECIBO).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+}
+
+async function esVotoSecreto(encuestaId) {
+  const [[encuesta]] = await pool.query(
+    'SELECT voto_secreto FROM encuestas_votaciones WHERE id = ?',
+    [encuestaId]
+  );
+  return Boolean(encuesta && encuesta.voto_secreto);
+}
+
+// ========================================
+// 🗳️ EMISIÓN
+// ========================================
+/**
+ * Registra la participación y la boleta en la misma transacción.
+ * respuestas: [{ pregunta_id, opcion_id }], una por pregunta.
+ * Devuelve { ok: true, recibo } — el recibo no se guarda en claro.
+ */
+async function emitirVoto(encuestaId, usuarioId, respuestas) {
+  const conn = await obtenerConexion();
+  try {
+    const [[encuesta]] = await conn.query(
+      `SELECT id, voto_secreto,
+              TIMESTAMP(publication_date, publication_time) <= NOW() AS publicada,
+              TIMESTAMP(close_date, close_time) > NOW() AS abierta
+       FROM encuestas_votaciones WHERE id = ?`,
+      [encuestaId]
+    );
+    if (!encuesta || !encuesta.voto_secreto) {
+      return { ok: false, status: 404, error: 'Votación secreta no encontrada' };
+    }
+    if (!encuesta.publicada) {
+      return { ok: false, status: 409, error: 'La votación aún no está abierta' };
+    }
+    if (!encuesta.abierta) {
+      return { ok: false, status: 409, error: 'La votación ya cerró; no admite votos' };
+    }
+
+    // Una edición de la votación espera a que se guarde la boleta (y viceversa),
+    // así no se valida contra opciones que se están reemplazando
+    await conn.beginTransaction();
+    const rechazar = async (status, error) => {
+      await conn.rollback();
+      return { ok: false, status, error };
+    };
+
+    try {
+      await conn.query('SELECT id FROM encuestas_votaciones WHERE id = ? LOCK IN SHARE MODE', [encuestaId]);
+      const [opciones] = await conn.query(
+        `SELECT p.id AS pregunta_id, o.id AS opcion_id
+         FROM preguntas_encuesta p
+         JOIN opciones_encuesta o ON o.pregunta_id = p.id
+         WHERE p.encuesta_id = ?`,
+        [encuestaId]
+      );
+      const validas = new Set(opciones.map((o) => `${o.pregunta_id}:${o.opcion_id}`));
+      const preguntas = new Set(opciones.map((o) => o.pregunta_id));
+
+      const elegidas = new Map();
+      for (const { pregunta_id, opcion_id } of respuestas) {
+        const preguntaId = Number(pregunta_id);
+        if (!validas.has(`${preguntaId}:${Number(opcion_id)}`)) {
+          return rechazar(400, 'Alguna opción no pertenece a la votación');
+        }
+        if (elegidas.has(preguntaId)) {
+          return rechazar(400, 'Solo se puede elegir una opción por pregunta');
+        }
+        elegidas.set(preguntaId, Number(opcion_id));
+      }
+      if (elegidas.size !== preguntas.size) {
+        return rechazar(400, 'La boleta debe responder todas las preguntas');
+      }
+
+      try {
+        await conn.query(
+          // Solo el día: con la hora se podría cruzar con el conteo o el historial de puntos
+          'INSERT INTO votacion_participacion (encuesta_id, user_id, votado_en) VALUES (?, ?, CURDATE())',
+          [encuestaId, usuarioId]
+        );
+      } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+          return rechazar(409, 'Ya votaste en esta votación; el voto secreto es definitivo');
+        }
+        throw err;
+      }
+
+      const recibo = generarRecibo();
+      const boletaId = hashBoleta(encuestaId, recibo);
+      await conn.query(
+        'INSERT INTO votacion_boletas (id, encuesta_id) VALUES (?, ?)',
+        [boletaId, encuestaId]
+      );
+      await conn.query(
+        'INSERT INTO votacion_boletas_opciones (boleta_id, pregunta_id, opcion_id) VALUES ?',
+        [[...elegidas].map(([preguntaId, opcionId]) => [boletaId, preguntaId, opcionId])]
+      );
+      await conn.commit();
+      return { ok: true, recibo };
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+// ========================================
+// ✅ VERIFICACIÓN Y CONTEO
+// ========================================
+/**
+ * Solo dice si la boleta del recibo está en el conteo; no muestra lo que
+ * se votó, así el recibo no sirve para demostrarle a otro el sentido del voto.
+ */
+async function verificarRecibo(encuestaId, recibo) {
+  if (normalizarRecibo(recibo).length !== BYTES_RECIBO * 2) {
+    return { ok: false, status: 400, error: 'Recibo con formato inválido' };
+  }
+  const [[boleta]] = await pool.query(
+    'SELECT 1 AS existe FROM votacion_boletas WHERE id = ? AND encuesta_id = ?',
+    [hashBoleta(encuestaId, recibo), encuestaId]
+  );
+  return { ok: true, contada: Boolean(boleta) };
+}
+
+/**
+ * Totales de participación y boletas (deben coincidir) y votos por opción,
+ * con la misma forma de filas que las estadísticas de encuestas abiertas.
+ */
+async function contarVotos(encuestaId) {
+  const [[{ participantes }]] = await pool.query(
+    'SELECT COUNT(*) AS participantes FROM votacion_participacion WHERE encuesta_id = ?',
+    [encuestaId]
+  );
+  const [[{ boletas }]] = await pool.query(
+    'SELECT COUNT(*) AS boletas FROM votacion_boletas WHERE encuesta_id = ?',
+    [encuestaId]
+  );
+  const [filas] = await pool.query(
+    `SELECT p.id AS preguntaId, p.text AS preguntaText,
+            o.id AS opcionId, o.text AS opcionText,
+            COUNT(bo.boleta_id) AS votos
+     FROM preguntas_encuesta p
+     JOIN opciones_encuesta o ON o.pregunta_id = p.id
+     LEFT JOIN votacion_boletas_opciones bo
+       ON bo.pregunta_id = p.id AND bo.opcion_id = o.id
+     WHERE p.encuesta_id = ?
+     GROUP BY p.id, o.id
+     ORDER BY p.id, o.id`,
+    [encuestaId]
+  );
+  return { participantes, boletas, filas };
+}
+
+module.exports = {
+  esVotoSecreto,
+  emitirVoto,
+  verificarRecibo,
+  contarVotos,
+};
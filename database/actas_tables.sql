@@ -0,0 +1,109 @@
+-- =============================================
+-- Actas: Reglas de quórum y actas de reunión
+-- Fecha: 2026-10-18
+-- Requiere: asistencia_correcciones_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: reglas_quorum
+-- Descripción: Quórum requerido por tipo de reunión.
+--   mitad_mas_uno: floor(padrón / 2) + 1
+--   porcentaje:    ceil(padrón * porcentaje_minimo / 100)
+-- =============================================
+CREATE TABLE IF NOT EXISTS `reglas_quorum` (
+  `tipo` enum('Ordinaria','Extraordinaria') NOT NULL,
+  `regla` enum('mitad_mas_uno','porcentaje') NOT NULL DEFAULT 'mitad_mas_uno',
+  `porcentaje_minimo` decimal(5,2) DEFAULT NULL COMMENT 'Solo para regla = porcentaje',
+  `cuenta_retardos` tinyint(1) NOT NULL DEFAULT 1 COMMENT 'Los retardos cuentan como presentes',
+  `actualizado_por` int(11) DEFAULT NULL,
+  `actualizado_en` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`tipo`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Quórum por tipo de reunión';
+
+INSERT IGNORE INTO `reglas_quorum` (`tipo`, `regla`, `porcentaje_minimo`, `cuenta_retardos`) VALUES
+  ('Ordinaria', 'mitad_mas_uno', NULL, 1),
+  ('Extraordinaria', 'porcentaje', 66.67, 1);
+
+-- =============================================
+-- Tabla: actas
+-- Descripción: Acta de una reunión. En borrador se edita; al cerrarla se
+-- guarda la foto del quórum, de la lista de asistencia y de los datos de
+-- la reunión, y el hash de ese contenido. Después solo se firma.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `actas` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `reunion_id` int(11) NOT NULL,
+  `estado` enum('borrador','cerrada') NOT NULL DEFAULT 'borrador',
+  `hora_inicio` time DEFAULT NULL,
+  `hora_fin` time DEFAULT NULL,
+  `observaciones` text DEFAULT NULL,
+  `padron` int(11) DEFAULT NULL COMMENT 'Agremiados activos al cerrar',
+  `presentes` int(11) DEFAULT NULL,
+  `requeridos` int(11) DEFAULT NULL,
+  `quorum_alcanzado` tinyint(1) DEFAULT NULL,
+  `lista_asistencia` json DEFAULT NULL COMMENT 'Foto de asistencia al cerrar',
+  `reunion_datos` json DEFAULT NULL COMMENT 'Título, tipo, lugar, fecha y hora de la reunión al cerrar',
+  `hash_contenido` char(64) DEFAULT NULL COMMENT 'SHA-256 del contenido al cerrar',
+  `creado_por` int(11) NOT NULL,
+  `cerrada_por` int(11) DEFAULT NULL,
+  `cerrada_en` datetime DEFAULT NULL,
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  `actualizado_en` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_acta_reunion` (`reunion_id`),
+  CONSTRAINT `fk_acta_reunion` FOREIGN KEY (`reunion_id`) REFERENCES `reuniones` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Actas de reuniones';
+
+-- =============================================
+-- Tabla: actas_puntos
+-- Descripción: Puntos del orden del día tratados en el acta
+-- =============================================
+CREATE TABLE IF NOT EXISTS `actas_puntos` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `acta_id` int(11) NOT NULL,
+  `orden` int(11) NOT NULL,
+  `titulo` varchar(255) NOT NULL,
+  `desarrollo` text DEFAULT NULL COMMENT 'Resumen de lo discutido',
+  PRIMARY KEY (`id`),
+  KEY `idx_punto_acta` (`acta_id`, `orden`),
+  CONSTRAINT `fk_punto_acta` FOREIGN KEY (`acta_id`) REFERENCES `actas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Orden del día del acta';
+
+-- =============================================
+-- Tabla: actas_acuerdos
+-- Descripción: Acuerdos de cada punto con su responsable
+-- =============================================
+CREATE TABLE IF NOT EXISTS `actas_acuerdos` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `acta_id` int(11) NOT NULL,
+  `punto_id` int(11) NOT NULL,
+  `orden` int(11) NOT NULL,
+  `descripcion` text NOT NULL,
+  `responsable_id` int(11) DEFAULT NULL COMMENT 'Agremiado responsable',
+  `fecha_limite` date DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_acuerdo_acta` (`acta_id`),
+  KEY `idx_acuerdo_responsable` (`responsable_id`),
+  CONSTRAINT `fk_acuerdo_acta` FOREIGN KEY (`acta_id`) REFERENCES `actas` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_acuerdo_punto` FOREIGN KEY (`punto_id`) REFERENCES `actas_puntos` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Acuerdos del acta';
+
+-- =============================================
+-- Tabla: actas_firmas
+-- Descripción: Firmas de los integrantes del comité sobre el acta cerrada.
+-- Cada firma guarda el hash que firmó.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `actas_firmas` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `acta_id` int(11) NOT NULL,
+  `usuario_id` int(11) NOT NULL,
+  `cargo` varchar(100) NOT NULL,
+  `hash_contenido` char(64) NOT NULL,
+  `ip` varchar(45) DEFAULT NULL,
+  `firmado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_firma_acta_usuario` (`acta_id`, `usuario_id`),
+  CONSTRAINT `fk_firma_acta` FOREIGN KEY (`acta_id`) REFERENCES `actas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Firmas de actas';
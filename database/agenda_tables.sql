@@ -0,0 +1,59 @@
+-- =============================================
+-- Reuniones: Orden del día, documentos adjuntos y confirmación (RSVP)
+-- Fecha: 2026-10-18
+-- Requiere: actas_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: reuniones_agenda
+-- Descripción: Puntos del orden del día previstos para la reunión
+-- =============================================
+CREATE TABLE IF NOT EXISTS `reuniones_agenda` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `reunion_id` int(11) NOT NULL,
+  `orden` int(11) NOT NULL,
+  `titulo` varchar(255) NOT NULL,
+  `descripcion` text DEFAULT NULL,
+  `duracion_minutos` int(11) DEFAULT NULL,
+  `responsable_id` int(11) DEFAULT NULL COMMENT 'Quien expone el punto',
+  PRIMARY KEY (`id`),
+  KEY `idx_agenda_reunion` (`reunion_id`, `orden`),
+  CONSTRAINT `fk_agenda_reunion` FOREIGN KEY (`reunion_id`) REFERENCES `reuniones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Orden del día de la reunión';
+
+-- =============================================
+-- Tabla: reuniones_adjuntos
+-- Descripción: Documentos de la reunión guardados en Cloudinary
+-- =============================================
+CREATE TABLE IF NOT EXISTS `reuniones_adjuntos` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `reunion_id` int(11) NOT NULL,
+  `nombre` varchar(255) NOT NULL COMMENT 'Nombre original del archivo',
+  `url` varchar(500) NOT NULL,
+  `public_id` varchar(255) NOT NULL,
+  `subido_por` int(11) NOT NULL,
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_adjunto_reunion` (`reunion_id`),
+  CONSTRAINT `fk_adjunto_reunion` FOREIGN KEY (`reunion_id`) REFERENCES `reuniones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Documentos adjuntos de reuniones';
+
+-- =============================================
+-- Tabla: reuniones_rsvp
+-- Descripción: Confirmación de asistencia de cada agremiado (una por reunión)
+-- =============================================
+CREATE TABLE IF NOT EXISTS `reuniones_rsvp` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `reunion_id` int(11) NOT NULL,
+  `usuario_id` int(11) NOT NULL,
+  `respuesta` enum('asistire','no_asistire','tal_vez') NOT NULL,
+  `comentario` varchar(255) DEFAULT NULL,
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  `actualizado_en` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_rsvp_reunion_usuario` (`reunion_id`, `usuario_id`),
+  KEY `idx_rsvp_usuario` (`usuario_id`),
+  CONSTRAINT `fk_rsvp_reunion` FOREIGN KEY (`reunion_id`) REFERENCES `reuniones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Confirmaciones de asistencia';
@@ -0,0 +1,53 @@
+-- =============================================
+-- Asistencia: Historial de correcciones
+-- Fecha: 2026-10-18
+-- Requiere: justificaciones_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: asistencia_historial
+-- Descripción: Cada cambio hecho por un administrador sobre `asistencia`
+-- (corrección manual, justificación aprobada o cancelación de la reunión)
+-- con el valor anterior y el nuevo. Sin llave foránea a reuniones para que el historial sobreviva.
+-- Solo inserciones: los triggers de abajo impiden modificarlo.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `asistencia_historial` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `reunion_id` int(11) NOT NULL,
+  `usuario_id` int(11) NOT NULL COMMENT 'Agremiado cuya asistencia cambió',
+  `origen` enum('correccion','justificacion','cancelacion') NOT NULL DEFAULT 'correccion',
+  `lote` char(36) DEFAULT NULL COMMENT 'Agrupa los cambios de una corrección masiva',
+  `estado_anterior` varchar(30) DEFAULT NULL COMMENT 'NULL si no había registro',
+  `puntaje_anterior` int(11) DEFAULT NULL,
+  `estado_nuevo` varchar(30) NOT NULL COMMENT '''cancelada'' si se eliminó al cancelar la reunión',
+  `puntaje_nuevo` int(11) NOT NULL,
+  `motivo` varchar(500) NOT NULL,
+  `realizado_por` int(11) NOT NULL COMMENT 'Admin que hizo el cambio',
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_historial_reunion` (`reunion_id`, `creado_en`),
+  KEY `idx_historial_usuario` (`usuario_id`, `creado_en`),
+  KEY `idx_historial_lote` (`lote`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Historial inmutable de cambios de asistencia';
+
+DELIMITER $$
+
+DROP TRIGGER IF EXISTS `trg_asistencia_historial_no_update`$$
+CREATE TRIGGER `trg_asistencia_historial_no_update`
+BEFORE UPDATE ON `asistencia_historial`
+FOR EACH ROW
+BEGIN
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'asistencia_historial no admite modificaciones';
+END$$
+
+DROP TRIGGER IF EXISTS `trg_asistencia_historial_no_delete`$$
+CREATE TRIGGER `trg_asistencia_historial_no_delete`
+BEFORE DELETE ON `asistencia_historial`
+FOR EACH ROW
+BEGIN
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'asistencia_historial no admite borrados';
+END$$
+
+DELIMITER ;
@@ -0,0 +1,18 @@
+-- =============================================
+-- Asistencia: Registro único con código QR
+-- Fecha: 2026-10-18
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: asistencia (modificación)
+-- Descripción: El registro con QR inserta una sola fila por usuario y
+-- reunión; un segundo escaneo se rechaza por este índice. Si ya existe un
+-- índice único equivalente con otro nombre, esta sentencia solo agrega otro.
+-- Antes de aplicarlo, revisar duplicados con:
+--   SELECT reunion_id, usuario_id, COUNT(*) FROM asistencia
+--   GROUP BY reunion_id, usuario_id HAVING COUNT(*) > 1;
+-- =============================================
+ALTER TABLE `asistencia`
+  ADD UNIQUE KEY IF NOT EXISTS `uk_asistencia_reunion_usuario` (`reunion_id`, `usuario_id`);
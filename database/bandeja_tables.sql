@@ -0,0 +1,43 @@
+-- =============================================
+-- Bandeja: Notificaciones persistentes por usuario
+-- Fecha: 2026-10-18
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: notificaciones_usuario
+-- Descripción: Una fila por notificación y destinatario. Se escribe al enviar
+-- un push desde firebase_service y al publicarse noticias, encuestas y rifas.
+-- `clave` evita duplicar la misma notificación si un envío se reintenta.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `notificaciones_usuario` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `usuario_id` int(11) NOT NULL,
+  `tipo` varchar(50) NOT NULL COMMENT 'nueva_reunion, recordatorio_24h, noticia, encuesta, rifa, ganador_rifa, ...',
+  `titulo` varchar(255) NOT NULL,
+  `mensaje` text NOT NULL,
+  `datos` json DEFAULT NULL COMMENT 'Datos extra del push (reunion_id, rifa_id, ...)',
+  `clave` varchar(100) DEFAULT NULL COMMENT 'Identificador del evento para no duplicar',
+  `leida` tinyint(1) NOT NULL DEFAULT 0,
+  `leida_en` datetime DEFAULT NULL,
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_usuario_clave` (`usuario_id`,`clave`),
+  KEY `idx_usuario_fecha` (`usuario_id`,`creado_en`),
+  KEY `idx_usuario_leida` (`usuario_id`,`leida`),
+  CONSTRAINT `fk_notif_usuario` FOREIGN KEY (`usuario_id`) REFERENCES `perfil_usuarios` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Bandeja de notificaciones por usuario';
+
+-- =============================================
+-- Tabla: bandeja_publicaciones
+-- Descripción: Encuestas, noticias y rifas ya anunciadas en la bandeja. El
+-- job de publicaciones anuncia lo que llegó a su fecha de publicación y no
+-- tiene fila aquí.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `bandeja_publicaciones` (
+  `tipo` enum('encuesta','noticia','rifa') NOT NULL,
+  `referencia_id` int(11) NOT NULL,
+  `anunciada_en` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`tipo`,`referencia_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Publicaciones ya anunciadas en la bandeja';
@@ -0,0 +1,39 @@
+-- =============================================
+-- Boletos: Inventario por número de boleto de cada rifa
+-- Fecha: 2026-10-18
+-- Requiere: pagos_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: boletos_rifa
+-- Descripción: Un registro por número de boleto (1..rifas.boletos_disponibles).
+-- Las rifas existentes generan su inventario la primera vez que se consulta.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `boletos_rifa` (
+  `rifa_id` int(11) NOT NULL,
+  `numero` int(11) NOT NULL,
+  `estado` enum('disponible','reservado','vendido') NOT NULL DEFAULT 'disponible',
+  `pago_id` int(11) DEFAULT NULL COMMENT 'Compra que lo apartó o lo compró',
+  `usuario_id` int(11) DEFAULT NULL,
+  `reservado_hasta` datetime DEFAULT NULL COMMENT 'Vencimiento de la reserva',
+  `vendido_en` datetime DEFAULT NULL,
+  PRIMARY KEY (`rifa_id`,`numero`),
+  KEY `idx_boleto_pago` (`pago_id`),
+  KEY `idx_boleto_estado` (`rifa_id`,`estado`),
+  CONSTRAINT `fk_boleto_rifa` FOREIGN KEY (`rifa_id`) REFERENCES `rifas` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_boleto_pago` FOREIGN KEY (`pago_id`) REFERENCES `pagos_rifa` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Inventario de boletos por número';
+
+-- =============================================
+-- Conflictos de boletos en compras aprobadas
+-- Descripción: Si al aprobarse el pago algún número ya era de otra compra, el
+-- comprador pagó boletos que no recibe. Queda marcado aquí hasta que un admin
+-- lo resuelva (reembolso o reasignación).
+-- =============================================
+ALTER TABLE `pagos_rifa`
+  ADD COLUMN IF NOT EXISTS `boletos_conflicto` json DEFAULT NULL COMMENT 'Números pagados que ya pertenecían a otra compra',
+  ADD COLUMN IF NOT EXISTS `conflicto_resuelto_en` datetime DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `conflicto_resuelto_por` int(11) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `conflicto_nota` varchar(255) DEFAULT NULL COMMENT 'Cómo se resolvió: reembolso, reasignación, etc.';
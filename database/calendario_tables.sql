@@ -0,0 +1,125 @@
+-- =============================================
+-- Calendario: Exportación iCalendar (.ics) y suscripción por usuario
+-- Fecha: 2026-10-18
+-- Requiere: series_tables.sql, agenda_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: calendario_suscripciones
+-- Descripción: Token secreto de la URL de suscripción de cada usuario. Solo
+-- se guarda su SHA-256; al regenerarlo, el anterior queda revocado.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `calendario_suscripciones` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `usuario_id` int(11) NOT NULL,
+  `token_hash` char(64) NOT NULL COMMENT 'SHA-256 del token, nunca el token en claro',
+  `estado` enum('activa','revocada') NOT NULL DEFAULT 'activa',
+  `incluir_encuestas` tinyint(1) NOT NULL DEFAULT 0,
+  `incluir_rifas` tinyint(1) NOT NULL DEFAULT 0,
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  `revocado_en` datetime DEFAULT NULL,
+  `ultimo_acceso` datetime DEFAULT NULL,
+  `accesos` int(11) NOT NULL DEFAULT 0,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_calendario_token` (`token_hash`),
+  KEY `idx_calendario_usuario` (`usuario_id`, `estado`),
+  CONSTRAINT `fk_calendario_usuario` FOREIGN KEY (`usuario_id`) REFERENCES `perfil_usuarios` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Suscripciones de calendario por usuario';
+
+-- =============================================
+-- Tablas: reuniones, encuestas_votaciones, rifas (modificación)
+-- Descripción: SEQUENCE y LAST-MODIFIED de iCalendar. Los triggers los
+-- incrementan cuando cambia algo que se ve en el calendario, así Google y
+-- Outlook reemplazan el evento en lugar de duplicarlo. `ical_modificado_en`
+-- se guarda en UTC, sin depender de la zona horaria de la sesión.
+-- =============================================
+ALTER TABLE `reuniones`
+  ADD COLUMN IF NOT EXISTS `ical_secuencia` int(11) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS `ical_modificado_en` datetime NOT NULL DEFAULT utc_timestamp() COMMENT 'UTC';
+
+ALTER TABLE `encuestas_votaciones`
+  ADD COLUMN IF NOT EXISTS `ical_secuencia` int(11) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS `ical_modificado_en` datetime NOT NULL DEFAULT utc_timestamp() COMMENT 'UTC';
+
+ALTER TABLE `rifas`
+  ADD COLUMN IF NOT EXISTS `ical_secuencia` int(11) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS `ical_modificado_en` datetime NOT NULL DEFAULT utc_timestamp() COMMENT 'UTC';
+
+DELIMITER $$
+
+DROP TRIGGER IF EXISTS `trg_reuniones_ical`$$
+CREATE TRIGGER `trg_reuniones_ical`
+BEFORE UPDATE ON `reuniones`
+FOR EACH ROW
+BEGIN
+  IF NOT (NEW.title <=> OLD.title AND NEW.date <=> OLD.date AND NEW.time <=> OLD.time
+          AND NEW.location <=> OLD.location AND NEW.description <=> OLD.description
+          AND NEW.estado_reunion <=> OLD.estado_reunion) THEN
+    SET NEW.ical_secuencia = OLD.ical_secuencia + 1;
+    SET NEW.ical_modificado_en = UTC_TIMESTAMP();
+  END IF;
+END$$
+
+-- El fin del evento sale de la duración del orden del día (ver
+-- calendario_service): cambiarla también es un cambio del evento
+DROP TRIGGER IF EXISTS `trg_agenda_ical_insert`$$
+CREATE TRIGGER `trg_agenda_ical_insert`
+AFTER INSERT ON `reuniones_agenda`
+FOR EACH ROW
+BEGIN
+  UPDATE `reuniones`
+     SET ical_secuencia = ical_secuencia + 1, ical_modificado_en = UTC_TIMESTAMP()
+   WHERE id = NEW.reunion_id;
+END$$
+
+DROP TRIGGER IF EXISTS `trg_agenda_ical_update`$$
+CREATE TRIGGER `trg_agenda_ical_update`
+AFTER UPDATE ON `reuniones_agenda`
+FOR EACH ROW
+BEGIN
+  IF NOT (NEW.duracion_minutos <=> OLD.duracion_minutos
+          AND NEW.reunion_id <=> OLD.reunion_id) THEN
+    UPDATE `reuniones`
+       SET ical_secuencia = ical_secuencia + 1, ical_modificado_en = UTC_TIMESTAMP()
+     WHERE id IN (NEW.reunion_id, OLD.reunion_id);
+  END IF;
+END$$
+
+DROP TRIGGER IF EXISTS `trg_agenda_ical_delete`$$
+CREATE TRIGGER `trg_agenda_ical_delete`
+AFTER DELETE ON `reuniones_agenda`
+FOR EACH ROW
+BEGIN
+  UPDATE `reuniones`
+     SET ical_secuencia = ical_secuencia + 1, ical_modificado_en = UTC_TIMESTAMP()
+   WHERE id = OLD.reunion_id;
+END$$
+
+DROP TRIGGER IF EXISTS `trg_encuestas_ical`$$
+CREATE TRIGGER `trg_encuestas_ical`
+BEFORE UPDATE ON `encuestas_votaciones`
+FOR EACH ROW
+BEGIN
+  IF NOT (NEW.title <=> OLD.title AND NEW.description <=> OLD.description
+          AND NEW.close_date <=> OLD.close_date AND NEW.close_time <=> OLD.close_time) THEN
+    SET NEW.ical_secuencia = OLD.ical_secuencia + 1;
+    SET NEW.ical_modificado_en = UTC_TIMESTAMP();
+  END IF;
+END$$
+
+DROP TRIGGER IF EXISTS `trg_rifas_ical`$$
+CREATE TRIGGER `trg_rifas_ical`
+BEFORE UPDATE ON `rifas`
+FOR EACH ROW
+BEGIN
+  IF NOT (NEW.titulo <=> OLD.titulo AND NEW.descripcion <=> OLD.descripcion
+          AND NEW.fecha <=> OLD.fecha AND NEW.hora <=> OLD.hora
+          AND NEW.ubicacion <=> OLD.ubicacion) THEN
+    SET NEW.ical_secuencia = OLD.ical_secuencia + 1;
+    SET NEW.ical_modificado_en = UTC_TIMESTAMP();
+  END IF;
+END$$
+
+DELIMITER ;
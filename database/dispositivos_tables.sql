@@ -0,0 +1,27 @@
+-- =============================================
+-- Dispositivos: Varios tokens FCM por usuario
+-- Fecha: 2026-10-18
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: fcm_tokens (modificación)
+-- Descripción: Antes había un solo token por usuario (índice único sobre
+-- usuario_id). Ahora cada token es un dispositivo: el índice único pasa al
+-- token y se guarda plataforma, versión de la app y última vez visto.
+-- Si el índice único anterior tiene otro nombre, revisar con:
+--   SHOW INDEX FROM fcm_tokens;
+-- =============================================
+ALTER TABLE `fcm_tokens`
+  DROP INDEX IF EXISTS `usuario_id`,
+  ADD COLUMN IF NOT EXISTS `plataforma` enum('android','ios','web') DEFAULT NULL AFTER `dispositivo`,
+  ADD COLUMN IF NOT EXISTS `version_app` varchar(20) DEFAULT NULL AFTER `plataforma`,
+  ADD COLUMN IF NOT EXISTS `ultimo_uso` datetime DEFAULT NULL COMMENT 'Última vez que la app reportó el token' AFTER `version_app`,
+  ADD UNIQUE KEY IF NOT EXISTS `uk_fcm_token` (`fcm_token`(191)),
+  ADD KEY IF NOT EXISTS `idx_fcm_usuario` (`usuario_id`, `activo`);
+
+-- Tokens existentes: tomar la última actualización como última vez visto
+UPDATE `fcm_tokens`
+SET `ultimo_uso` = COALESCE(`fecha_actualizacion`, `fecha_registro`)
+WHERE `ultimo_uso` IS NULL;
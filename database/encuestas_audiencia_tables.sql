@@ -0,0 +1,21 @@
+-- =============================================
+-- Encuestas: Audiencia por universidad, programa, nivel, rol y puesto
+-- Fecha: 2026-10-18
+-- Requiere: encuestas_tipos_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: encuestas_audiencia
+-- Descripción: Reglas de audiencia de una encuesta o votación. Sin filas
+-- va dirigida a todos. Dentro de una dimensión basta con coincidir con
+-- uno de los valores; entre dimensiones deben cumplirse todas.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `encuestas_audiencia` (
+  `encuesta_id` int(11) NOT NULL,
+  `dimension` enum('universidad','programa','nivel','rol','puesto') NOT NULL,
+  `valor_id` int(11) NOT NULL COMMENT 'Id en universidades, programas_educativos, niveles_educativos, roles_sindicato o puestos_universidad',
+  PRIMARY KEY (`encuesta_id`, `dimension`, `valor_id`),
+  CONSTRAINT `fk_audiencia_encuesta` FOREIGN KEY (`encuesta_id`) REFERENCES `encuestas_votaciones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Audiencia de encuestas y votaciones';
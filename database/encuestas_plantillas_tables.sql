@@ -0,0 +1,31 @@
+-- =============================================
+-- Encuestas: Plantillas
+-- Fecha: 2026-10-18
+-- Requiere: encuestas_resultados_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: encuestas_plantillas
+-- Descripción: Definiciones reutilizables (sin fechas). `preguntas` guarda
+-- el mismo formato que `questions` de POST /completo, con las condiciones
+-- por índice; al instanciarla se crean filas nuevas en preguntas_encuesta
+-- y opciones_encuesta.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `encuestas_plantillas` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `nombre` varchar(150) NOT NULL,
+  `type` varchar(50) NOT NULL COMMENT 'Encuesta o Votación',
+  `title` varchar(255) NOT NULL,
+  `description` text DEFAULT NULL,
+  `voto_secreto` tinyint(1) NOT NULL DEFAULT 0,
+  `politica_respuestas` enum('definitivas','editables') NOT NULL DEFAULT 'definitivas',
+  `preguntas` json NOT NULL,
+  `audiencia` json DEFAULT NULL COMMENT '{ universidades, programas, niveles, roles, puestos }; NULL = todos',
+  `creado_por` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_plantilla_nombre` (`nombre`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Plantillas de encuestas y votaciones';
@@ -0,0 +1,16 @@
+-- =============================================
+-- Encuestas: Política de respuestas (definitivas o editables)
+-- Fecha: 2026-10-18
+-- Requiere: encuestas_audiencia_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: encuestas_votaciones (modificación)
+-- Descripción: 'definitivas' rechaza un segundo envío; 'editables' lo
+-- acepta y reemplaza las respuestas mientras la encuesta siga abierta.
+-- Las votaciones secretas siempre son definitivas.
+-- =============================================
+ALTER TABLE `encuestas_votaciones`
+  ADD COLUMN IF NOT EXISTS `politica_respuestas` enum('definitivas','editables') NOT NULL DEFAULT 'definitivas';
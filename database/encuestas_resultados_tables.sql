@@ -0,0 +1,17 @@
+-- =============================================
+-- Encuestas: Publicación de resultados
+-- Fecha: 2026-10-18
+-- Requiere: encuestas_politica_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: encuestas_votaciones (modificación)
+-- Descripción: Los agremiados ven los resultados al cierre o, si el comité
+-- los publica antes, desde resultados_publicados_en (puede ser una fecha
+-- futura para programarlo).
+-- =============================================
+ALTER TABLE `encuestas_votaciones`
+  ADD COLUMN IF NOT EXISTS `resultados_publicados_en` datetime DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `resultados_publicados_por` int(11) DEFAULT NULL;
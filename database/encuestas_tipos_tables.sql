@@ -0,0 +1,45 @@
+-- =============================================
+-- Encuestas: Tipos de pregunta, obligatoriedad y lógica condicional
+-- Fecha: 2026-10-18
+-- Requiere: votacion_secreta_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: preguntas_encuesta (modificación)
+-- Descripción: tipo de pregunta y sus parámetros. `condicion` muestra la
+-- pregunta solo si una anterior se respondió de cierta forma; si no se
+-- cumple, la pregunta se salta.
+-- =============================================
+ALTER TABLE `preguntas_encuesta`
+  ADD COLUMN IF NOT EXISTS `tipo` enum('opcion_unica','opcion_multiple','ranking','likert','numerica','texto') NOT NULL DEFAULT 'opcion_unica',
+  ADD COLUMN IF NOT EXISTS `obligatoria` tinyint(1) NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS `config` json DEFAULT NULL COMMENT 'Límites del tipo: selecciones, escala, rango numérico, longitud',
+  ADD COLUMN IF NOT EXISTS `condicion` json DEFAULT NULL COMMENT '{ pregunta_id, opciones[] } o { pregunta_id, min, max }';
+
+-- =============================================
+-- Tabla: respuestas_encuesta (modificación)
+-- Descripción: una fila por pregunta respondida. opcion_id solo aplica a
+-- opción única; escala Likert y numéricas usan valor_numerico y las
+-- abiertas valor_texto.
+-- =============================================
+ALTER TABLE `respuestas_encuesta`
+  MODIFY `opcion_id` int(11) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `valor_numerico` decimal(12,4) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `valor_texto` text DEFAULT NULL;
+
+-- =============================================
+-- Tabla: respuestas_encuesta_opciones
+-- Descripción: Opciones elegidas en preguntas de opción múltiple y orden
+-- en las de ranking (posicion 1 = primer lugar)
+-- =============================================
+CREATE TABLE IF NOT EXISTS `respuestas_encuesta_opciones` (
+  `respuesta_id` int(11) NOT NULL,
+  `opcion_id` int(11) NOT NULL,
+  `posicion` tinyint(4) DEFAULT NULL COMMENT 'Solo ranking',
+  PRIMARY KEY (`respuesta_id`, `opcion_id`),
+  KEY `idx_respuesta_opcion` (`opcion_id`),
+  CONSTRAINT `fk_respuesta_opcion_respuesta` FOREIGN KEY (`respuesta_id`) REFERENCES `respuestas_encuesta` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_respuesta_opcion_opcion` FOREIGN KEY (`opcion_id`) REFERENCES `opciones_encuesta` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Selecciones de opción múltiple y ranking';
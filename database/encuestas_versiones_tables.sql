@@ -0,0 +1,33 @@
+-- =============================================
+-- Encuestas: Edición versionada e historial de cambios
+-- Fecha: 2026-10-18
+-- Requiere: encuestas_plantillas_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: encuestas_votaciones (modificación)
+-- Descripción: versión de la definición; cada edición la incrementa
+-- =============================================
+ALTER TABLE `encuestas_votaciones`
+  ADD COLUMN IF NOT EXISTS `version` int(11) NOT NULL DEFAULT 1;
+
+-- =============================================
+-- Tabla: encuestas_cambios
+-- Descripción: Qué cambió en cada versión y qué admin lo hizo.
+-- `reconstruccion` = se reemplazaron las preguntas (aún sin respuestas);
+-- `correccion` = textos o cierre sobre las mismas filas.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `encuestas_cambios` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `encuesta_id` int(11) NOT NULL,
+  `version` int(11) NOT NULL COMMENT 'Versión resultante',
+  `usuario_id` int(11) NOT NULL,
+  `modo` enum('reconstruccion','correccion') NOT NULL,
+  `cambios` json NOT NULL COMMENT '[{ campo, antes, despues }]',
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_cambio_encuesta_version` (`encuesta_id`, `version`),
+  CONSTRAINT `fk_cambio_encuesta` FOREIGN KEY (`encuesta_id`) REFERENCES `encuestas_votaciones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Historial de ediciones de encuestas y votaciones';
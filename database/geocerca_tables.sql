@@ -0,0 +1,29 @@
+-- =============================================
+-- Geocerca: Coordenadas de reuniones y ubicación de cada asistencia
+-- Fecha: 2026-10-18
+-- Requiere: asistencia_qr_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: reuniones (modificación)
+-- Descripción: Coordenadas opcionales del lugar y radio permitido. Sin
+-- coordenadas la asistencia no se valida por ubicación.
+-- =============================================
+ALTER TABLE `reuniones`
+  ADD COLUMN IF NOT EXISTS `latitud` decimal(10,7) DEFAULT NULL AFTER `location`,
+  ADD COLUMN IF NOT EXISTS `longitud` decimal(10,7) DEFAULT NULL AFTER `latitud`,
+  ADD COLUMN IF NOT EXISTS `radio_metros` int(11) NOT NULL DEFAULT 150 AFTER `longitud`;
+
+-- =============================================
+-- Tabla: asistencia (modificación)
+-- Descripción: Posición reportada por el dispositivo al registrar, su
+-- precisión y la distancia calculada al lugar de la reunión.
+-- =============================================
+ALTER TABLE `asistencia`
+  ADD COLUMN IF NOT EXISTS `latitud` decimal(10,7) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `longitud` decimal(10,7) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `precision_metros` decimal(8,1) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `distancia_metros` decimal(10,1) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `ubicacion_dudosa` tinyint(1) NOT NULL DEFAULT 0 COMMENT 'Fuera del radio, pero dentro del margen de precisión del GPS';
@@ -0,0 +1,35 @@
+-- =============================================
+-- Justificaciones: Faltas justificadas con evidencia
+-- Fecha: 2026-10-18
+-- Requiere: asistencia_qr_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: justificaciones_asistencia
+-- Descripción: Solicitud de un agremiado para justificar su falta a una
+-- reunión. Una por usuario y reunión; si se rechaza puede volver a enviarla
+-- y la fila regresa a pendiente.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `justificaciones_asistencia` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `reunion_id` int(11) NOT NULL,
+  `usuario_id` int(11) NOT NULL,
+  `motivo` varchar(1000) NOT NULL,
+  `evidencia_url` varchar(500) NOT NULL,
+  `evidencia_public_id` varchar(255) DEFAULT NULL COMMENT 'public_id en Cloudinary, para borrarla',
+  `evidencia_nombre` varchar(255) DEFAULT NULL COMMENT 'Nombre original del archivo',
+  `estado` enum('pendiente','aprobada','rechazada') NOT NULL DEFAULT 'pendiente',
+  `envios` int(11) NOT NULL DEFAULT 1 COMMENT 'Veces que se ha enviado (reenvíos tras rechazo)',
+  `comentario_revision` varchar(1000) DEFAULT NULL,
+  `revisado_por` int(11) DEFAULT NULL,
+  `revisado_en` datetime DEFAULT NULL,
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  `actualizado_en` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_justificacion_reunion_usuario` (`reunion_id`, `usuario_id`),
+  KEY `idx_justificacion_estado` (`estado`, `creado_en`),
+  KEY `idx_justificacion_usuario` (`usuario_id`),
+  CONSTRAINT `fk_justificacion_reunion` FOREIGN KEY (`reunion_id`) REFERENCES `reuniones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Solicitudes de falta justificada';
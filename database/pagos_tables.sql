@@ -0,0 +1,60 @@
+-- =============================================
+-- Pagos: Ledger de compras de boletos con Mercado Pago
+-- Fecha: 2026-10-18
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: pagos_rifa
+-- Descripción: Una fila por compra. Se identifica por `external_reference`
+-- (generada por el servidor) y `preference_id` (devuelta por Mercado Pago).
+-- El estado solo lo cambia el servidor tras consultar el pago en Mercado Pago.
+-- Reemplaza a la tabla `compras`, cuyo estado lo escribía el cliente.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `pagos_rifa` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `usuario_id` int(11) NOT NULL,
+  `rifa_id` int(11) NOT NULL,
+  `external_reference` char(36) NOT NULL,
+  `preference_id` varchar(64) DEFAULT NULL,
+  `boletos` json NOT NULL COMMENT 'Números de boleto de la compra',
+  `total` decimal(10,2) NOT NULL,
+  `estado` enum('pendiente','aprobado','rechazado','cancelado','reembolsado') NOT NULL DEFAULT 'pendiente',
+  `mp_payment_id` varchar(32) DEFAULT NULL COMMENT 'Último pago de Mercado Pago asociado',
+  `mp_status` varchar(32) DEFAULT NULL,
+  `mp_status_detail` varchar(64) DEFAULT NULL,
+  `fecha_creacion` datetime DEFAULT current_timestamp(),
+  `fecha_actualizacion` datetime DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  `ultima_conciliacion` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_pago_referencia` (`external_reference`),
+  UNIQUE KEY `uq_pago_preferencia` (`preference_id`),
+  KEY `idx_pago_estado` (`estado`,`fecha_creacion`),
+  KEY `idx_pago_usuario_rifa` (`usuario_id`,`rifa_id`),
+  CONSTRAINT `fk_pago_usuario` FOREIGN KEY (`usuario_id`) REFERENCES `perfil_usuarios` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_pago_rifa` FOREIGN KEY (`rifa_id`) REFERENCES `rifas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Ledger de compras de boletos';
+
+-- =============================================
+-- Tabla: pagos_eventos
+-- Descripción: Bitácora de cada cambio de estado y de cada webhook recibido.
+-- `notificacion_id` (x-request-id de Mercado Pago) es único para descartar
+-- notificaciones duplicadas.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `pagos_eventos` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `pago_id` int(11) DEFAULT NULL,
+  `origen` enum('webhook','conciliacion','cliente') NOT NULL,
+  `notificacion_id` varchar(64) DEFAULT NULL,
+  `mp_payment_id` varchar(32) DEFAULT NULL,
+  `mp_status` varchar(32) DEFAULT NULL,
+  `estado_anterior` varchar(20) DEFAULT NULL,
+  `estado_nuevo` varchar(20) DEFAULT NULL,
+  `aplicado` tinyint(1) NOT NULL DEFAULT 0 COMMENT '0 si la transición no era válida o no hubo cambio',
+  `fecha` datetime DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_evento_notificacion` (`notificacion_id`),
+  KEY `idx_evento_pago` (`pago_id`),
+  CONSTRAINT `fk_evento_pago` FOREIGN KEY (`pago_id`) REFERENCES `pagos_rifa` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Bitácora de eventos de pago';
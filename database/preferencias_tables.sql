@@ -0,0 +1,36 @@
+-- =============================================
+-- Preferencias: Categorías de push y horario de silencio por usuario
+-- Fecha: 2026-10-18
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: preferencias_notificacion
+-- Descripción: Una fila por usuario. Sin fila = todo activado y sin silencio.
+-- Las horas de silencio están en hora de America/Mexico_City y pueden
+-- cruzar la medianoche (p. ej. 22:00 → 07:00).
+-- =============================================
+CREATE TABLE IF NOT EXISTS `preferencias_notificacion` (
+  `usuario_id` int(11) NOT NULL,
+  `nueva_reunion` tinyint(1) NOT NULL DEFAULT 1,
+  `recordatorio_24h` tinyint(1) NOT NULL DEFAULT 1,
+  `recordatorio_4h` tinyint(1) NOT NULL DEFAULT 1,
+  `cancelacion` tinyint(1) NOT NULL DEFAULT 1,
+  `encuestas` tinyint(1) NOT NULL DEFAULT 1,
+  `noticias` tinyint(1) NOT NULL DEFAULT 1,
+  `rifas` tinyint(1) NOT NULL DEFAULT 1,
+  `silencio_activo` tinyint(1) NOT NULL DEFAULT 0,
+  `silencio_inicio` time DEFAULT NULL,
+  `silencio_fin` time DEFAULT NULL,
+  `actualizado_en` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`usuario_id`),
+  CONSTRAINT `fk_preferencia_usuario` FOREIGN KEY (`usuario_id`) REFERENCES `perfil_usuarios` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Preferencias de notificaciones push';
+
+-- =============================================
+-- Reuniones obligatorias (asambleas): sus avisos ignoran preferencias y silencio
+-- =============================================
+ALTER TABLE `reuniones`
+  ADD COLUMN IF NOT EXISTS `obligatoria` tinyint(1) NOT NULL DEFAULT 0
+  COMMENT 'Asamblea obligatoria: los avisos no se pueden silenciar';
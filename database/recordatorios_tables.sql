@@ -0,0 +1,30 @@
+-- =============================================
+-- Recordatorios: Registro de notificaciones automáticas de reuniones
+-- Fecha: 2026-10-18
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: reuniones_notificaciones
+-- Descripción: Una fila por reunión y tipo de aviso. La clave única hace que
+-- solo un proceso pueda reclamar cada envío, aunque corran varias instancias.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `reuniones_notificaciones` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `reunion_id` int(11) NOT NULL,
+  `tipo` enum('nueva_reunion','recordatorio_24h','recordatorio_4h') NOT NULL,
+  `estado` enum('enviando','enviado','fallido') NOT NULL DEFAULT 'enviando',
+  `intentos` int(11) NOT NULL DEFAULT 1,
+  `reclamado_por` varchar(100) DEFAULT NULL COMMENT 'host:pid del proceso que hace el envío',
+  `reclamado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  `enviado_en` datetime DEFAULT NULL,
+  `destinatarios` int(11) DEFAULT NULL,
+  `exitosos` int(11) DEFAULT NULL,
+  `fallidos` int(11) DEFAULT NULL,
+  `error` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_reunion_tipo` (`reunion_id`,`tipo`),
+  KEY `idx_estado` (`estado`,`reclamado_en`),
+  CONSTRAINT `fk_notif_reunion` FOREIGN KEY (`reunion_id`) REFERENCES `reuniones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Avisos automáticos enviados por reunión';
@@ -0,0 +1,40 @@
+-- =============================================
+-- Reuniones: Cancelación y reprogramación como estados
+-- Fecha: 2026-10-18
+-- Requiere: recordatorios_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: reuniones (modificación)
+-- Descripción: Una reunión cancelada ya no se borra; conserva su registro,
+-- el motivo y quién la canceló.
+-- =============================================
+ALTER TABLE `reuniones`
+  ADD COLUMN IF NOT EXISTS `estado_reunion` enum('vigente','reprogramada','cancelada') NOT NULL DEFAULT 'vigente',
+  ADD COLUMN IF NOT EXISTS `motivo_estado` varchar(500) DEFAULT NULL COMMENT 'Motivo de la última cancelación o reprogramación',
+  ADD COLUMN IF NOT EXISTS `estado_actualizado_por` int(11) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `estado_actualizado_en` datetime DEFAULT NULL;
+
+-- =============================================
+-- Tabla: reuniones_cambios
+-- Descripción: Historial de cancelaciones y reprogramaciones (solo inserciones)
+-- =============================================
+CREATE TABLE IF NOT EXISTS `reuniones_cambios` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `reunion_id` int(11) NOT NULL,
+  `accion` enum('cancelacion','reprogramacion') NOT NULL,
+  `fecha_anterior` date NOT NULL,
+  `hora_anterior` time NOT NULL,
+  `fecha_nueva` date DEFAULT NULL,
+  `hora_nueva` time DEFAULT NULL,
+  `ubicacion_anterior` varchar(255) DEFAULT NULL,
+  `ubicacion_nueva` varchar(255) DEFAULT NULL,
+  `motivo` varchar(500) NOT NULL,
+  `usuario_id` int(11) NOT NULL COMMENT 'Admin que hizo el cambio',
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_cambio_reunion` (`reunion_id`),
+  CONSTRAINT `fk_cambio_reunion` FOREIGN KEY (`reunion_id`) REFERENCES `reuniones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Historial de cambios de reuniones';
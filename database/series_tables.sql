@@ -0,0 +1,64 @@
+-- =============================================
+-- Reuniones: Series recurrentes
+-- Fecha: 2026-10-18
+-- Requiere: agenda_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: reuniones_series
+-- Descripción: Regla de recurrencia y datos comunes de las ocurrencias.
+-- Las ocurrencias se generan como filas de `reuniones` hasta un horizonte
+-- que el job diario va extendiendo.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `reuniones_series` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `title` varchar(255) NOT NULL,
+  `type` varchar(50) NOT NULL,
+  `location` varchar(255) DEFAULT NULL,
+  `latitud` decimal(10,7) DEFAULT NULL,
+  `longitud` decimal(10,7) DEFAULT NULL,
+  `radio_metros` int(11) NOT NULL DEFAULT 150,
+  `description` text DEFAULT NULL,
+  `obligatoria` tinyint(1) NOT NULL DEFAULT 0,
+  `time` time NOT NULL,
+  `frecuencia` enum('semanal','mensual') NOT NULL,
+  `intervalo` tinyint(4) NOT NULL DEFAULT 1 COMMENT 'Cada cuántas semanas o meses',
+  `dia_semana` tinyint(4) NOT NULL COMMENT '0 = lunes … 6 = domingo (WEEKDAY)',
+  `semana_mes` tinyint(4) DEFAULT NULL COMMENT 'Mensual: 1-4, o -1 para la última',
+  `fecha_inicio` date NOT NULL,
+  `fecha_fin` date DEFAULT NULL,
+  `max_ocurrencias` int(11) DEFAULT NULL,
+  `estado` enum('activa','cancelada') NOT NULL DEFAULT 'activa',
+  `serie_origen_id` int(11) DEFAULT NULL COMMENT 'Serie de la que se separó con "esta y las siguientes"',
+  `creado_por` int(11) NOT NULL,
+  `creado_en` datetime NOT NULL DEFAULT current_timestamp(),
+  `actualizado_en` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_serie_estado` (`estado`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Series de reuniones recurrentes';
+
+-- =============================================
+-- Tabla: reuniones_series_excepciones
+-- Descripción: Fechas de la regla en las que no hay reunión
+-- =============================================
+CREATE TABLE IF NOT EXISTS `reuniones_series_excepciones` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `serie_id` int(11) NOT NULL,
+  `fecha` date NOT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_excepcion_serie_fecha` (`serie_id`, `fecha`),
+  CONSTRAINT `fk_excepcion_serie` FOREIGN KEY (`serie_id`) REFERENCES `reuniones_series` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Excepciones de series de reuniones';
+
+-- =============================================
+-- Tabla: reuniones (modificación)
+-- Descripción: fecha_serie es la fecha que la regla asignó a la ocurrencia;
+-- no cambia aunque la ocurrencia se reprograme, así no se vuelve a generar.
+-- =============================================
+ALTER TABLE `reuniones`
+  ADD COLUMN IF NOT EXISTS `serie_id` int(11) DEFAULT NULL,
+  ADD COLUMN IF NOT EXISTS `fecha_serie` date DEFAULT NULL,
+  ADD UNIQUE KEY IF NOT EXISTS `uk_reunion_serie_fecha` (`serie_id`, `fecha_serie`),
+  ADD CONSTRAINT `fk_reunion_serie` FOREIGN KEY IF NOT EXISTS (`serie_id`) REFERENCES `reuniones_series` (`id`) ON DELETE SET NULL;
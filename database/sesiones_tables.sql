@@ -0,0 +1,33 @@
+-- =============================================
+-- Sesiones: Refresh tokens con rotación y revocación
+-- Fecha: 2026-10-18
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: sesiones_usuario
+-- Descripción: Un registro por cada refresh token emitido. Todos los tokens
+-- de una misma sesión comparten `familia_id`; al rotar, el token anterior
+-- queda como 'rotada' y si se vuelve a presentar se revoca toda la familia.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `sesiones_usuario` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `usuario_id` int(11) NOT NULL,
+  `familia_id` char(36) NOT NULL COMMENT 'Identificador estable de la sesión (se conserva al rotar)',
+  `refresh_hash` char(64) NOT NULL COMMENT 'SHA-256 del refresh token, nunca el token en claro',
+  `estado` enum('activa','rotada','revocada') NOT NULL DEFAULT 'activa',
+  `cliente` enum('web','movil') NOT NULL DEFAULT 'web',
+  `user_agent` varchar(255) DEFAULT NULL,
+  `ip` varchar(45) DEFAULT NULL,
+  `creado_en` datetime DEFAULT current_timestamp(),
+  `expira_en` datetime NOT NULL,
+  `usado_en` datetime DEFAULT NULL COMMENT 'Cuándo se rotó este token',
+  `revocado_en` datetime DEFAULT NULL,
+  `motivo_revocacion` varchar(100) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_refresh_hash` (`refresh_hash`),
+  KEY `idx_familia` (`familia_id`),
+  KEY `idx_usuario_estado` (`usuario_id`,`estado`),
+  CONSTRAINT `fk_sesion_usuario` FOREIGN KEY (`usuario_id`) REFERENCES `perfil_usuarios` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Refresh tokens y sesiones activas por usuario';
@@ -0,0 +1,94 @@
+-- =============================================
+-- Sorteos: Sorteo auditable de rifas (commit-reveal)
+-- Fecha: 2026-10-18
+-- Requiere: boletos_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: sorteos_rifa
+-- Descripción: Un sorteo por rifa. Se compromete al cerrar las ventas:
+-- se publican semilla_hash = SHA-256(semilla) y el hash de los boletos
+-- participantes; la semilla se revela al sortear.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `sorteos_rifa` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `rifa_id` int(11) NOT NULL,
+  `estado` enum('comprometido','realizado') NOT NULL DEFAULT 'comprometido',
+  `semilla_hash` char(64) NOT NULL COMMENT 'SHA-256 hex de la semilla, público desde el compromiso',
+  `semilla` char(64) DEFAULT NULL COMMENT 'Solo tras el sorteo; antes está en sorteos_semillas',
+  `participantes_hash` char(64) DEFAULT NULL COMMENT 'SHA-256 de la lista ordenada de boletos participantes, fija desde el compromiso',
+  `total_participantes` int(11) DEFAULT NULL,
+  `algoritmo` varchar(50) NOT NULL DEFAULT 'sha256-rejection-v1',
+  `comprometido_por` int(11) NOT NULL,
+  `comprometido_en` datetime NOT NULL DEFAULT current_timestamp(),
+  `realizado_por` int(11) DEFAULT NULL,
+  `realizado_en` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_sorteo_rifa` (`rifa_id`),
+  CONSTRAINT `fk_sorteo_rifa` FOREIGN KEY (`rifa_id`) REFERENCES `rifas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Sorteos de rifas con semilla comprometida';
+
+-- =============================================
+-- Tabla: sorteos_semillas
+-- Descripción: Semilla en claro entre el compromiso y el sorteo. Solo la
+-- lee realizarSorteo(); al sortear pasa a sorteos_rifa y la fila se borra.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `sorteos_semillas` (
+  `sorteo_id` int(11) NOT NULL,
+  `semilla` char(64) NOT NULL,
+  PRIMARY KEY (`sorteo_id`),
+  CONSTRAINT `fk_semilla_sorteo` FOREIGN KEY (`sorteo_id`) REFERENCES `sorteos_rifa` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Semillas comprometidas aún sin revelar';
+
+-- =============================================
+-- Tabla: sorteos_participantes
+-- Descripción: Foto de los boletos que entran al sorteo (solo compras
+-- aprobadas), tomada al comprometer la semilla
+-- =============================================
+CREATE TABLE IF NOT EXISTS `sorteos_participantes` (
+  `sorteo_id` int(11) NOT NULL,
+  `numero_boleto` int(11) NOT NULL,
+  `usuario_id` int(11) NOT NULL,
+  `pago_id` int(11) NOT NULL,
+  PRIMARY KEY (`sorteo_id`,`numero_boleto`),
+  CONSTRAINT `fk_participante_sorteo` FOREIGN KEY (`sorteo_id`) REFERENCES `sorteos_rifa` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Boletos participantes de cada sorteo';
+
+-- =============================================
+-- Tabla: sorteos_ganadores
+-- Descripción: Boleto ganador de cada producto. Un boleto gana un solo producto.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `sorteos_ganadores` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `sorteo_id` int(11) NOT NULL,
+  `producto_id` int(11) NOT NULL,
+  `producto_titulo` varchar(255) NOT NULL COMMENT 'Copia por si el producto se edita después',
+  `orden` int(11) NOT NULL COMMENT 'Posición del producto en el sorteo',
+  `numero_boleto` int(11) NOT NULL,
+  `usuario_id` int(11) NOT NULL,
+  `pago_id` int(11) NOT NULL,
+  `notificado` tinyint(1) NOT NULL DEFAULT 0,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_ganador_producto` (`sorteo_id`,`producto_id`),
+  UNIQUE KEY `uk_ganador_boleto` (`sorteo_id`,`numero_boleto`),
+  CONSTRAINT `fk_ganador_sorteo` FOREIGN KEY (`sorteo_id`) REFERENCES `sorteos_rifa` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Ganadores por producto';
+
+-- =============================================
+-- Tabla: sorteos_auditoria
+-- Descripción: Bitácora de cada acción sobre el sorteo (solo inserciones)
+-- =============================================
+CREATE TABLE IF NOT EXISTS `sorteos_auditoria` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `sorteo_id` int(11) NOT NULL,
+  `accion` enum('compromiso','sorteo','notificacion') NOT NULL,
+  `usuario_id` int(11) DEFAULT NULL COMMENT 'Admin que ejecutó la acción',
+  `detalle` json DEFAULT NULL,
+  `ip` varchar(45) DEFAULT NULL,
+  `fecha` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `idx_auditoria_sorteo` (`sorteo_id`),
+  CONSTRAINT `fk_auditoria_sorteo` FOREIGN KEY (`sorteo_id`) REFERENCES `sorteos_rifa` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Bitácora de sorteos';
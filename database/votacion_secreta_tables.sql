@@ -0,0 +1,113 @@
+-- =============================================
+-- Votaciones: Voto secreto con recibo verificable
+-- Fecha: 2026-10-18
+-- Requiere: calendario_tables.sql, SCRUM-45_puntos_tables.sql
+-- =============================================
+
+USE `dbsututeh`;
+
+-- =============================================
+-- Tabla: encuestas_votaciones (modificación)
+-- Descripción: voto_secreto solo aplica a type = 'Votación'. Con él activo
+-- las respuestas no se guardan en respuestas_encuesta.
+-- =============================================
+ALTER TABLE `encuestas_votaciones`
+  ADD COLUMN IF NOT EXISTS `voto_secreto` tinyint(1) NOT NULL DEFAULT 0;
+
+-- =============================================
+-- Tabla: votacion_participacion
+-- Descripción: Quién votó y qué día. No guarda nada de lo que votó ni la
+-- hora, que permitiría cruzarla con el conteo o con puntos_historial.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `votacion_participacion` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `encuesta_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `votado_en` date NOT NULL COMMENT 'Solo el día',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_participacion_encuesta_usuario` (`encuesta_id`, `user_id`),
+  KEY `idx_participacion_usuario` (`user_id`),
+  CONSTRAINT `fk_participacion_encuesta` FOREIGN KEY (`encuesta_id`) REFERENCES `encuestas_votaciones` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_participacion_usuario` FOREIGN KEY (`user_id`) REFERENCES `perfil_usuarios` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Participación en votaciones secretas';
+
+-- =============================================
+-- Tabla: votacion_boletas
+-- Descripción: Boletas anónimas. El id es SHA-256("<encuesta_id>:<recibo>"):
+-- solo quien tiene el recibo puede encontrar su boleta. Sin usuario, sin
+-- fecha y sin autoincremento, para que el orden de inserción no permita
+-- cruzarla con votacion_participacion.
+-- =============================================
+CREATE TABLE IF NOT EXISTS `votacion_boletas` (
+  `id` char(64) NOT NULL COMMENT 'SHA-256 del recibo, nunca el recibo en claro',
+  `encuesta_id` int(11) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_boleta_encuesta` (`encuesta_id`),
+  CONSTRAINT `fk_boleta_encuesta` FOREIGN KEY (`encuesta_id`) REFERENCES `encuestas_votaciones` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Boletas anónimas de votaciones secretas';
+
+-- =============================================
+-- Tabla: votacion_boletas_opciones
+-- Descripción: Opción elegida en cada pregunta de la boleta
+-- =============================================
+CREATE TABLE IF NOT EXISTS `votacion_boletas_opciones` (
+  `boleta_id` char(64) NOT NULL,
+  `pregunta_id` int(11) NOT NULL,
+  `opcion_id` int(11) NOT NULL,
+  PRIMARY KEY (`boleta_id`, `pregunta_id`),
+  KEY `idx_boleta_opcion` (`pregunta_id`, `opcion_id`),
+  CONSTRAINT `fk_boleta_opcion_boleta` FOREIGN KEY (`boleta_id`) REFERENCES `votacion_boletas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Opciones elegidas en boletas anónimas';
+
+-- =============================================
+-- Procedimiento: sp_actualizar_puntos_usuario
+-- Descripción: Igual que en SCRUM-45, más 20 puntos por cada votación
+-- secreta en la que participó (misma descripción, así cuenta para logros)
+-- =============================================
+DELIMITER $$
+
+DROP PROCEDURE IF EXISTS `sp_actualizar_puntos_usuario`$$
+
+CREATE DEFINER=`root`@`localhost` PROCEDURE `sp_actualizar_puntos_usuario`(
+  IN p_usuario_id INT
+)
+BEGIN
+  DECLARE v_anio INT DEFAULT YEAR(NOW());
+
+  DELETE FROM puntos_historial
+  WHERE usuario_id = p_usuario_id
+    AND YEAR(fecha) = v_anio;
+
+  -- Asistencias (30 puntos)
+  INSERT INTO puntos_historial (usuario_id, referencia_id, puntos, fecha, descripcion)
+  SELECT a.usuario_id, a.reunion_id, 30, a.registered_at, 'Asistencia a reunión'
+  FROM asistencia a
+  WHERE a.usuario_id = p_usuario_id
+    AND a.puntaje >= 2
+    AND YEAR(a.registered_at) = v_anio;
+
+  -- Encuestas o votaciones abiertas (20 puntos)
+  INSERT INTO puntos_historial (usuario_id, referencia_id, puntos, fecha, descripcion)
+  SELECT r.user_id, r.encuesta_id, 20, r.responded_at, 'Participación en encuesta o votación'
+  FROM respuestas_encuesta r
+  WHERE r.user_id = p_usuario_id
+    AND YEAR(r.responded_at) = v_anio;
+
+  -- Votaciones secretas (20 puntos)
+  INSERT INTO puntos_historial (usuario_id, referencia_id, puntos, fecha, descripcion)
+  SELECT v.user_id, v.encuesta_id, 20, v.votado_en, 'Participación en encuesta o votación'
+  FROM votacion_participacion v
+  WHERE v.user_id = p_usuario_id
+    AND YEAR(v.votado_en) = v_anio;
+
+  INSERT INTO puntos_saldo (usuario_id, total_puntos, actualizado_en)
+  SELECT p_usuario_id, COALESCE(SUM(puntos), 0), NOW()
+  FROM puntos_historial
+  WHERE usuario_id = p_usuario_id
+    AND YEAR(fecha) = v_anio
+  ON DUPLICATE KEY UPDATE
+    total_puntos = VALUES(total_puntos),
+    actualizado_en = NOW();
+END$$
+
+DELIMITER ;
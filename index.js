@@ -9,8 +9,87 @@ const cookieParser   = require("cookie-parser");
 const pool           = require("./bd");
 const refreshSession = require("./config/refreshSession");
 // === CRON AUTOMÁTICO ===
-
-
+const cron           = require("node-cron");
+const pagosService   = require("./consultas/pagos_service");
+const boletosService = require("./consultas/boletos_service");
+const recordatoriosService = require("./consultas/recordatorios_service");
+const dispositivosService = require("./consultas/dispositivos_service");
+const seriesService = require("./consultas/reuniones_series_service");
+const publicacionesService = require("./consultas/publicaciones_service");
+
+// Conciliar compras pendientes contra Mercado Pago cada 15 minutos
+cron.schedule("*/15 * * * *", async () => {
+  try {
+    const resumen = await pagosService.conciliarPendientes();
+    if (resumen.revisadas > 0) {
+      console.log("💳 Conciliación de pagos:", resumen);
+    }
+  } catch (err) {
+    console.error("❌ Error en conciliación de pagos:", err.message);
+  }
+}, { name: "conciliar-pagos", noOverlap: true, timezone: "America/Mexico_City" });
+
+// Devolver a disponibles los boletos cuya reserva venció
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    const liberados = await boletosService.liberarReservasVencidas();
+    if (liberados > 0) {
+      console.log(`🎟️ Reservas vencidas liberadas: ${liberados} boletos`);
+    }
+  } catch (err) {
+    console.error("❌ Error liberando reservas de boletos:", err.message);
+  }
+}, { name: "liberar-boletos", noOverlap: true, timezone: "America/Mexico_City" });
+
+// Avisos de reuniones: nueva reunión, 24 h y 4 h antes. Cada envío se
+// registra en reuniones_notificaciones, así que varias instancias no lo duplican
+cron.schedule("* * * * *", async () => {
+  try {
+    const resumen = await recordatoriosService.procesarRecordatorios();
+    if (resumen.enviados > 0 || resumen.errores > 0) {
+      console.log("🔔 Recordatorios de reuniones:", resumen);
+    }
+  } catch (err) {
+    console.error("❌ Error en recordatorios de reuniones:", err.message);
+  }
+}, { name: "recordatorios-reuniones", noOverlap: true, timezone: "America/Mexico_City" });
+
+// Anunciar (bandeja y push) las encuestas, noticias y rifas que llegaron a
+// su fecha de publicación
+cron.schedule("* * * * *", async () => {
+  try {
+    const resumen = await publicacionesService.avisarPublicaciones();
+    if (resumen.anunciadas > 0 || resumen.errores > 0) {
+      console.log("📣 Publicaciones anunciadas:", resumen);
+    }
+  } catch (err) {
+    console.error("❌ Error anunciando publicaciones:", err.message);
+  }
+}, { name: "avisar-publicaciones", noOverlap: true, timezone: "America/Mexico_City" });
+
+// Generar las ocurrencias de las series recurrentes hasta el horizonte
+cron.schedule("15 2 * * *", async () => {
+  try {
+    const resumen = await seriesService.extenderSeries();
+    if (resumen.generadas > 0) {
+      console.log("🗓️ Ocurrencias de series generadas:", resumen);
+    }
+  } catch (err) {
+    console.error("❌ Error generando ocurrencias de series:", err.message);
+  }
+}, { name: "extender-series", noOverlap: true, timezone: "America/Mexico_City" });
+
+// Desactivar tokens FCM de dispositivos que dejaron de reportarse
+cron.schedule("30 3 * * *", async () => {
+  try {
+    const expirados = await dispositivosService.expirarTokensInactivos();
+    if (expirados > 0) {
+      console.log(`📱 Tokens FCM inactivos expirados: ${expirados}`);
+    }
+  } catch (err) {
+    console.error("❌ Error expirando tokens FCM:", err.message);
+  }
+}, { name: "expirar-tokens-fcm", noOverlap: true, timezone: "America/Mexico_City" });
 
 
 const app = express();
@@ -84,6 +163,9 @@ const autenticacionMvl = require("./consultas/autenticacionmvl");
 const rankingRouter = require('./consultas/ranking');
 const dashboardRoutes = require('./consultas/dashboard');
 const notificacionesRoutes = require('./consultas/notificaciones');
+const justificacionesRouter = require('./consultas/justificaciones');
+const actasRouter = require('./consultas/actas');
+const calendarioRouter = require('./consultas/calendario');
 
 
 
@@ -117,7 +199,9 @@ app.use("/api/auth/mobile", autenticacionMvl);
 app.use('/api/ranking', rankingRouter);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/notificaciones', notificacionesRoutes);
-app.use('/api', require('./consultas/asistencia'));
+app.use('/api/justificaciones', justificacionesRouter);
+app.use('/api/actas', actasRouter);
+app.use('/api/calendario', calendarioRouter);
 app.use("/api/mobile", require("./consultas/asistencia_mobile"));
 
 
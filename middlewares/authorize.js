@@ -0,0 +1,84 @@
+// middlewares/authorize.js
+const jwt = require("jsonwebtoken");
+const permisos = require("../config/permisos");
+const refreshSession = require("../config/refreshSession");
+
+// Obtiene el JWT del header Bearer de la app móvil
+function obtenerBearer(req) {
+  const authHeader =
+    req.headers.authorization ||
+    req.headers.Authorization ||
+    req.headers.AUTHORIZATION;
+
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return authHeader.split(" ")[1];
+  }
+
+  return null;
+}
+
+// Verifica que la petición traiga un JWT válido y deja el payload en req.user.
+// Web: cookie authToken (rotando el refresh token si expiró). Móvil: header Bearer.
+function authenticate(req, res, next) {
+  // Si refreshSession ya validó la cookie, reutilizar el payload
+  if (req.user && req.user.sub) {
+    return next();
+  }
+
+  const noAutenticado = () =>
+    res.status(401).json({
+      error: "Usuario no autenticado. Por favor, inicia sesión nuevamente.",
+    });
+
+  const bearer = obtenerBearer(req);
+  if (bearer) {
+    try {
+      req.user = jwt.verify(bearer, process.env.JWT_SECRET);
+      return next();
+    } catch (err) {
+      console.log("Token inválido:", err.message);
+      return res.status(401).json({ error: "Token inválido o expirado" });
+    }
+  }
+
+  refreshSession(req, res, () => {
+    if (!req.user || !req.user.sub) {
+      return noAutenticado();
+    }
+    next();
+  });
+}
+
+function tienePermiso(role, permiso) {
+  const roles = permisos[permiso];
+  if (!roles) {
+    throw new Error(`Permiso no definido: ${permiso}`);
+  }
+  return roles.includes(role);
+}
+
+/**
+ * Devuelve la cadena de middlewares que autentica al usuario y comprueba
+ * que su rol tenga el permiso indicado en config/permisos.js.
+ * Uso: router.post('/', authorize('noticias:gestionar'), handler)
+ */
+function authorize(permiso) {
+  // Falla al arrancar si la ruta pide un permiso que no existe en la matriz
+  if (!permisos[permiso]) {
+    throw new Error(`Permiso no definido: ${permiso}`);
+  }
+
+  return [
+    authenticate,
+    (req, res, next) => {
+      if (!tienePermiso(req.user.role, permiso)) {
+        return res.status(403).json({
+          error: "No tienes permisos para realizar esta acción.",
+        });
+      }
+      next();
+    },
+  ];
+}
+
+module.exports = { authenticate, authorize, tienePermiso };
@@ -0,0 +1,125 @@
+// ========================================
+// 🧪 test/helpers/bd_pagos.js
+// Pool en memoria con las tablas pagos_rifa y pagos_eventos, suficiente
+// para las consultas de pagos_service.aplicarPago. Respeta la clave única
+// de pagos_eventos.notificacion_id y deshace los cambios con rollback.
+// ========================================
+
+function crearBdPagos() {
+  const datos = { pagos_rifa: [], pagos_eventos: [] };
+  let respaldo = null;
+
+  const copiar = (valor) => JSON.parse(JSON.stringify(valor));
+  const compraPorId = (id) => datos.pagos_rifa.find((pago) => pago.id === id);
+
+  async function query(sql, params = []) {
+    const consulta = sql.replace(/\s+/g, ' ').trim();
+
+    if (consulta.startsWith('INSERT IGNORE INTO pagos_eventos')) {
+      const [origen, notificacionId, mpPaymentId, mpStatus] = params;
+      if (notificacionId !== null &&
+          datos.pagos_eventos.some((evento) => evento.notificacion_id === notificacionId)) {
+        return [{ affectedRows: 0, insertId: 0 }];
+      }
+      const evento = {
+        id: datos.pagos_eventos.length + 1,
+        origen,
+        notificacion_id: notificacionId,
+        mp_payment_id: mpPaymentId,
+        mp_status: mpStatus,
+        pago_id: null,
+        estado_anterior: null,
+        estado_nuevo: null,
+        aplicado: 0
+      };
+      datos.pagos_eventos.push(evento);
+      return [{ affectedRows: 1, insertId: evento.id }];
+    }
+
+    if (consulta.startsWith('SELECT * FROM pagos_rifa WHERE external_reference = ?')) {
+      const pago = datos.pagos_rifa.find((fila) => fila.external_reference === params[0]);
+      return [pago ? [copiar(pago)] : []];
+    }
+
+    if (consulta.startsWith('UPDATE pagos_rifa SET estado = ?')) {
+      const [estado, mpPaymentId, mpStatus, mpStatusDetail, id] = params;
+      Object.assign(compraPorId(id), {
+        estado,
+        mp_payment_id: mpPaymentId,
+        mp_status: mpStatus,
+        mp_status_detail: mpStatusDetail
+      });
+      return [{ affectedRows: 1 }];
+    }
+
+    if (consulta.startsWith('UPDATE pagos_rifa SET mp_payment_id = ?')) {
+      const [mpPaymentId, mpStatus, mpStatusDetail, id] = params;
+      Object.assign(compraPorId(id), {
+        mp_payment_id: mpPaymentId,
+        mp_status: mpStatus,
+        mp_status_detail: mpStatusDetail
+      });
+      return [{ affectedRows: 1 }];
+    }
+
+    if (consulta.startsWith('UPDATE pagos_rifa SET boletos_conflicto = ?')) {
+      const [boletosConflicto, id] = params;
+      compraPorId(id).boletos_conflicto = boletosConflicto;
+      return [{ affectedRows: 1 }];
+    }
+
+    if (consulta.startsWith('UPDATE pagos_eventos SET pago_id = ?')) {
+      const [pagoId, estadoAnterior, estadoNuevo, aplicado, id] = params;
+      Object.assign(datos.pagos_eventos.find((evento) => evento.id === id), {
+        pago_id: pagoId,
+        estado_anterior: estadoAnterior,
+        estado_nuevo: estadoNuevo,
+        aplicado
+      });
+      return [{ affectedRows: 1 }];
+    }
+
+    throw new Error(`Consulta no prevista en la prueba: ${consulta}`);
+  }
+
+  const conexion = {
+    query,
+    async beginTransaction() { respaldo = copiar(datos); },
+    async commit() { respaldo = null; },
+    // Restaura las filas en su lugar para que las referencias de la prueba sigan vigentes
+    async rollback() {
+      if (respaldo) {
+        for (const [tabla, filas] of Object.entries(respaldo)) {
+          datos[tabla].length = filas.length;
+          filas.forEach((fila, i) => Object.assign(datos[tabla][i], fila));
+        }
+      }
+      respaldo = null;
+    },
+    release() {}
+  };
+
+  return {
+    query,
+    async getConnection() { return conexion; },
+
+    get compras() { return datos.pagos_rifa; },
+    get eventos() { return datos.pagos_eventos; },
+
+    insertarCompra(compra) {
+      const fila = {
+        id: datos.pagos_rifa.length + 1,
+        estado: 'pendiente',
+        mp_payment_id: null,
+        mp_status: null,
+        mp_status_detail: null,
+        boletos_conflicto: null,
+        ...compra
+      };
+      datos.pagos_rifa.push(fila);
+      return fila;
+    }
+  };
+}
+
+module.exports = { crearBdPagos };
@@ -0,0 +1,58 @@
+// ========================================
+// 🧪 test/helpers/mercadopago_stub.js
+// Stub local de consultas/mercadopago_service: los pagos viven en memoria y
+// nunca se llama a la API. La firma de webhooks se verifica con la
+// implementación real; firmarWebhook genera encabezados como los de MP.
+// ========================================
+
+const crypto = require('crypto');
+const { verificarFirma } = require('../../consultas/mercadopago_service');
+
+function crearMercadoPagoStub() {
+  const pagos = new Map();
+  const preferencias = [];
+
+  return {
+    pagos,
+    preferencias,
+
+    // Deja un pago disponible para obtenerPago / buscarPagosPorReferencia
+    registrarPago(pago) {
+      pagos.set(String(pago.id), pago);
+      return pago;
+    },
+
+    async crearPreferencia(body) {
+      const id = `pref-${preferencias.length + 1}`;
+      preferencias.push({ id, body });
+      return { id, init_point: `https://mp.local/checkout/${id}` };
+    },
+
+    async obtenerPago(paymentId) {
+      const pago = pagos.get(String(paymentId));
+      if (!pago) {
+        const error = new Error('Payment not found');
+        error.status = 404;
+        throw error;
+      }
+      return pago;
+    },
+
+    async buscarPagosPorReferencia(externalReference) {
+      return [...pagos.values()]
+        .filter((pago) => pago.external_reference === externalReference)
+        .reverse();
+    },
+
+    verificarFirma
+  };
+}
+
+// x-signature "ts=<ms>,v1=<hmac>" sobre el manifiesto que documenta MP
+function firmarWebhook({ dataId, xRequestId, secret, ts = Date.now() }) {
+  const manifiesto = `id:${String(dataId).toLowerCase()};request-id:${xRequestId};ts:${ts};`;
+  const v1 = crypto.createHmac('sha256', secret).update(manifiesto).digest('hex');
+  return `ts=${ts},v1=${v1}`;
+}
+
+module.exports = { crearMercadoPagoStub, firmarWebhook };
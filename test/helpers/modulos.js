@@ -0,0 +1,22 @@
+// ========================================
+// 🧪 test/helpers/modulos.js
+// Reemplaza módulos del servidor (bd, Mercado Pago, boletos…) por dobles de
+// prueba antes de que otro módulo los cargue. Cada archivo de prueba corre
+// en su propio proceso, así que los reemplazos no se mezclan.
+// ========================================
+
+const path = require('path');
+
+const RAIZ = path.resolve(__dirname, '..', '..');
+
+function reemplazar(ruta, exportaciones) {
+  const archivo = require.resolve(path.join(RAIZ, ruta));
+  require.cache[archivo] = { id: archivo, filename: archivo, loaded: true, exports: exportaciones };
+  return exportaciones;
+}
+
+function cargar(ruta) {
+  return require(path.join(RAIZ, ruta));
+}
+
+module.exports = { reemplazar, cargar };
@@ -0,0 +1,64 @@
+// ========================================
+// 🧪 test/helpers/pagos.js
+// Carga pagos_service (y, si se pide, el router de pagos) con la base en
+// memoria, el stub de Mercado Pago y dobles de boletos y bandeja que solo
+// registran las llamadas.
+// ========================================
+
+const { reemplazar, cargar } = require('./modulos');
+const { crearBdPagos } = require('./bd_pagos');
+const { crearMercadoPagoStub } = require('./mercadopago_stub');
+
+function prepararPagos() {
+  const bd = reemplazar('bd.js', crearBdPagos());
+  const mercadopago = reemplazar('consultas/mercadopago_service.js', crearMercadoPagoStub());
+
+  // `ocupados`: números que la prueba da por vendidos a otra compra
+  const llamadas = { confirmados: [], liberados: [], notificaciones: [], ocupados: [] };
+  reemplazar('consultas/boletos_service.js', {
+    MINUTOS_RESERVA: 15,
+    async confirmarBoletos(conn, pago) {
+      llamadas.confirmados.push(pago.id);
+      const faltantes = JSON.parse(pago.boletos).filter((n) => llamadas.ocupados.includes(n));
+      return { conflicto: faltantes.length > 0, faltantes };
+    },
+    async liberarBoletos(conn, pagoId, opciones = {}) {
+      llamadas.liberados.push({ pagoId, ...opciones });
+      return 0;
+    }
+  });
+  reemplazar('consultas/bandeja_service.js', {
+    async registrarNotificacion(usuarios, notificacion) {
+      llamadas.notificaciones.push({ usuarios, clave: notificacion.clave });
+    }
+  });
+
+  return {
+    bd,
+    mercadopago,
+    llamadas,
+    pagosService: cargar('consultas/pagos_service.js'),
+    router: () => cargar('consultas/pagos.js')
+  };
+}
+
+// Compra pendiente y el pago de MP que le corresponde
+function compraConPago(entorno, { total = 200, status = 'approved', paymentId = 9001 } = {}) {
+  const compra = entorno.bd.insertarCompra({
+    usuario_id: 7,
+    rifa_id: 3,
+    boletos: JSON.stringify([12, 13]),
+    total,
+    external_reference: `rifa-3-${entorno.bd.compras.length + 1}`
+  });
+  const pago = entorno.mercadopago.registrarPago({
+    id: paymentId,
+    status,
+    status_detail: status === 'approved' ? 'accredited' : null,
+    transaction_amount: total,
+    external_reference: compra.external_reference
+  });
+  return { compra, pago };
+}
+
+module.exports = { prepararPagos, compraConPago };
@@ -0,0 +1,65 @@
+// ========================================
+// 🧪 Firma de webhooks de Mercado Pago (verificarFirma)
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verificarFirma } = require('../consultas/mercadopago_service');
+const { firmarWebhook } = require('./helpers/mercadopago_stub');
+
+const SECRETO = 'secreto-de-prueba';
+const DATA_ID = '123456789';
+const REQUEST_ID = 'req-abc-1';
+
+const firmar = (opciones = {}) =>
+  firmarWebhook({ dataId: DATA_ID, xRequestId: REQUEST_ID, secret: SECRETO, ...opciones });
+
+test.beforeEach(() => {
+  process.env.MP_WEBHOOK_SECRET = SECRETO;
+});
+
+test('acepta una firma válida', () => {
+  assert.equal(verificarFirma({ xSignature: firmar(), xRequestId: REQUEST_ID, dataId: DATA_ID }), true);
+});
+
+test('acepta ts en segundos', () => {
+  const ts = Math.floor(Date.now() / 1000);
+  assert.equal(
+    verificarFirma({ xSignature: firmar({ ts }), xRequestId: REQUEST_ID, dataId: DATA_ID }),
+    true
+  );
+});
+
+test('rechaza una firma alterada', () => {
+  const xSignature = firmar().replace(/v1=(.)/, (_, c) => `v1=${c === '0' ? '1' : '0'}`);
+  assert.equal(verificarFirma({ xSignature, xRequestId: REQUEST_ID, dataId: DATA_ID }), false);
+});
+
+test('rechaza una firma hecha con otro secreto', () => {
+  const xSignature = firmar({ secret: 'otro-secreto' });
+  assert.equal(verificarFirma({ xSignature, xRequestId: REQUEST_ID, dataId: DATA_ID }), false);
+});
+
+test('rechaza la firma si cambia data.id o x-request-id', () => {
+  const xSignature = firmar();
+  assert.equal(verificarFirma({ xSignature, xRequestId: REQUEST_ID, dataId: '987654321' }), false);
+  assert.equal(verificarFirma({ xSignature, xRequestId: 'req-otro', dataId: DATA_ID }), false);
+});
+
+test('rechaza una firma fuera de la tolerancia', () => {
+  const xSignature = firmar({ ts: Date.now() - 11 * 60 * 1000 });
+  assert.equal(verificarFirma({ xSignature, xRequestId: REQUEST_ID, dataId: DATA_ID }), false);
+});
+
+test('rechaza encabezados vacíos o mal formados', () => {
+  assert.equal(verificarFirma({ xSignature: undefined, xRequestId: REQUEST_ID, dataId: DATA_ID }), false);
+  assert.equal(verificarFirma({ xSignature: 'basura', xRequestId: REQUEST_ID, dataId: DATA_ID }), false);
+  assert.equal(verificarFirma({ xSignature: firmar(), xRequestId: REQUEST_ID, dataId: undefined }), false);
+});
+
+test('sin MP_WEBHOOK_SECRET rechaza todo', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const xSignature = firmar();
+  delete process.env.MP_WEBHOOK_SECRET;
+  assert.equal(verificarFirma({ xSignature, xRequestId: REQUEST_ID, dataId: DATA_ID }), false);
+});
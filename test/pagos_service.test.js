@@ -0,0 +1,140 @@
+// ========================================
+// 🧪 pagos_service: transiciones de estado e idempotencia de aplicarPago
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prepararPagos, compraConPago } = require('./helpers/pagos');
+
+const entorno = prepararPagos();
+const { pagosService, bd, llamadas } = entorno;
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('esTransicionValida permite las transiciones previstas', () => {
+  assert.equal(pagosService.esTransicionValida('pendiente', 'aprobado'), true);
+  assert.equal(pagosService.esTransicionValida('pendiente', 'rechazado'), true);
+  assert.equal(pagosService.esTransicionValida('rechazado', 'aprobado'), true);
+  assert.equal(pagosService.esTransicionValida('aprobado', 'reembolsado'), true);
+});
+
+test('esTransicionValida rechaza transiciones ilegales', () => {
+  assert.equal(pagosService.esTransicionValida('aprobado', 'pendiente'), false);
+  assert.equal(pagosService.esTransicionValida('aprobado', 'rechazado'), false);
+  assert.equal(pagosService.esTransicionValida('cancelado', 'aprobado'), false);
+  assert.equal(pagosService.esTransicionValida('reembolsado', 'aprobado'), false);
+  assert.equal(pagosService.esTransicionValida('desconocido', 'aprobado'), false);
+});
+
+test('aplicarPago aprueba la compra, confirma boletos y avisa una vez', async () => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 1001 });
+
+  const resultado = await pagosService.aplicarPago(pago, { origen: 'webhook', notificacionId: 'n-1001' });
+
+  assert.equal(resultado.aplicado, true);
+  assert.equal(resultado.estadoAnterior, 'pendiente');
+  assert.equal(resultado.estadoNuevo, 'aprobado');
+  assert.equal(compra.estado, 'aprobado');
+  assert.deepEqual(llamadas.confirmados, [compra.id]);
+  assert.deepEqual(llamadas.notificaciones.map((n) => n.clave), [`compra_aprobada:${compra.id}`]);
+});
+
+test('una notificación repetida no se aplica dos veces', async () => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 1002 });
+  const confirmadosAntes = llamadas.confirmados.length;
+  const eventosAntes = bd.eventos.length;
+
+  const primera = await pagosService.aplicarPago(pago, { origen: 'webhook', notificacionId: 'n-1002' });
+  const repetida = await pagosService.aplicarPago(pago, { origen: 'webhook', notificacionId: 'n-1002' });
+
+  assert.equal(primera.aplicado, true);
+  assert.deepEqual(repetida, { duplicado: true, aplicado: false });
+  assert.equal(compra.estado, 'aprobado');
+  assert.equal(llamadas.confirmados.length, confirmadosAntes + 1);
+  assert.equal(bd.eventos.length, eventosAntes + 1);
+});
+
+test('el mismo estado recibido por otra vía no vuelve a confirmar boletos', async () => {
+  const { pago } = compraConPago(entorno, { paymentId: 1003 });
+  await pagosService.aplicarPago(pago, { origen: 'webhook', notificacionId: 'n-1003' });
+  const confirmadosAntes = llamadas.confirmados.length;
+
+  const resultado = await pagosService.aplicarPago(pago, { origen: 'conciliacion' });
+
+  assert.equal(resultado.aplicado, false);
+  assert.equal(resultado.motivo, null);
+  assert.equal(llamadas.confirmados.length, confirmadosAntes);
+});
+
+test('un pago aprobado de una compra cancelada es una transición inválida', async () => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 1004 });
+  compra.estado = 'cancelado';
+  const confirmadosAntes = llamadas.confirmados.length;
+
+  const resultado = await pagosService.aplicarPago(pago, { origen: 'webhook', notificacionId: 'n-1004' });
+
+  assert.equal(resultado.aplicado, false);
+  assert.equal(resultado.motivo, 'transicion_invalida');
+  assert.equal(compra.estado, 'cancelado');
+  assert.equal(llamadas.confirmados.length, confirmadosAntes);
+  const evento = bd.eventos.find((e) => e.notificacion_id === 'n-1004');
+  assert.equal(evento.aplicado, 0);
+  assert.equal(evento.estado_nuevo, 'cancelado');
+});
+
+test('un rechazo después de aprobar no revierte la compra', async () => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 1005 });
+  await pagosService.aplicarPago(pago, { origen: 'webhook', notificacionId: 'n-1005a' });
+  const liberadosAntes = llamadas.liberados.length;
+
+  const resultado = await pagosService.aplicarPago(
+    { ...pago, status: 'rejected' },
+    { origen: 'webhook', notificacionId: 'n-1005b' }
+  );
+
+  assert.equal(resultado.motivo, 'transicion_invalida');
+  assert.equal(compra.estado, 'aprobado');
+  assert.equal(llamadas.liberados.length, liberadosAntes);
+});
+
+test('un monto menor al total no aprueba la compra', async () => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 1006, total: 300 });
+
+  const resultado = await pagosService.aplicarPago(
+    { ...pago, transaction_amount: 100 },
+    { origen: 'webhook', notificacionId: 'n-1006' }
+  );
+
+  assert.equal(resultado.aplicado, false);
+  assert.equal(resultado.motivo, 'monto_insuficiente');
+  assert.equal(compra.estado, 'pendiente');
+});
+
+test('un reembolso libera también los boletos vendidos', async () => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 1007 });
+  await pagosService.aplicarPago(pago, { origen: 'webhook', notificacionId: 'n-1007a' });
+
+  const resultado = await pagosService.aplicarPago(
+    { ...pago, status: 'refunded' },
+    { origen: 'webhook', notificacionId: 'n-1007b' }
+  );
+
+  assert.equal(resultado.aplicado, true);
+  assert.equal(compra.estado, 'reembolsado');
+  assert.deepEqual(llamadas.liberados.at(-1), { pagoId: compra.id, incluirVendidos: true });
+});
+
+test('un pago aprobado con boletos ajenos queda registrado como conflicto', async (t) => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 1008 });
+  llamadas.ocupados.push(13);
+  t.after(() => { llamadas.ocupados.length = 0; });
+
+  const resultado = await pagosService.aplicarPago(pago, { origen: 'webhook', notificacionId: 'n-1008' });
+
+  assert.equal(resultado.aplicado, true);
+  assert.equal(resultado.conflictoBoletos, true);
+  assert.equal(compra.estado, 'aprobado');
+  assert.deepEqual(JSON.parse(compra.boletos_conflicto), [13]);
+});
@@ -0,0 +1,70 @@
+// ========================================
+// 🧪 POST /api/pagos/webhook con el stub local de Mercado Pago
+// ========================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { prepararPagos, compraConPago } = require('./helpers/pagos');
+const { firmarWebhook } = require('./helpers/mercadopago_stub');
+
+const SECRETO = 'secreto-webhook';
+process.env.MP_WEBHOOK_SECRET = SECRETO;
+
+const entorno = prepararPagos();
+const { llamadas } = entorno;
+let servidor;
+let base;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/pagos', entorno.router());
+  servidor = app.listen(0);
+  await new Promise((resolve) => servidor.once('listening', resolve));
+  base = `http://127.0.0.1:${servidor.address().port}/api/pagos/webhook`;
+});
+
+test.after(() => new Promise((resolve) => servidor.close(resolve)));
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+});
+
+function notificar(paymentId, { xRequestId, xSignature }) {
+  return fetch(`${base}?type=payment&data.id=${paymentId}`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-request-id': xRequestId,
+      'x-signature': xSignature
+    },
+    body: JSON.stringify({ type: 'payment', data: { id: String(paymentId) } })
+  });
+}
+
+test('una firma inválida responde 401 y no toca la compra', async () => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 2001 });
+  const xSignature = firmarWebhook({ dataId: pago.id, xRequestId: 'w-2001', secret: 'otro-secreto' });
+
+  const respuesta = await notificar(pago.id, { xRequestId: 'w-2001', xSignature });
+
+  assert.equal(respuesta.status, 401);
+  assert.equal(compra.estado, 'pendiente');
+  assert.equal(llamadas.confirmados.includes(compra.id), false);
+});
+
+test('el mismo webhook entregado dos veces se aplica una sola vez', async () => {
+  const { compra, pago } = compraConPago(entorno, { paymentId: 2002 });
+  const xSignature = firmarWebhook({ dataId: pago.id, xRequestId: 'w-2002', secret: SECRETO });
+
+  const primera = await notificar(pago.id, { xRequestId: 'w-2002', xSignature });
+  const repetida = await notificar(pago.id, { xRequestId: 'w-2002', xSignature });
+
+  assert.equal(primera.status, 200);
+  assert.equal(repetida.status, 200);
+  assert.equal(compra.estado, 'aprobado');
+  assert.equal(llamadas.confirmados.filter((id) => id === compra.id).length, 1);
+  assert.equal(entorno.bd.eventos.filter((e) => e.notificacion_id === 'w-2002').length, 1);
+});